@@ -1,13 +1,205 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { io } from 'socket.io-client';
-import { MessageSquare, Undo, Redo, Users, Save, Download, Plus, FileText, Clock, ArrowLeft, Trash2, Share2, Copy, Eye, Edit, LogOut, Sun, Moon } from 'lucide-react';
+import { MessageSquare, Search, X, Undo, Redo, Users, Save, Download, Plus, FileText, Clock, ArrowLeft, Trash2, RotateCcw, Folder, FolderPlus, Share2, Copy, Eye, Edit, LogOut, Sun, Moon, MessageSquarePlus, MessageCircle, Check, PenLine, ListChecks } from 'lucide-react';
 import { Document, Packer, Paragraph, TextRun, AlignmentType } from 'docx';
 import { saveAs } from 'file-saver';
+import { createReplica, editOperations, hasSeen, integrateOperations, markOperation, newSiteId, replicaText, resolveMarks } from './crdt';
 import './App.css';
 
 // API base URL from environment or default - defined outside component to avoid re-creation
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:4000';
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:4000';
+// How long a remote operation may wait for its causal dependencies before we resync
+const CAUSAL_BUFFER_TIMEOUT_MS = 5000;
+// Roles from least to most privileged, with how they are shown
+const ROLE_RANKS = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+const ROLE_LABELS = { viewer: 'Viewer', commenter: 'Commenter', editor: 'Editor', owner: 'Owner' };
+// Role granted by each share link access level
+const SHARE_ROLES = { read: 'viewer', comment: 'commenter', edit: 'editor' };
+// How long after the last edit comment ranges are refreshed from the server
+const COMMENT_REFRESH_DELAY_MS = 1000;
+
+// Comment ranges and formatting marks are offsets into the document's HTML, as the server
+// stores it, so selections in the editor are converted to and from offsets into its innerHTML.
+// Marks are shown with <span data-mark> (<a data-mark> for links) elements around the text
+// they cover, which are not part of the content and so take up no offsets
+const isMarkElement = (node) => node.nodeType === Node.ELEMENT_NODE && node.hasAttribute('data-mark');
+
+const escapedLength = (text) =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\u00a0/g, '&nbsp;').length;
+
+// Length of a node in its parent's innerHTML
+const htmlLength = (node) => {
+  if (node.nodeType === Node.TEXT_NODE) return escapedLength(node.data);
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    if (!isMarkElement(node) && !node.querySelector('[data-mark]')) return node.outerHTML.length;
+    const endTag = isMarkElement(node) ? '' : `</${node.localName}>`;
+    return startTagLength(node) + innerLength(node) + endTag.length;
+  }
+  if (node.nodeType === Node.COMMENT_NODE) return node.data.length + 7; // <!--...-->
+  return 0;
+};
+
+// Length of an element's innerHTML
+const innerLength = (element) =>
+  [...element.childNodes].reduce((sum, child) => sum + htmlLength(child), 0);
+
+// Length of an element's start tag, e.g. 5 for <div>
+const startTagLength = (element) => {
+  if (isMarkElement(element)) return 0;
+  const shallow = element.cloneNode(false).outerHTML;
+  const endTag = `</${element.localName}>`;
+  return shallow.endsWith(endTag) ? shallow.length - endTag.length : shallow.length;
+};
+
+// Offset into root.innerHTML of a DOM position (as in a Selection), or null outside root
+const htmlOffsetOf = (root, container, offset) => {
+  let total = container.nodeType === Node.TEXT_NODE
+    ? escapedLength(container.data.slice(0, offset))
+    : [...container.childNodes].slice(0, offset).reduce((sum, child) => sum + htmlLength(child), 0);
+  if (container !== root && container.nodeType === Node.ELEMENT_NODE) {
+    total += startTagLength(container);
+  }
+
+  for (let node = container; node !== root; node = node.parentNode) {
+    if (!node.parentNode) return null;
+    for (let sibling = node.previousSibling; sibling; sibling = sibling.previousSibling) {
+      total += htmlLength(sibling);
+    }
+    if (node.parentNode !== root) total += startTagLength(node.parentNode);
+  }
+  return total;
+};
+
+// DOM position ({ node, offset }) at an offset into root.innerHTML
+const domPositionAt = (root, offset) => {
+  let parent = root;
+  let remaining = offset;
+  let index = 0;
+
+  while (index < parent.childNodes.length) {
+    const child = parent.childNodes[index];
+    const length = htmlLength(child);
+    if (remaining >= length) {
+      remaining -= length;
+      index++;
+      continue;
+    }
+
+    if (child.nodeType === Node.TEXT_NODE) {
+      // Find the character whose escaped form starts at the offset
+      let characters = 0;
+      while (characters < child.data.length && remaining > 0) {
+        remaining -= escapedLength(child.data[characters]);
+        characters++;
+      }
+      return { node: child, offset: characters };
+    }
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      return { node: parent, offset: index };
+    }
+
+    // Offsets inside a start tag belong before the element, inside an end tag after it
+    remaining -= startTagLength(child);
+    if (remaining < 0) {
+      return { node: parent, offset: index };
+    }
+    if (remaining > innerLength(child)) {
+      return { node: parent, offset: index + 1 };
+    }
+    parent = child;
+    index = 0;
+  }
+
+  return { node: parent, offset: parent.childNodes.length };
+};
+
+// Content with formatting marks ({ type, value, start, end } spans) shown around the text they
+// cover; tags and character references are never split
+const renderMarks = (content, marks) => {
+  if (!marks || marks.length === 0) return content;
+
+  const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+  const startTag = (mark) => {
+    if (mark.type === 'link') return `<a data-mark="link" href="${escapeAttribute(mark.value)}">`;
+    const value = mark.value === true ? '' : ` data-value="${escapeAttribute(mark.value)}"`;
+    return `<span data-mark="${mark.type}"${value}>`;
+  };
+
+  let html = '';
+  let open = []; // Marks shown around the text so far
+  const closeAll = () => {
+    html += open.map((mark) => (mark.type === 'link' ? '</a>' : '</span>')).reverse().join('');
+    open = [];
+  };
+
+  let offset = 0;
+  while (offset < content.length) {
+    if (content[offset] === '<') {
+      closeAll();
+      const end = content.indexOf('>', offset);
+      const next = end === -1 ? content.length : end + 1;
+      html += content.slice(offset, next);
+      offset = next;
+      continue;
+    }
+
+    const reference = /^&#?\w+;/.exec(content.slice(offset, offset + 12));
+    const next = offset + (reference ? reference[0].length : 1);
+    const active = marks.filter((mark) => mark.start <= offset && offset < mark.end);
+    if (active.length !== open.length || active.some((mark, index) => mark !== open[index])) {
+      closeAll();
+      html += active.map(startTag).join('');
+      open = active;
+    }
+    html += content.slice(offset, next);
+    offset = next;
+  }
+  closeAll();
+  return html;
+};
+
+// The content in an editor, without the elements showing its formatting marks
+const editorContent = (root) => {
+  if (!root.querySelector('[data-mark]')) return root.innerHTML;
+  const copy = root.cloneNode(true);
+  copy.querySelectorAll('[data-mark]').forEach((element) => element.replaceWith(...element.childNodes));
+  return copy.innerHTML;
+};
+
+// Replace a comment thread in a list, or add it at the end if it is new
+const upsertThread = (threads, thread) =>
+  threads.some((existing) => existing._id === thread._id)
+    ? threads.map((existing) => (existing._id === thread._id ? thread : existing))
+    : [...threads, thread];
+
+// New key for the <ins>/<del data-suggestion> elements of a suggestion
+const newSuggestionKey = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// The <ins> or <del> element of a suggestion around a node, if any
+const suggestionElementOf = (root, node, tagName) => {
+  const element = node.nodeType === Node.TEXT_NODE ? node.parentNode : node;
+  const suggestion = element?.closest?.(`${tagName}[data-suggestion]`);
+  return suggestion && root.contains(suggestion) ? suggestion : null;
+};
+
+// The node right before a position, if the position is at the end of one
+const nodeBefore = (container, offset) => {
+  if (container.nodeType === Node.TEXT_NODE) {
+    return offset === 0 ? container.previousSibling : null;
+  }
+  return container.childNodes[offset - 1] || null;
+};
+
+// Replace a suggestion in a list, or add it at the end if it is new
+const upsertSuggestion = (suggestions, suggestion) =>
+  suggestions.some((existing) => existing.key === suggestion.key)
+    ? suggestions.map((existing) => (existing.key === suggestion.key ? suggestion : existing))
+    : [...suggestions, suggestion];
 
 function App() {
   // State management
@@ -18,6 +210,7 @@ function App() {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isConnected, setIsConnected] = useState(false);
+  const [hasReplica, setHasReplica] = useState(false); // Whether our edits can be queued while offline
   const [showChat, setShowChat] = useState(false);
   const [undoStack, setUndoStack] = useState([]);
   const [redoStack, setRedoStack] = useState([]);
@@ -35,11 +228,17 @@ function App() {
   const [authError, setAuthError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [documents, setDocuments] = useState([]);
+  const [trashedDocuments, setTrashedDocuments] = useState([]); // Owned documents in the trash
+  const [folders, setFolders] = useState([]); // Every folder the user can see, with their role
+  const [selectedFolder, setSelectedFolder] = useState(null); // Folder ID, null for all documents
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // null when not searching
+  const [searching, setSearching] = useState(false);
   const [loadingDocuments, setLoadingDocuments] = useState(false);
-  const [userRole, setUserRole] = useState(null); // 'owner', 'editor', 'viewer', null
+  const [userRole, setUserRole] = useState(null); // 'owner', 'editor', 'commenter', 'viewer', null
   const [shareLink, setShareLink] = useState(null);
   const [showShareModal, setShowShareModal] = useState(false);
-  const [shareAccess, setShareAccess] = useState('edit'); // 'read' or 'edit'
+  const [shareAccess, setShareAccess] = useState('edit'); // 'read', 'comment' or 'edit'
   const [shareEmail, setShareEmail] = useState(''); // Email to share with
   const [shareMethod, setShareMethod] = useState('link'); // 'link' or 'email'
   const [sharedUsers, setSharedUsers] = useState([]); // List of users with access
@@ -49,6 +248,26 @@ function App() {
   const [theme, setTheme] = useState('dark'); // 'dark' or 'light'
   const [remoteCursors, setRemoteCursors] = useState([]); // Array of { userId, username, position, color }
   const [cursorPositions, setCursorPositions] = useState({}); // Object: { userId: { top, left } }
+  const [comments, setComments] = useState([]); // Comment threads, each with the range it covers now
+  const [showComments, setShowComments] = useState(false);
+  const [showResolvedComments, setShowResolvedComments] = useState(false);
+  const [commentDraft, setCommentDraft] = useState(null); // { position, length, quote } being commented on
+  const [newComment, setNewComment] = useState('');
+  const [replyDrafts, setReplyDrafts] = useState({}); // Reply text per thread ID
+  const [activeCommentId, setActiveCommentId] = useState(null); // Thread whose range is highlighted
+  const [suggestions, setSuggestions] = useState([]); // Pending suggestions, in the order they were made
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [suggesting, setSuggesting] = useState(false); // Editors' suggesting mode toggle
+
+  // Viewers and commenters cannot change the text
+  const readOnly = userRole === 'viewer' || userRole === 'commenter';
+  // Everyone but viewers can start, reply to and resolve comment threads
+  const canComment = ROLE_RANKS[userRole] >= ROLE_RANKS.commenter;
+  // Commenters can only suggest changes; editors and owners can switch to suggesting
+  const suggestingMode = canComment && (readOnly || suggesting);
+  const canEditContent = !readOnly || suggestingMode;
+  // Editors and owners decide on suggestions
+  const canResolveSuggestions = ROLE_RANKS[userRole] >= ROLE_RANKS.editor;
   
   // Refs for Socket.IO and text editor
   const socket = useRef(null);
@@ -69,6 +288,16 @@ function App() {
   const lastCursorPosition = useRef(0); // Track last cursor position to avoid unnecessary updates
   const cursorPositionUpdateTimeout = useRef(null); // Timeout for updating cursor positions
   const isCalculatingCursorPositions = useRef(false); // Flag to prevent infinite recalculation loop
+  const replicaRef = useRef(null); // CRDT replica of the open document, once the server sent its state
+  const appliedVersionRef = useRef(0); // Latest document version whose content we applied
+  const siteIdRef = useRef(null); // Site of the operations we make on the replica
+  const queuedOperationsRef = useRef([]); // Our operations made while we were out of the document
+  const isJoinedRef = useRef(false); // Whether the server sent us the document on this connection
+  const pendingOperationsRef = useRef([]); // Remote changes waiting for their dependencies
+  const marksRef = useRef([]); // Formatting spans ({ type, value, start, end }) shown in the editor
+  const resyncTimeoutRef = useRef(null); // Requests a resync if dependencies never arrive
+  const ownSuggestionKeysRef = useRef(new Set()); // Keys of the suggestions this user made
+  const handleSuggestingInputRef = useRef(null); // Ref to latest handleSuggestingInput
 
   // Initialize theme from localStorage
   useEffect(() => {
@@ -184,7 +413,8 @@ function App() {
     
     setLoadingDocuments(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/documents`, {
+      const query = selectedFolder ? `?folder=${selectedFolder}` : '';
+      const response = await fetch(`${API_BASE_URL}/api/documents${query}`, {
         headers: {
           'Authorization': `Bearer ${userToken}`
         }
@@ -201,6 +431,25 @@ function App() {
       if (isMountedRef.current) {
       setDocuments(data);
       }
+
+      // Trashed documents are listed separately so they can be restored
+      const trashResponse = await fetch(`${API_BASE_URL}/api/documents/trash`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (trashResponse.ok && isMountedRef.current) {
+        setTrashedDocuments(await trashResponse.json());
+      }
+
+      const foldersResponse = await fetch(`${API_BASE_URL}/api/folders`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (foldersResponse.ok && isMountedRef.current) {
+        setFolders(await foldersResponse.json());
+      }
     } catch (error) {
       console.error('Error fetching documents:', error);
       if (isMountedRef.current) {
@@ -211,7 +460,7 @@ function App() {
       setLoadingDocuments(false);
     }
     }
-  }, [userToken]);
+  }, [userToken, selectedFolder]);
 
   // Helper function to set cursor position in contenteditable
   // Defined early to avoid initialization order issues
@@ -292,13 +541,164 @@ function App() {
     }
   }, []);
 
+  // Record the version we have applied and acknowledge it, so the server can garbage
+  // collect deleted characters
+  const acknowledgeVersion = useCallback((version) => {
+    if (typeof version !== 'number') {
+      return;
+    }
+    appliedVersionRef.current = Math.max(appliedVersionRef.current, version);
+    if (socket.current?.connected) {
+      socket.current.emit('acknowledge_version', { version });
+    }
+  }, []);
+
+  // Show content that changed under the editor right away, with its formatting marks,
+  // keeping the caret where it was, so the editor never holds older content than the replica
+  const showRemoteContent = useCallback((content, marks = []) => {
+    const editor = editorRef.current;
+    const html = renderMarks(content, marks);
+    marksRef.current = marks;
+    if (editor && editor.innerHTML !== html) {
+      const selection = window.getSelection();
+      let cursorPosition = null;
+      if (selection.rangeCount > 0 && editor.contains(selection.anchorNode)) {
+        const range = selection.getRangeAt(0);
+        const preCaretRange = range.cloneRange();
+        preCaretRange.selectNodeContents(editor);
+        preCaretRange.setEnd(range.endContainer, range.endOffset);
+        cursorPosition = preCaretRange.toString().length;
+      }
+      editor.innerHTML = html;
+      if (cursorPosition !== null) {
+        setCursorPosition(cursorPosition, editor);
+      }
+    }
+    setDocumentContent(content);
+  }, [setCursorPosition]);
+
+  // Send operations we made on the replica, or queue them until we are back in the document
+  const sendOperations = useCallback((operations) => {
+    if (isJoinedRef.current && socket.current?.connected) {
+      socket.current.emit('document_operation', { operations });
+    } else {
+      queuedOperationsRef.current.push(...operations);
+    }
+  }, []);
+
+  // Make the edits in the editor that the replica does not have yet into operations and send
+  // them. Text typed at the edge of a mark is shown with the formatting it really has
+  const commitLocalChanges = useCallback(() => {
+    const replica = replicaRef.current;
+    if (!replica || !editorRef.current || readOnly || suggestingMode) {
+      return;
+    }
+
+    const operations = editOperations(replica, editorContent(editorRef.current), siteIdRef.current);
+    if (operations.length === 0) {
+      return;
+    }
+    sendOperations(operations);
+    if (replica.marks.length > 0) {
+      showRemoteContent(replicaText(replica), resolveMarks(replica));
+    }
+  }, [readOnly, suggestingMode, sendOperations, showRemoteContent]);
+
+  // Send the queued operations the server does not have yet, given its state vector
+  const flushQueuedOperations = useCallback((stateVector) => {
+    const operations = queuedOperationsRef.current.filter(
+      (op) => op.id.clock > (stateVector[op.id.site] || 0)
+    );
+    queuedOperationsRef.current = [];
+    if (operations.length > 0 && socket.current?.connected) {
+      socket.current.emit('document_operation', { operations });
+    }
+  }, []);
+
+  // How we join the document: with a replica of it, the state it holds and the operations
+  // we made while out, so the server sends only what we missed and merges our edits
+  const joinRequest = useCallback(() => {
+    const replica = replicaRef.current;
+    if (!replica || replica.documentId !== documentId) {
+      return { documentId };
+    }
+    return {
+      documentId,
+      sync: {
+        baseId: replica.baseId,
+        stateVector: { ...replica.stateVector },
+        operations: [...queuedOperationsRef.current],
+      },
+    };
+  }, [documentId]);
+
+  // Drop buffered operations and ask the server for what we are missing again, or for the
+  // full document when it lost operations of ours
+  const requestResync = useCallback((full = false) => {
+    clearTimeout(resyncTimeoutRef.current);
+    resyncTimeoutRef.current = null;
+    pendingOperationsRef.current = [];
+    if (documentId && socket.current?.connected) {
+      console.warn('⚠️ Resyncing document: operations arrived without their dependencies');
+      socket.current.emit('set_document_id', full === true ? { documentId } : joinRequest());
+    }
+  }, [documentId, joinRequest]);
+
+  // Integrate remote changes into the replica once their dependencies have arrived, and show
+  // the result. Without a replica, the content and marks they carry are shown as is
+  const drainPendingOperations = useCallback(() => {
+    const replica = replicaRef.current;
+    if (replica) {
+      // Our own edits go in first, so the remote ones merge with them; the marks are resolved
+      // here, as the ones sent with the changes do not cover edits the server has not seen yet
+      commitLocalChanges();
+      const operations = pendingOperationsRef.current.flatMap((data) => data.operations || []);
+      if (integrateOperations(replica, operations).length > 0) {
+        showRemoteContent(replicaText(replica), resolveMarks(replica));
+      }
+      pendingOperationsRef.current = pendingOperationsRef.current.filter((data) => {
+        const applied = (data.operations || []).every((op) => !op?.id || hasSeen(replica, op.id));
+        if (applied) {
+          acknowledgeVersion(data.version);
+        }
+        return !applied;
+      });
+    } else {
+      pendingOperationsRef.current.forEach((data) => {
+        // A message delayed past a newer one is already reflected in the newer content
+        const isStale = typeof data.version === 'number' && data.version <= appliedVersionRef.current;
+        if (data.content !== undefined && !isStale) {
+          showRemoteContent(data.content, data.marks);
+        }
+        acknowledgeVersion(data.version);
+      });
+      pendingOperationsRef.current = [];
+    }
+
+    if (pendingOperationsRef.current.length === 0) {
+      clearTimeout(resyncTimeoutRef.current);
+      resyncTimeoutRef.current = null;
+    } else if (!resyncTimeoutRef.current) {
+      resyncTimeoutRef.current = setTimeout(requestResync, CAUSAL_BUFFER_TIMEOUT_MS);
+    }
+  }, [commitLocalChanges, showRemoteContent, acknowledgeVersion, requestResync]);
+
   // Handle messages from server - defined early to avoid hoisting issues
   const handleServerMessage = useCallback((type, data) => {
     switch(type) {
       case 'init':
+        // Start a replica from the CRDT state we were sent; edits we made while out of the
+        // document can only be merged into the replica they were made on
+        if (queuedOperationsRef.current.length > 0) {
+          console.warn('⚠️ Dropping edits made while disconnected: the document was resent in full');
+        }
+        replicaRef.current = data.crdt ? createReplica(documentId, data.crdt) : null;
+        setHasReplica(Boolean(data.crdt));
+        siteIdRef.current = newSiteId();
+        queuedOperationsRef.current = [];
+        isJoinedRef.current = true;
         if (data.document) {
-          isServerUpdateRef.current = true;
-          setDocumentContent(data.document.content || '');
+          showRemoteContent(data.document.content || '', data.marks);
           setDocumentTitle(data.document.title || 'Untitled Document');
           // Update saved state
           setSavedContent(data.document.content || '');
@@ -312,6 +712,10 @@ function App() {
           setUndoStack(data.history.undoStack || []);
           setRedoStack(data.history.redoStack || []);
         }
+        appliedVersionRef.current = data.crdt?.version || 0;
+        pendingOperationsRef.current = [];
+        clearTimeout(resyncTimeoutRef.current);
+        resyncTimeoutRef.current = null;
         break;
         
       case 'document_update':
@@ -326,11 +730,39 @@ function App() {
         break;
         
       case 'document_operation':
-        // Handle CRDT-based operations for real-time updates
-        if (data.content !== undefined) {
-          setDocumentContent(data.content);
-          // Don't update savedContent here - only update on save or init
+        // Handle CRDT-based operations for real-time updates, in causal order
+        pendingOperationsRef.current.push(data);
+        drainPendingOperations();
+        break;
+
+      case 'sync_operations':
+        // Back in the document after reconnecting: apply the operations we missed, and send
+        // those of ours the server still does not have
+        if (data.document?.title) {
+          setDocumentTitle(data.document.title);
+        }
+        if (data.users) {
+          setUsers(data.users);
+        }
+        if (data.history) {
+          setUndoStack(data.history.undoStack || []);
+          setRedoStack(data.history.redoStack || []);
         }
+        isJoinedRef.current = true;
+        pendingOperationsRef.current.push(data);
+        drainPendingOperations();
+        flushQueuedOperations(data.stateVector || {});
+        break;
+
+      case 'resync_required':
+        // The server dropped operations of ours whose dependencies never reached it
+        requestResync(true);
+        break;
+        
+      case 'history_update':
+        // The server tracks undo/redo per user and sends our own stacks when they change
+        setUndoStack(data.undoStack || []);
+        setRedoStack(data.redoStack || []);
         break;
         
       case 'title_update':
@@ -350,11 +782,9 @@ function App() {
       case 'undo_result':
         // Handle undo result from server - update document and sync history
         if (data.content !== undefined) {
-          isServerUpdateRef.current = true;
           // Get current content from editor or ref (before update)
           const currentContent = editorRef.current?.innerHTML || documentContentRef.current || documentContent;
           const oldContent = previousContentBeforeUndoRedo.current || currentContent;
-          setDocumentContent(data.content);
           
           // Set cursor position after content updates (moved left for undo)
           // Only if this user initiated the undo, or calculate position from content diff
@@ -373,21 +803,22 @@ function App() {
             }, 0);
           }
         }
-        // Sync undo/redo stacks from server
+        // Sync undo/redo stacks from server (only sent to the user who requested the undo)
         if (data.history) {
           setUndoStack(data.history.undoStack || []);
           setRedoStack(data.history.redoStack || []);
         }
+        // Shown like any other change, once its operations can be applied
+        pendingOperationsRef.current.push(data);
+        drainPendingOperations();
         break;
         
       case 'redo_result':
         // Handle redo result from server - update document and sync history
         if (data.content !== undefined) {
-          isServerUpdateRef.current = true;
           // Get current content from editor or ref (before update)
           const currentContent = editorRef.current?.innerHTML || documentContentRef.current || documentContent;
           const oldContent = previousContentBeforeUndoRedo.current || currentContent;
-          setDocumentContent(data.content);
           
           // Set cursor position after content updates (moved right for redo)
           // Only if this user initiated the redo, or calculate position from content diff
@@ -406,11 +837,14 @@ function App() {
             }, 0);
           }
         }
-        // Sync undo/redo stacks from server
+        // Sync undo/redo stacks from server (only sent to the user who requested the redo)
         if (data.history) {
           setUndoStack(data.history.undoStack || []);
           setRedoStack(data.history.redoStack || []);
         }
+        // Shown like any other change, once its operations can be applied
+        pendingOperationsRef.current.push(data);
+        drainPendingOperations();
         break;
         
       case 'cursor_update':
@@ -502,7 +936,52 @@ function App() {
           }
         }, 3000);
         break;
+
+      case 'document_saved':
+        // Someone else saved, or the server autosaved the live document
+        if (data.documentId && data.documentId !== documentId) {
+          break;
+        }
+        if (saveStatusTimeout.current) {
+          clearTimeout(saveStatusTimeout.current);
+        }
+        if (data.autosaved) {
+          setSaveStatus('✅ Autosaved');
+          if (typeof data.content === 'string') {
+            setSavedContent(data.content);
+          }
+        } else {
+          setSaveStatus(`✅ ${data.message || 'Document saved'}`);
+        }
+        saveStatusTimeout.current = setTimeout(() => {
+          if (isMountedRef.current) {
+            setSaveStatus('');
+          }
+        }, 3000);
+        break;
       
+      case 'server_shutting_down':
+        // The server saves our edits and disconnects us; we reconnect once it is back
+        console.warn('⚠️ Server shutting down:', data?.message);
+        if (saveStatusTimeout.current) {
+          clearTimeout(saveStatusTimeout.current);
+        }
+        setSaveStatus('⚠️ Server restarting...');
+        saveStatusTimeout.current = setTimeout(() => {
+          if (isMountedRef.current) {
+            setSaveStatus('');
+          }
+        }, 5000);
+        break;
+
+      case 'document_trashed':
+        // The owner moved the document to the trash; it can no longer be edited
+        if (data.documentId === documentId) {
+          alert(`This document was moved to the trash by ${data.user}.`);
+          setScreen('documents');
+        }
+        break;
+
       case 'role_changed':
         // Handle role change notification
         if (data.documentId === documentId) {
@@ -517,12 +996,47 @@ function App() {
             setUserRole(data.role);
             if (data.role === 'viewer') {
               alert('Your access has been changed to read-only.');
+            } else if (data.role === 'commenter') {
+              alert('Your access has been changed to commenter: you can comment but not edit.');
             } else if (data.role === 'editor') {
               alert('Your access has been changed to editor.');
             }
           }
         }
         break;
+
+      case 'comment_created':
+      case 'comment_updated':
+      case 'comment_resolved':
+        if (data.documentId === documentId) {
+          setComments(prev => upsertThread(prev, data.comment));
+        }
+        break;
+
+      case 'comment_deleted':
+        if (data.documentId === documentId) {
+          setComments(prev => prev.filter(comment => comment._id !== data.comment._id));
+        }
+        break;
+
+      case 'suggestions_changed':
+        // Suggestions were made, changed, withdrawn, accepted or rejected
+        if (data.documentId === documentId) {
+          setSuggestions(prev => data.suggestions.reduce(
+            (list, suggestion) => suggestion.status === 'pending'
+              ? upsertSuggestion(list, suggestion)
+              : list.filter(existing => existing.key !== suggestion.key),
+            prev
+          ));
+        }
+        break;
+
+      case 'comment_mention':
+        // Someone mentioned us in a thread of this or another document
+        if (isMountedRef.current) {
+          alert(`${data.author} mentioned you in a comment: "${data.body}"`);
+        }
+        break;
         
       case 'error':
         console.error('Server error:', data?.message);
@@ -534,7 +1048,7 @@ function App() {
       default:
         console.log('Unknown message type:', type);
     }
-  }, [documentId, showChat, userToken]); // Removed documentContent and documentTitle from dependencies
+  }, [documentId, showChat, userToken, showRemoteContent, drainPendingOperations, flushQueuedOperations, requestResync]); // Removed documentContent and documentTitle from dependencies
   
   // Update refs whenever functions change
   useEffect(() => {
@@ -558,6 +1072,131 @@ function App() {
     documentTitleRef.current = documentTitle;
   }, [documentTitle]);
 
+  // Fetch the comment threads of the open document, with the ranges they cover now
+  const loadComments = useCallback(async () => {
+    if (!documentId || !userToken) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/comments`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const threads = await response.json();
+      if (isMountedRef.current) {
+        setComments(threads);
+      }
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+    }
+  }, [documentId, userToken]);
+
+  // Load the comment threads when a document is opened
+  useEffect(() => {
+    setComments([]);
+    setCommentDraft(null);
+    setActiveCommentId(null);
+    if (screen === 'editor') {
+      loadComments();
+    }
+  }, [screen, loadComments]);
+
+  // Edits move the commented text, so refresh the ranges once they settle
+  const hasComments = comments.length > 0;
+  useEffect(() => {
+    if (screen !== 'editor' || !hasComments) return;
+
+    const timeout = setTimeout(loadComments, COMMENT_REFRESH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [documentContent, screen, hasComments, loadComments]);
+
+  // Fetch the open document's pending suggestions
+  const loadSuggestions = useCallback(async () => {
+    if (!documentId || !userToken) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/suggestions`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+      const pending = await response.json();
+      if (isMountedRef.current) {
+        setSuggestions(pending);
+      }
+    } catch (error) {
+      console.error('Error fetching suggestions:', error);
+    }
+  }, [documentId, userToken]);
+
+  // Load the suggestions when a document is opened
+  useEffect(() => {
+    setSuggestions([]);
+    ownSuggestionKeysRef.current = new Set();
+    if (screen === 'editor') {
+      loadSuggestions();
+    }
+  }, [screen, loadSuggestions]);
+
+  // Direct edits can remove a suggestion's markup, so refresh the list once they settle
+  const hasSuggestions = suggestions.length > 0;
+  useEffect(() => {
+    if (screen !== 'editor' || !hasSuggestions) return;
+
+    const timeout = setTimeout(loadSuggestions, COMMENT_REFRESH_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [documentContent, screen, hasSuggestions, loadSuggestions]);
+
+  // Remember which suggestions are ours, so typing can extend or withdraw them
+  useEffect(() => {
+    suggestions
+      .filter(suggestion => suggestion.author === currentUser)
+      .forEach(suggestion => ownSuggestionKeysRef.current.add(suggestion.key));
+  }, [suggestions, currentUser]);
+
+  // Route edits through handleSuggestingInput in suggesting mode; React has no beforeinput with inputType
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || screen !== 'editor') return;
+
+    const handleBeforeInput = (e) => handleSuggestingInputRef.current?.(e);
+    editor.addEventListener('beforeinput', handleBeforeInput);
+    return () => editor.removeEventListener('beforeinput', handleBeforeInput);
+  }, [screen]);
+
+  // Highlight the commented text without touching the editor's content
+  useEffect(() => {
+    const editor = editorRef.current;
+    if (!editor || screen !== 'editor' || typeof CSS === 'undefined' || !CSS.highlights) return;
+
+    const toRange = ({ start, end }) => {
+      const range = document.createRange();
+      const from = domPositionAt(editor, start);
+      const to = domPositionAt(editor, end);
+      range.setStart(from.node, from.offset);
+      range.setEnd(to.node, to.offset);
+      return range;
+    };
+    const visible = comments.filter(comment => comment.range && (!comment.resolved || comment._id === activeCommentId));
+    const active = visible.find(comment => comment._id === activeCommentId);
+
+    CSS.highlights.set('comment-range', new Highlight(...visible.filter(comment => comment !== active).map(comment => toRange(comment.range))));
+    if (active) {
+      CSS.highlights.set('comment-active', new Highlight(toRange(active.range)));
+    }
+
+    return () => {
+      CSS.highlights.delete('comment-range');
+      CSS.highlights.delete('comment-active');
+    };
+  }, [comments, activeCommentId, documentContent, screen]);
+
   // Refresh shared users list when share modal is opened
   useEffect(() => {
     if (showShareModal && documentId && userToken) {
@@ -643,6 +1282,8 @@ function App() {
         
         console.log('❌ Disconnected from server:', reason);
         setIsConnected(false);
+        // Edits are queued until we are back in the document
+        isJoinedRef.current = false;
         
         // Only manually reconnect if server disconnected us, not if client disconnected
         // Socket.IO will handle automatic reconnection for other cases
@@ -671,12 +1312,24 @@ function App() {
       socket.current.removeAllListeners('document_operation');
       socket.current.removeAllListeners('undo_result');
       socket.current.removeAllListeners('redo_result');
+      socket.current.removeAllListeners('history_update');
+      socket.current.removeAllListeners('resync_required');
+      socket.current.removeAllListeners('sync_operations');
       socket.current.removeAllListeners('title_update');
       socket.current.removeAllListeners('user_list_update');
       socket.current.removeAllListeners('chat_message');
       socket.current.removeAllListeners('cursor_update');
       socket.current.removeAllListeners('save_success');
       socket.current.removeAllListeners('save_error');
+      socket.current.removeAllListeners('document_saved');
+      socket.current.removeAllListeners('server_shutting_down');
+      socket.current.removeAllListeners('document_trashed');
+      socket.current.removeAllListeners('comment_created');
+      socket.current.removeAllListeners('comment_updated');
+      socket.current.removeAllListeners('comment_resolved');
+      socket.current.removeAllListeners('comment_deleted');
+      socket.current.removeAllListeners('comment_mention');
+      socket.current.removeAllListeners('suggestions_changed');
       socket.current.removeAllListeners('error');
       
       // Use ref to access latest handleServerMessage without recreating connection
@@ -685,6 +1338,9 @@ function App() {
       socket.current.on('document_operation', (data) => handleServerMessageRef.current?.('document_operation', data));
       socket.current.on('undo_result', (data) => handleServerMessageRef.current?.('undo_result', data));
       socket.current.on('redo_result', (data) => handleServerMessageRef.current?.('redo_result', data));
+      socket.current.on('history_update', (data) => handleServerMessageRef.current?.('history_update', data));
+      socket.current.on('resync_required', (data) => handleServerMessageRef.current?.('resync_required', data));
+      socket.current.on('sync_operations', (data) => handleServerMessageRef.current?.('sync_operations', data));
       socket.current.on('title_update', (data) => handleServerMessageRef.current?.('title_update', data));
       socket.current.on('user_list_update', (data) => handleServerMessageRef.current?.('user_list_update', data));
       socket.current.on('chat_message', (data) => handleServerMessageRef.current?.('chat_message', data));
@@ -694,6 +1350,15 @@ function App() {
       });
       socket.current.on('save_success', (data) => handleServerMessageRef.current?.('save_success', data));
       socket.current.on('save_error', (data) => handleServerMessageRef.current?.('save_error', data));
+      socket.current.on('document_saved', (data) => handleServerMessageRef.current?.('document_saved', data));
+      socket.current.on('server_shutting_down', (data) => handleServerMessageRef.current?.('server_shutting_down', data));
+      socket.current.on('document_trashed', (data) => handleServerMessageRef.current?.('document_trashed', data));
+      socket.current.on('comment_created', (data) => handleServerMessageRef.current?.('comment_created', data));
+      socket.current.on('comment_updated', (data) => handleServerMessageRef.current?.('comment_updated', data));
+      socket.current.on('comment_resolved', (data) => handleServerMessageRef.current?.('comment_resolved', data));
+      socket.current.on('comment_deleted', (data) => handleServerMessageRef.current?.('comment_deleted', data));
+      socket.current.on('comment_mention', (data) => handleServerMessageRef.current?.('comment_mention', data));
+      socket.current.on('suggestions_changed', (data) => handleServerMessageRef.current?.('suggestions_changed', data));
       socket.current.on('role_changed', (data) => handleServerMessageRef.current?.('role_changed', data));
       socket.current.on('error', (data) => handleServerMessageRef.current?.('error', data));
       
@@ -741,7 +1406,7 @@ function App() {
   // Initialize editor content when ref is ready
   useEffect(() => {
     if (editorRef.current && screen === 'editor' && !editorRef.current.innerHTML && documentContent) {
-      editorRef.current.innerHTML = documentContent;
+      editorRef.current.innerHTML = renderMarks(documentContent, marksRef.current);
     }
   }, [screen, documentContent]);
 
@@ -1211,7 +1876,7 @@ function App() {
   
   // Update contenteditable div when document content changes from server
   useEffect(() => {
-    if (editorRef.current && isServerUpdateRef.current && documentContent !== editorRef.current.innerHTML) {
+    if (editorRef.current && isServerUpdateRef.current && documentContent !== editorContent(editorRef.current)) {
       // Skip cursor restoration for undo/redo operations (handled separately)
       if (!isUndoRedoOperation.current) {
         // Save cursor position
@@ -1227,13 +1892,13 @@ function App() {
         }
         
         // Update content
-        editorRef.current.innerHTML = documentContent;
+        editorRef.current.innerHTML = renderMarks(documentContent, marksRef.current);
         
         // Restore cursor position
         setCursorPosition(cursorPosition, editorRef.current);
       } else {
         // For undo/redo, just update content (cursor will be set in undo_result/redo_result handlers)
-        editorRef.current.innerHTML = documentContent;
+        editorRef.current.innerHTML = renderMarks(documentContent, marksRef.current);
       }
       
       isServerUpdateRef.current = false;
@@ -1252,14 +1917,14 @@ function App() {
         // Use a small delay to ensure connection is fully established
         const timeoutId = setTimeout(() => {
           if (socket.current && socket.current.connected && documentId) {
-            socket.current.emit('set_document_id', { documentId: documentId });
+            socket.current.emit('set_document_id', joinRequest());
           }
         }, 500);
         
         return () => clearTimeout(timeoutId);
       }
     }
-  }, [isConnected, documentId, documentContent]);
+  }, [isConnected, documentId, documentContent, joinRequest]);
 
   // Load document when documentId is set (e.g., from URL or after save)
   useEffect(() => {
@@ -1280,6 +1945,10 @@ function App() {
   // Create new document
   const createNewDocument = () => {
     console.log('📝 Creating new document');
+    replicaRef.current = null;
+    queuedOperationsRef.current = [];
+    setHasReplica(false);
+    marksRef.current = [];
     setDocumentContent('');
     setDocumentTitle('Untitled Document');
     setDocumentId(null);
@@ -1314,18 +1983,16 @@ function App() {
         id: fullDoc._id
       });
       
-      // Determine user role
-      let role = null;
-      if (fullDoc.owner === currentUser) {
-        role = 'owner';
-      } else {
-        const permission = fullDoc.permissions?.find(p => p.username === currentUser);
-        role = permission ? permission.role : null;
-      }
-      setUserRole(role);
+      // Determine user role (the server includes roles inherited from folders)
+      setUserRole(fullDoc.role || null);
       
       // Set all state from the fetched document
       if (isMountedRef.current) {
+        // The replica comes with the document's CRDT state when we join it
+        replicaRef.current = null;
+        queuedOperationsRef.current = [];
+        setHasReplica(false);
+        marksRef.current = [];
         isServerUpdateRef.current = true;
       setDocumentContent(fullDoc.content || '');
       setDocumentTitle(fullDoc.title || 'Untitled Document');
@@ -1362,7 +2029,7 @@ function App() {
     event.stopPropagation();
     
     // Confirm deletion
-    const confirmed = window.confirm(`Are you sure you want to delete "${docTitle}"? This action cannot be undone.`);
+    const confirmed = window.confirm(`Move "${docTitle}" to the trash? You can restore it until it is purged.`);
     
     if (!confirmed) return;
     
@@ -1375,7 +2042,7 @@ function App() {
       });
       
       if (response.ok) {
-        console.log('✅ Document deleted successfully');
+        console.log('✅ Document moved to trash');
         // Refresh the documents list
         fetchDocuments();
       } else {
@@ -1390,45 +2057,189 @@ function App() {
     }
   };
 
-  // Register function
-  const handleRegister = async (e) => {
+  // Search every document the user can read
+  const searchDocuments = async (e) => {
     e?.preventDefault();
-    setAuthError('');
-    setIsLoading(true);
-
-    if (!registerName.trim() || !registerEmail.trim() || !registerPassword.trim()) {
-      setAuthError('All fields are required');
-      setIsLoading(false);
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
       return;
     }
 
-    if (registerPassword.length < 6) {
-      setAuthError('Password must be at least 6 characters long');
-      setIsLoading(false);
-      return;
+    setSearching(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/search?q=${encodeURIComponent(query)}`, {
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Search failed: ${response.status}`);
+      }
+      const results = await response.json();
+      if (isMountedRef.current) {
+        setSearchResults(results);
+      }
+    } catch (error) {
+      console.error('Error searching documents:', error);
+      if (isMountedRef.current) {
+        alert(`Search failed: ${error.message}`);
+      }
+    } finally {
+      if (isMountedRef.current) {
+        setSearching(false);
+      }
     }
+  };
+
+  const clearSearch = () => {
+    setSearchQuery('');
+    setSearchResults(null);
+  };
+
+  // Create a folder inside the selected folder
+  const createFolder = async () => {
+    const name = window.prompt('Folder name');
+    if (!name || !name.trim()) return;
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/auth/register`, {
+      const response = await fetch(`${API_BASE_URL}/api/folders`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          'Authorization': `Bearer ${userToken}`
         },
-        body: JSON.stringify({
-          name: registerName.trim(),
-          email: registerEmail.trim().toLowerCase(),
-          password: registerPassword,
-        }),
+        body: JSON.stringify({ name: name.trim(), parent: selectedFolder })
       });
 
-      const data = await response.json();
-
       if (!response.ok) {
-        throw new Error(data.error || 'Registration failed');
-    }
-
-      // Save token and user info
-      setUserToken(data.token);
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to create folder: ${response.status}`);
+      }
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to create folder: ${error.message}`);
+      }
+    }
+  };
+
+  // Move a document into a folder, or out of every folder with folderId null
+  const moveDocumentToFolder = async (docId, folderId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/${docId}/folder`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${userToken}`
+        },
+        body: JSON.stringify({ folderId })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to move document: ${response.status}`);
+      }
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error moving document:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to move document: ${error.message}`);
+      }
+    }
+  };
+
+  // Restore a document from the trash
+  const restoreDocument = async (docId) => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/trash/${docId}/restore`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to restore document: ${response.status}`);
+      }
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error restoring document:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to restore document: ${error.message}`);
+      }
+    }
+  };
+
+  // Permanently delete a document in the trash
+  const deleteDocumentForever = async (docId, docTitle) => {
+    const confirmed = window.confirm(`Permanently delete "${docTitle}"? This action cannot be undone.`);
+    if (!confirmed) return;
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/documents/trash/${docId}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `Failed to delete document: ${response.status}`);
+      }
+      fetchDocuments();
+    } catch (error) {
+      console.error('Error deleting document:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to delete document: ${error.message}`);
+      }
+    }
+  };
+
+  // Register function
+  const handleRegister = async (e) => {
+    e?.preventDefault();
+    setAuthError('');
+    setIsLoading(true);
+
+    if (!registerName.trim() || !registerEmail.trim() || !registerPassword.trim()) {
+      setAuthError('All fields are required');
+      setIsLoading(false);
+      return;
+    }
+
+    if (registerPassword.length < 6) {
+      setAuthError('Password must be at least 6 characters long');
+      setIsLoading(false);
+      return;
+    }
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/auth/register`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: registerName.trim(),
+          email: registerEmail.trim().toLowerCase(),
+          password: registerPassword,
+        }),
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Registration failed');
+    }
+
+      // Save token and user info
+      setUserToken(data.token);
       setUserInfo(data.user);
       setCurrentUser(data.user.email);
     setScreen('documents');
@@ -1528,6 +2339,10 @@ function App() {
       setDocumentContent('');
       setDocumentTitle('Untitled Document');
       setDocuments([]);
+      setFolders([]);
+      setSelectedFolder(null);
+      setSearchQuery('');
+      setSearchResults(null);
       setMessages([]);
         setIsConnected(false);
       setUserRole(null);
@@ -1579,12 +2394,12 @@ function App() {
 
   // Handle content change in contenteditable div
   const handleDocumentChange = () => {
-    // Check if user has write permission
-    if (userRole === 'viewer' || !editorRef.current) {
+    // Check if user has write permission, or may suggest changes
+    if (!canEditContent || !editorRef.current) {
       return;
     }
     
-    const newContent = editorRef.current.innerHTML;
+    const newContent = editorContent(editorRef.current);
     
     // Note: Undo/redo history is now managed server-side, so we don't manage local stacks here
     // The server will send history updates via socket events
@@ -1596,21 +2411,27 @@ function App() {
       clearTimeout(documentChangeTimeout.current);
     }
     
+    const delay = newContent.length > 1000 ? 150 : 50;
+
+    // With a replica, edits are sent as operations, and queued while we are out of the document
+    if (replicaRef.current && !suggestingMode) {
+      documentChangeTimeout.current = setTimeout(commitLocalChanges, delay);
+      return;
+    }
+
     // Send update via Socket.IO for real-time collaboration (debounced)
     if (socket.current && socket.current.connected && documentId) {
-      const delay = newContent.length > 1000 ? 150 : 50;
-      
       documentChangeTimeout.current = setTimeout(() => {
         if (socket.current && socket.current.connected && documentId) {
-          socket.current.emit('document_change', { content: newContent });
+          socket.current.emit(suggestingMode ? 'suggest_change' : 'document_change', { content: newContent });
         }
       }, delay);
     }
   };
   
-  // Undo function - sends request to server for shared undo
+  // Undo function - asks the server to undo this user's most recent edit
   const handleUndo = () => {
-    if (userRole === 'viewer' || !socket.current || !socket.current.connected || !documentId || !editorRef.current) {
+    if (readOnly || !socket.current || !socket.current.connected || !documentId || !editorRef.current) {
       return;
     }
     
@@ -1623,13 +2444,13 @@ function App() {
     previousContentBeforeUndoRedo.current = editorRef.current.innerHTML;
     isUndoRedoOperation.current = true;
     
-    // Send undo request to server - server will handle and broadcast to all clients
+    // Send undo request to server - other users' edits are left untouched
     socket.current.emit('undo');
   };
   
-  // Redo function - sends request to server for shared redo
+  // Redo function - asks the server to redo this user's most recently undone edit
   const handleRedo = () => {
-    if (userRole === 'viewer' || !socket.current || !socket.current.connected || !documentId || !editorRef.current) {
+    if (readOnly || !socket.current || !socket.current.connected || !documentId || !editorRef.current) {
       return;
     }
     
@@ -1642,7 +2463,7 @@ function App() {
     previousContentBeforeUndoRedo.current = editorRef.current.innerHTML;
     isUndoRedoOperation.current = true;
     
-    // Send redo request to server - server will handle and broadcast to all clients
+    // Send redo request to server - the result is broadcast to all clients
     socket.current.emit('redo');
   };
 
@@ -1691,8 +2512,8 @@ function App() {
 
   const handleTitleChange = (e) => {
     // Check if user has write permission
-    if (userRole === 'viewer') {
-      return; // Don't allow title changes for viewers
+    if (readOnly) {
+      return; // Don't allow title changes for viewers and commenters
     }
     
     const newTitle = e.target.value;
@@ -1703,36 +2524,58 @@ function App() {
     }
   };
 
-  // Format text using execCommand for rich text
-  const formatText = (command) => {
-    if (userRole === 'viewer' || !editorRef.current) {
+  // Format the selected text with a formatting mark, or remove the mark if all of it has it
+  const formatText = (markType) => {
+    const editor = editorRef.current;
+    const selection = window.getSelection();
+    if (readOnly || !editor || !selection || selection.rangeCount === 0 || selection.isCollapsed) {
       return;
     }
-    
-    // Note: Undo/redo history is managed server-side
-    // The server will add this change to history when it receives the document_change event
-    
-    // Focus editor and ensure selection
-    editorRef.current.focus();
-    
-    // Save selection
-    const selection = window.getSelection();
-    const range = selection.rangeCount > 0 ? selection.getRangeAt(0) : null;
-    
-    // Execute command
-    try {
-      document.execCommand(command, false, null);
-    } catch (e) {
-      console.error('Format command failed:', e);
+
+    // Offsets refer to the replica's content, so it takes the edits typed so far first
+    clearTimeout(documentChangeTimeout.current);
+    commitLocalChanges();
+
+    const range = selection.getRangeAt(0);
+    const start = htmlOffsetOf(editor, range.startContainer, range.startOffset);
+    const end = htmlOffsetOf(editor, range.endContainer, range.endOffset);
+    if (start === null || end === null || end <= start) {
+      return;
     }
-    
-    // Restore selection if needed
-    if (range && selection.rangeCount === 0) {
-      selection.addRange(range);
+
+    const isMarked = (offset) => marksRef.current.some(
+      (mark) => mark.type === markType && mark.start <= offset && offset < mark.end
+    );
+    let allMarked = true;
+    for (let offset = start; offset < end && allMarked; offset++) {
+      allMarked = isMarked(offset);
     }
-    
-    // Trigger change event to sync
-    setTimeout(() => handleDocumentChange(), 10);
+    const mark = { action: allMarked ? 'remove' : 'add', markType, position: start, length: end - start };
+
+    const replica = replicaRef.current;
+    if (!replica) {
+      // The server formats the range for us; its marks come with the next change
+      if (socket.current?.connected && documentId) {
+        socket.current.emit('document_operation', { operation: { type: 'format', ...mark } });
+      }
+      return;
+    }
+
+    const op = markOperation(replica, mark, siteIdRef.current);
+    if (!op) {
+      return;
+    }
+    sendOperations([op]);
+    showRemoteContent(replicaText(replica), resolveMarks(replica));
+
+    // Keep the formatted text selected
+    const from = domPositionAt(editor, start);
+    const to = domPositionAt(editor, end);
+    const selected = document.createRange();
+    selected.setStart(from.node, from.offset);
+    selected.setEnd(to.node, to.offset);
+    selection.removeAllRanges();
+    selection.addRange(selected);
   };
 
   const sendMessage = () => {
@@ -1754,6 +2597,294 @@ function App() {
     }
   };
 
+  // Start a comment on the text selected in the editor
+  const startComment = () => {
+    const selection = window.getSelection();
+    const editor = editorRef.current;
+    if (!editor || !selection || selection.rangeCount === 0 || selection.isCollapsed) {
+      alert('Select the text you want to comment on first.');
+      return;
+    }
+
+    const range = selection.getRangeAt(0);
+    const start = htmlOffsetOf(editor, range.startContainer, range.startOffset);
+    const end = htmlOffsetOf(editor, range.endContainer, range.endOffset);
+    if (start === null || end === null || end <= start) {
+      alert('Select the text you want to comment on first.');
+      return;
+    }
+
+    setCommentDraft({ position: start, length: end - start, quote: selection.toString() });
+    setNewComment('');
+    setShowComments(true);
+  };
+
+  // Send a request about the open document's comment threads
+  const sendCommentRequest = async (path, method, body) => {
+    const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/comments${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${userToken}`
+      },
+      body: body && JSON.stringify(body)
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+    }
+    return data;
+  };
+
+  // Post the comment being written on the selected text
+  const submitComment = async () => {
+    if (!commentDraft || !newComment.trim()) return;
+
+    try {
+      const { position, length } = commentDraft;
+      const comment = await sendCommentRequest('', 'POST', { body: newComment.trim(), position, length });
+      if (isMountedRef.current) {
+        setComments(prev => upsertThread(prev, comment));
+        setActiveCommentId(comment._id);
+        setCommentDraft(null);
+        setNewComment('');
+      }
+    } catch (error) {
+      console.error('Error creating comment:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to add comment: ${error.message}`);
+      }
+    }
+  };
+
+  // Reply to a comment thread
+  const replyToComment = async (commentId) => {
+    const text = replyDrafts[commentId]?.trim();
+    if (!text) return;
+
+    try {
+      const comment = await sendCommentRequest(`/${commentId}/replies`, 'POST', { body: text });
+      if (isMountedRef.current) {
+        setComments(prev => upsertThread(prev, comment));
+        setReplyDrafts(prev => ({ ...prev, [commentId]: '' }));
+      }
+    } catch (error) {
+      console.error('Error replying to comment:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to reply: ${error.message}`);
+      }
+    }
+  };
+
+  // Resolve or reopen a comment thread
+  const setCommentResolved = async (commentId, resolved) => {
+    try {
+      const comment = await sendCommentRequest(`/${commentId}`, 'PATCH', { resolved });
+      if (isMountedRef.current) {
+        setComments(prev => upsertThread(prev, comment));
+      }
+    } catch (error) {
+      console.error('Error resolving comment:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to update comment: ${error.message}`);
+      }
+    }
+  };
+
+  // Delete a comment thread with its replies
+  const deleteComment = async (commentId) => {
+    const confirmed = window.confirm('Delete this comment thread?');
+    if (!confirmed) return;
+
+    try {
+      await sendCommentRequest(`/${commentId}`, 'DELETE');
+      if (isMountedRef.current) {
+        setComments(prev => prev.filter(comment => comment._id !== commentId));
+      }
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      if (isMountedRef.current) {
+        alert(`Failed to delete comment: ${error.message}`);
+      }
+    }
+  };
+
+  // Whether the current user made a suggestion
+  const isOwnSuggestion = (key) =>
+    ownSuggestionKeysRef.current.has(key) ||
+    suggestions.some(suggestion => suggestion.key === key && suggestion.author === currentUser);
+
+  // Suggest inserting text at a collapsed range, and put the caret after it
+  const suggestInsertion = (range, text) => {
+    const editor = editorRef.current;
+    const textNode = document.createTextNode(text);
+
+    // Keep typing into our own insertion when the caret is in it or right after it
+    const before = nodeBefore(range.startContainer, range.startOffset);
+    const around = suggestionElementOf(editor, range.startContainer, 'ins');
+    if (around && isOwnSuggestion(around.dataset.suggestion)) {
+      range.insertNode(textNode);
+    } else if (before?.matches?.('ins[data-suggestion]') && isOwnSuggestion(before.dataset.suggestion)) {
+      before.appendChild(textNode);
+    } else {
+      // Someone else's suggestion cannot be changed, so insert after it
+      const foreign = around || suggestionElementOf(editor, range.startContainer, 'del');
+      if (foreign) {
+        range.setStartAfter(foreign);
+        range.collapse(true);
+      }
+
+      const key = newSuggestionKey();
+      ownSuggestionKeysRef.current.add(key);
+      const insertion = document.createElement('ins');
+      insertion.setAttribute('data-suggestion', key);
+      insertion.appendChild(textNode);
+      range.insertNode(insertion);
+    }
+
+    range.setStart(textNode, textNode.length);
+    range.collapse(true);
+  };
+
+  // Suggest deleting the text a range covers; text we suggested inserting is simply removed
+  const suggestDeletion = (range, backward) => {
+    const editor = editorRef.current;
+    const key = newSuggestionKey();
+
+    // Work out the covered part of each text node before splitting any of them
+    const walker = document.createTreeWalker(editor, NodeFilter.SHOW_TEXT);
+    const covered = [];
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      if (range.intersectsNode(node)) {
+        const start = node === range.startContainer ? range.startOffset : 0;
+        const end = node === range.endContainer ? range.endOffset : node.length;
+        if (start < end) {
+          covered.push({ node, start, end });
+        }
+      }
+    }
+
+    // Nodes the deleted text ends up in, for placing the caret
+    const anchors = [];
+    let deletion = null;
+    covered.forEach(({ node, start, end }) => {
+      if (end < node.length) {
+        node.splitText(end);
+      }
+      const text = start > 0 ? node.splitText(start) : node;
+
+      const insertion = suggestionElementOf(editor, text, 'ins');
+      if (insertion && isOwnSuggestion(insertion.dataset.suggestion)) {
+        const marker = document.createTextNode('');
+        text.replaceWith(marker);
+        if (!insertion.textContent) {
+          insertion.parentNode.insertBefore(marker, insertion);
+          insertion.remove();
+        }
+        anchors.push(marker);
+        return;
+      }
+      // Already suggested for deletion, or part of someone else's suggestion
+      if (insertion || suggestionElementOf(editor, text, 'del')) {
+        anchors.push(text);
+        return;
+      }
+
+      if (!deletion || deletion.nextSibling !== text) {
+        ownSuggestionKeysRef.current.add(key);
+        deletion = document.createElement('del');
+        deletion.setAttribute('data-suggestion', key);
+        text.parentNode.insertBefore(deletion, text);
+      }
+      deletion.appendChild(text);
+      anchors.push(deletion);
+    });
+
+    // Deleting backwards leaves the caret before the text, forwards after it
+    if (anchors.length > 0) {
+      if (backward) {
+        range.setStartBefore(anchors[0]);
+      } else {
+        range.setStartAfter(anchors[anchors.length - 1]);
+      }
+    }
+    range.collapse(true);
+  };
+
+  // Turn edits made in suggesting mode into suggestions instead of changing the text
+  const handleSuggestingInput = (e) => {
+    if (!suggestingMode || !editorRef.current) return;
+
+    const selection = window.getSelection();
+    if (!selection || selection.rangeCount === 0) return;
+    // Compositions (IME input) cannot be cancelled; the server refuses them if they change the text
+    if (e.inputType === 'insertCompositionText') return;
+    e.preventDefault();
+
+    const deleting = e.inputType.startsWith('delete');
+    const text = e.dataTransfer ? e.dataTransfer.getData('text/plain') : e.data;
+    if (!deleting && !text) return; // Formatting and new paragraphs are not suggested
+
+    if (deleting && selection.isCollapsed && e.inputType !== 'deleteByCut') {
+      selection.modify(
+        'extend',
+        e.inputType.includes('Backward') ? 'backward' : 'forward',
+        e.inputType.includes('Word') ? 'word' : 'character'
+      );
+    }
+
+    const range = selection.getRangeAt(0);
+    if (!range.collapsed) {
+      suggestDeletion(range, deleting && e.inputType.includes('Backward'));
+    }
+    if (!deleting) {
+      suggestInsertion(range, text);
+    }
+
+    selection.removeAllRanges();
+    selection.addRange(range);
+    handleDocumentChange();
+  };
+
+  useEffect(() => {
+    handleSuggestingInputRef.current = handleSuggestingInput;
+  });
+
+  // Accept or reject one suggestion, or every pending one when no key is given
+  const resolveSuggestions = async (key, accept) => {
+    const action = accept ? 'accept' : 'reject';
+    if (!key && !window.confirm(`${accept ? 'Accept' : 'Reject'} all ${suggestions.length} suggestions?`)) {
+      return;
+    }
+
+    try {
+      const path = key ? `/${encodeURIComponent(key)}/${action}` : `/${action}`;
+      const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/suggestions${path}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${userToken}`
+        }
+      });
+
+      const resolved = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(resolved.error || `HTTP error! status: ${response.status}`);
+      }
+      if (isMountedRef.current) {
+        const keys = new Set(resolved.map(suggestion => suggestion.key));
+        setSuggestions(prev => prev.filter(suggestion => !keys.has(suggestion.key)));
+      }
+    } catch (error) {
+      console.error(`Error ${action}ing suggestions:`, error);
+      if (isMountedRef.current) {
+        alert(`Failed to ${action} suggestions: ${error.message}`);
+        loadSuggestions();
+      }
+    }
+  };
+
   const saveDocument = () => {
     console.log('💾 Save button clicked', { 
       documentId, 
@@ -1797,7 +2928,8 @@ function App() {
       console.log('📤 Creating new document');
       socket.current.emit('save_document', {
         content: documentContent,
-        title: documentTitle
+        title: documentTitle,
+        folder: selectedFolder // Create it in the folder open in the documents list
       });
     }
     
@@ -2034,7 +3166,7 @@ function App() {
 
     try {
       // Determine role based on access level
-      const role = shareAccess === 'edit' ? 'editor' : 'viewer';
+      const role = SHARE_ROLES[shareAccess];
       
       const response = await fetch(`${API_BASE_URL}/api/documents/${documentId}/permissions`, {
         method: 'POST',
@@ -2099,10 +3231,8 @@ function App() {
       console.log('✅ Successfully joined document:', data);
       
       // Set user role based on access
-      if (data.access === 'read') {
-        setUserRole('viewer');
-      } else if (data.access === 'edit') {
-        setUserRole('editor');
+      if (SHARE_ROLES[data.access]) {
+        setUserRole(SHARE_ROLES[data.access]);
       }
 
       // Open the document (this will fetch the latest document including updated permissions)
@@ -2362,7 +3492,53 @@ function App() {
     // Separate documents into owned and shared
     const ownedDocuments = documents.filter(doc => doc.owner === currentUser);
     const sharedDocuments = documents.filter(doc => doc.owner !== currentUser);
-    
+    // Folders the user can add documents to
+    const writableFolders = folders.filter(folder => folder.role === 'owner' || folder.role === 'editor');
+
+    // Snippet text with the matched words in <mark>
+    const renderSnippet = (snippet) => {
+      const parts = [];
+      let position = 0;
+      snippet.highlights.forEach(([from, to]) => {
+        parts.push(snippet.text.slice(position, from));
+        parts.push(<mark key={from}>{snippet.text.slice(from, to)}</mark>);
+        position = to;
+      });
+      parts.push(snippet.text.slice(position));
+      return parts;
+    };
+
+    // Sidebar entries for the folders inside parentId, nested under each other
+    const renderFolderTree = (parentId, depth = 0) =>
+      folders
+        .filter(folder => (folder.parent || null) === parentId)
+        .map(folder => (
+          <div key={folder._id}>
+            <button
+              onClick={() => setSelectedFolder(folder._id)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                width: '100%',
+                padding: '8px 12px',
+                paddingLeft: `${12 + depth * 16}px`,
+                background: selectedFolder === folder._id ? '#334155' : 'transparent',
+                color: '#f1f5f9',
+                border: 'none',
+                borderRadius: '6px',
+                fontSize: '14px',
+                textAlign: 'left',
+                cursor: 'pointer'
+              }}
+            >
+              <Folder size={16} />
+              <span>{folder.name}</span>
+            </button>
+            {renderFolderTree(folder._id, depth + 1)}
+          </div>
+        ));
+
     return (
       <div className="documents-container">
         <div className="documents-header">
@@ -2423,8 +3599,130 @@ function App() {
           </div>
         </div>
 
-        <div className="documents-content">
-          {loadingDocuments ? (
+        <div className="documents-content" style={{ display: 'flex', gap: '24px', alignItems: 'flex-start' }}>
+          {/* Folder Sidebar */}
+          <aside style={{ width: '220px', flexShrink: 0 }}>
+            <button
+              onClick={() => setSelectedFolder(null)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                width: '100%',
+                padding: '8px 12px',
+                background: selectedFolder === null ? '#334155' : 'transparent',
+                color: '#f1f5f9',
+                border: 'none',
+                borderRadius: '6px',
+                fontSize: '14px',
+                fontWeight: '600',
+                textAlign: 'left',
+                cursor: 'pointer'
+              }}
+            >
+              <FileText size={16} />
+              <span>All documents</span>
+            </button>
+            {renderFolderTree(null)}
+            <button
+              onClick={createFolder}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                width: '100%',
+                marginTop: '12px',
+                padding: '8px 12px',
+                background: 'transparent',
+                color: '#94a3b8',
+                border: '1px dashed #334155',
+                borderRadius: '6px',
+                fontSize: '14px',
+                cursor: 'pointer'
+              }}
+              title={selectedFolder ? 'New folder inside the selected folder' : 'New folder'}
+            >
+              <FolderPlus size={16} />
+              <span>New folder</span>
+            </button>
+          </aside>
+
+          <div style={{ flex: 1, minWidth: 0 }}>
+          {/* Search */}
+          <form onSubmit={searchDocuments} style={{ display: 'flex', gap: '8px', marginBottom: '24px' }}>
+            <div style={{ position: 'relative', flex: 1 }}>
+              <Search size={18} style={{ position: 'absolute', left: '12px', top: '50%', transform: 'translateY(-50%)', color: '#94a3b8' }} />
+              <input
+                type="search"
+                value={searchQuery}
+                onChange={(e) => setSearchQuery(e.target.value)}
+                placeholder='Search documents (use "quotes" for phrases, -word to exclude)'
+                style={{
+                  width: '100%',
+                  padding: '10px 12px 10px 40px',
+                  background: '#1e293b',
+                  color: '#f1f5f9',
+                  border: '1px solid #334155',
+                  borderRadius: '8px',
+                  fontSize: '14px',
+                  boxSizing: 'border-box'
+                }}
+              />
+            </div>
+            <button type="submit" className="btn-primary" disabled={searching}>
+              {searching ? 'Searching...' : 'Search'}
+            </button>
+            {searchResults !== null && (
+              <button type="button" onClick={clearSearch} className="btn-primary" title="Clear search">
+                <X size={16} />
+              </button>
+            )}
+          </form>
+
+          {searchResults !== null ? (
+            <div>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#f1f5f9', 
+                marginBottom: '20px',
+                paddingBottom: '12px',
+                borderBottom: '2px solid #334155'
+              }}>
+                Search Results
+              </h2>
+              {searchResults.length === 0 ? (
+                <p style={{ color: '#94a3b8' }}>No documents match your search.</p>
+              ) : (
+                <div className="documents-grid">
+                  {searchResults.map((result) => (
+                    <div key={result._id} className="document-card" onClick={() => openDocument(result)}>
+                      <div className="document-card-header">
+                        <FileText size={24} className="document-icon" />
+                      </div>
+                      <div className="document-card-body">
+                        <h3 className="document-card-title">{result.title}</h3>
+                        <p className="document-card-preview">
+                          {result.snippet.text ? renderSnippet(result.snippet) : 'Empty document'}
+                        </p>
+                        {result.owner !== currentUser && (
+                          <div style={{ marginTop: '8px', fontSize: '12px', color: '#94a3b8' }}>
+                            Owner: {result.owner}
+                          </div>
+                        )}
+                      </div>
+                      <div className="document-card-footer">
+                        <div className="document-meta">
+                          <Clock size={14} />
+                          <span>{formatDate(result.updatedAt)}</span>
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ) : loadingDocuments ? (
             <div className="loading-state">
               <div className="spinner"></div>
               <p>Loading documents...</p>
@@ -2432,7 +3730,7 @@ function App() {
           ) : documents.length === 0 ? (
             <div className="empty-state">
               <FileText size={64} className="empty-icon" />
-              <h2>No documents yet</h2>
+              <h2>{selectedFolder ? 'This folder is empty' : 'No documents yet'}</h2>
               <p>Create your first document to get started</p>
               <button onClick={createNewDocument} className="btn-primary" style={{ marginTop: '20px' }}>
                 <Plus size={20} />
@@ -2481,6 +3779,30 @@ function App() {
                       <Clock size={14} />
                       <span>{formatDate(doc.updatedAt)}</span>
                     </div>
+                    {(folders.length > 0 || doc.folder) && (
+                      <select
+                        value={doc.folder || ''}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={(e) => moveDocumentToFolder(doc._id, e.target.value || null)}
+                        title="Move to folder"
+                        style={{
+                          background: 'transparent',
+                          color: '#94a3b8',
+                          border: '1px solid #334155',
+                          borderRadius: '6px',
+                          fontSize: '12px',
+                          padding: '2px 4px'
+                        }}
+                      >
+                        <option value="">No folder</option>
+                        {writableFolders.map((folder) => (
+                          <option key={folder._id} value={folder._id}>{folder.name}</option>
+                        ))}
+                        {doc.folder && !writableFolders.some(folder => folder._id === doc.folder) && (
+                          <option value={doc.folder} disabled>Current folder</option>
+                        )}
+                      </select>
+                    )}
                   </div>
                 </div>
               ))}
@@ -2504,7 +3826,9 @@ function App() {
                   <div className="documents-grid">
                     {sharedDocuments.map((doc) => {
                       const permission = doc.permissions?.find(p => p.username === currentUser);
-                      const role = permission ? permission.role : 'viewer';
+                      const folderRole = folders.find(folder => folder._id === doc.folder)?.role;
+                      const role = [permission?.role, folderRole].reduce((best, candidate) =>
+                        (ROLE_RANKS[candidate] || 0) > (ROLE_RANKS[best] || 0) ? candidate : best, 'viewer');
                       
                       return (
                         <div key={doc._id} className="document-card">
@@ -2527,7 +3851,7 @@ function App() {
                             }}>
                               <span>Owner: {doc.owner}</span>
                               <span>•</span>
-                              <span>Access: {role === 'editor' ? 'Can Edit' : 'Read Only'}</span>
+                              <span>Access: {role === 'editor' || role === 'owner' ? 'Can Edit' : role === 'commenter' ? 'Can Comment' : 'Read Only'}</span>
                             </div>
                           </div>
                           <div className="document-card-footer" onClick={() => openDocument(doc)}>
@@ -2544,6 +3868,51 @@ function App() {
               )}
             </div>
           )}
+
+          {/* Trash Section */}
+          {!loadingDocuments && searchResults === null && trashedDocuments.length > 0 && (
+            <div style={{ marginTop: '40px' }}>
+              <h2 style={{ 
+                fontSize: '24px', 
+                fontWeight: '600', 
+                color: '#f1f5f9', 
+                marginBottom: '20px',
+                paddingBottom: '12px',
+                borderBottom: '2px solid #334155'
+              }}>
+                Trash
+              </h2>
+              <div className="documents-grid">
+                {trashedDocuments.map((doc) => (
+                  <div key={doc._id} className="document-card" style={{ opacity: 0.7 }}>
+                    <div className="document-card-header">
+                      <Trash2 size={24} className="document-icon" />
+                      <button
+                        className="btn-delete-doc"
+                        onClick={() => deleteDocumentForever(doc._id, doc.title)}
+                        title="Delete permanently"
+                      >
+                        <Trash2 size={20} />
+                      </button>
+                    </div>
+                    <div className="document-card-body">
+                      <h3 className="document-card-title">{doc.title}</h3>
+                      <p className="document-card-preview">
+                        Deleted {formatDate(doc.deletedAt)} · purged on {new Date(doc.purgeAt).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <div className="document-card-footer">
+                      <button onClick={() => restoreDocument(doc._id)} className="btn-primary">
+                        <RotateCcw size={16} />
+                        <span>Restore</span>
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          </div>
         </div>
       </div>
     );
@@ -2564,7 +3933,7 @@ function App() {
               value={documentTitle}
               onChange={handleTitleChange}
               className="document-title-input"
-              disabled={userRole === 'viewer'}
+              disabled={readOnly}
             />
           </div>
           
@@ -2590,10 +3959,10 @@ function App() {
             <button 
               onClick={saveDocument} 
               className="btn-save" 
-              disabled={!isConnected || userRole === 'viewer'}
+              disabled={!isConnected || readOnly}
               title={
                 !isConnected ? 'Not connected to server' :
-                userRole === 'viewer' ? 'You don\'t have permission to save' :
+                readOnly ? 'You don\'t have permission to save' :
                 'Save document to database'
               }
             >
@@ -2662,13 +4031,13 @@ function App() {
 
       <div className="toolbar">
         <div className="toolbar-content">
-          <button onClick={() => formatText('bold')} className="toolbar-btn bold" title="Bold" disabled={userRole === 'viewer'}>
+          <button onClick={() => formatText('bold')} className="toolbar-btn bold" title="Bold" disabled={readOnly || suggestingMode}>
             B
           </button>
-          <button onClick={() => formatText('italic')} className="toolbar-btn italic" title="Italic" disabled={userRole === 'viewer'}>
+          <button onClick={() => formatText('italic')} className="toolbar-btn italic" title="Italic" disabled={readOnly || suggestingMode}>
             I
           </button>
-          <button onClick={() => formatText('underline')} className="toolbar-btn underline" title="Underline" disabled={userRole === 'viewer'}>
+          <button onClick={() => formatText('underline')} className="toolbar-btn underline" title="Underline" disabled={readOnly || suggestingMode}>
             U
           </button>
           
@@ -2681,6 +4050,13 @@ function App() {
             </span>
           )}
           
+          {userRole === 'commenter' && (
+            <span className="commenter-badge" style={{ marginLeft: '10px', padding: '4px 12px', background: '#8b5cf6', color: '#fff', borderRadius: '4px', fontSize: '12px', fontWeight: 'bold' }}>
+              <MessageSquare size={14} style={{ marginRight: '4px', verticalAlign: 'middle' }} />
+              Commenter
+            </span>
+          )}
+          
           {userRole === 'editor' && (
             <span className="editor-badge" style={{ marginLeft: '10px', padding: '4px 12px', background: '#3b82f6', color: '#fff', borderRadius: '4px', fontSize: '12px', fontWeight: 'bold' }}>
               <Edit size={14} style={{ marginRight: '4px', verticalAlign: 'middle' }} />
@@ -2690,12 +4066,39 @@ function App() {
           
           <div className="toolbar-divider"></div>
           
-          <button onClick={handleUndo} className="toolbar-btn" title="Undo" disabled={userRole === 'viewer' || undoStack.length === 0}>
+          <button onClick={handleUndo} className="toolbar-btn" title="Undo" disabled={readOnly || undoStack.length === 0}>
             <Undo className="icon" size={16} />
           </button>
-          <button onClick={handleRedo} className="toolbar-btn" title="Redo" disabled={userRole === 'viewer' || redoStack.length === 0}>
+          <button onClick={handleRedo} className="toolbar-btn" title="Redo" disabled={readOnly || redoStack.length === 0}>
             <Redo className="icon" size={16} />
           </button>
+
+          <div className="toolbar-divider"></div>
+
+          <button onClick={startComment} className="toolbar-btn" title="Comment on the selected text" disabled={!canComment || !documentId}>
+            <MessageSquarePlus className="icon" size={16} />
+            <span>Comment</span>
+          </button>
+          <button onClick={() => setShowComments(!showComments)} className="toolbar-btn" title="Show comments">
+            <MessageCircle className="icon" size={16} />
+            <span>Comments ({comments.filter(comment => !comment.resolved).length})</span>
+          </button>
+
+          <div className="toolbar-divider"></div>
+
+          <button
+            onClick={() => setSuggesting(!suggesting)}
+            className={`toolbar-btn${suggestingMode ? ' active' : ''}`}
+            title={readOnly ? 'Your changes are suggested for an editor to accept' : 'Suggest changes instead of editing directly'}
+            disabled={!canComment || readOnly}
+          >
+            <PenLine className="icon" size={16} />
+            <span>Suggesting</span>
+          </button>
+          <button onClick={() => setShowSuggestions(!showSuggestions)} className="toolbar-btn" title="Show suggestions">
+            <ListChecks className="icon" size={16} />
+            <span>Suggestions ({suggestions.length})</span>
+          </button>
           
           {users.length > 1 && (
             <button 
@@ -2740,7 +4143,7 @@ function App() {
           <div className="editor-wrapper" ref={editorWrapperRef}>
             <div
               ref={editorRef}
-              contentEditable={userRole !== 'viewer' && isConnected}
+              contentEditable={canEditContent && (isConnected || (hasReplica && !suggestingMode))}
               onInput={handleDocumentChange}
               onClick={handleCursorMove}
               onKeyUp={handleCursorMove}
@@ -2776,11 +4179,11 @@ function App() {
               }}
               className="editor-textarea"
               suppressContentEditableWarning={true}
-              data-placeholder={userRole === 'viewer' ? 'You have read-only access to this document...' : 'Start typing your document...'}
+              data-placeholder={!canEditContent ? 'You have read-only access to this document...' : suggestingMode ? 'Type to suggest changes...' : 'Start typing your document...'}
               style={{
                 outline: 'none',
                 minHeight: '100%',
-                cursor: userRole === 'viewer' ? 'not-allowed' : 'text',
+                cursor: canEditContent ? 'text' : 'not-allowed',
                 whiteSpace: 'pre-wrap'
               }}
             />
@@ -2846,6 +4249,180 @@ function App() {
           </div>
         </div>
 
+        {showComments && (
+          <div className="chat-sidebar comments-sidebar">
+            <div className="chat-header comments-header">
+              <span>Comments</span>
+              <label className="comments-filter">
+                <input
+                  type="checkbox"
+                  checked={showResolvedComments}
+                  onChange={(e) => setShowResolvedComments(e.target.checked)}
+                />
+                Show resolved
+              </label>
+            </div>
+
+            {commentDraft && (
+              <div className="chat-input-container comment-draft">
+                <p className="comment-quote">{commentDraft.quote}</p>
+                <textarea
+                  value={newComment}
+                  onChange={(e) => setNewComment(e.target.value)}
+                  placeholder="Add a comment... Use @email to mention someone"
+                  className="chat-input comment-input"
+                  rows={3}
+                  autoFocus
+                />
+                <div className="comment-actions">
+                  <button onClick={() => setCommentDraft(null)} className="comment-action-btn">
+                    Cancel
+                  </button>
+                  <button onClick={submitComment} className="chat-send-btn" disabled={!newComment.trim()}>
+                    Comment
+                  </button>
+                </div>
+              </div>
+            )}
+
+            <div className="chat-messages">
+              {comments.filter(comment => showResolvedComments || !comment.resolved).length === 0 ? (
+                <div style={{ textAlign: 'center', color: '#64748b', padding: '20px' }}>
+                  No comments yet. Select some text and click Comment.
+                </div>
+              ) : (
+                comments
+                  .filter(comment => showResolvedComments || !comment.resolved)
+                  .map((comment) => (
+                    <div
+                      key={comment._id}
+                      className={`chat-message comment-thread${comment._id === activeCommentId ? ' active' : ''}${comment.resolved ? ' resolved' : ''}`}
+                      onClick={() => setActiveCommentId(comment._id)}
+                    >
+                      <p className="comment-quote">
+                        {comment.range ? comment.quote : <em>The commented text was deleted</em>}
+                      </p>
+                      <div className="message-header">
+                        <span className="message-user">{comment.author}</span>
+                        <span className="message-time">{formatDate(comment.createdAt)}</span>
+                      </div>
+                      <p className="message-text">{comment.body}</p>
+
+                      {comment.replies.map((reply) => (
+                        <div key={reply._id} className="comment-reply">
+                          <div className="message-header">
+                            <span className="message-user">{reply.author}</span>
+                            <span className="message-time">{formatDate(reply.createdAt)}</span>
+                          </div>
+                          <p className="message-text">{reply.body}</p>
+                        </div>
+                      ))}
+
+                      {comment.resolved && (
+                        <p className="comment-resolved-by">
+                          <Check size={12} /> Resolved by {comment.resolvedBy}
+                        </p>
+                      )}
+
+                      {canComment && (
+                        <div className="comment-actions">
+                          {!comment.resolved && (
+                            <input
+                              type="text"
+                              value={replyDrafts[comment._id] || ''}
+                              onChange={(e) => setReplyDrafts(prev => ({ ...prev, [comment._id]: e.target.value }))}
+                              onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                  e.preventDefault();
+                                  replyToComment(comment._id);
+                                }
+                              }}
+                              placeholder="Reply..."
+                              className="chat-input comment-input"
+                            />
+                          )}
+                          <button
+                            onClick={() => setCommentResolved(comment._id, !comment.resolved)}
+                            className="comment-action-btn"
+                          >
+                            {comment.resolved ? 'Reopen' : 'Resolve'}
+                          </button>
+                          {(comment.author === currentUser || userRole === 'owner') && (
+                            <button
+                              onClick={() => deleteComment(comment._id)}
+                              className="comment-action-btn"
+                              title="Delete thread"
+                            >
+                              <Trash2 size={14} />
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  ))
+              )}
+            </div>
+          </div>
+        )}
+
+        {showSuggestions && (
+          <div className="chat-sidebar suggestions-sidebar">
+            <div className="chat-header comments-header">
+              <span>Suggestions</span>
+              {canResolveSuggestions && suggestions.length > 0 && (
+                <div className="comment-actions suggestion-bulk-actions">
+                  <button onClick={() => resolveSuggestions(null, true)} className="comment-action-btn">
+                    Accept all
+                  </button>
+                  <button onClick={() => resolveSuggestions(null, false)} className="comment-action-btn">
+                    Reject all
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="chat-messages">
+              {suggestions.length === 0 ? (
+                <div style={{ textAlign: 'center', color: '#64748b', padding: '20px' }}>
+                  No suggestions yet. Turn on Suggesting to propose changes.
+                </div>
+              ) : (
+                suggestions.map((suggestion) => (
+                  <div key={suggestion.key} className="chat-message suggestion-item">
+                    <div className="message-header">
+                      <span className="message-user">{suggestion.author}</span>
+                      <span className="message-time">{formatDate(suggestion.createdAt)}</span>
+                    </div>
+                    <p className="message-text">
+                      {suggestion.type === 'insert' ? 'Add ' : 'Delete '}
+                      {suggestion.type === 'insert' ? <ins>{suggestion.text}</ins> : <del>{suggestion.text}</del>}
+                    </p>
+
+                    {canResolveSuggestions && (
+                      <div className="comment-actions">
+                        <button
+                          onClick={() => resolveSuggestions(suggestion.key, true)}
+                          className="comment-action-btn"
+                          title="Accept suggestion"
+                        >
+                          <Check size={14} />
+                        </button>
+                        <button
+                          onClick={() => resolveSuggestions(suggestion.key, false)}
+                          className="comment-action-btn"
+                          title="Reject suggestion"
+                        >
+                          <X size={14} />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                ))
+              )}
+            </div>
+          </div>
+        )}
+
         {showChat && (
           <div className="chat-sidebar">
             <div className="chat-header">Chat ({messages.length})</div>
@@ -2944,6 +4521,17 @@ function App() {
                       <Eye size={16} style={{ marginRight: '4px' }} />
                       Read Only
                     </label>
+                    <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
+                      <input
+                        type="radio"
+                        value="comment"
+                        checked={shareAccess === 'comment'}
+                        onChange={(e) => setShareAccess(e.target.value)}
+                        style={{ marginRight: '6px' }}
+                      />
+                      <MessageSquare size={16} style={{ marginRight: '4px' }} />
+                      Can Comment
+                    </label>
                     <label style={{ display: 'flex', alignItems: 'center', cursor: 'pointer' }}>
                       <input
                         type="radio"
@@ -3050,13 +4638,14 @@ function App() {
                                     borderRadius: '4px',
                                     fontSize: '12px',
                                     fontWeight: '600',
-                                    background: perm.role === 'editor' ? '#3b82f6' : '#6b7280',
+                                    background: perm.role === 'editor' ? '#3b82f6' : perm.role === 'commenter' ? '#8b5cf6' : '#6b7280',
                                     color: 'white',
                                     border: 'none',
                                     cursor: 'pointer'
                                   }}
                                 >
                                   <option value="editor">Editor</option>
+                                  <option value="commenter">Commenter</option>
                                   <option value="viewer">Viewer</option>
                                 </select>
                               )}
@@ -3066,10 +4655,10 @@ function App() {
                                   borderRadius: '4px',
                                   fontSize: '12px',
                                   fontWeight: '600',
-                                  background: perm.role === 'editor' ? '#3b82f6' : '#6b7280',
+                                  background: perm.role === 'editor' ? '#3b82f6' : perm.role === 'commenter' ? '#8b5cf6' : '#6b7280',
                                   color: 'white'
                                 }}>
-                                  {perm.role === 'editor' ? 'Editor' : 'Viewer'}
+                                  {ROLE_LABELS[perm.role] || 'Viewer'}
                                 </span>
                               )}
                             </div>
@@ -3179,13 +4768,14 @@ function App() {
                                     borderRadius: '4px',
                                     fontSize: '12px',
                                     fontWeight: '600',
-                                    background: perm.role === 'editor' ? '#3b82f6' : '#6b7280',
+                                    background: perm.role === 'editor' ? '#3b82f6' : perm.role === 'commenter' ? '#8b5cf6' : '#6b7280',
                                     color: 'white',
                                     border: 'none',
                                     cursor: 'pointer'
                                   }}
                                 >
                                   <option value="editor">Editor</option>
+                                  <option value="commenter">Commenter</option>
                                   <option value="viewer">Viewer</option>
                                 </select>
                               ) : (
@@ -3194,10 +4784,10 @@ function App() {
                                   borderRadius: '4px',
                                   fontSize: '12px',
                                   fontWeight: '600',
-                                  background: perm.role === 'editor' ? '#3b82f6' : '#6b7280',
+                                  background: perm.role === 'editor' ? '#3b82f6' : perm.role === 'commenter' ? '#8b5cf6' : '#6b7280',
                                   color: 'white'
                                 }}>
-                                  {perm.role === 'editor' ? 'Editor' : 'Viewer'}
+                                  {ROLE_LABELS[perm.role] || 'Viewer'}
                                 </span>
                               )}
                             </div>
@@ -0,0 +1,274 @@
+// Replica of a document's CRDT state, following the same rules as the server's crdtService,
+// so edits can be made into identifier-based operations (also while offline) and
+// operations from others can be integrated in causal order
+
+// Key of a character identifier ({ site, clock })
+const idKey = (id) => (id ? `${id.site}@${id.clock}` : null);
+
+// Formatting a mark operation can apply, as on the server
+const MARK_TYPES = ['bold', 'italic', 'underline', 'link', 'heading'];
+
+const sameId = (a, b) => idKey(a) === idKey(b);
+
+// New site for the operations made on this replica
+export const newSiteId = () =>
+  `client-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Replica built from the CRDT state the server sends in init
+// ({ baseId, characters, stateVector, marks })
+export const createReplica = (documentId, state) => ({
+  documentId,
+  baseId: state.baseId,
+  characters: state.characters.map((c) => ({ ...c })),
+  stateVector: { ...state.stateVector },
+  marks: (state.marks || []).map((m) => ({ ...m })),
+  markClock: Math.max(0, ...(state.marks || []).map((m) => m.timestamp)),
+});
+
+// Visible text of the replica
+export const replicaText = (replica) =>
+  replica.characters
+    .filter((c) => !c.deleted)
+    .map((c) => c.char)
+    .join('');
+
+// Whether the replica has integrated an operation (or the character with this id)
+export const hasSeen = (replica, id) => id.clock <= (replica.stateVector[id.site] || 0);
+
+const indexOf = (replica, id) => {
+  const key = idKey(id);
+  return replica.characters.findIndex((c) => idKey(c.id) === key);
+};
+
+const nextId = (replica, site) => ({ site, clock: (replica.stateVector[site] || 0) + 1 });
+
+// Operations from a site are integrated in clock order, after everything they depend on
+const isReady = (replica, op) => {
+  if (op.id.clock !== (replica.stateVector[op.id.site] || 0) + 1) {
+    return false;
+  }
+  if (
+    Object.entries(op.deps || {}).some(([site, clock]) => (replica.stateVector[site] || 0) < clock)
+  ) {
+    return false;
+  }
+  if (op.type === 'insert') {
+    return (
+      (!op.originLeft || indexOf(replica, op.originLeft) !== -1) &&
+      (!op.originRight || indexOf(replica, op.originRight) !== -1)
+    );
+  }
+  if (op.type === 'delete') {
+    return hasSeen(replica, op.target);
+  }
+  if (op.type === 'mark') {
+    return hasSeen(replica, op.start) && hasSeen(replica, op.end);
+  }
+  return true;
+};
+
+// Concurrent inserts between the same neighbours are ordered by site, as on the server
+const integrate = (replica, op) => {
+  if (op.type === 'insert') {
+    const characters = replica.characters;
+    const leftIndex = op.originLeft ? indexOf(replica, op.originLeft) : -1;
+    const rightIndex = op.originRight ? indexOf(replica, op.originRight) : characters.length;
+
+    let insertAt = leftIndex + 1;
+    const conflicting = new Set();
+    const beforeOrigin = new Set();
+
+    for (let i = leftIndex + 1; i < rightIndex; i++) {
+      const other = characters[i];
+      const otherKey = idKey(other.id);
+      conflicting.add(otherKey);
+      beforeOrigin.add(otherKey);
+
+      if (sameId(op.originLeft, other.originLeft)) {
+        if (other.id.site < op.id.site) {
+          insertAt = i + 1;
+          conflicting.clear();
+        } else if (sameId(op.originRight, other.originRight)) {
+          break;
+        }
+      } else if (other.originLeft && beforeOrigin.has(idKey(other.originLeft))) {
+        if (!conflicting.has(idKey(other.originLeft))) {
+          insertAt = i + 1;
+          conflicting.clear();
+        }
+      } else {
+        break;
+      }
+    }
+
+    characters.splice(insertAt, 0, {
+      id: op.id,
+      char: op.char,
+      originLeft: op.originLeft || null,
+      originRight: op.originRight || null,
+    });
+  } else if (op.type === 'delete') {
+    const index = indexOf(replica, op.target);
+    if (index !== -1) {
+      replica.characters[index].deleted = true;
+    }
+  } else if (op.type === 'mark') {
+    replica.marks.push(op);
+    replica.markClock = Math.max(replica.markClock, op.timestamp);
+  }
+
+  replica.stateVector[op.id.site] = Math.max(replica.stateVector[op.id.site] || 0, op.id.clock);
+};
+
+// Integrate a local operation, recording the characters of other sites it depends on
+const integrateLocal = (replica, op) => {
+  op.deps = {};
+  [op.originLeft, op.originRight, op.target, op.start, op.end].forEach((id) => {
+    if (id && id.site !== op.id.site) {
+      op.deps[id.site] = Math.max(op.deps[id.site] || 0, id.clock);
+    }
+  });
+  integrate(replica, op);
+};
+
+// Integrate every operation whose dependencies are met, in whatever order they arrived
+// Returns the operations that were integrated
+export const integrateOperations = (replica, operations) => {
+  const applied = [];
+  let pending = operations.filter((op) => op?.id && !hasSeen(replica, op.id));
+  let progressed = true;
+
+  while (pending.length > 0 && progressed) {
+    progressed = false;
+    pending = pending.filter((op) => {
+      if (hasSeen(replica, op.id)) {
+        return false;
+      }
+      if (!isReady(replica, op)) {
+        return true;
+      }
+      integrate(replica, op);
+      applied.push(op);
+      progressed = true;
+      return false;
+    });
+  }
+
+  return applied;
+};
+
+// Make the replica's text into the given text, returning the insert and delete operations
+// that do it. Only the changed middle of the text is replaced, which is what typing does
+export const editOperations = (replica, text, site) => {
+  const visible = replica.characters.filter((c) => !c.deleted);
+  let prefix = 0;
+  while (prefix < visible.length && prefix < text.length && visible[prefix].char === text[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < visible.length - prefix &&
+    suffix < text.length - prefix &&
+    visible[visible.length - 1 - suffix].char === text[text.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const operations = [];
+  visible.slice(prefix, visible.length - suffix).forEach((c) => {
+    const op = { type: 'delete', id: nextId(replica, site), target: c.id };
+    integrateLocal(replica, op);
+    operations.push(op);
+  });
+
+  let leftId = prefix > 0 ? visible[prefix - 1].id : null;
+  text
+    .slice(prefix, text.length - suffix)
+    .split('')
+    .forEach((char) => {
+      // Right origin is the direct neighbour in the sequence, which may be a tombstone
+      const right = replica.characters[(leftId ? indexOf(replica, leftId) : -1) + 1];
+      const op = {
+        type: 'insert',
+        id: nextId(replica, site),
+        char,
+        originLeft: leftId,
+        originRight: right ? right.id : null,
+      };
+      integrateLocal(replica, op);
+      operations.push(op);
+      leftId = op.id;
+    });
+
+  return operations;
+};
+
+// Mark operation formatting a range of the replica's text given as offsets, or null if the
+// range covers no text
+export const markOperation = (
+  replica,
+  { action, markType, value = null, position, length },
+  site
+) => {
+  const targets = replica.characters.filter((c) => !c.deleted).slice(position, position + length);
+  if (targets.length === 0) {
+    return null;
+  }
+
+  const op = {
+    type: 'mark',
+    id: nextId(replica, site),
+    action,
+    markType,
+    value,
+    start: targets[0].id,
+    end: targets[targets.length - 1].id,
+    timestamp: replica.markClock + 1,
+  };
+  integrateLocal(replica, op);
+  return op;
+};
+
+// Resolve the replica's formatting into spans ({ type, value, start, end }) over its text,
+// the same way the server does: every character takes, per mark type, the value of the
+// covering mark operation with the highest (timestamp, site)
+export const resolveMarks = (replica) => {
+  const indexes = new Map(replica.characters.map((c, index) => [idKey(c.id), index]));
+  const formats = replica.characters.map(() => ({}));
+
+  [...replica.marks]
+    .sort((a, b) => a.timestamp - b.timestamp || (a.id.site < b.id.site ? -1 : 1))
+    .forEach((mark) => {
+      const start = indexes.get(idKey(mark.start));
+      const end = indexes.get(idKey(mark.end));
+      if (start === undefined || end === undefined) {
+        return;
+      }
+      for (let i = start; i <= end; i++) {
+        formats[i][mark.markType] = mark.action === 'add' ? (mark.value ?? true) : null;
+      }
+    });
+
+  const spans = [];
+  const open = {}; // markType -> span still being extended
+  let offset = 0;
+
+  replica.characters.forEach((c, index) => {
+    if (c.deleted) {
+      return;
+    }
+    MARK_TYPES.forEach((type) => {
+      const value = formats[index][type] ?? null;
+      const span = open[type];
+      if (span && span.end === offset && span.value === value) {
+        span.end = offset + 1;
+      } else if (value !== null) {
+        open[type] = { type, value, start: offset, end: offset + 1 };
+        spans.push(open[type]);
+      }
+    });
+    offset++;
+  });
+
+  return spans.sort((a, b) => a.start - b.start);
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+
+/**
+ * HTML allowed in document content
+ * Anything not listed here is removed before content reaches the CRDT or MongoDB; see
+ * services/sanitizeService.js
+ */
+const defaultPolicy = {
+  // Allowed tags and the attributes each may have (besides globalAttributes)
+  tags: {
+    a: ['href', 'title', 'target'],
+    b: [],
+    strong: [],
+    i: [],
+    em: [],
+    u: [],
+    s: [],
+    strike: [],
+    // Suggested insertions and deletions (see services/suggestionService.js)
+    ins: ['data-suggestion'],
+    del: ['data-suggestion'],
+    sub: [],
+    sup: [],
+    p: [],
+    div: [],
+    span: [],
+    br: [],
+    hr: [],
+    h1: [],
+    h2: [],
+    h3: [],
+    h4: [],
+    h5: [],
+    h6: [],
+    ul: [],
+    ol: [],
+    li: [],
+    blockquote: [],
+    pre: [],
+    code: [],
+    font: ['color', 'face', 'size'],
+    img: ['src', 'alt', 'width', 'height'],
+  },
+  // Attributes allowed on every allowed tag
+  globalAttributes: ['style', 'dir'],
+  // CSS properties kept in style attributes
+  styles: [
+    'color',
+    'background-color',
+    'font-weight',
+    'font-style',
+    'font-size',
+    'font-family',
+    'text-decoration',
+    'text-align',
+  ],
+  // Attributes holding URLs, and the schemes they may use (relative URLs are always allowed)
+  urlAttributes: ['href', 'src'],
+  urlSchemes: ['http', 'https', 'mailto'],
+  // Tags removed together with everything inside them
+  removeWithContent: [
+    'script',
+    'style',
+    'iframe',
+    'object',
+    'embed',
+    'noscript',
+    'template',
+    'textarea',
+    'select',
+    'title',
+    'svg',
+    'math',
+  ],
+};
+
+/**
+ * Load the policy, with the keys of the JSON file named by SANITIZE_POLICY_FILE replacing
+ * the defaults
+ * @returns {Object} Sanitizer policy
+ */
+const loadPolicy = () => {
+  const file = process.env.SANITIZE_POLICY_FILE;
+  if (!file) {
+    return defaultPolicy;
+  }
+  return { ...defaultPolicy, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+};
+
+module.exports = { defaultPolicy, loadPolicy };
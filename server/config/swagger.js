@@ -49,7 +49,7 @@ const options = {
             },
             content: {
               type: 'string',
-              description: 'Document content',
+              description: 'Document content (sanitized HTML)',
               example: 'This is the document content...',
             },
             owner: {
@@ -57,6 +57,18 @@ const options = {
               description: 'Username of the document owner',
               example: 'john_doe',
             },
+            folder: {
+              type: 'string',
+              nullable: true,
+              description: 'Folder the document is in (null at the top level)',
+              example: '507f1f77bcf86cd799439012',
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'commenter', 'viewer'],
+              description:
+                "Requester's role, including roles inherited from folders (only on GET /api/documents/{id})",
+            },
             permissions: {
               type: 'array',
               items: {
@@ -72,10 +84,26 @@ const options = {
             },
             shareAccess: {
               type: 'string',
-              enum: ['read', 'edit', null],
+              enum: ['read', 'comment', 'edit', null],
               nullable: true,
               description: 'Access level for share link',
             },
+            revision: {
+              type: 'integer',
+              description: 'Incremented on every content or title change; sent as the ETag',
+              example: 12,
+            },
+            deletedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the document was moved to the trash (null if it is not)',
+            },
+            deletedBy: {
+              type: 'string',
+              nullable: true,
+              description: 'User who moved the document to the trash',
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -86,13 +114,6 @@ const options = {
               format: 'date-time',
               description: 'Document last update timestamp',
             },
-            versions: {
-              type: 'array',
-              items: {
-                $ref: '#/components/schemas/DocumentVersion',
-              },
-              description: 'Document version history',
-            },
           },
         },
         Permission: {
@@ -105,7 +126,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['owner', 'editor', 'viewer'],
+              enum: ['owner', 'editor', 'commenter', 'viewer'],
               description: 'User role',
               example: 'editor',
             },
@@ -114,9 +135,10 @@ const options = {
         DocumentVersion: {
           type: 'object',
           properties: {
-            content: {
-              type: 'string',
-              description: 'Version content',
+            number: {
+              type: 'integer',
+              description: 'Version number, sequential per document',
+              example: 3,
             },
             timestamp: {
               type: 'string',
@@ -127,6 +149,151 @@ const options = {
               type: 'string',
               description: 'User who created this version',
             },
+            length: {
+              type: 'integer',
+              description: 'Content length in characters',
+            },
+            keyframe: {
+              type: 'boolean',
+              description: 'Whether the full content is stored rather than a delta',
+            },
+            label: {
+              type: 'string',
+              nullable: true,
+              description: 'Name of the version, if it is a named checkpoint',
+              example: 'v1.0',
+            },
+            pinned: {
+              type: 'boolean',
+              description: 'Pinned versions are never pruned by retention',
+            },
+          },
+        },
+        Comment: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Comment thread ID',
+            },
+            document: {
+              type: 'string',
+              description: 'Document ID',
+            },
+            author: {
+              type: 'string',
+              description: 'Email of the user who started the thread',
+            },
+            body: {
+              type: 'string',
+              description: 'Comment text',
+            },
+            quote: {
+              type: 'string',
+              description: 'Commented text when the thread was started',
+            },
+            range: {
+              type: 'object',
+              nullable: true,
+              description:
+                'Offsets of the content the commented text covers now (end exclusive), or null if all of it was deleted',
+              properties: {
+                start: { type: 'integer', example: 12 },
+                end: { type: 'integer', example: 22 },
+              },
+            },
+            mentions: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Emails of the users mentioned in the text',
+            },
+            replies: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  _id: { type: 'string' },
+                  author: { type: 'string' },
+                  body: { type: 'string' },
+                  mentions: { type: 'array', items: { type: 'string' } },
+                  createdAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+            resolved: {
+              type: 'boolean',
+            },
+            resolvedBy: {
+              type: 'string',
+              nullable: true,
+              description: 'Email of the user who resolved the thread',
+            },
+            resolvedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+          },
+        },
+        Suggestion: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Suggestion ID',
+            },
+            document: {
+              type: 'string',
+              description: 'Document ID',
+            },
+            key: {
+              type: 'string',
+              description:
+                'Key of the <ins>/<del data-suggestion="..."> elements marking the suggestion in the content',
+              example: 'k3x9q2',
+            },
+            type: {
+              type: 'string',
+              enum: ['insert', 'delete'],
+            },
+            author: {
+              type: 'string',
+              description: 'Email of the user who suggested the change',
+            },
+            text: {
+              type: 'string',
+              description: 'Text suggested for insertion or deletion',
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'accepted', 'rejected'],
+            },
+            resolvedBy: {
+              type: 'string',
+              nullable: true,
+              description: 'Email of the user who accepted or rejected the suggestion',
+            },
+            resolvedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
           },
         },
         Error: {
@@ -150,9 +317,143 @@ const options = {
             },
             content: {
               type: 'string',
-              description: 'Initial document content',
+              description: 'Initial document content; markup outside the allow-list is removed',
               example: 'Initial content...',
             },
+            folder: {
+              type: 'string',
+              description: 'Folder to create the document in (requires write permission there)',
+              example: '507f1f77bcf86cd799439012',
+            },
+          },
+        },
+        SearchResult: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Document ID',
+            },
+            title: {
+              type: 'string',
+              description: 'Document title',
+            },
+            owner: {
+              type: 'string',
+              description: 'Username of the document owner',
+            },
+            folder: {
+              type: 'string',
+              nullable: true,
+              description: 'Folder the document is in',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Document last update timestamp',
+            },
+            score: {
+              type: 'number',
+              description: 'Relevance; results are sorted by it, highest first',
+            },
+            snippet: {
+              type: 'object',
+              properties: {
+                text: {
+                  type: 'string',
+                  description: 'Plain-text content around the first match',
+                  example: '…the budget for the next quarter…',
+                },
+                highlights: {
+                  type: 'array',
+                  items: {
+                    type: 'array',
+                    items: { type: 'integer' },
+                  },
+                  description: '[start, end] ranges of matched words in text',
+                  example: [[4, 10]],
+                },
+              },
+            },
+          },
+        },
+        Folder: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string',
+              description: 'Folder ID',
+              example: '507f1f77bcf86cd799439012',
+            },
+            name: {
+              type: 'string',
+              description: 'Folder name',
+              example: 'Projects',
+            },
+            owner: {
+              type: 'string',
+              description: 'Username of the folder owner',
+              example: 'john_doe',
+            },
+            parent: {
+              type: 'string',
+              nullable: true,
+              description: 'Parent folder ID (null at the top level)',
+            },
+            permissions: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Permission',
+              },
+              description: 'Users with a role on this folder and everything inside it',
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'commenter', 'viewer'],
+              description: "Requester's role on the folder, including roles inherited from above",
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Folder creation timestamp',
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Folder last update timestamp',
+            },
+          },
+        },
+        FolderRequest: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              description: 'Folder name',
+              example: 'Projects',
+            },
+            parent: {
+              type: 'string',
+              nullable: true,
+              description: 'Parent folder ID (null for the top level)',
+            },
+          },
+        },
+        FolderPermissionRequest: {
+          type: 'object',
+          required: ['email'],
+          properties: {
+            email: {
+              type: 'string',
+              description: 'Email of the user',
+              example: 'jane@example.com',
+            },
+            role: {
+              type: 'string',
+              enum: ['owner', 'editor', 'commenter', 'viewer'],
+              description: 'Role to grant (required when adding)',
+              example: 'editor',
+            },
           },
         },
         UpdateDocumentRequest: {
@@ -165,7 +466,7 @@ const options = {
             },
             content: {
               type: 'string',
-              description: 'Document content',
+              description: 'Document content; markup outside the allow-list is removed',
               example: 'Updated content...',
             },
           },
@@ -187,7 +488,7 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['editor', 'viewer'],
+              enum: ['owner', 'editor', 'commenter', 'viewer'],
               description: 'Role to assign',
               example: 'editor',
             },
@@ -216,7 +517,7 @@ const options = {
           properties: {
             access: {
               type: 'string',
-              enum: ['read', 'edit'],
+              enum: ['read', 'comment', 'edit'],
               description: 'Access level for the share link',
               example: 'edit',
             },
@@ -237,7 +538,7 @@ const options = {
             },
             access: {
               type: 'string',
-              enum: ['read', 'edit'],
+              enum: ['read', 'comment', 'edit'],
               description: 'Access level',
             },
           },
@@ -255,7 +556,7 @@ const options = {
             },
             access: {
               type: 'string',
-              enum: ['read', 'edit'],
+              enum: ['read', 'comment', 'edit'],
               description: 'Access level granted',
             },
           },
@@ -270,6 +571,106 @@ const options = {
             },
           },
         },
+        VersionList: {
+          type: 'object',
+          properties: {
+            versions: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/DocumentVersion',
+              },
+            },
+            total: {
+              type: 'integer',
+              description: 'Total number of versions',
+              example: 42,
+            },
+            limit: {
+              type: 'integer',
+              example: 20,
+            },
+            skip: {
+              type: 'integer',
+              example: 0,
+            },
+          },
+        },
+        VersionDiff: {
+          type: 'object',
+          properties: {
+            from: {
+              type: 'integer',
+              example: 1,
+            },
+            to: {
+              type: 'integer',
+              example: 3,
+            },
+            changes: {
+              type: 'array',
+              description: 'Runs of equal, inserted and deleted text, in document order',
+              items: {
+                type: 'object',
+                properties: {
+                  type: {
+                    type: 'string',
+                    enum: ['equal', 'insert', 'delete'],
+                  },
+                  text: {
+                    type: 'string',
+                  },
+                },
+              },
+            },
+            stats: {
+              type: 'object',
+              properties: {
+                insertions: {
+                  type: 'integer',
+                  description: 'Inserted characters',
+                },
+                deletions: {
+                  type: 'integer',
+                  description: 'Deleted characters',
+                },
+              },
+            },
+          },
+        },
+        SnapshotInfo: {
+          type: 'object',
+          properties: {
+            documentId: {
+              type: 'string',
+              description: 'Document ID',
+            },
+            version: {
+              type: 'number',
+              description: 'CRDT version captured by the snapshot',
+              example: 42,
+            },
+            size: {
+              type: 'number',
+              description: 'Serialized snapshot size in bytes',
+              example: 18432,
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the snapshot was taken',
+            },
+            ageMs: {
+              type: 'number',
+              description: 'Milliseconds since the snapshot was taken',
+              example: 120000,
+            },
+            pendingOperations: {
+              type: 'number',
+              description: 'Operations logged since the snapshot',
+              example: 17,
+            },
+          },
+        },
       },
     },
     security: [
@@ -0,0 +1,170 @@
+const documentController = require('./documentController');
+const commentService = require('../services/commentService');
+
+// Comment service errors caused by the request
+const INVALID_COMMENT_ERRORS = [
+  'Comment cannot be empty',
+  'Comment is too long',
+  'Invalid comment range',
+];
+
+// Comment service errors for changes only the author (or the document owner) may make
+const FORBIDDEN_COMMENT_ERRORS = [
+  'Only the author can edit this comment',
+  'Only the author or the document owner can delete this comment',
+];
+
+/**
+ * Comment Controller
+ * Handles HTTP requests for the comment threads of a document
+ */
+class CommentController {
+  /**
+   * Send the error response for a failed comment change
+   */
+  sendError(res, error, fallback) {
+    if (INVALID_COMMENT_ERRORS.includes(error.message)) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (FORBIDDEN_COMMENT_ERRORS.includes(error.message)) {
+      return res.status(403).json({ error: error.message });
+    }
+    if (error.name === 'CastError') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    res.status(500).json({ error: fallback });
+  }
+
+  /**
+   * List a document's comment threads (?resolved=true|false to filter)
+   */
+  async getComments(req, res) {
+    try {
+      if (!(await documentController.authorizeDocumentAction(req, res, 'read'))) {
+        return;
+      }
+
+      const { resolved } = req.query;
+      const comments = await commentService.getComments(req.params.id, {
+        resolved: resolved === undefined ? undefined : resolved === 'true',
+      });
+
+      res.json(comments);
+    } catch (error) {
+      console.error('Error fetching comments:', error.message);
+      res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+  }
+
+  /**
+   * Start a comment thread on a range of the current content
+   */
+  async createComment(req, res) {
+    try {
+      const username = await documentController.authorizeDocumentAction(req, res, 'comment');
+      if (!username) {
+        return;
+      }
+
+      const { body, position, length } = req.body;
+      const comment = await commentService.createComment(
+        req.params.id,
+        { body, position, length },
+        username
+      );
+      res.status(201).json(comment);
+    } catch (error) {
+      console.error('Error creating comment:', error.message);
+      this.sendError(res, error, 'Failed to create comment');
+    }
+  }
+
+  /**
+   * Edit a comment thread's text or resolve/reopen it
+   * Only the author can edit the text; anyone who can comment can resolve or reopen
+   */
+  async updateComment(req, res) {
+    try {
+      const { id, commentId } = req.params;
+      const { body, resolved } = req.body;
+      if (body === undefined && resolved === undefined) {
+        return res.status(400).json({ error: 'Nothing to update' });
+      }
+      if (resolved !== undefined && typeof resolved !== 'boolean') {
+        return res.status(400).json({ error: 'Resolved must be a boolean' });
+      }
+
+      const username = await documentController.authorizeDocumentAction(req, res, 'comment');
+      if (!username) {
+        return;
+      }
+
+      let comment = null;
+      if (body !== undefined) {
+        comment = await commentService.updateComment(id, commentId, body, username);
+        if (!comment) {
+          return res.status(404).json({ error: 'Comment not found' });
+        }
+      }
+      if (resolved !== undefined) {
+        comment = await commentService.setResolved(id, commentId, resolved, username);
+        if (!comment) {
+          return res.status(404).json({ error: 'Comment not found' });
+        }
+      }
+
+      res.json(comment);
+    } catch (error) {
+      console.error('Error updating comment:', error.message);
+      this.sendError(res, error, 'Failed to update comment');
+    }
+  }
+
+  /**
+   * Reply to a comment thread
+   */
+  async addReply(req, res) {
+    try {
+      const username = await documentController.authorizeDocumentAction(req, res, 'comment');
+      if (!username) {
+        return;
+      }
+
+      const { id, commentId } = req.params;
+      const comment = await commentService.addReply(id, commentId, req.body.body, username);
+      if (!comment) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      res.status(201).json(comment);
+    } catch (error) {
+      console.error('Error replying to comment:', error.message);
+      this.sendError(res, error, 'Failed to reply to comment');
+    }
+  }
+
+  /**
+   * Delete a comment thread (its author or the document owner)
+   */
+  async deleteComment(req, res) {
+    try {
+      const username = await documentController.authorizeDocumentAction(req, res, 'comment');
+      if (!username) {
+        return;
+      }
+
+      const { id, commentId } = req.params;
+      const deleted = await commentService.deleteComment(id, commentId, username);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Comment not found' });
+      }
+
+      res.json({ message: 'Comment deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting comment:', error.message);
+      this.sendError(res, error, 'Failed to delete comment');
+    }
+  }
+}
+
+module.exports = new CommentController();
@@ -1,6 +1,11 @@
 const documentService = require('../services/documentService');
 const permissionService = require('../services/permissionService');
 const socketIOService = require('../services/socketIOService');
+const snapshotService = require('../services/snapshotService');
+const versionService = require('../services/versionService');
+const autosaveService = require('../services/autosaveService');
+const trashService = require('../services/trashService');
+const sanitizeService = require('../services/sanitizeService');
 
 /**
  * Document Controller
@@ -12,14 +17,22 @@ class DocumentController {
    */
   async getAllDocuments(req, res) {
     try {
-      const { owner, limit = 100, skip = 0 } = req.query;
+      const { owner, folder, limit = 100, skip = 0 } = req.query;
       const username = req.user?.username || req.headers['x-username'] || null;
 
+      // Listing a folder needs read access to it; 'root' lists documents outside any folder
+      if (folder && folder !== 'root') {
+        const canRead = await permissionService.checkFolderPermission(folder, username, 'read');
+        if (!canRead) {
+          return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+      }
+
       // If username is provided, filter by username (documents user owns OR has access to)
       // Otherwise, if owner is provided, filter by owner
       // If neither, return empty array (don't show all documents)
       const filterOptions = username
-        ? { username, limit: parseInt(limit), skip: parseInt(skip) }
+        ? { username, folder, limit: parseInt(limit), skip: parseInt(skip) }
         : owner
           ? { owner, limit: parseInt(limit), skip: parseInt(skip) }
           : { limit: parseInt(limit), skip: parseInt(skip) };
@@ -32,6 +45,30 @@ class DocumentController {
     }
   }
 
+  /**
+   * Search the requester's documents by title and content
+   */
+  async searchDocuments(req, res) {
+    try {
+      const { q, limit = 20, skip = 0 } = req.query;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      const query = typeof q === 'string' ? q.trim() : '';
+      if (!query) {
+        return res.status(400).json({ error: 'Search query is required' });
+      }
+
+      const results = await documentService.searchDocuments(username, query, {
+        limit: Math.min(parseInt(limit) || 20, 100),
+        skip: parseInt(skip) || 0,
+      });
+      res.json(results);
+    } catch (error) {
+      console.error('Error searching documents:', error.message);
+      res.status(500).json({ error: 'Failed to search documents' });
+    }
+  }
+
   /**
    * Get document by ID
    */
@@ -46,13 +83,23 @@ class DocumentController {
         return res.status(404).json({ error: 'Document not found' });
       }
 
-      // Then check read permission
-      const hasPermission = await permissionService.checkPermission(id, username, 'read');
-      if (!hasPermission) {
+      // Then check read permission; the role may come from a folder the document is in
+      const role = await permissionService.getUserRole(id, username);
+      if (!permissionService.roleAllows(role, 'read')) {
         return res.status(403).json({ error: 'Insufficient permissions' });
       }
 
-      res.json(document);
+      // Include live edits that were not saved yet without saving them; the content is then
+      // newer than the stored revision, so its ETag is weak. Serve the stored content if the
+      // owner cannot be reached
+      const unsaved = await autosaveService.getUnsavedContentOnOwner(id).catch(() => null);
+      if (unsaved === null) {
+        this.setETag(res, document);
+        return res.json({ ...document.toJSON(), role });
+      }
+
+      res.set('ETag', `W/"${document.revision || 0}"`);
+      res.json({ ...document.toJSON(), content: unsaved, role });
     } catch (error) {
       console.error('Error fetching document:', error.message);
       res.status(500).json({ error: 'Failed to fetch document' });
@@ -64,20 +111,26 @@ class DocumentController {
    */
   async createDocument(req, res) {
     try {
-      const { title, content } = req.body;
+      const { title, content, folder } = req.body;
       const username = req.user?.username || req.headers['x-username'] || 'anonymous';
 
       if (!username || username === 'anonymous') {
         return res.status(400).json({ error: 'Username is required' });
       }
 
+      if (folder && !(await permissionService.checkFolderPermission(folder, username, 'write'))) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
       const document = await documentService.createDocument({
         title,
-        content: content || '',
+        content: sanitizeService.sanitize(content || ''),
         owner: username,
+        folder: folder || null,
       });
 
       console.log(`Document created: ${document._id} by ${username}`);
+      this.setETag(res, document);
       res.status(201).json(document);
     } catch (error) {
       console.error('Error creating document:', error.message);
@@ -87,6 +140,8 @@ class DocumentController {
 
   /**
    * Update document
+   * Honours If-Match: the update fails with 412 unless the document is still at the
+   * revision the client last saw
    */
   async updateDocument(req, res) {
     try {
@@ -94,33 +149,48 @@ class DocumentController {
       const { title, content } = req.body;
       const username = req.user?.username || req.headers['x-username'] || 'anonymous';
 
+      if (title === undefined && content === undefined) {
+        return res.status(400).json({ error: 'Title or content is required' });
+      }
+
       // Check write permission
       const hasPermission = await permissionService.checkPermission(id, username, 'write');
       if (!hasPermission) {
         return res.status(403).json({ error: 'Insufficient permissions' });
       }
 
-      let document;
-      if (content !== undefined) {
-        document = await documentService.updateDocumentContent(id, content, username);
-      }
-      if (title !== undefined) {
-        document = await documentService.updateDocumentTitle(id, title);
-      }
+      const ifRevision = await this.getIfMatch(req);
+      const document = await documentService.updateDocument(
+        id,
+        { title, content: content === undefined ? undefined : sanitizeService.sanitize(content) },
+        username,
+        { ifRevision }
+      );
 
-      if (!document) {
-        return res.status(404).json({ error: 'Document not found' });
+      // Content reaches live collaborators as operations; the title is sent separately
+      if (title !== undefined) {
+        await socketIOService.pushTitleUpdate(id, document.title).catch((error) => {
+          console.error('Error sending title update:', error.message);
+        });
       }
 
+      this.setETag(res, document);
       res.json(document);
     } catch (error) {
-      console.error('Error updating document:', error);
+      console.error('Error updating document:', error.message);
+      if (error.message === 'Document not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Document has been modified') {
+        return this.sendPreconditionFailed(res, error.revision);
+      }
       res.status(500).json({ error: 'Failed to update document' });
     }
   }
 
   /**
-   * Delete document
+   * Move document to the trash
+   * Honours If-Match like updateDocument
    */
   async deleteDocument(req, res) {
     try {
@@ -133,19 +203,191 @@ class DocumentController {
         return res.status(403).json({ error: 'Insufficient permissions' });
       }
 
-      const deleted = await documentService.deleteDocument(id);
-      if (!deleted) {
+      // Live edits are saved first so restoring the document brings them back (a
+      // conditional request has them saved while reading If-Match)
+      const ifRevision = await this.getIfMatch(req);
+      if (!ifRevision) {
+        await autosaveService.flushOnOwner(id);
+      }
+
+      const document = await documentService.trashDocument(id, username, { ifRevision });
+      await socketIOService
+        .notifyDocumentTrashed(id, { user: username, deletedAt: document.deletedAt })
+        .catch((error) => {
+          console.error('Error closing trashed document:', error.message);
+        });
+
+      res.json({
+        message: 'Document moved to trash',
+        deletedAt: document.deletedAt,
+        purgeAt: trashService.getPurgeDate(document.deletedAt),
+      });
+    } catch (error) {
+      console.error('Error deleting document:', error.message);
+      if (error.message === 'Document not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Document has been modified') {
+        return this.sendPreconditionFailed(res, error.revision);
+      }
+      res.status(500).json({ error: 'Failed to delete document' });
+    }
+  }
+
+  /**
+   * Move document into a folder, or to the top level with folderId null
+   * Needs manage access on the document and write access on the folder
+   */
+  async moveToFolder(req, res) {
+    try {
+      const { id } = req.params;
+      const { folderId = null } = req.body;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      const canManage = await permissionService.checkPermission(id, username, 'manage');
+      const canWriteFolder =
+        !folderId || (await permissionService.checkFolderPermission(folderId, username, 'write'));
+      if (!canManage || !canWriteFolder) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      const document = await documentService.moveDocument(id, folderId);
+      if (!document) {
         return res.status(404).json({ error: 'Document not found' });
       }
 
+      res.json(document);
+    } catch (error) {
+      console.error('Error moving document:', error.message);
+      res.status(500).json({ error: 'Failed to move document' });
+    }
+  }
+
+  /**
+   * List the requester's documents in the trash
+   */
+  async getTrash(req, res) {
+    try {
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      const documents = await documentService.getTrashedDocuments(username);
+      res.json(
+        documents.map((document) => ({
+          ...document.toJSON(),
+          purgeAt: trashService.getPurgeDate(document.deletedAt),
+        }))
+      );
+    } catch (error) {
+      console.error('Error fetching trash:', error.message);
+      res.status(500).json({ error: 'Failed to fetch trash' });
+    }
+  }
+
+  /**
+   * Check that a document is in the trash and the requester may delete it
+   * Sends the error response and returns false otherwise
+   */
+  async authorizeTrashAction(req, res) {
+    const { id } = req.params;
+    const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+    const document = await documentService.getDocumentById(id, { includeDeleted: true });
+    if (!document || !document.deletedAt) {
+      res.status(404).json({ error: 'Document not found in trash' });
+      return false;
+    }
+
+    const hasPermission = await permissionService.checkPermission(id, username, 'delete', {
+      includeDeleted: true,
+    });
+    if (!hasPermission) {
+      res.status(403).json({ error: 'Insufficient permissions' });
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Restore a document from the trash
+   */
+  async restoreFromTrash(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!(await this.authorizeTrashAction(req, res))) {
+        return;
+      }
+
+      const document = await documentService.restoreDocument(id);
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found in trash' });
+      }
+
+      this.setETag(res, document);
+      res.json(document);
+    } catch (error) {
+      console.error('Error restoring document:', error.message);
+      res.status(500).json({ error: 'Failed to restore document' });
+    }
+  }
+
+  /**
+   * Permanently delete a document in the trash
+   */
+  async deleteFromTrash(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!(await this.authorizeTrashAction(req, res))) {
+        return;
+      }
+
+      await documentService.deleteDocument(id);
+
       console.log(`Document deleted: ${id}`);
-      res.json({ message: 'Document deleted successfully' });
+      res.json({ message: 'Document deleted permanently' });
     } catch (error) {
       console.error('Error deleting document:', error.message);
       res.status(500).json({ error: 'Failed to delete document' });
     }
   }
 
+  /**
+   * Read the revisions a request's If-Match header accepts
+   * Live edits not saved yet count as changes the client has not seen, so they are saved
+   * first and move the document to a new revision
+   * @returns {Promise<Array<number>|null>} Accepted revisions, or null if any will do
+   */
+  async getIfMatch(req) {
+    const header = req.headers['if-match'];
+    if (!header || header.trim() === '*') {
+      return null;
+    }
+
+    await autosaveService.flushOnOwner(req.params.id);
+
+    // If-Match uses strong comparison, so weak tags never match
+    return Array.from(header.matchAll(/(W\/)?"(\d+)"/g))
+      .filter(([, weak]) => !weak)
+      .map(([, , revision]) => Number(revision));
+  }
+
+  /**
+   * Send a document's revision as its ETag
+   */
+  setETag(res, document) {
+    res.set('ETag', `"${document.revision || 0}"`);
+  }
+
+  /**
+   * Reject a conditional write on a document that changed since the client last saw it
+   */
+  sendPreconditionFailed(res, revision) {
+    res.set('ETag', `"${revision}"`);
+    return res.status(412).json({ error: 'Document has been modified', revision });
+  }
+
   /**
    * Add permission to document
    */
@@ -162,6 +404,11 @@ class DocumentController {
       if (!userEmail || !role) {
         return res.status(400).json({ error: 'Email and role are required' });
       }
+      if (!['owner', 'editor', 'commenter', 'viewer'].includes(role)) {
+        return res
+          .status(400)
+          .json({ error: 'Role must be "owner", "editor", "commenter" or "viewer"' });
+      }
 
       // Normalize email to lowercase
       const normalizedEmail = userEmail.toLowerCase().trim();
@@ -225,11 +472,11 @@ class DocumentController {
   async generateShareLink(req, res) {
     try {
       const { id } = req.params;
-      const { access } = req.body; // 'read' or 'edit'
+      const { access } = req.body; // 'read', 'comment' or 'edit'
       const requesterUsername = req.user?.username || req.headers['x-username'] || 'anonymous';
 
-      if (!access || !['read', 'edit'].includes(access)) {
-        return res.status(400).json({ error: 'Access must be "read" or "edit"' });
+      if (!access || !['read', 'comment', 'edit'].includes(access)) {
+        return res.status(400).json({ error: 'Access must be "read", "comment" or "edit"' });
       }
 
       const token = await documentService.generateShareLink(id, access, requesterUsername);
@@ -308,6 +555,237 @@ class DocumentController {
       res.status(500).json({ error: 'Failed to revoke share link' });
     }
   }
+
+  /**
+   * Get the latest CRDT snapshot of a document
+   */
+  async getSnapshot(req, res) {
+    try {
+      const { id } = req.params;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      const document = await documentService.getDocumentById(id);
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      const hasPermission = await permissionService.checkPermission(id, username, 'manage');
+      if (!hasPermission) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      const snapshot = await snapshotService.getSnapshotInfo(id);
+      if (!snapshot) {
+        return res.status(404).json({ error: 'No snapshot found' });
+      }
+
+      res.json(snapshot);
+    } catch (error) {
+      console.error('Error fetching snapshot:', error.message);
+      res.status(500).json({ error: 'Failed to fetch snapshot' });
+    }
+  }
+
+  /**
+   * Take a CRDT snapshot of a document now and compact its operation log
+   */
+  async createSnapshot(req, res) {
+    try {
+      const { id } = req.params;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      const document = await documentService.getDocumentById(id);
+      if (!document) {
+        return res.status(404).json({ error: 'Document not found' });
+      }
+
+      const hasPermission = await permissionService.checkPermission(id, username, 'manage');
+      if (!hasPermission) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      const snapshot = await snapshotService.createSnapshot(id);
+      res.status(201).json(snapshot);
+    } catch (error) {
+      console.error('Error creating snapshot:', error.message);
+      res.status(500).json({ error: 'Failed to create snapshot' });
+    }
+  }
+
+  /**
+   * Check that a document exists and the requester may perform an action on it
+   * Sends the error response and returns null otherwise; also used by the controllers of
+   * a document's comments and suggestions
+   * @returns {Promise<string|null>} Requester's username if allowed
+   */
+  async authorizeDocumentAction(req, res, action) {
+    const { id } = req.params;
+    const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+    const document = await documentService.getDocumentById(id);
+    if (!document) {
+      res.status(404).json({ error: 'Document not found' });
+      return null;
+    }
+
+    const hasPermission = await permissionService.checkPermission(id, username, action);
+    if (!hasPermission) {
+      res.status(403).json({ error: 'Insufficient permissions' });
+      return null;
+    }
+
+    return username;
+  }
+
+  /**
+   * List a document's versions, newest first (?named=true for labelled versions only)
+   */
+  async getVersions(req, res) {
+    try {
+      const { id } = req.params;
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+      const named = req.query.named === 'true';
+
+      if (!(await this.authorizeDocumentAction(req, res, 'read'))) {
+        return;
+      }
+
+      const [versions, total] = await Promise.all([
+        versionService.getVersions(id, { limit, skip, named }),
+        versionService.getVersionCount(id, { named }),
+      ]);
+
+      res.json({ versions, total, limit, skip });
+    } catch (error) {
+      console.error('Error fetching versions:', error.message);
+      res.status(500).json({ error: 'Failed to fetch versions' });
+    }
+  }
+
+  /**
+   * Get a version of a document with its content
+   */
+  async getVersion(req, res) {
+    try {
+      const { id, versionId } = req.params;
+      const number = parseInt(versionId);
+      if (!Number.isInteger(number) || number < 1) {
+        return res.status(400).json({ error: 'Invalid version number' });
+      }
+
+      if (!(await this.authorizeDocumentAction(req, res, 'read'))) {
+        return;
+      }
+
+      const version = await versionService.getVersion(id, number);
+      if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+
+      res.json(version);
+    } catch (error) {
+      console.error('Error fetching version:', error.message);
+      res.status(500).json({ error: 'Failed to fetch version' });
+    }
+  }
+
+  /**
+   * Name or pin a version
+   */
+  async updateVersion(req, res) {
+    try {
+      const { id, versionId } = req.params;
+      const { label, pinned } = req.body;
+      const number = parseInt(versionId);
+      if (!Number.isInteger(number) || number < 1) {
+        return res.status(400).json({ error: 'Invalid version number' });
+      }
+      if (label !== undefined && label !== null && typeof label !== 'string') {
+        return res.status(400).json({ error: 'Label must be a string' });
+      }
+      if (pinned !== undefined && typeof pinned !== 'boolean') {
+        return res.status(400).json({ error: 'Pinned must be a boolean' });
+      }
+
+      if (!(await this.authorizeDocumentAction(req, res, 'write'))) {
+        return;
+      }
+
+      const version = await versionService.updateVersion(id, number, { label, pinned });
+      if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+
+      res.json(version);
+    } catch (error) {
+      console.error('Error updating version:', error.message);
+      res.status(500).json({ error: 'Failed to update version' });
+    }
+  }
+
+  /**
+   * Compare two versions of a document
+   */
+  async diffVersions(req, res) {
+    try {
+      const { id } = req.params;
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to);
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+        return res.status(400).json({ error: 'Query parameters "from" and "to" are required' });
+      }
+
+      if (!(await this.authorizeDocumentAction(req, res, 'read'))) {
+        return;
+      }
+
+      const diff = await versionService.diffVersions(id, from, to);
+      if (!diff) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+
+      res.json(diff);
+    } catch (error) {
+      console.error('Error comparing versions:', error.message);
+      res.status(500).json({ error: 'Failed to compare versions' });
+    }
+  }
+
+  /**
+   * Restore a version: its content becomes the current content, and live collaborators
+   * receive the change like any other edit
+   */
+  async restoreVersion(req, res) {
+    try {
+      const { id, versionId } = req.params;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+      const number = parseInt(versionId);
+      if (!Number.isInteger(number) || number < 1) {
+        return res.status(400).json({ error: 'Invalid version number' });
+      }
+
+      if (!(await this.authorizeDocumentAction(req, res, 'write'))) {
+        return;
+      }
+
+      const content = await versionService.getVersionContent(id, number);
+      if (content === null) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+
+      // Versions saved before content was sanitized may hold markup that is no longer allowed
+      const document = await documentService.updateDocumentContent(
+        id,
+        sanitizeService.sanitize(content),
+        username
+      );
+      res.json({ message: 'Version restored successfully', restoredFrom: number, document });
+    } catch (error) {
+      console.error('Error restoring version:', error.message);
+      res.status(500).json({ error: 'Failed to restore version' });
+    }
+  }
 }
 
 module.exports = new DocumentController();
@@ -0,0 +1,209 @@
+const folderService = require('../services/folderService');
+const permissionService = require('../services/permissionService');
+const documentService = require('../services/documentService');
+
+/**
+ * Folder Controller
+ * Handles HTTP requests for folder operations
+ */
+class FolderController {
+  /**
+   * Get every folder the requester can see, as a flat list to build a tree from
+   */
+  async getFolders(req, res) {
+    try {
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      const folders = await folderService.getFolderTree(username);
+      res.json(folders);
+    } catch (error) {
+      console.error('Error fetching folders:', error.message);
+      res.status(500).json({ error: 'Failed to fetch folders' });
+    }
+  }
+
+  /**
+   * Get a folder with its path, subfolders and documents
+   */
+  async getFolderById(req, res) {
+    try {
+      const { id } = req.params;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      const folder = await folderService.getFolderById(id);
+      if (!folder) {
+        return res.status(404).json({ error: 'Folder not found' });
+      }
+
+      const role = await permissionService.getFolderRole(id, username);
+      if (!permissionService.roleAllows(role, 'read')) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+      }
+
+      const [path, folders, documents] = await Promise.all([
+        folderService.getFolderPath(id, username),
+        folderService.getSubfolders(id),
+        documentService.getDocuments({ username, folder: id }),
+      ]);
+
+      res.json({ ...folder.toJSON(), role, path, folders, documents });
+    } catch (error) {
+      console.error('Error fetching folder:', error.message);
+      res.status(500).json({ error: 'Failed to fetch folder' });
+    }
+  }
+
+  /**
+   * Create new folder
+   */
+  async createFolder(req, res) {
+    try {
+      const { name, parent } = req.body;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      if (!username || username === 'anonymous') {
+        return res.status(400).json({ error: 'Username is required' });
+      }
+
+      const folder = await folderService.createFolder({ name, owner: username, parent });
+      res.status(201).json(folder);
+    } catch (error) {
+      console.error('Error creating folder:', error.message);
+      if (error.message === 'Folder name is required') {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.message === 'Insufficient permissions') {
+        return res.status(403).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to create folder' });
+    }
+  }
+
+  /**
+   * Rename folder and/or move it into another folder
+   */
+  async updateFolder(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, parent } = req.body;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      if (name === undefined && parent === undefined) {
+        return res.status(400).json({ error: 'Name or parent is required' });
+      }
+
+      const folder = await folderService.updateFolder(id, { name, parent }, username);
+      res.json(folder);
+    } catch (error) {
+      console.error('Error updating folder:', error.message);
+      if (
+        error.message === 'Folder name is required' ||
+        error.message === 'Cannot move a folder into itself'
+      ) {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error.message === 'Insufficient permissions') {
+        return res.status(403).json({ error: error.message });
+      }
+      if (error.message === 'Folder not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to update folder' });
+    }
+  }
+
+  /**
+   * Delete an empty folder
+   */
+  async deleteFolder(req, res) {
+    try {
+      const { id } = req.params;
+      const username = req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      await folderService.deleteFolder(id, username);
+      res.json({ message: 'Folder deleted successfully' });
+    } catch (error) {
+      console.error('Error deleting folder:', error.message);
+      if (error.message === 'Insufficient permissions') {
+        return res.status(403).json({ error: error.message });
+      }
+      if (error.message === 'Folder not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      if (error.message === 'Folder is not empty') {
+        return res.status(409).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to delete folder' });
+    }
+  }
+
+  /**
+   * Add permission to folder
+   */
+  async addPermission(req, res) {
+    try {
+      const { id } = req.params;
+      const { email, role } = req.body;
+      const requesterEmail =
+        req.user?.email || req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      if (!email || !role) {
+        return res.status(400).json({ error: 'Email and role are required' });
+      }
+      if (!['owner', 'editor', 'commenter', 'viewer'].includes(role)) {
+        return res
+          .status(400)
+          .json({ error: 'Role must be "owner", "editor", "commenter" or "viewer"' });
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      await folderService.addPermission(id, normalizedEmail, role, requesterEmail);
+      res.json({ message: 'Permission added successfully' });
+    } catch (error) {
+      console.error('Error adding folder permission:', error.message);
+      if (error.message === 'Insufficient permissions') {
+        return res.status(403).json({ error: error.message });
+      }
+      if (error.message === 'Folder not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to add permission' });
+    }
+  }
+
+  /**
+   * Remove permission from folder
+   */
+  async removePermission(req, res) {
+    try {
+      const { id } = req.params;
+      const { email } = req.body;
+      const requesterEmail =
+        req.user?.email || req.user?.username || req.headers['x-username'] || 'anonymous';
+
+      if (!email) {
+        return res.status(400).json({ error: 'Email is required' });
+      }
+
+      const normalizedEmail = email.toLowerCase().trim();
+
+      await folderService.removePermission(id, normalizedEmail, requesterEmail);
+      res.json({ message: 'Permission removed successfully' });
+    } catch (error) {
+      console.error('Error removing folder permission:', error.message);
+      if (
+        error.message === 'Insufficient permissions' ||
+        error.message === 'Cannot remove owner permission'
+      ) {
+        return res.status(403).json({ error: error.message });
+      }
+      if (error.message === 'Folder not found') {
+        return res.status(404).json({ error: error.message });
+      }
+      res.status(500).json({ error: 'Failed to remove permission' });
+    }
+  }
+}
+
+module.exports = new FolderController();
@@ -0,0 +1,80 @@
+const documentController = require('./documentController');
+const suggestionService = require('../services/suggestionService');
+
+// Suggestion states that can be listed
+const SUGGESTION_STATUSES = ['pending', 'accepted', 'rejected'];
+
+/**
+ * Suggestion Controller
+ * Handles HTTP requests for the changes suggested to a document
+ */
+class SuggestionController {
+  /**
+   * List a document's suggestions (?status=pending|accepted|rejected, pending by default)
+   */
+  async getSuggestions(req, res) {
+    try {
+      const { status = 'pending' } = req.query;
+      if (!SUGGESTION_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid status' });
+      }
+
+      if (!(await documentController.authorizeDocumentAction(req, res, 'read'))) {
+        return;
+      }
+
+      const suggestions = await suggestionService.getSuggestions(req.params.id, { status });
+      res.json(suggestions);
+    } catch (error) {
+      console.error('Error fetching suggestions:', error.message);
+      res.status(500).json({ error: 'Failed to fetch suggestions' });
+    }
+  }
+
+  /**
+   * Accept or reject one suggestion (/:key/accept), the ones listed in the body
+   * ({ keys }) or every pending one
+   * @param {boolean} accept - True to accept, false to reject
+   */
+  async resolveSuggestions(req, res, accept) {
+    const action = accept ? 'accept' : 'reject';
+    try {
+      const { id, key } = req.params;
+      const keys = key ? [key] : req.body?.keys || null;
+      if (keys && (!Array.isArray(keys) || keys.some((item) => typeof item !== 'string'))) {
+        return res.status(400).json({ error: 'Keys must be an array of suggestion keys' });
+      }
+
+      const username = await documentController.authorizeDocumentAction(req, res, 'write');
+      if (!username) {
+        return;
+      }
+
+      const suggestions = await suggestionService.resolveSuggestions(id, keys, accept, username);
+      if (key && suggestions.length === 0) {
+        return res.status(404).json({ error: 'Suggestion not found' });
+      }
+
+      res.json(suggestions);
+    } catch (error) {
+      console.error(`Error ${action}ing suggestions:`, error.message);
+      res.status(500).json({ error: `Failed to ${action} suggestions` });
+    }
+  }
+
+  /**
+   * Accept suggestions
+   */
+  async acceptSuggestions(req, res) {
+    return this.resolveSuggestions(req, res, true);
+  }
+
+  /**
+   * Reject suggestions
+   */
+  async rejectSuggestions(req, res) {
+    return this.resolveSuggestions(req, res, false);
+  }
+}
+
+module.exports = new SuggestionController();
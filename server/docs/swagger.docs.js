@@ -5,10 +5,16 @@
  *     description: Authentication endpoints
  *   - name: Documents
  *     description: Document management endpoints
+ *   - name: Folders
+ *     description: Folder management endpoints
  *   - name: Permissions
  *     description: Document permission management endpoints
  *   - name: Sharing
  *     description: Document sharing endpoints
+ *   - name: Snapshots
+ *     description: CRDT snapshot and operation log administration endpoints
+ *   - name: Versions
+ *     description: Document version history endpoints
  *   - name: Health
  *     description: Server health check endpoints
  */
@@ -235,6 +241,11 @@
  *           type: string
  *         description: Filter by owner username
  *       - in: query
+ *         name: folder
+ *         schema:
+ *           type: string
+ *         description: Folder ID to list, or "root" for the documents outside every folder the user can see
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -255,6 +266,63 @@
  *               type: array
  *               items:
  *                 $ref: '#/components/schemas/Document'
+ *       403:
+ *         description: Insufficient permissions on the folder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/search:
+ *   get:
+ *     summary: Search documents
+ *     description: Full-text search over the titles and content of the documents the user can read, best match first
+ *     tags: [Documents]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search query in MongoDB $text syntax (words, "quoted phrases", -excluded words)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of results to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of results to skip
+ *     responses:
+ *       200:
+ *         description: Matching documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SearchResult'
+ *       400:
+ *         description: Search query is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -323,6 +391,12 @@
  *     responses:
  *       200:
  *         description: Document details
+ *         headers:
+ *           ETag:
+ *             description: Document revision, for If-Match
+ *             schema:
+ *               type: string
+ *               example: '"12"'
  *         content:
  *           application/json:
  *             schema:
@@ -386,7 +460,7 @@
  * /api/documents/{id}:
  *   put:
  *     summary: Update document
- *     description: Update document title and/or content
+ *     description: Update document title and/or content. Content changes are applied to the live document, so connected clients see them
  *     tags: [Documents]
  *     security:
  *       - UsernameHeader: []
@@ -397,6 +471,13 @@
  *         schema:
  *           type: string
  *         description: Document ID
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"12"'
+ *         description: Only proceed if the document is still at this revision
  *     requestBody:
  *       required: true
  *       content:
@@ -406,10 +487,22 @@
  *     responses:
  *       200:
  *         description: Document updated successfully
+ *         headers:
+ *           ETag:
+ *             description: Document revision, for If-Match
+ *             schema:
+ *               type: string
+ *               example: '"12"'
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Title or content is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       403:
  *         description: Insufficient permissions
  *         content:
@@ -422,6 +515,24 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: Document changed since the revision in If-Match
+ *         headers:
+ *           ETag:
+ *             description: Current document revision
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Document has been modified
+ *                 revision:
+ *                   type: integer
+ *                   example: 13
  *       500:
  *         description: Server error
  *         content:
@@ -433,8 +544,8 @@
  * @swagger
  * /api/documents/{id}:
  *   delete:
- *     summary: Delete document
- *     description: Delete a document (only owner can delete)
+ *     summary: Move document to trash
+ *     description: Move a document to the trash (only owner can delete). Collaborators viewing it receive document_trashed and are removed from it; it is purged after the retention window unless restored
  *     tags: [Documents]
  *     security:
  *       - UsernameHeader: []
@@ -445,13 +556,31 @@
  *         schema:
  *           type: string
  *         description: Document ID
+ *       - in: header
+ *         name: If-Match
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '"12"'
+ *         description: Only proceed if the document is still at this revision
  *     responses:
  *       200:
- *         description: Document deleted successfully
+ *         description: Document moved to trash
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SuccessResponse'
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Document moved to trash
+ *                 deletedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 purgeAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the document will be deleted permanently
  *       403:
  *         description: Insufficient permissions
  *         content:
@@ -464,6 +593,24 @@
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         description: Document changed since the revision in If-Match
+ *         headers:
+ *           ETag:
+ *             description: Current document revision
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Document has been modified
+ *                 revision:
+ *                   type: integer
+ *                   example: 13
  *       500:
  *         description: Server error
  *         content:
@@ -572,7 +719,7 @@
  * /api/documents/{id}/share:
  *   post:
  *     summary: Generate share link
- *     description: Generate a shareable link for a document with read or edit access
+ *     description: Generate a shareable link for a document with read, comment or edit access; people who join through it become viewers, commenters or editors
  *     tags: [Sharing]
  *     security:
  *       - UsernameHeader: []
@@ -597,7 +744,7 @@
  *             schema:
  *               $ref: '#/components/schemas/ShareLinkResponse'
  *       400:
- *         description: Access must be "read" or "edit"
+ *         description: Access must be "read", "comment" or "edit"
  *         content:
  *           application/json:
  *             schema:
@@ -665,28 +812,1508 @@
  */
 /**
  * @swagger
- * /health:
+ * /api/documents/{id}/snapshot:
  *   get:
- *     summary: Health check endpoint
- *     description: Returns server health status and statistics
- *     tags: [Health]
+ *     summary: Get latest snapshot
+ *     description: Get the age and size of the document's latest CRDT snapshot (requires manage permission)
+ *     tags: [Snapshots]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
  *     responses:
  *       200:
- *         description: Server is healthy
+ *         description: Snapshot information
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 status:
- *                   type: string
- *                   example: ok
- *                 totalClients:
- *                   type: number
- *                   example: 5
- *                 totalDocuments:
- *                   type: number
- *                   example: 3
+ *               $ref: '#/components/schemas/SnapshotInfo'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or snapshot not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Take a snapshot
+ *     description: Snapshot the document's CRDT state now and compact the operation log it covers (requires manage permission)
+ *     tags: [Snapshots]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       201:
+ *         description: Snapshot created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SnapshotInfo'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/versions:
+ *   get:
+ *     summary: List versions
+ *     description: List the document's saved versions, newest first (requires read permission)
+ *     tags: [Versions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Maximum number of versions to return
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Number of newer versions to skip
+ *       - in: query
+ *         name: named
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Only list labelled versions (named checkpoints)
+ *     responses:
+ *       200:
+ *         description: Page of versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionList'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/versions/diff:
+ *   get:
+ *     summary: Compare versions
+ *     description: Get a structured diff between any two versions of the document (requires read permission)
+ *     tags: [Versions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version to compare from
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version to compare to
+ *     responses:
+ *       200:
+ *         description: Differences between the versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/VersionDiff'
+ *       400:
+ *         description: Missing or invalid version numbers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/versions/{versionId}:
+ *   get:
+ *     summary: Get version
+ *     description: Get a version of the document with its full content (requires read permission)
+ *     tags: [Versions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Version with content
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/DocumentVersion'
+ *                 - type: object
+ *                   properties:
+ *                     content:
+ *                       type: string
+ *       400:
+ *         description: Invalid version number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   patch:
+ *     summary: Name or pin version
+ *     description: Set or clear a version's label, and pin it so retention never prunes it (requires write permission)
+ *     tags: [Versions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *                 nullable: true
+ *                 description: New label; empty or null removes it
+ *                 example: Sent to legal
+ *               pinned:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Updated version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DocumentVersion'
+ *       400:
+ *         description: Invalid version number, label or pinned value
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/versions/{versionId}/restore:
+ *   post:
+ *     summary: Restore version
+ *     description: Make a version's content the current content; connected collaborators receive the change like any other edit (requires write permission)
+ *     tags: [Versions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Version number
+ *     responses:
+ *       200:
+ *         description: Version restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Version restored successfully
+ *                 restoredFrom:
+ *                   type: integer
+ *                   example: 3
+ *                 document:
+ *                   $ref: '#/components/schemas/Document'
+ *       400:
+ *         description: Invalid version number
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or version not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/trash:
+ *   get:
+ *     summary: List trash
+ *     description: List the requester's documents in the trash, most recently deleted first
+ *     tags: [Documents]
+ *     security:
+ *       - UsernameHeader: []
+ *     responses:
+ *       200:
+ *         description: Trashed documents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Document'
+ *                   - type: object
+ *                     properties:
+ *                       purgeAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the document will be deleted permanently
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/trash/{id}/restore:
+ *   post:
+ *     summary: Restore document from trash
+ *     description: Take a document out of the trash (requires delete permission)
+ *     tags: [Documents]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Document'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found in trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/trash/{id}:
+ *   delete:
+ *     summary: Delete document permanently
+ *     description: Permanently delete a document in the trash, with its operation log and version history (requires delete permission)
+ *     tags: [Documents]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     responses:
+ *       200:
+ *         description: Document deleted permanently
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found in trash
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/folder:
+ *   put:
+ *     summary: Move document to a folder
+ *     description: Move a document into a folder, or to the top level with a null folderId (requires manage permission on the document and write permission on the folder)
+ *     tags: [Documents]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               folderId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Destination folder ID
+ *     responses:
+ *       200:
+ *         description: Document moved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Document'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/folders:
+ *   get:
+ *     summary: List folders
+ *     description: Every folder the requester can see, each with their role; folders whose parent they cannot see have a null parent
+ *     tags: [Folders]
+ *     security:
+ *       - UsernameHeader: []
+ *     responses:
+ *       200:
+ *         description: Folders sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Folder'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/folders:
+ *   post:
+ *     summary: Create a folder
+ *     description: Create a folder at the top level or inside a folder the requester can write to
+ *     tags: [Folders]
+ *     security:
+ *       - UsernameHeader: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FolderRequest'
+ *     responses:
+ *       201:
+ *         description: Folder created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Folder name is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions on the parent folder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   get:
+ *     summary: Get folder
+ *     description: A folder with its path from the top level, its subfolders and its documents
+ *     tags: [Folders]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Folder ID
+ *     responses:
+ *       200:
+ *         description: Folder contents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Folder'
+ *                 - type: object
+ *                   properties:
+ *                     path:
+ *                       type: array
+ *                       description: Folders from the highest one the requester can see down to this one
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           name:
+ *                             type: string
+ *                     folders:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Folder'
+ *                     documents:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Document'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Folder not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   patch:
+ *     summary: Rename or move folder
+ *     description: Rename a folder (requires write permission) and/or move it into another folder (requires manage permission, and write permission on the destination)
+ *     tags: [Folders]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Folder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FolderRequest'
+ *     responses:
+ *       200:
+ *         description: Folder updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Folder'
+ *       400:
+ *         description: Name or parent is required, or the folder would be moved into itself
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Folder not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/folders/{id}:
+ *   delete:
+ *     summary: Delete folder
+ *     description: Delete an empty folder (requires delete permission); documents from it that are in the trash are restored to the top level
+ *     tags: [Folders]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Folder ID
+ *     responses:
+ *       200:
+ *         description: Folder deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Folder not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Folder is not empty
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/folders/{id}/permissions:
+ *   post:
+ *     summary: Add permission to folder
+ *     description: Give a user a role on a folder and everything inside it (requires manage permission)
+ *     tags: [Folders]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Folder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FolderPermissionRequest'
+ *     responses:
+ *       200:
+ *         description: Permission added successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Email and a valid role are required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Folder not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/folders/{id}/permissions:
+ *   delete:
+ *     summary: Remove permission from folder
+ *     description: Remove a user's role on a folder (requires manage permission)
+ *     tags: [Folders]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Folder ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FolderPermissionRequest'
+ *     responses:
+ *       200:
+ *         description: Permission removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Email is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions, or the user owns the folder
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Folder not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/comments:
+ *   get:
+ *     summary: List comment threads
+ *     description: List the document's comment threads in the order they were started, each with the range of the content its text covers now (requires read permission)
+ *     tags: [Comments]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: query
+ *         name: resolved
+ *         schema:
+ *           type: boolean
+ *         description: Only list resolved (true) or open (false) threads
+ *     responses:
+ *       200:
+ *         description: Comment threads
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Comment'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   post:
+ *     summary: Start comment thread
+ *     description: Comment on a range of the document's current content. Users mentioned as @email are notified if they can read the document (requires comment permission)
+ *     tags: [Comments]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *               - position
+ *               - length
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: 'Can we check this with @alice@example.com?'
+ *               position:
+ *                 type: integer
+ *                 description: Offset of the first commented character in the content
+ *                 example: 12
+ *               length:
+ *                 type: integer
+ *                 description: Number of commented characters
+ *                 example: 10
+ *     responses:
+ *       201:
+ *         description: Comment thread created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Empty comment or invalid range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/comments/{commentId}:
+ *   patch:
+ *     summary: Edit, resolve or reopen comment thread
+ *     description: Change the text of a thread (its author only), or resolve or reopen it (requires comment permission)
+ *     tags: [Comments]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment thread ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 description: New text
+ *               resolved:
+ *                 type: boolean
+ *                 description: True to resolve the thread, false to reopen it
+ *     responses:
+ *       200:
+ *         description: Updated comment thread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Invalid update
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions, or not the author
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *   delete:
+ *     summary: Delete comment thread
+ *     description: Delete a thread with its replies (its author or the document owner; requires comment permission)
+ *     tags: [Comments]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment thread ID
+ *     responses:
+ *       200:
+ *         description: Comment thread deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       403:
+ *         description: Insufficient permissions, or not the author or owner
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/comments/{commentId}/replies:
+ *   post:
+ *     summary: Reply to comment thread
+ *     description: Add a reply to a thread. Users mentioned as @email are notified if they can read the document (requires comment permission)
+ *     tags: [Comments]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment thread ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - body
+ *             properties:
+ *               body:
+ *                 type: string
+ *                 example: 'Done, thanks!'
+ *     responses:
+ *       201:
+ *         description: Updated comment thread
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Comment'
+ *       400:
+ *         description: Empty reply
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or comment not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/suggestions:
+ *   get:
+ *     summary: List suggestions
+ *     description: List the document's suggestions in the order they were made. Suggestions are made over the socket in suggesting mode; pending ones whose markup was edited away are left out (requires read permission)
+ *     tags: [Suggestions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, rejected]
+ *           default: pending
+ *         description: Only list suggestions with this status
+ *     responses:
+ *       200:
+ *         description: Suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Suggestion'
+ *       400:
+ *         description: Invalid status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/suggestions/accept:
+ *   post:
+ *     summary: Accept suggestions
+ *     description: Accept pending suggestions, keeping suggested text and removing text suggested for deletion (requires write permission)
+ *     tags: [Suggestions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keys:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Keys of the suggestions; every pending suggestion if left out
+ *     responses:
+ *       200:
+ *         description: Suggestions that were accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Suggestion'
+ *       400:
+ *         description: Invalid keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/suggestions/reject:
+ *   post:
+ *     summary: Reject suggestions
+ *     description: Reject pending suggestions, removing suggested text and keeping text suggested for deletion (requires write permission)
+ *     tags: [Suggestions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keys:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Keys of the suggestions; every pending suggestion if left out
+ *     responses:
+ *       200:
+ *         description: Suggestions that were rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Suggestion'
+ *       400:
+ *         description: Invalid keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/suggestions/{key}/accept:
+ *   post:
+ *     summary: Accept suggestion
+ *     description: Accept a pending suggestion, keeping suggested text and removing text suggested for deletion (requires write permission)
+ *     tags: [Suggestions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suggestion key
+ *     responses:
+ *       200:
+ *         description: Suggestions that were accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Suggestion'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or suggestion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /api/documents/{id}/suggestions/{key}/reject:
+ *   post:
+ *     summary: Reject suggestion
+ *     description: Reject a pending suggestion, removing suggested text and keeping text suggested for deletion (requires write permission)
+ *     tags: [Suggestions]
+ *     security:
+ *       - UsernameHeader: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Document ID
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Suggestion key
+ *     responses:
+ *       200:
+ *         description: Suggestions that were rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Suggestion'
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Document or suggestion not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Returns server health status and statistics
+ *     tags: [Health]
+ *     responses:
+ *       200:
+ *         description: Server is healthy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: ok
+ *                 totalClients:
+ *                   type: number
+ *                   example: 5
+ *                 totalDocuments:
+ *                   type: number
+ *                   example: 3
+ *                 permissionCache:
+ *                   type: object
+ *                   description: Cached document roles, and how often checks were answered from the cache
+ *                   properties:
+ *                     size:
+ *                       type: number
+ *                       example: 12
+ *                     hits:
+ *                       type: number
+ *                       example: 5230
+ *                     misses:
+ *                       type: number
+ *                       example: 41
  *                 mongodb:
  *                   type: string
  *                   example: connected
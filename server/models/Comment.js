@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Character id in the document's CRDT (see services/crdtService.js)
+const characterIdSchema = new mongoose.Schema(
+  {
+    site: { type: String, required: true },
+    clock: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const commentSchema = new mongoose.Schema({
+  document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+  author: { type: String, required: true }, // Email of the user who started the thread
+  body: { type: String, required: true },
+  // First and last character of the commented text, so the thread follows it through edits
+  anchor: {
+    start: { type: characterIdSchema, required: true },
+    end: { type: characterIdSchema, required: true },
+  },
+  quote: { type: String, default: '' }, // Commented text when the thread was started
+  mentions: [{ type: String }], // Emails of the users mentioned in the body
+  replies: [
+    {
+      author: { type: String, required: true },
+      body: { type: String, required: true },
+      mentions: [{ type: String }],
+      createdAt: { type: Date, default: Date.now },
+    },
+  ],
+  resolved: { type: Boolean, default: false },
+  resolvedBy: { type: String, default: null }, // Email of the user who resolved the thread
+  resolvedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Index for listing a document's threads in the order they were started
+commentSchema.index({ document: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
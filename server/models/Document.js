@@ -3,13 +3,15 @@ const mongoose = require('mongoose');
 const documentSchema = new mongoose.Schema({
   title: { type: String, default: 'Untitled Document' },
   content: { type: String, default: '' },
+  plainText: { type: String, default: '', select: false }, // Content without HTML, for search
   owner: { type: String, required: true }, // Email of document owner
+  folder: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null }, // null at the top level
   permissions: [
     {
       username: { type: String, required: true }, // Stores email address (kept as 'username' for backward compatibility)
       role: {
         type: String,
-        enum: ['owner', 'editor', 'viewer'],
+        enum: ['owner', 'editor', 'commenter', 'viewer'],
         default: 'viewer',
       },
     },
@@ -17,21 +19,24 @@ const documentSchema = new mongoose.Schema({
   shareToken: { type: String, unique: true, sparse: true }, // Unique token for sharing
   shareAccess: {
     type: String,
-    enum: ['read', 'edit', null],
+    enum: ['read', 'comment', 'edit', null],
     default: null,
   }, // Access level for share link
+  revision: { type: Number, default: 0 }, // Incremented on every content or title change
+  deletedAt: { type: Date, default: null }, // Set while the document is in the trash
+  deletedBy: { type: String, default: null }, // Email of the user who moved it to the trash
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
-  versions: [
-    {
-      content: String,
-      timestamp: { type: Date, default: Date.now },
-      user: String,
-    },
-  ],
 });
 
 // Index for faster queries
 documentSchema.index({ owner: 1, updatedAt: -1 });
+documentSchema.index({ deletedAt: 1 });
+documentSchema.index({ folder: 1, updatedAt: -1 });
+// Full-text search, where a match in the title counts for more than one in the content
+documentSchema.index(
+  { title: 'text', plainText: 'text' },
+  { name: 'document_search', weights: { title: 5, plainText: 1 } }
+);
 
 module.exports = mongoose.model('Document', documentSchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+const folderSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  owner: { type: String, required: true }, // Email of folder owner
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Folder', default: null }, // null at the top level
+  // Roles granted here apply to every subfolder and document inside
+  permissions: [
+    {
+      username: { type: String, required: true }, // Email address, as on documents
+      role: {
+        type: String,
+        enum: ['owner', 'editor', 'commenter', 'viewer'],
+        default: 'viewer',
+      },
+    },
+  ],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Index for listing a folder's subfolders and the folders shared with a user
+folderSchema.index({ parent: 1, name: 1 });
+folderSchema.index({ owner: 1 });
+folderSchema.index({ 'permissions.username': 1 });
+
+module.exports = mongoose.model('Folder', folderSchema);
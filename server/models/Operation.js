@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+const operationSchema = new mongoose.Schema({
+  documentId: { type: String, required: true },
+  baseId: { type: String, required: true }, // CRDT base the operation applies to
+  clientId: { type: String, default: null }, // Socket client that produced the operation
+  user: { type: String, default: null }, // Email of the user who made the change
+  site: { type: String, required: true },
+  clock: { type: Number, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true }, // Identifier-based operation, or { type: 'base', content }
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Index for replaying a document's log in order
+operationSchema.index({ documentId: 1, _id: 1 });
+operationSchema.index({ documentId: 1, 'payload.type': 1, _id: -1 });
+
+module.exports = mongoose.model('Operation', operationSchema);
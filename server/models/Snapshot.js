@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+const snapshotSchema = new mongoose.Schema({
+  documentId: { type: String, required: true },
+  baseId: { type: String, required: true }, // CRDT base the snapshot belongs to
+  version: { type: Number, default: 0 },
+  state: { type: mongoose.Schema.Types.Mixed, required: true }, // Serialized CRDT state
+  size: { type: Number, default: 0 }, // Serialized size in bytes
+  createdAt: { type: Date, default: Date.now },
+});
+
+// Index for finding a document's latest snapshot
+snapshotSchema.index({ documentId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Snapshot', snapshotSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const suggestionSchema = new mongoose.Schema({
+  document: { type: mongoose.Schema.Types.ObjectId, ref: 'Document', required: true },
+  // Key of the <ins>/<del data-suggestion="..."> elements marking the suggestion in the content
+  key: { type: String, required: true },
+  type: { type: String, enum: ['insert', 'delete'], required: true },
+  author: { type: String, required: true }, // Email of the user who suggested the change
+  text: { type: String, default: '' }, // Text suggested for insertion or deletion
+  status: { type: String, enum: ['pending', 'accepted', 'rejected'], default: 'pending' },
+  resolvedBy: { type: String, default: null }, // Email of the user who accepted or rejected it
+  resolvedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+// Keys are unique per document; also used to list a document's suggestions
+suggestionSchema.index({ document: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('Suggestion', suggestionSchema);
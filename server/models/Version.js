@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const versionSchema = new mongoose.Schema({
+  documentId: { type: String, required: true },
+  number: { type: Number, required: true }, // 1-based, sequential per document
+  keyframe: { type: Boolean, default: false }, // Full content rather than a delta
+  data: { type: Buffer, required: true }, // Deflated content (keyframe) or delta from the previous version
+  length: { type: Number, default: 0 }, // Content length in characters
+  user: { type: String, default: null }, // Email of the user who saved the version
+  label: { type: String, default: null }, // Name of a checkpoint, e.g. "v1.0"
+  pinned: { type: Boolean, default: false }, // Never pruned by retention
+  timestamp: { type: Date, default: Date.now },
+});
+
+// Index for listing a document's versions and finding the keyframe before one
+versionSchema.index({ documentId: 1, number: -1 }, { unique: true });
+versionSchema.index({ documentId: 1, keyframe: 1, number: -1 });
+
+module.exports = mongoose.model('Version', versionSchema);
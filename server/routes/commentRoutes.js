@@ -0,0 +1,14 @@
+const express = require('express');
+const commentController = require('../controllers/commentController');
+
+// Mounted under /api/documents/:id/comments
+const router = express.Router({ mergeParams: true });
+
+// Comment thread routes
+router.get('/', commentController.getComments.bind(commentController));
+router.post('/', commentController.createComment.bind(commentController));
+router.patch('/:commentId', commentController.updateComment.bind(commentController));
+router.delete('/:commentId', commentController.deleteComment.bind(commentController));
+router.post('/:commentId/replies', commentController.addReply.bind(commentController));
+
+module.exports = router;
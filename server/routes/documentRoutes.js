@@ -3,13 +3,18 @@ const documentController = require('../controllers/documentController');
 
 const router = express.Router();
 
-// Document routes - IMPORTANT: share route must come before :id route
+// Document routes - IMPORTANT: search, share and trash routes must come before :id route
 router.get('/', documentController.getAllDocuments.bind(documentController));
+router.get('/search', documentController.searchDocuments.bind(documentController));
 router.get('/share/:token', documentController.joinByShareToken.bind(documentController));
+router.get('/trash', documentController.getTrash.bind(documentController));
+router.post('/trash/:id/restore', documentController.restoreFromTrash.bind(documentController));
+router.delete('/trash/:id', documentController.deleteFromTrash.bind(documentController));
 router.get('/:id', documentController.getDocumentById.bind(documentController));
 router.post('/', documentController.createDocument.bind(documentController));
 router.put('/:id', documentController.updateDocument.bind(documentController));
 router.delete('/:id', documentController.deleteDocument.bind(documentController));
+router.put('/:id/folder', documentController.moveToFolder.bind(documentController));
 
 // Permission routes
 router.post('/:id/permissions', documentController.addPermission.bind(documentController));
@@ -19,4 +24,18 @@ router.delete('/:id/permissions', documentController.removePermission.bind(docum
 router.post('/:id/share', documentController.generateShareLink.bind(documentController));
 router.delete('/:id/share', documentController.revokeShareLink.bind(documentController));
 
+// Snapshot routes
+router.get('/:id/snapshot', documentController.getSnapshot.bind(documentController));
+router.post('/:id/snapshot', documentController.createSnapshot.bind(documentController));
+
+// Version routes - diff route must come before :versionId route
+router.get('/:id/versions', documentController.getVersions.bind(documentController));
+router.get('/:id/versions/diff', documentController.diffVersions.bind(documentController));
+router.get('/:id/versions/:versionId', documentController.getVersion.bind(documentController));
+router.patch('/:id/versions/:versionId', documentController.updateVersion.bind(documentController));
+router.post(
+  '/:id/versions/:versionId/restore',
+  documentController.restoreVersion.bind(documentController)
+);
+
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const folderController = require('../controllers/folderController');
+
+const router = express.Router();
+
+// Folder routes
+router.get('/', folderController.getFolders.bind(folderController));
+router.get('/:id', folderController.getFolderById.bind(folderController));
+router.post('/', folderController.createFolder.bind(folderController));
+router.patch('/:id', folderController.updateFolder.bind(folderController));
+router.delete('/:id', folderController.deleteFolder.bind(folderController));
+
+// Permission routes
+router.post('/:id/permissions', folderController.addPermission.bind(folderController));
+router.delete('/:id/permissions', folderController.removePermission.bind(folderController));
+
+module.exports = router;
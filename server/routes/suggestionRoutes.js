@@ -0,0 +1,14 @@
+const express = require('express');
+const suggestionController = require('../controllers/suggestionController');
+
+// Mounted under /api/documents/:id/suggestions
+const router = express.Router({ mergeParams: true });
+
+// Suggestion routes; without a key, accept/reject apply to the body's keys or every suggestion
+router.get('/', suggestionController.getSuggestions.bind(suggestionController));
+router.post('/accept', suggestionController.acceptSuggestions.bind(suggestionController));
+router.post('/reject', suggestionController.rejectSuggestions.bind(suggestionController));
+router.post('/:key/accept', suggestionController.acceptSuggestions.bind(suggestionController));
+router.post('/:key/reject', suggestionController.rejectSuggestions.bind(suggestionController));
+
+module.exports = router;
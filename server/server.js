@@ -6,8 +6,19 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const connectDB = require('./config/database');
 const documentRoutes = require('./routes/documentRoutes');
+const folderRoutes = require('./routes/folderRoutes');
+const commentRoutes = require('./routes/commentRoutes');
+const suggestionRoutes = require('./routes/suggestionRoutes');
 const authRoutes = require('./routes/authRoutes');
 const socketIOService = require('./services/socketIOService');
+const snapshotService = require('./services/snapshotService');
+const trashService = require('./services/trashService');
+const versionService = require('./services/versionService');
+const searchService = require('./services/searchService');
+const permissionService = require('./services/permissionService');
+const shutdownService = require('./services/shutdownService');
+const clusterService = require('./services/clusterService');
+const { MongoClusterAdapter } = require('./services/cluster/mongoAdapter');
 const errorHandler = require('./middleware/errorHandler');
 const authMiddleware = require('./middleware/auth');
 
@@ -30,12 +41,13 @@ const io = new Server(server, {
 const corsOptions = {
   origin: '*',
   credentials: true,
+  exposedHeaders: ['ETag'], // Lets browser clients send it back in If-Match
 };
 app.use(cors(corsOptions));
 app.use(express.json());
 
 // Connect to MongoDB
-connectDB();
+const databaseReady = connectDB();
 
 // Initialize Socket.IO service
 socketIOService.initialize(io);
@@ -47,7 +59,10 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 app.use('/api/auth', authRoutes);
 
 // Protected routes (require authentication)
+app.use('/api/documents/:id/comments', authMiddleware, commentRoutes);
+app.use('/api/documents/:id/suggestions', authMiddleware, suggestionRoutes);
 app.use('/api/documents', authMiddleware, documentRoutes);
+app.use('/api/folders', authMiddleware, folderRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -55,6 +70,7 @@ app.get('/health', (req, res) => {
   res.json({
     status: 'ok',
     ...stats,
+    permissionCache: permissionService.getCacheStats(),
     mongodb: require('mongoose').connection.readyState === 1 ? 'connected' : 'disconnected',
   });
 });
@@ -65,10 +81,39 @@ app.use(errorHandler);
 // Start server (only if not in test environment)
 if (process.env.NODE_ENV !== 'test') {
   const PORT = process.env.PORT || 4000;
-  server.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📡 Socket.IO server running on ws://localhost:${PORT}`);
-  });
+  snapshotService.start();
+  trashService.start();
+  // Move any version history still embedded in documents into the versions collection
+  databaseReady
+    .then(() => versionService.migrateEmbeddedVersions())
+    .catch((error) => console.error('Error migrating version history:', error.message));
+  // Give documents saved before search existed the plain text the search index covers
+  databaseReady
+    .then(() => searchService.indexExistingDocuments())
+    .catch((error) => console.error('Error indexing documents for search:', error.message));
+  // With CLUSTER_ADAPTER=mongo several instances share documents through MongoDB; a node
+  // must join the cluster before serving, or it would consider itself the owner of everything
+  const clusterReady =
+    process.env.CLUSTER_ADAPTER === 'mongo'
+      ? databaseReady.then(() =>
+          clusterService.useAdapter(new MongoClusterAdapter(require('mongoose').connection))
+        )
+      : Promise.resolve();
+
+  clusterReady
+    .then(() => {
+      server.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+        console.log(`📡 Socket.IO server running on ws://localhost:${PORT}`);
+      });
+    })
+    .catch((error) => {
+      console.error('Error joining the cluster:', error.message);
+      process.exit(1);
+    });
+
+  // Save in-memory documents before exiting on docker stop / redeploys
+  shutdownService.register(server);
 }
 
 module.exports = app;
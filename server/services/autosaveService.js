@@ -0,0 +1,161 @@
+const { EventEmitter } = require('events');
+const crdtService = require('./crdtService');
+const documentService = require('./documentService');
+const clusterService = require('./clusterService');
+
+// Save a document once it has had no edits for this long
+const AUTOSAVE_IDLE_MS = parseInt(process.env.AUTOSAVE_IDLE_MS, 10) || 3000;
+
+/**
+ * Autosave Service
+ * Persists live CRDT content to MongoDB after edits go quiet, so nothing is lost when
+ * every collaborator closes the document without saving
+ * Autosaves update the document only; versions are recorded by explicit saves
+ * Emits 'saved' ({ documentId, content, user, savedAt }) after each autosave
+ */
+class AutosaveService extends EventEmitter {
+  constructor() {
+    super();
+    this.dirty = new Map(); // documentId -> { user, timer } for documents with unsaved edits
+    this.saving = new Set(); // Promises of saves in progress
+
+    // Only the node that owns a document knows about its unsaved edits
+    clusterService.handle('autosave_flush', ({ documentId }) => this.flush(documentId));
+    clusterService.handle('autosave_unsaved', ({ documentId }) =>
+      this.getUnsavedContent(documentId)
+    );
+  }
+
+  /**
+   * Record an edit and restart the document's idle timer
+   * @param {string} documentId - Document ID
+   * @param {string} user - User who made the edit
+   */
+  markDirty(documentId, user = null) {
+    const entry = this.dirty.get(documentId);
+    if (entry) {
+      clearTimeout(entry.timer);
+    }
+
+    const timer = setTimeout(() => {
+      this.flush(documentId).catch(() => {});
+    }, AUTOSAVE_IDLE_MS);
+    timer.unref();
+    this.dirty.set(documentId, { user: user || entry?.user || null, timer });
+  }
+
+  /**
+   * Forget pending edits that were just saved some other way
+   * @param {string} documentId - Document ID
+   */
+  markSaved(documentId) {
+    const entry = this.dirty.get(documentId);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.dirty.delete(documentId);
+    }
+  }
+
+  /**
+   * Check whether a document has edits that have not been saved
+   * @param {string} documentId - Document ID
+   * @returns {boolean} True if an autosave is pending
+   */
+  isDirty(documentId) {
+    return this.dirty.has(documentId);
+  }
+
+  /**
+   * Get a document's live content if it has edits that have not been saved
+   * @param {string} documentId - Document ID
+   * @returns {string|null} Live content, or null if the stored content is current
+   */
+  getUnsavedContent(documentId) {
+    if (!this.isDirty(documentId) || !crdtService.documentStates.has(documentId)) {
+      return null;
+    }
+    return crdtService.getContent(documentId);
+  }
+
+  /**
+   * Get a document's unsaved live content from whichever node owns it, without saving it
+   * @param {string} documentId - Document ID
+   * @returns {Promise<string|null>} Live content, or null if the stored content is current
+   */
+  getUnsavedContentOnOwner(documentId) {
+    return clusterService.runOnOwner(documentId, 'autosave_unsaved', { documentId });
+  }
+
+  /**
+   * Save a document's live content now if it has unsaved edits
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Save info, or null if there was nothing to save
+   */
+  flush(documentId) {
+    const entry = this.dirty.get(documentId);
+    this.markSaved(documentId);
+    if (!entry || !crdtService.documentStates.has(documentId)) {
+      return Promise.resolve(null);
+    }
+
+    const saving = this.save(documentId, entry.user).finally(() => this.saving.delete(saving));
+    this.saving.add(saving);
+    return saving;
+  }
+
+  /**
+   * Save a document's unsaved live edits on whichever node owns it
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Save info, or null if there was nothing to save
+   */
+  flushOnOwner(documentId) {
+    return clusterService.runOnOwner(documentId, 'autosave_flush', { documentId });
+  }
+
+  /**
+   * Save every document with unsaved edits and wait for saves already in progress
+   * @returns {Promise<Object>} Number of documents saved and number that failed
+   */
+  async flushAll() {
+    Array.from(this.dirty.keys()).forEach((documentId) => {
+      this.flush(documentId).catch(() => {});
+    });
+
+    const results = await Promise.allSettled(Array.from(this.saving));
+    return {
+      saved: results.filter((result) => result.status === 'fulfilled' && result.value).length,
+      failed: results.filter((result) => result.status === 'rejected').length,
+    };
+  }
+
+  /**
+   * Write a document's live content to MongoDB
+   * @param {string} documentId - Document ID
+   * @param {string} user - User who made the edits
+   * @returns {Promise<Object|null>} Save info, or null if the stored content was current
+   */
+  async save(documentId, user) {
+    try {
+      const content = crdtService.getContent(documentId);
+      // Skip writing when the edits cancelled out or were already persisted
+      const document = await documentService.getDocumentById(documentId);
+      if (!document || document.content === content) {
+        return null;
+      }
+
+      // An idle pause every few seconds would otherwise bury the real versions
+      await documentService.updateDocumentContent(documentId, content, user, {
+        saveVersion: false,
+      });
+
+      const info = { documentId, content, user, savedAt: new Date() };
+      this.emit('saved', info);
+      return info;
+    } catch (error) {
+      console.error(`Error autosaving document ${documentId}:`, error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AutosaveService();
@@ -0,0 +1,113 @@
+/**
+ * Memory Cluster Bus
+ * What the nodes of an in-process cluster share: channel subscriptions and leases
+ */
+class MemoryClusterBus {
+  constructor() {
+    this.channels = new Map(); // channel -> Set of handlers
+    this.leases = new Map(); // key -> { owner, expiresAt }
+    this.inFlight = 0;
+  }
+
+  /**
+   * Wait until every published message has been delivered
+   */
+  async settle() {
+    while (this.inFlight > 0) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  }
+}
+
+/**
+ * Memory Cluster Adapter
+ * Cluster adapter for nodes running in one process, used by tests and as the reference
+ * implementation. Messages are delivered asynchronously and as copies, like over a network
+ */
+class MemoryClusterAdapter {
+  /**
+   * @param {MemoryClusterBus} bus - Bus shared by every node of the cluster
+   */
+  constructor(bus = new MemoryClusterBus()) {
+    this.bus = bus;
+    this.subscriptions = []; // [channel, handler] pairs, removed on close
+  }
+
+  async init() {}
+
+  /**
+   * Call a handler for every message published on a channel
+   * @param {string} channel - Channel name
+   * @param {Function} handler - (message) => void
+   */
+  async subscribe(channel, handler) {
+    if (!this.bus.channels.has(channel)) {
+      this.bus.channels.set(channel, new Set());
+    }
+    this.bus.channels.get(channel).add(handler);
+    this.subscriptions.push([channel, handler]);
+  }
+
+  /**
+   * Stop calling a handler for a channel
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Subscribed handler
+   */
+  async unsubscribe(channel, handler) {
+    this.bus.channels.get(channel)?.delete(handler);
+    this.subscriptions = this.subscriptions.filter(([c, h]) => c !== channel || h !== handler);
+  }
+
+  /**
+   * Publish a message to every subscriber of a channel
+   * @param {string} channel - Channel name
+   * @param {Object} message - JSON-serializable message
+   */
+  async publish(channel, message) {
+    const data = JSON.stringify(message);
+    const handlers = Array.from(this.bus.channels.get(channel) || []);
+
+    this.bus.inFlight += 1;
+    setImmediate(() => {
+      this.bus.inFlight -= 1;
+      handlers.forEach((handler) => handler(JSON.parse(data)));
+    });
+  }
+
+  /**
+   * Take or renew a lease unless another owner holds it
+   * @param {string} key - Lease key
+   * @param {string} owner - Node claiming the lease
+   * @param {number} ttlMs - Lease duration
+   * @returns {Promise<string>} Lease holder after the claim
+   */
+  async claim(key, owner, ttlMs) {
+    const now = Date.now();
+    const lease = this.bus.leases.get(key);
+    if (!lease || lease.owner === owner || lease.expiresAt <= now) {
+      this.bus.leases.set(key, { owner, expiresAt: now + ttlMs });
+      return owner;
+    }
+    return lease.owner;
+  }
+
+  /**
+   * Free a lease held by an owner
+   * @param {string} key - Lease key
+   * @param {string} owner - Node releasing the lease
+   */
+  async release(key, owner) {
+    if (this.bus.leases.get(key)?.owner === owner) {
+      this.bus.leases.delete(key);
+    }
+  }
+
+  async close() {
+    this.subscriptions.forEach(([channel, handler]) => {
+      this.bus.channels.get(channel)?.delete(handler);
+    });
+    this.subscriptions = [];
+  }
+}
+
+module.exports = { MemoryClusterAdapter, MemoryClusterBus };
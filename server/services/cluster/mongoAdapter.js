@@ -0,0 +1,186 @@
+const MESSAGES_COLLECTION = 'clustermessages';
+const LEASES_COLLECTION = 'clusterleases';
+
+// Size of the capped collection messages pass through; old messages are overwritten
+const CLUSTER_MESSAGE_LOG_BYTES =
+  parseInt(process.env.CLUSTER_MESSAGE_LOG_BYTES, 10) || 64 * 1024 * 1024;
+
+// Wait before reopening the message stream after it ended or failed
+const REOPEN_DELAY_MS = 100;
+
+/**
+ * Mongo Cluster Adapter
+ * Cluster adapter that needs nothing but the MongoDB every node already uses. Messages
+ * go through a capped collection every node tails, and leases are documents that can only
+ * be taken over once they expire. Works with a standalone server (no replica set needed)
+ */
+class MongoClusterAdapter {
+  /**
+   * @param {mongoose.Connection} connection - Open Mongoose connection
+   */
+  constructor(connection) {
+    this.connection = connection;
+    this.channels = new Map(); // channel -> Set of handlers
+    this.cursor = null;
+    this.closed = false;
+    this.lastId = null;
+  }
+
+  /**
+   * Create the collections if needed and start tailing messages
+   */
+  async init() {
+    const db = this.connection.db;
+    const exists = await db.listCollections({ name: MESSAGES_COLLECTION }).hasNext();
+    if (!exists) {
+      try {
+        await db.createCollection(MESSAGES_COLLECTION, {
+          capped: true,
+          size: CLUSTER_MESSAGE_LOG_BYTES,
+        });
+      } catch (error) {
+        if (error.codeName !== 'NamespaceExists') {
+          throw error;
+        }
+      }
+    }
+
+    this.messages = db.collection(MESSAGES_COLLECTION);
+    this.leases = db.collection(LEASES_COLLECTION);
+    await this.leases.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 3600 });
+
+    // Only messages published from now on are delivered; a marker also keeps the capped
+    // collection from being empty, which would end a tailable cursor immediately
+    await this.messages.insertOne(
+      { channel: null, createdAt: new Date() },
+      { forceServerObjectId: true }
+    );
+    const latest = await this.messages.find().sort({ $natural: -1 }).limit(1).next();
+    this.lastId = latest._id;
+
+    this.tail();
+  }
+
+  /**
+   * Deliver messages as they are inserted, reopening the cursor whenever it ends
+   */
+  async tail() {
+    while (!this.closed) {
+      this.cursor = this.messages.find(
+        { _id: { $gt: this.lastId } },
+        { tailable: true, awaitData: true }
+      );
+
+      try {
+        for await (const entry of this.cursor) {
+          this.lastId = entry._id;
+          this.deliver(entry);
+        }
+      } catch (error) {
+        if (!this.closed) {
+          console.error('Error reading cluster messages:', error.message);
+        }
+      }
+
+      if (!this.closed) {
+        await new Promise((resolve) => setTimeout(resolve, REOPEN_DELAY_MS));
+      }
+    }
+  }
+
+  /**
+   * Pass a stored message to the handlers of its channel
+   * @param {Object} entry - Message document
+   */
+  deliver(entry) {
+    const handlers = this.channels.get(entry.channel);
+    if (!handlers || handlers.size === 0) {
+      return;
+    }
+
+    const message = JSON.parse(entry.message);
+    handlers.forEach((handler) => handler(message));
+  }
+
+  /**
+   * Call a handler for every message published on a channel
+   * @param {string} channel - Channel name
+   * @param {Function} handler - (message) => void
+   */
+  async subscribe(channel, handler) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(handler);
+  }
+
+  /**
+   * Stop calling a handler for a channel
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Subscribed handler
+   */
+  async unsubscribe(channel, handler) {
+    this.channels.get(channel)?.delete(handler);
+  }
+
+  /**
+   * Publish a message to every subscriber of a channel, on any node
+   * @param {string} channel - Channel name
+   * @param {Object} message - JSON-serializable message
+   */
+  async publish(channel, message) {
+    // Server-generated ids increase in insertion order, which the tailing query relies on
+    await this.messages.insertOne(
+      { channel, message: JSON.stringify(message), createdAt: new Date() },
+      { forceServerObjectId: true }
+    );
+  }
+
+  /**
+   * Take or renew a lease unless another owner holds it
+   * @param {string} key - Lease key
+   * @param {string} owner - Node claiming the lease
+   * @param {number} ttlMs - Lease duration
+   * @returns {Promise<string>} Lease holder after the claim
+   */
+  async claim(key, owner, ttlMs) {
+    const now = new Date();
+    try {
+      const lease = await this.leases.findOneAndUpdate(
+        { _id: key, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+        { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return lease.owner;
+    } catch (error) {
+      // The lease exists and is held by someone else, so the upsert collided
+      if (error.code === 11000) {
+        const lease = await this.leases.findOne({ _id: key });
+        return lease ? lease.owner : this.claim(key, owner, ttlMs);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Free a lease held by an owner
+   * @param {string} key - Lease key
+   * @param {string} owner - Node releasing the lease
+   */
+  async release(key, owner) {
+    await this.leases.deleteOne({ _id: key, owner });
+  }
+
+  /**
+   * Stop tailing messages
+   */
+  async close() {
+    this.closed = true;
+    this.channels.clear();
+    if (this.cursor) {
+      await this.cursor.close().catch(() => {});
+    }
+  }
+}
+
+module.exports = { MongoClusterAdapter };
@@ -0,0 +1,367 @@
+const os = require('os');
+const { EventEmitter } = require('events');
+
+// How long a node owns a document without renewing its lease
+const CLUSTER_LEASE_TTL_MS = parseInt(process.env.CLUSTER_LEASE_TTL_MS, 10) || 15000;
+
+// How long to wait for another node to answer a request
+const CLUSTER_REQUEST_TIMEOUT_MS = parseInt(process.env.CLUSTER_REQUEST_TIMEOUT_MS, 10) || 5000;
+
+const REPLY = 'cluster:reply';
+const RELEASED = 'cluster:released';
+
+/**
+ * @typedef {Object} ClusterAdapter
+ * Transport and lease store shared by every server instance
+ * @property {Function} init - async () => void, called once before use
+ * @property {Function} subscribe - async (channel, handler) => void; handler(message) is
+ *   called for every message published on the channel, including by other nodes
+ * @property {Function} unsubscribe - async (channel, handler) => void
+ * @property {Function} publish - async (channel, message) => void; message is plain JSON
+ * @property {Function} claim - async (key, owner, ttlMs) => string; takes or renews the
+ *   lease if it is free, expired or already held by owner, and returns the lease holder
+ * @property {Function} release - async (key, owner) => void; frees the lease if owner holds it
+ * @property {Function} close - async () => void
+ */
+
+/**
+ * Cluster Service
+ * Connects server instances through a pluggable adapter. Every document is owned by exactly
+ * one node, which holds its authoritative CRDT state; other nodes forward work on the
+ * document to the owner. Without an adapter the node runs alone and owns every document
+ * Emits 'ownership_lost' (documentId) when another node took over a document this node owned
+ */
+class ClusterService extends EventEmitter {
+  constructor() {
+    super();
+    this.nodeId = process.env.CLUSTER_NODE_ID || `${os.hostname()}-${process.pid}`;
+    this.adapter = null;
+    this.handlers = new Map(); // message type -> handler(payload, fromNodeId)
+    this.owned = new Set(); // documentIds this node holds the lease for
+    this.owners = new Map(); // documentId -> { owner, checkedAt } for documents owned elsewhere
+    this.pending = new Map(); // requestId -> { resolve, reject, timer }
+    this.requestCount = 0;
+    this.renewTimer = null;
+    this.renewedAt = 0;
+    this.onMessage = this.onMessage.bind(this);
+
+    this.handle(RELEASED, ({ documentIds }) => {
+      documentIds.forEach((documentId) => this.owners.delete(documentId));
+    });
+  }
+
+  /**
+   * Check whether other nodes take part
+   * @returns {boolean} True if an adapter is in use
+   */
+  isClustered() {
+    return this.adapter !== null;
+  }
+
+  /**
+   * Join the cluster through an adapter
+   * @param {ClusterAdapter} adapter - Adapter shared with the other nodes
+   */
+  async useAdapter(adapter) {
+    await this.stop();
+    await adapter.init();
+    await adapter.subscribe(`node:${this.nodeId}`, this.onMessage);
+    await adapter.subscribe('broadcast', this.onMessage);
+    this.adapter = adapter;
+    this.renewedAt = Date.now();
+
+    this.renewTimer = setInterval(() => {
+      this.renewLeases().catch((error) => {
+        console.error('Error renewing document leases:', error.message);
+      });
+    }, CLUSTER_LEASE_TTL_MS / 3);
+    this.renewTimer.unref();
+  }
+
+  /**
+   * Release every lease and leave the cluster
+   */
+  async stop() {
+    if (!this.adapter) {
+      return;
+    }
+
+    clearInterval(this.renewTimer);
+    this.renewTimer = null;
+    await this.releaseAll();
+
+    const adapter = this.adapter;
+    this.adapter = null;
+    this.owners.clear();
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error('Left the cluster'));
+    });
+    this.pending.clear();
+
+    await adapter.unsubscribe(`node:${this.nodeId}`, this.onMessage);
+    await adapter.unsubscribe('broadcast', this.onMessage);
+    await adapter.close();
+  }
+
+  /**
+   * Register the handler for a message type
+   * A handler's return value is sent back when the message was a request
+   * @param {string} type - Message type
+   * @param {Function} handler - (payload, fromNodeId) => result
+   */
+  handle(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Check whether this node owns a document, without asking the other nodes
+   * @param {string} documentId - Document ID
+   * @returns {boolean} True if this node holds the document's lease
+   */
+  isOwner(documentId) {
+    return !this.adapter || this.owned.has(documentId);
+  }
+
+  /**
+   * Find the node that owns a document, taking ownership if no node does
+   * @param {string} documentId - Document ID
+   * @returns {Promise<string>} Owner node ID
+   */
+  async getOwner(documentId) {
+    if (this.isOwner(documentId)) {
+      return this.nodeId;
+    }
+
+    const cached = this.owners.get(documentId);
+    if (cached && Date.now() - cached.checkedAt < CLUSTER_LEASE_TTL_MS / 3) {
+      return cached.owner;
+    }
+
+    const owner = await this.adapter.claim(
+      `document:${documentId}`,
+      this.nodeId,
+      CLUSTER_LEASE_TTL_MS
+    );
+    if (owner === this.nodeId) {
+      this.owned.add(documentId);
+      this.owners.delete(documentId);
+    } else {
+      this.owners.set(documentId, { owner, checkedAt: Date.now() });
+    }
+    return owner;
+  }
+
+  /**
+   * Renew the leases of every owned document, dropping the ones another node took over
+   * If renewing keeps failing for a whole lease period, every document counts as lost
+   */
+  async renewLeases() {
+    const lost = [];
+
+    try {
+      for (const documentId of this.owned) {
+        const owner = await this.adapter.claim(
+          `document:${documentId}`,
+          this.nodeId,
+          CLUSTER_LEASE_TTL_MS
+        );
+        if (owner !== this.nodeId) {
+          lost.push(documentId);
+        }
+      }
+      this.renewedAt = Date.now();
+    } catch (error) {
+      if (Date.now() - this.renewedAt < CLUSTER_LEASE_TTL_MS) {
+        throw error;
+      }
+      lost.push(...this.owned);
+    }
+
+    lost.forEach((documentId) => {
+      this.owned.delete(documentId);
+      this.emit('ownership_lost', documentId);
+    });
+  }
+
+  /**
+   * Give up a document so another node can take it over
+   * @param {string} documentId - Document ID
+   */
+  async release(documentId) {
+    if (!this.owned.delete(documentId)) {
+      return;
+    }
+
+    await this.adapter.release(`document:${documentId}`, this.nodeId);
+    await this.broadcast(RELEASED, { documentIds: [documentId] });
+  }
+
+  /**
+   * Give up every owned document so other nodes can take them over
+   * @returns {Promise<Array>} IDs of the released documents
+   */
+  async releaseAll() {
+    const documentIds = Array.from(this.owned);
+    this.owned.clear();
+    if (!this.adapter || documentIds.length === 0) {
+      return documentIds;
+    }
+
+    await Promise.all(
+      documentIds.map((documentId) =>
+        this.adapter.release(`document:${documentId}`, this.nodeId).catch((error) => {
+          console.error(`Error releasing document ${documentId}:`, error.message);
+        })
+      )
+    );
+    // Other nodes should not keep routing to this node from their caches
+    await this.broadcast(RELEASED, { documentIds });
+    return documentIds;
+  }
+
+  /**
+   * Run a handler on the node that owns a document
+   * Runs synchronously up to the handler's first await when this node is the owner
+   * @param {string} documentId - Document ID
+   * @param {string} type - Message type of the handler
+   * @param {Object} payload - Handler payload
+   * @returns {Promise<*>} Handler result
+   */
+  async runOnOwner(documentId, type, payload) {
+    const owner = this.isOwner(documentId) ? this.nodeId : await this.getOwner(documentId);
+    if (owner === this.nodeId) {
+      return this.handlers.get(type)(payload, this.nodeId);
+    }
+    return this.request(owner, type, payload);
+  }
+
+  /**
+   * Send a message to one node without waiting for an answer
+   * Failures are logged, not thrown
+   * @param {string} nodeId - Receiving node
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   */
+  async send(nodeId, type, payload) {
+    try {
+      if (nodeId === this.nodeId || !this.adapter) {
+        await this.onMessage({ type, payload, from: null });
+        return;
+      }
+      await this.adapter.publish(`node:${nodeId}`, { type, payload, from: this.nodeId });
+    } catch (error) {
+      console.error(`Error sending ${type} to node ${nodeId}:`, error.message);
+    }
+  }
+
+  /**
+   * Send a message to every other node
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   */
+  async broadcast(type, payload) {
+    if (!this.adapter) {
+      return;
+    }
+
+    try {
+      await this.adapter.publish('broadcast', { type, payload, from: this.nodeId });
+    } catch (error) {
+      console.error(`Error broadcasting ${type}:`, error.message);
+    }
+  }
+
+  /**
+   * Send a message to one node and wait for its handler's result
+   * @param {string} nodeId - Receiving node
+   * @param {string} type - Message type
+   * @param {Object} payload - Message payload
+   * @returns {Promise<*>} Result of the remote handler
+   */
+  request(nodeId, type, payload) {
+    const requestId = `${this.nodeId}:${++this.requestCount}`;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new Error(`Request ${type} to node ${nodeId} timed out`));
+      }, CLUSTER_REQUEST_TIMEOUT_MS);
+      timer.unref();
+      this.pending.set(requestId, { resolve, reject, timer });
+
+      this.adapter
+        .publish(`node:${nodeId}`, { type, payload, from: this.nodeId, requestId })
+        .catch((error) => {
+          clearTimeout(timer);
+          this.pending.delete(requestId);
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Dispatch a message from the adapter to its handler, answering requests
+   * @param {Object} message - { type, payload, from, requestId, error }
+   */
+  async onMessage({ type, payload, from, requestId, error }) {
+    if (from === this.nodeId) {
+      return; // Our own broadcast
+    }
+
+    if (type === REPLY) {
+      const pending = this.pending.get(requestId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        this.pending.delete(requestId);
+        if (error) {
+          pending.reject(new Error(error));
+        } else {
+          pending.resolve(payload);
+        }
+      }
+      return;
+    }
+
+    let result = null;
+    let failure = null;
+    try {
+      const handler = this.handlers.get(type);
+      if (!handler) {
+        throw new Error(`No handler for cluster message ${type}`);
+      }
+      result = await handler(payload, from);
+    } catch (handlerError) {
+      console.error(`Error handling cluster message ${type}:`, handlerError.message);
+      failure = handlerError.message;
+    }
+
+    if (requestId && this.adapter) {
+      await this.adapter
+        .publish(`node:${from}`, {
+          type: REPLY,
+          requestId,
+          payload: result ?? null,
+          error: failure,
+          from: this.nodeId,
+        })
+        .catch((publishError) => {
+          console.error(`Error replying to node ${from}:`, publishError.message);
+        });
+    }
+  }
+
+  /**
+   * Get cluster statistics
+   * @returns {Object} Node ID, whether other nodes take part and owned document count
+   */
+  getStats() {
+    return {
+      nodeId: this.nodeId,
+      clustered: this.isClustered(),
+      ownedDocuments: this.isClustered() ? this.owned.size : null,
+    };
+  }
+}
+
+module.exports = new ClusterService();
@@ -0,0 +1,400 @@
+const { EventEmitter } = require('events');
+const Comment = require('../models/Comment');
+const Document = require('../models/Document');
+const crdtService = require('./crdtService');
+const operationLogService = require('./operationLogService');
+const clusterService = require('./clusterService');
+const permissionService = require('./permissionService');
+const searchService = require('./searchService');
+
+// Longest accepted comment or reply, in characters
+const MAX_COMMENT_LENGTH = 5000;
+
+// "@" followed by an email address, e.g. "@alice@example.com"
+const MENTION_PATTERN = /(^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Comment Service
+ * Comment threads are anchored to the CRDT characters of the text they were started on, so
+ * they keep pointing at that text while the document is edited. Anchors are created and
+ * resolved on the node that owns the document, where its live state is
+ * Emits 'comment_event' ({ documentId, event, comment, mention }) on the owning node when
+ * a thread is created ('comment_created'), edited or replied to ('comment_updated'),
+ * resolved or reopened ('comment_resolved') or deleted ('comment_deleted')
+ */
+class CommentService extends EventEmitter {
+  constructor() {
+    super();
+    // Work other nodes ask of the node that owns the document
+    clusterService.handle('comment_anchor', (payload) => this.createAnchor(payload));
+    clusterService.handle('comment_ranges', (payload) => this.resolveRanges(payload));
+    clusterService.handle('comment_changed', (payload) => this.publishLocally(payload));
+  }
+
+  /**
+   * List a document's comment threads in the order they were started
+   * @param {string} documentId - Document ID
+   * @param {Object} options - Options
+   * @param {boolean} options.resolved - Only resolved (true) or open (false) threads
+   * @returns {Promise<Array>} Threads, each with the range of the content it covers now
+   */
+  async getComments(documentId, { resolved } = {}) {
+    try {
+      const query = { document: documentId };
+      if (resolved !== undefined) {
+        query.resolved = resolved;
+      }
+
+      const comments = await Comment.find(query).sort({ createdAt: 1 }).lean();
+      const ranges = await clusterService.runOnOwner(documentId, 'comment_ranges', {
+        documentId,
+        anchors: comments.map((comment) => comment.anchor),
+      });
+
+      return comments.map((comment, index) => ({ ...comment, range: ranges[index] }));
+    } catch (error) {
+      console.error('Error getting comments:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Start a comment thread on a range of the document's current content
+   * @param {string} documentId - Document ID
+   * @param {Object} data - Comment data
+   * @param {string} data.body - Comment text
+   * @param {number} data.position - Offset of the first commented character
+   * @param {number} data.length - Number of commented characters
+   * @param {string} author - Email of the commenting user
+   * @returns {Promise<Object>} Created thread, with its range
+   */
+  async createComment(documentId, { body, position, length }, author) {
+    try {
+      const text = this.validateBody(body);
+      if (!Number.isInteger(position) || !Number.isInteger(length)) {
+        throw new Error('Invalid comment range');
+      }
+
+      const comment = new Comment({ document: documentId, author, body: text });
+      const anchored = await clusterService.runOnOwner(documentId, 'comment_anchor', {
+        documentId,
+        commentId: comment._id.toString(),
+        position,
+        length,
+      });
+      if (!anchored) {
+        throw new Error('Invalid comment range');
+      }
+
+      comment.anchor = anchored.anchor;
+      comment.quote = anchored.quote;
+      comment.mentions = await this.getMentions(documentId, text);
+      await comment.save();
+
+      return this.publish(documentId, 'comment_created', comment, {
+        users: comment.mentions,
+        author,
+        body: text,
+      });
+    } catch (error) {
+      console.error('Error creating comment:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reply to a comment thread
+   * @param {string} documentId - Document ID
+   * @param {string} commentId - Comment ID
+   * @param {string} body - Reply text
+   * @param {string} author - Email of the replying user
+   * @returns {Promise<Object|null>} Updated thread, or null if not found
+   */
+  async addReply(documentId, commentId, body, author) {
+    try {
+      const text = this.validateBody(body);
+      const mentions = await this.getMentions(documentId, text);
+      const now = new Date();
+
+      const comment = await Comment.findOneAndUpdate(
+        { _id: commentId, document: documentId },
+        {
+          $push: { replies: { author, body: text, mentions, createdAt: now } },
+          $set: { updatedAt: now },
+        },
+        { new: true }
+      );
+      if (!comment) {
+        return null;
+      }
+
+      return this.publish(documentId, 'comment_updated', comment, {
+        users: mentions,
+        author,
+        body: text,
+      });
+    } catch (error) {
+      console.error('Error replying to comment:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit the text of a comment thread's first comment
+   * @param {string} documentId - Document ID
+   * @param {string} commentId - Comment ID
+   * @param {string} body - New text
+   * @param {string} username - Email of the editing user (must be the author)
+   * @returns {Promise<Object|null>} Updated thread, or null if not found
+   */
+  async updateComment(documentId, commentId, body, username) {
+    try {
+      const text = this.validateBody(body);
+
+      const comment = await Comment.findOne({ _id: commentId, document: documentId });
+      if (!comment) {
+        return null;
+      }
+      if (comment.author !== username) {
+        throw new Error('Only the author can edit this comment');
+      }
+
+      // Only users mentioned for the first time are notified
+      const mentions = await this.getMentions(documentId, text);
+      const added = mentions.filter((mention) => !comment.mentions.includes(mention));
+
+      comment.body = text;
+      comment.mentions = mentions;
+      comment.updatedAt = new Date();
+      await comment.save();
+
+      return this.publish(documentId, 'comment_updated', comment, {
+        users: added,
+        author: username,
+        body: text,
+      });
+    } catch (error) {
+      console.error('Error updating comment:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve or reopen a comment thread
+   * @param {string} documentId - Document ID
+   * @param {string} commentId - Comment ID
+   * @param {boolean} resolved - True to resolve, false to reopen
+   * @param {string} username - Email of the user resolving or reopening the thread
+   * @returns {Promise<Object|null>} Updated thread, or null if not found
+   */
+  async setResolved(documentId, commentId, resolved, username) {
+    try {
+      const now = new Date();
+      const comment = await Comment.findOneAndUpdate(
+        { _id: commentId, document: documentId },
+        {
+          $set: {
+            resolved,
+            resolvedBy: resolved ? username : null,
+            resolvedAt: resolved ? now : null,
+            updatedAt: now,
+          },
+        },
+        { new: true }
+      );
+      if (!comment) {
+        return null;
+      }
+
+      return this.publish(documentId, 'comment_resolved', comment);
+    } catch (error) {
+      console.error('Error resolving comment:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a comment thread with its replies
+   * @param {string} documentId - Document ID
+   * @param {string} commentId - Comment ID
+   * @param {string} username - Email of the deleting user (the author or a document manager)
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteComment(documentId, commentId, username) {
+    try {
+      const comment = await Comment.findOne({ _id: commentId, document: documentId });
+      if (!comment) {
+        return false;
+      }
+      if (
+        comment.author !== username &&
+        !(await permissionService.checkPermission(documentId, username, 'manage'))
+      ) {
+        throw new Error('Only the author or the document owner can delete this comment');
+      }
+
+      await Comment.deleteOne({ _id: comment._id });
+      await this.publish(documentId, 'comment_deleted', comment);
+      return true;
+    } catch (error) {
+      console.error('Error deleting comment:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every comment thread of a document
+   * @param {string} documentId - Document ID
+   */
+  async deleteComments(documentId) {
+    await Comment.deleteMany({ document: documentId });
+  }
+
+  /**
+   * Keep the anchors of a document's threads from being garbage collected
+   * Called when the document is loaded into the CRDT
+   * @param {string} documentId - Document ID
+   */
+  async loadAnchors(documentId) {
+    try {
+      const comments = await Comment.find({ document: documentId }).select('anchor').lean();
+      comments.forEach((comment) =>
+        crdtService.pinAnchor(documentId, comment._id.toString(), comment.anchor)
+      );
+    } catch (error) {
+      console.error('Error loading comment anchors:', error.message);
+    }
+  }
+
+  /**
+   * Get the users mentioned in a comment who can read the document
+   * @param {string} documentId - Document ID
+   * @param {string} body - Comment text
+   * @returns {Promise<Array<string>>} Mentioned emails, lowercased
+   */
+  async getMentions(documentId, body) {
+    const mentions = this.parseMentions(body);
+    const allowed = await Promise.all(
+      mentions.map((email) => permissionService.checkPermission(documentId, email, 'read'))
+    );
+    return mentions.filter((email, index) => allowed[index]);
+  }
+
+  /**
+   * Find the @mentions in a comment
+   * @param {string} body - Comment text
+   * @returns {Array<string>} Mentioned emails, lowercased and without duplicates
+   */
+  parseMentions(body) {
+    const mentions = [...(body || '').matchAll(MENTION_PATTERN)].map((match) =>
+      match[2].replace(/\.+$/, '').toLowerCase()
+    );
+    return [...new Set(mentions)];
+  }
+
+  /**
+   * Check a comment's text
+   * @param {string} body - Comment text
+   * @returns {string} Trimmed text
+   */
+  validateBody(body) {
+    const text = typeof body === 'string' ? body.trim() : '';
+    if (!text) {
+      throw new Error('Comment cannot be empty');
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+      throw new Error('Comment is too long');
+    }
+    return text;
+  }
+
+  /**
+   * Let the document's live collaborators know a thread changed, from the node that owns it
+   * @param {string} documentId - Document ID
+   * @param {string} event - Event name
+   * @param {Object} comment - Comment document
+   * @param {Object} mention - New mentions ({ users, author, body }) in the changed text
+   * @returns {Promise<Object>} Thread, with its range
+   */
+  async publish(documentId, event, comment, mention = null) {
+    return clusterService.runOnOwner(documentId, 'comment_changed', {
+      documentId,
+      event,
+      comment: comment.toObject(),
+      mention: mention && mention.users.length > 0 ? mention : null,
+    });
+  }
+
+  /**
+   * Emit a thread change on this node, which owns the document
+   * @param {Object} change - Change ({ documentId, event, comment, mention })
+   * @returns {Promise<Object>} Thread, with its range
+   */
+  async publishLocally({ documentId, event, comment, mention }) {
+    const commentId = comment._id.toString();
+    let range = null;
+    if (event === 'comment_deleted') {
+      crdtService.unpinAnchor(documentId, commentId);
+    } else {
+      await this.ensureLoaded(documentId);
+      range = crdtService.resolveAnchor(documentId, comment.anchor);
+    }
+
+    const thread = { ...comment, range };
+    this.emit('comment_event', { documentId, event, comment: thread, mention });
+    return thread;
+  }
+
+  /**
+   * Anchor a new thread to a range of the live content
+   * Runs on the node that owns the document
+   * @param {Object} request - Anchor request
+   * @param {string} request.documentId - Document ID
+   * @param {string} request.commentId - ID the thread will be saved with
+   * @param {number} request.position - Offset of the first commented character
+   * @param {number} request.length - Number of commented characters
+   * @returns {Promise<Object|null>} { anchor, quote }, or null if the range is not in the
+   *   content
+   */
+  async createAnchor({ documentId, commentId, position, length }) {
+    await this.ensureLoaded(documentId);
+
+    const anchor = crdtService.createAnchor(documentId, position, length);
+    if (!anchor) {
+      return null;
+    }
+
+    crdtService.pinAnchor(documentId, commentId, anchor);
+    const { start, end } = crdtService.resolveAnchor(documentId, anchor);
+    const quote = searchService.toPlainText(crdtService.getContent(documentId).slice(start, end));
+    return { anchor, quote };
+  }
+
+  /**
+   * Find the ranges of the live content that anchors cover now
+   * Runs on the node that owns the document
+   * @param {Object} request - Request ({ documentId, anchors })
+   * @returns {Promise<Array>} { start, end } offsets per anchor, or null for anchors whose
+   *   text was deleted
+   */
+  async resolveRanges({ documentId, anchors }) {
+    await this.ensureLoaded(documentId);
+    return anchors.map((anchor) => crdtService.resolveAnchor(documentId, anchor));
+  }
+
+  /**
+   * Load a document into the CRDT if no one has it open
+   * @param {string} documentId - Document ID
+   */
+  async ensureLoaded(documentId) {
+    if (crdtService.getBase(documentId)) {
+      return;
+    }
+
+    const document = await Document.findById(documentId).select('content');
+    await operationLogService.loadIntoCRDT(documentId, document?.content || '');
+    await this.loadAnchors(documentId);
+  }
+}
+
+module.exports = new CommentService();
@@ -1,9 +1,35 @@
 /**
  * CRDT (Conflict-free Replicated Data Type) Service
- * Implements a simple CRDT-based text synchronization algorithm
- * Uses a character-based approach with unique identifiers for each character
+ * Implements a sequence CRDT for text synchronization (RGA/YATA-style)
+ * Every character carries a stable identifier ({ site, clock }) plus references to the
+ * characters it was originally inserted between, so concurrent edits converge regardless
+ * of the order in which replicas receive them
+ * Deleted characters stay in the sequence as tombstones until every connected client has
+ * acknowledged a version past the delete, at which point they can be garbage collected;
+ * replicas that had not seen a collected delete must resynchronize from scratch
+ * Undo/redo is tracked per user as groups of operations and performed by applying their
+ * inverse, so a user only ever undoes their own edits
+ * Formatting is a separate layer of mark operations over character-id ranges; for each
+ * character and mark type the mark with the highest (timestamp, site) wins
+ * Operations carry their causal dependencies; an operation that arrives before them is
+ * buffered until they are integrated
  */
 
+// Site used for characters created from content loaded outside of any client session
+const ROOT_SITE = 'root';
+
+// Site used for operations generated by the server itself
+const SERVER_SITE = 'server';
+
+// Maximum number of undo steps kept per user
+const MAX_UNDO_STEPS = 50;
+
+// Edit distance beyond which a content diff falls back to replacing the changed region
+const MAX_DIFF_EDITS = 1000;
+
+// Formatting marks that can be applied over character ranges
+const MARK_TYPES = ['bold', 'italic', 'underline', 'link', 'heading'];
+
 class CRDTService {
   constructor() {
     // Store document states per document ID
@@ -18,297 +44,1269 @@ class CRDTService {
   initializeDocument(documentId, initialContent = '') {
     if (!this.documentStates.has(documentId)) {
       const content = initialContent || '';
-      this.documentStates.set(documentId, {
-        characters: this._stringToCRDT(content),
+      const state = {
         version: 0,
-        history: [content], // Shared history stack for undo/redo
-        historyIndex: 0, // Current position in history
-      });
+        collectedTombstones: 0, // Tombstones removed by garbage collection so far
+        anchors: new Map(), // key -> range anchor whose end characters must be kept
+      };
+      this._resetCharacters(state, content);
+      this.documentStates.set(documentId, state);
     }
   }
 
+  /**
+   * Rebuild the character sequence from plain text
+   * Starts a new base: the operation log and state vector restart, and clients holding
+   * state from an older base must resynchronize from scratch
+   * @param {Object} state - Document state
+   * @param {string} content - Plain text content
+   */
+  _resetCharacters(state, content) {
+    state.characters = this._stringToCRDT(content);
+    state.stateVector = { [ROOT_SITE]: content.length }; // site -> highest integrated clock
+    state.operations = []; // Operations integrated since the base was created
+    state.logStart = { ...state.stateVector }; // State vector the in-memory log starts from
+    state.baseId = `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 9)}`;
+    state.baseContent = content;
+    state.marks = []; // Applied mark operations
+    state.markClock = 0; // Highest mark timestamp seen (Lamport clock)
+    state.buffered = new Map(); // id key -> operation waiting for its dependencies
+    state.collectedDeletes = {}; // site -> highest clock of a delete whose tombstone was collected
+    this._resetUndo(state);
+  }
+
+  /**
+   * Drop every user's undo/redo steps (they reference character ids of the old sequence)
+   * @param {Object} state - Document state
+   */
+  _resetUndo(state) {
+    state.undoStacks = new Map(); // user -> { undo: [operations], redo: [operations] }
+    state.restoredIds = new Map(); // id key of a deleted character -> id it was restored as
+  }
+
   /**
    * Convert string to CRDT representation (array of character objects)
+   * Ids are deterministic so every replica loading the same content agrees on them
    * @param {string} text - Text to convert
-   * @returns {Array} Array of character objects with position IDs
+   * @returns {Array} Array of character objects with identifiers and origins
    */
   _stringToCRDT(text) {
-    return text.split('').map((char, index) => ({
-      id: this._generateCharId(index),
-      char: char,
-      position: index,
-    }));
+    let previousId = null;
+    return text.split('').map((char, index) => {
+      const id = { site: ROOT_SITE, clock: index + 1 };
+      const character = { id, char, originLeft: previousId, originRight: null };
+      previousId = id;
+      return character;
+    });
   }
 
   /**
    * Convert CRDT representation back to string
-   * @param {Array} crdtChars - Array of CRDT character objects
-   * @returns {string} Reconstructed string
+   * @param {Array} crdtChars - Array of CRDT character objects (already in document order)
+   * @returns {string} Reconstructed string (tombstones excluded)
    */
   _crdtToString(crdtChars) {
     return crdtChars
-      .sort((a, b) => a.position - b.position)
+      .filter((c) => !c.deleted)
       .map((c) => c.char)
       .join('');
   }
 
   /**
-   * Generate unique character ID
-   * @param {number} position - Position in document
-   * @param {string} clientId - Client ID (optional)
-   * @returns {string} Unique character ID
+   * Get the characters that are visible in the document (not tombstoned)
+   * @param {Object} state - Document state
+   * @returns {Array} Visible character objects in document order
+   */
+  _visibleCharacters(state) {
+    return state.characters.filter((c) => !c.deleted);
+  }
+
+  /**
+   * Build a string key for a character identifier
+   * @param {Object|null} id - Identifier ({ site, clock })
+   * @returns {string|null} Key or null when no identifier given
+   */
+  _idKey(id) {
+    return id ? `${id.site}@${id.clock}` : null;
+  }
+
+  /**
+   * Compare two identifiers (either may be null)
+   * @param {Object|null} a - First identifier
+   * @param {Object|null} b - Second identifier
+   * @returns {boolean} True if both reference the same character
+   */
+  _sameId(a, b) {
+    return this._idKey(a) === this._idKey(b);
+  }
+
+  /**
+   * Find the index of a character in the sequence
+   * @param {Object} state - Document state
+   * @param {Object} id - Character identifier
+   * @returns {number} Index or -1 if not present
+   */
+  _indexOf(state, id) {
+    const key = this._idKey(id);
+    return state.characters.findIndex((c) => this._idKey(c.id) === key);
+  }
+
+  /**
+   * Allocate the next logical clock value for a site
+   * @param {Object} state - Document state
+   * @param {string} site - Site ID
+   * @returns {Object} New identifier
+   */
+  _nextId(state, site) {
+    return { site, clock: (state.stateVector[site] || 0) + 1 };
+  }
+
+  /**
+   * Check whether an operation has already been integrated
+   * @param {Object} state - Document state
+   * @param {Object} op - Identifier-based operation
+   * @returns {boolean} True if already applied
+   */
+  _isApplied(state, op) {
+    return this._hasSeen(state, op.id);
+  }
+
+  /**
+   * Check whether a character has been integrated at some point, even if it has
+   * since been garbage collected
+   * @param {Object} state - Document state
+   * @param {Object} id - Character identifier
+   * @returns {boolean} True if the character was seen
    */
-  _generateCharId(position, clientId = '') {
-    const timestamp = Date.now();
-    const random = Math.random().toString(36).substr(2, 9);
-    return `${timestamp}-${clientId}-${position}-${random}`;
+  _hasSeen(state, id) {
+    return id.clock <= (state.stateVector[id.site] || 0);
+  }
+
+  /**
+   * Check whether every character an operation references is known locally
+   * @param {Object} state - Document state
+   * @param {Object} op - Identifier-based operation
+   * @returns {boolean} True if the operation can be integrated now
+   */
+  _hasDependencies(state, op) {
+    // Operations from a site are integrated in clock order, after everything they depend on
+    if (op.id.clock !== (state.stateVector[op.id.site] || 0) + 1) {
+      return false;
+    }
+    const dependencies = Object.entries(op.deps || {});
+    if (dependencies.some(([site, clock]) => (state.stateVector[site] || 0) < clock)) {
+      return false;
+    }
+
+    if (op.type === 'insert') {
+      return (
+        (!op.originLeft || this._indexOf(state, op.originLeft) !== -1) &&
+        (!op.originRight || this._indexOf(state, op.originRight) !== -1)
+      );
+    }
+    if (op.type === 'delete') {
+      // A collected target was already deleted; only wait for targets never seen
+      return this._hasSeen(state, op.target);
+    }
+    if (op.type === 'mark') {
+      return this._hasSeen(state, op.start) && this._hasSeen(state, op.end);
+    }
+    return true;
   }
 
   /**
-   * Apply text operation to CRDT
+   * Compute the causal dependencies of an operation: for each other site, the highest
+   * clock among the characters it references
+   * @param {Object} op - Identifier-based operation
+   * @returns {Object} Dependencies (site -> clock)
+   */
+  _dependenciesOf(op) {
+    const deps = {};
+    [op.originLeft, op.originRight, op.target, op.start, op.end].forEach((id) => {
+      if (id && id.site !== op.id.site) {
+        deps[id.site] = Math.max(deps[id.site] || 0, id.clock);
+      }
+    });
+    return deps;
+  }
+
+  /**
+   * Integrate an operation generated on this replica, recording its dependencies
+   * @param {Object} state - Document state
+   * @param {Object} op - Identifier-based operation
+   */
+  _integrateLocal(state, op) {
+    op.deps = this._dependenciesOf(op);
+    this._integrate(state, op);
+  }
+
+  /**
+   * Check that an operation received from a replica has the fields it needs
+   * @param {Object} op - Identifier-based operation
+   * @returns {boolean} True if the operation can be applied
+   */
+  _isWellFormed(op) {
+    if (!op || !this._isValidId(op.id)) {
+      return false;
+    }
+    if (
+      op.deps !== undefined &&
+      (typeof op.deps !== 'object' ||
+        op.deps === null ||
+        !Object.values(op.deps).every((clock) => Number.isInteger(clock)))
+    ) {
+      return false;
+    }
+
+    const isOptionalId = (id) => id === null || id === undefined || this._isValidId(id);
+    switch (op.type) {
+      case 'insert':
+        return (
+          typeof op.char === 'string' &&
+          op.char.length === 1 &&
+          isOptionalId(op.originLeft) &&
+          isOptionalId(op.originRight)
+        );
+      case 'delete':
+        return this._isValidId(op.target);
+      case 'mark':
+        return (
+          MARK_TYPES.includes(op.markType) &&
+          ['add', 'remove'].includes(op.action) &&
+          this._isValidId(op.start) &&
+          this._isValidId(op.end) &&
+          typeof op.timestamp === 'number'
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check that a character identifier has a site and a positive integer clock
+   * @param {Object} id - Character identifier
+   * @returns {boolean} True if the identifier is valid
+   */
+  _isValidId(id) {
+    return Boolean(id) && typeof id.site === 'string' && Number.isInteger(id.clock) && id.clock > 0;
+  }
+
+  /**
+   * Integrate a single identifier-based operation into the sequence
+   * Concurrent inserts between the same neighbours are ordered by site ID, following
+   * the YATA integration rules, so every replica picks the same position
+   * @param {Object} state - Document state
+   * @param {Object} op - Identifier-based operation
+   */
+  _integrate(state, op) {
+    if (op.type === 'insert') {
+      const characters = state.characters;
+      const leftIndex = op.originLeft ? this._indexOf(state, op.originLeft) : -1;
+      const rightIndex = op.originRight ? this._indexOf(state, op.originRight) : characters.length;
+
+      let insertAt = leftIndex + 1;
+      const conflicting = new Set();
+      const beforeOrigin = new Set();
+
+      for (let i = leftIndex + 1; i < rightIndex; i++) {
+        const other = characters[i];
+        const otherKey = this._idKey(other.id);
+        conflicting.add(otherKey);
+        beforeOrigin.add(otherKey);
+
+        if (this._sameId(op.originLeft, other.originLeft)) {
+          if (other.id.site < op.id.site) {
+            insertAt = i + 1;
+            conflicting.clear();
+          } else if (this._sameId(op.originRight, other.originRight)) {
+            break;
+          }
+        } else if (other.originLeft && beforeOrigin.has(this._idKey(other.originLeft))) {
+          if (!conflicting.has(this._idKey(other.originLeft))) {
+            insertAt = i + 1;
+            conflicting.clear();
+          }
+        } else {
+          break;
+        }
+      }
+
+      characters.splice(insertAt, 0, {
+        id: op.id,
+        char: op.char,
+        originLeft: op.originLeft || null,
+        originRight: op.originRight || null,
+      });
+    } else if (op.type === 'delete') {
+      // Keep the character as a tombstone so concurrent inserts can still reference it
+      const index = this._indexOf(state, op.target);
+      if (index !== -1 && !state.characters[index].deleted) {
+        state.characters[index].deleted = true;
+        state.characters[index].deletedVersion = state.version + 1;
+        state.characters[index].deletedBy = op.id;
+      }
+    } else if (op.type === 'mark') {
+      state.marks.push(op);
+      state.markClock = Math.max(state.markClock, op.timestamp);
+    }
+
+    state.stateVector[op.id.site] = Math.max(state.stateVector[op.id.site] || 0, op.id.clock);
+    state.operations.push(op);
+  }
+
+  /**
+   * Get (creating if needed) a user's undo and redo stacks
+   * @param {Object} state - Document state
+   * @param {string} user - User the steps belong to
+   * @returns {Object} Stacks of operation groups ({ undo, redo }), most recent last
+   */
+  _undoStacksFor(state, user) {
+    if (!state.undoStacks.has(user)) {
+      state.undoStacks.set(user, { undo: [], redo: [] });
+    }
+    return state.undoStacks.get(user);
+  }
+
+  /**
+   * Record operations made by a user as a single undo step
+   * @param {Object} state - Document state
+   * @param {string|null} user - Author of the operations (nothing is recorded without one)
+   * @param {Array} operations - Operations applied on the user's behalf
+   */
+  _recordUndo(state, user, operations) {
+    if (!user || operations.length === 0) {
+      return;
+    }
+
+    const stacks = this._undoStacksFor(state, user);
+    stacks.undo.push(operations);
+    if (stacks.undo.length > MAX_UNDO_STEPS) {
+      stacks.undo.shift();
+    }
+    // A new edit invalidates whatever the user had undone
+    stacks.redo = [];
+  }
+
+  /**
+   * Follow restorations of a character to the id it currently lives under
+   * Undoing a delete inserts a copy of the character with a new id
+   * @param {Object} state - Document state
+   * @param {Object} id - Original character identifier
+   * @returns {Object} Identifier of the latest copy
+   */
+  _resolveId(state, id) {
+    let current = id;
+    while (state.restoredIds.has(this._idKey(current))) {
+      current = state.restoredIds.get(this._idKey(current));
+    }
+    return current;
+  }
+
+  /**
+   * Apply the inverse of an undo step
+   * Inverse operations reference characters by id rather than by offset, so they land in
+   * the right place however the document was edited since. Inserts are inverted into
+   * deletes of the inserted characters (unless someone else already deleted them), and
+   * deletes into inserts of a copy right after the tombstone
+   * @param {Object} state - Document state
+   * @param {Array} operations - Operations of the step to invert
+   * @returns {Array} Inverse operations that were applied
+   */
+  _applyInverse(state, operations) {
+    const applied = [];
+
+    [...operations].reverse().forEach((op) => {
+      if (op.type === 'insert') {
+        const target = this._resolveId(state, op.id);
+        const index = this._indexOf(state, target);
+        if (index === -1 || state.characters[index].deleted) {
+          return;
+        }
+        const inverse = { type: 'delete', id: this._nextId(state, SERVER_SITE), target };
+        this._integrateLocal(state, inverse);
+        applied.push(inverse);
+      } else if (op.type === 'delete') {
+        const target = this._resolveId(state, op.target);
+        const index = this._indexOf(state, target);
+        if (index === -1 || !state.characters[index].deleted) {
+          return;
+        }
+        const right = state.characters[index + 1];
+        const inverse = {
+          type: 'insert',
+          id: this._nextId(state, SERVER_SITE),
+          char: state.characters[index].char,
+          originLeft: target,
+          originRight: right ? right.id : null,
+        };
+        this._integrateLocal(state, inverse);
+        state.restoredIds.set(this._idKey(target), inverse.id);
+        applied.push(inverse);
+      }
+    });
+
+    return applied;
+  }
+
+  /**
+   * Undo or redo a user's most recent step, skipping steps others have already reverted
+   * @param {string} documentId - Document ID
+   * @param {string} user - User requesting the undo/redo
+   * @param {string} from - Stack to take the step from ('undo' or 'redo')
+   * @param {string} to - Stack the inverse step is pushed onto
+   * @returns {Object|null} Result with content, version, applied operations and the user's
+   *   history, or null if there was nothing to undo/redo
+   */
+  _revertStep(documentId, user, from, to) {
+    if (!this.documentStates.has(documentId) || !user) {
+      return null;
+    }
+
+    const state = this.documentStates.get(documentId);
+    const stacks = this._undoStacksFor(state, user);
+
+    while (stacks[from].length > 0) {
+      const applied = this._applyInverse(state, stacks[from].pop());
+      if (applied.length > 0) {
+        stacks[to].push(applied);
+        state.version += 1;
+        return {
+          content: this._crdtToString(state.characters),
+          version: state.version,
+          operations: applied,
+          history: this.getHistory(documentId, user),
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply text operation to CRDT using a plain offset (legacy clients)
+   * The offset is resolved against the current sequence and converted into
+   * identifier-based operations, which are returned for broadcasting
    * @param {string} documentId - Document ID
    * @param {string} operation - Operation type ('insert' or 'delete')
    * @param {number} position - Position in document
    * @param {string} text - Text to insert/delete
-   * @param {string} clientId - Client ID
-   * @returns {Object} Operation result with new content
+   * @param {string} clientId - Client ID (used as the site ID)
+   * @param {string|null} user - User making the edit, for undo tracking
+   * @returns {Object} Operation result with new content and generated operations
    */
-  applyOperation(documentId, operation, position, text, clientId) {
+  applyOperation(documentId, operation, position, text, clientId, user = null) {
     if (!this.documentStates.has(documentId)) {
       this.initializeDocument(documentId);
     }
 
     const state = this.documentStates.get(documentId);
-    let characters = [...state.characters];
+    const site = clientId || SERVER_SITE;
+    const operations = [];
+
+    const visible = this._visibleCharacters(state);
 
     if (operation === 'insert') {
-      // Insert characters at position
-      const newChars = text.split('').map((char, index) => ({
-        id: this._generateCharId(position + index, clientId),
-        char: char,
-        position: position + index,
-      }));
-
-      // Adjust positions of existing characters after insertion point
-      characters = characters.map((c) => ({
-        ...c,
-        position: c.position >= position ? c.position + text.length : c.position,
-      }));
-
-      // Insert new characters
-      characters.push(...newChars);
-    } else if (operation === 'delete') {
-      // Delete characters at position
-      characters = characters.filter(
-        (c) => c.position < position || c.position >= position + text.length
-      );
+      const start = Math.min(Math.max(position, 0), visible.length);
+      let originLeft = start > 0 ? visible[start - 1].id : null;
+      // Right origin is the direct neighbour in the sequence, which may be a tombstone
+      const leftIndex = originLeft ? this._indexOf(state, originLeft) : -1;
+      const right = state.characters[leftIndex + 1];
+      const originRight = right ? right.id : null;
 
-      // Adjust positions of remaining characters
-      characters = characters.map((c) => ({
-        ...c,
-        position: c.position >= position ? c.position - text.length : c.position,
-      }));
+      text.split('').forEach((char) => {
+        const op = { type: 'insert', id: this._nextId(state, site), char, originLeft, originRight };
+        this._integrateLocal(state, op);
+        operations.push(op);
+        originLeft = op.id;
+      });
+    } else if (operation === 'delete') {
+      const targets = visible.slice(position, position + text.length);
+      targets.forEach((c) => {
+        const op = { type: 'delete', id: this._nextId(state, site), target: c.id };
+        this._integrateLocal(state, op);
+        operations.push(op);
+      });
     }
 
-    // Sort by position and update state
-    characters.sort((a, b) => a.position - b.position);
-    state.characters = characters;
     state.version += 1;
+    this._recordUndo(state, user, operations);
+
+    const newContent = this._crdtToString(state.characters);
+
+    return {
+      content: newContent,
+      version: state.version,
+      operations,
+    };
+  }
 
-    const newContent = this._crdtToString(characters);
-    
-    // Add to history for regular operations
-    if (!state.history) {
-      state.history = [newContent];
-      state.historyIndex = 0;
-    } else {
-      // Remove any history after current index (when undoing then making new changes)
-      state.history = state.history.slice(0, state.historyIndex + 1);
-      
-      // Only add if content actually changed
-      if (state.history[state.historyIndex] !== newContent) {
-        state.history.push(newContent);
-        state.historyIndex = state.history.length - 1;
-        
-        // Limit history size to prevent memory issues (keep last 50 states)
-        if (state.history.length > 50) {
-          state.history = state.history.slice(-50);
-          state.historyIndex = state.history.length - 1;
+  /**
+   * Apply identifier-based operations received from another replica
+   * Duplicates are ignored. Operations whose dependencies are not yet integrated are
+   * buffered and retried whenever more operations arrive, so arrival order does not matter
+   * @param {string} documentId - Document ID
+   * @param {Array} operations - Identifier-based operations
+   * @param {string|null} user - User who made the operations, for undo tracking
+   * @param {string|null} source - Client the operations came from (reported on expiry)
+   * @returns {Object} Result with new content, version, applied operations and the
+   *   operations still buffered (unresolved)
+   */
+  applyOperations(documentId, operations, user = null, source = null) {
+    if (!this.documentStates.has(documentId)) {
+      this.initializeDocument(documentId);
+    }
+
+    const state = this.documentStates.get(documentId);
+    const applied = [];
+    const appliedByUser = new Map();
+    const bufferedAt = Date.now();
+
+    const incoming = operations
+      .filter((op) => this._isWellFormed(op) && !this._isApplied(state, op))
+      .filter((op) => !state.buffered.has(this._idKey(op.id)))
+      .map((op) => ({ op, user, source, bufferedAt }));
+    // Buffered operations stay buffered until they are applied
+    let pending = [...state.buffered.values(), ...incoming];
+    let progressed = true;
+
+    while (pending.length > 0 && progressed) {
+      progressed = false;
+      const retry = [];
+      pending.forEach((entry) => {
+        const key = this._idKey(entry.op.id);
+        if (this._isApplied(state, entry.op)) {
+          state.buffered.delete(key);
+          return;
         }
-      }
+        if (this._hasDependencies(state, entry.op)) {
+          this._integrate(state, entry.op);
+          state.buffered.delete(key);
+          applied.push(entry.op);
+          if (!appliedByUser.has(entry.user)) {
+            appliedByUser.set(entry.user, []);
+          }
+          appliedByUser.get(entry.user).push(entry.op);
+          progressed = true;
+        } else {
+          retry.push(entry);
+        }
+      });
+      pending = retry;
+    }
+
+    pending.forEach((entry) => state.buffered.set(this._idKey(entry.op.id), entry));
+
+    const newContent = this._crdtToString(state.characters);
+    if (applied.length > 0) {
+      state.version += 1;
+      appliedByUser.forEach((ops, author) => this._recordUndo(state, author, ops));
     }
-    
+
     return {
       content: newContent,
       version: state.version,
+      operations: applied,
+      unresolved: pending.map((entry) => entry.op),
     };
   }
 
+  /**
+   * Drop buffered operations whose dependencies never arrived
+   * @param {string} documentId - Document ID
+   * @param {number} maxAgeMs - How long an operation may wait for its dependencies
+   * @returns {Array} Expired entries ({ op, user, source, bufferedAt })
+   */
+  expireBufferedOperations(documentId, maxAgeMs) {
+    if (!this.documentStates.has(documentId)) {
+      return [];
+    }
+
+    const state = this.documentStates.get(documentId);
+    const now = Date.now();
+    const expired = [];
+    state.buffered.forEach((entry, key) => {
+      if (now - entry.bufferedAt >= maxAgeMs) {
+        expired.push(entry);
+        state.buffered.delete(key);
+      }
+    });
+    return expired;
+  }
+
+  /**
+   * Get the number of operations waiting for their dependencies
+   * @param {string} documentId - Document ID
+   * @returns {number} Buffered operation count
+   */
+  getBufferedCount(documentId) {
+    if (!this.documentStates.has(documentId)) {
+      return 0;
+    }
+    return this.documentStates.get(documentId).buffered.size;
+  }
+
   /**
    * Merge operations from multiple clients (CRDT merge)
-   * This is a simplified merge - in a production system, you'd use more sophisticated algorithms
    * @param {string} documentId - Document ID
-   * @param {Array} operations - Array of operations to merge
+   * @param {Array} operations - Array of identifier-based operations to merge
    * @returns {string} Merged content
    */
   mergeOperations(documentId, operations) {
+    return this.applyOperations(documentId, operations).content;
+  }
+
+  /**
+   * Apply a formatting mark over a range given as plain offsets (legacy clients)
+   * @param {string} documentId - Document ID
+   * @param {Object} mark - Mark to apply
+   * @param {string} mark.action - 'add' or 'remove'
+   * @param {string} mark.markType - One of MARK_TYPES
+   * @param {*} mark.value - Mark value (e.g. link URL or heading level)
+   * @param {number} mark.position - Offset of the first formatted character
+   * @param {number} mark.length - Number of formatted characters
+   * @param {string} clientId - Client ID (used as the site ID)
+   * @returns {Object} Operation result with content, version, generated operations and marks
+   */
+  applyMark(documentId, { action = 'add', markType, value = null, position, length }, clientId) {
     if (!this.documentStates.has(documentId)) {
       this.initializeDocument(documentId);
     }
 
-    // Sort operations by timestamp/client ID for deterministic merging
-    operations.sort((a, b) => {
-      if (a.timestamp !== b.timestamp) {
-        return a.timestamp - b.timestamp;
+    const state = this.documentStates.get(documentId);
+    const targets = this._visibleCharacters(state).slice(position, position + length);
+    const operations = [];
+
+    if (targets.length > 0) {
+      const op = {
+        type: 'mark',
+        id: this._nextId(state, clientId || SERVER_SITE),
+        action,
+        markType,
+        value,
+        start: targets[0].id,
+        end: targets[targets.length - 1].id,
+        timestamp: state.markClock + 1,
+      };
+
+      if (this._isWellFormed(op)) {
+        this._integrateLocal(state, op);
+        operations.push(op);
+        state.version += 1;
       }
-      return a.clientId.localeCompare(b.clientId);
-    });
+    }
+
+    return {
+      content: this._crdtToString(state.characters),
+      version: state.version,
+      operations,
+      marks: this.getMarks(documentId),
+    };
+  }
+
+  /**
+   * Resolve the document's formatting into spans over the visible text
+   * Every character takes, per mark type, the value of the covering mark operation with
+   * the highest (timestamp, site), so concurrent formatting converges on every replica
+   * @param {string} documentId - Document ID
+   * @returns {Array} Spans ({ type, value, start, end }) with end exclusive, ordered by start
+   */
+  getMarks(documentId) {
+    if (!this.documentStates.has(documentId)) {
+      return [];
+    }
+
+    const state = this.documentStates.get(documentId);
+    const indexes = new Map(state.characters.map((c, index) => [this._idKey(c.id), index]));
+    const formats = state.characters.map(() => ({}));
+
+    [...state.marks]
+      .sort((a, b) => a.timestamp - b.timestamp || (a.id.site < b.id.site ? -1 : 1))
+      .forEach((mark) => {
+        const start = indexes.get(this._idKey(mark.start));
+        const end = indexes.get(this._idKey(mark.end));
+        if (start === undefined || end === undefined) {
+          return;
+        }
+        for (let i = start; i <= end; i++) {
+          formats[i][mark.markType] = mark.action === 'add' ? (mark.value ?? true) : null;
+        }
+      });
 
-    // Apply operations in order
-    operations.forEach((op) => {
-      this.applyOperation(documentId, op.operation, op.position, op.text, op.clientId);
+    const spans = [];
+    const open = {}; // markType -> span still being extended
+    let offset = 0;
+
+    state.characters.forEach((c, index) => {
+      if (c.deleted) {
+        return;
+      }
+      MARK_TYPES.forEach((type) => {
+        const value = formats[index][type] ?? null;
+        const span = open[type];
+        if (span && span.end === offset && span.value === value) {
+          span.end = offset + 1;
+        } else if (value !== null) {
+          open[type] = { type, value, start: offset, end: offset + 1 };
+          spans.push(open[type]);
+        }
+      });
+      offset++;
     });
 
-    const state_after = this.documentStates.get(documentId);
-    return this._crdtToString(state_after.characters);
+    return spans.sort((a, b) => a.start - b.start);
   }
 
   /**
-   * Get current document content
+   * Anchor a range of the visible content to its characters
+   * The anchor keeps covering the same text while the content around and inside it changes
    * @param {string} documentId - Document ID
-   * @returns {string} Current document content
+   * @param {number} position - Offset of the first character
+   * @param {number} length - Number of characters
+   * @returns {Object|null} Anchor ({ start, end } character ids, both included), or null if
+   *   the range is empty or outside the content
    */
-  getContent(documentId) {
-    if (!this.documentStates.has(documentId)) {
-      return '';
+  createAnchor(documentId, position, length) {
+    if (!this.documentStates.has(documentId) || !(position >= 0) || !(length > 0)) {
+      return null;
     }
+
     const state = this.documentStates.get(documentId);
-    return this._crdtToString(state.characters);
+    const targets = this._visibleCharacters(state).slice(position, position + length);
+    if (targets.length === 0) {
+      return null;
+    }
+    return { start: { ...targets[0].id }, end: { ...targets[targets.length - 1].id } };
   }
 
   /**
-   * Update document content (for initial load or external updates)
+   * Find the range of the visible content an anchor covers now
    * @param {string} documentId - Document ID
-   * @param {string} content - New content
-   * @param {boolean} addToHistory - Whether to add this state to history (default: true)
+   * @param {Object} anchor - Anchor created by createAnchor
+   * @returns {Object|null} { start, end } offsets with end exclusive, or null if everything
+   *   the anchor covered was deleted
    */
-  setContent(documentId, content, addToHistory = true) {
-    if (!this.documentStates.has(documentId)) {
-      this.initializeDocument(documentId, content);
-      return;
+  resolveAnchor(documentId, anchor) {
+    if (!this.documentStates.has(documentId) || !anchor) {
+      return null;
     }
 
     const state = this.documentStates.get(documentId);
-    const newContent = content || '';
-    
-    // Update CRDT characters
-    state.characters = this._stringToCRDT(newContent);
-    state.version += 1;
+    const first = this._indexOf(state, anchor.start);
+    const last = this._indexOf(state, anchor.end);
+    if (first === -1 || last === -1 || first > last) {
+      return null;
+    }
 
-    // Add to history if requested (for regular edits, not undo/redo)
-    if (addToHistory) {
-      // Remove any history after current index (when undoing then making new changes)
-      state.history = state.history.slice(0, state.historyIndex + 1);
-      
-      // Only add if content actually changed
-      if (state.history[state.historyIndex] !== newContent) {
-        state.history.push(newContent);
-        state.historyIndex = state.history.length - 1;
-        
-        // Limit history size to prevent memory issues (keep last 50 states)
-        if (state.history.length > 50) {
-          state.history = state.history.slice(-50);
-          state.historyIndex = state.history.length - 1;
-        }
+    let offset = 0;
+    let range = null;
+    for (let index = 0; index <= last; index++) {
+      if (state.characters[index].deleted) {
+        continue;
       }
+      if (index >= first) {
+        range = range || { start: offset };
+        range.end = offset + 1;
+      }
+      offset++;
+    }
+    return range;
+  }
+
+  /**
+   * Keep the end characters of an anchor when their tombstones are garbage collected,
+   * so the anchor still resolves after its ends are deleted
+   * @param {string} documentId - Document ID
+   * @param {string} key - Key the anchor is kept under (e.g. a comment ID)
+   * @param {Object} anchor - Anchor created by createAnchor
+   */
+  pinAnchor(documentId, key, anchor) {
+    const state = this.documentStates.get(documentId);
+    if (state && anchor) {
+      state.anchors.set(key, anchor);
     }
   }
 
   /**
-   * Get undo/redo history for a document
+   * Stop keeping the end characters of an anchor
    * @param {string} documentId - Document ID
-   * @returns {Object} History state with undoStack, redoStack, and canUndo/canRedo flags
+   * @param {string} key - Key the anchor was pinned under
    */
-  getHistory(documentId) {
+  unpinAnchor(documentId, key) {
+    this.documentStates.get(documentId)?.anchors.delete(key);
+  }
+
+  /**
+   * Get the CRDT state needed by op-based clients to generate operations
+   * @param {string} documentId - Document ID
+   * @returns {Object|null} Characters, state vector and version, or null if not loaded
+   */
+  getState(documentId) {
     if (!this.documentStates.has(documentId)) {
-      return {
-        undoStack: [],
-        redoStack: [],
-        canUndo: false,
-        canRedo: false,
-      };
+      return null;
     }
+    const state = this.documentStates.get(documentId);
+    return {
+      characters: state.characters.map((c) => ({ ...c })),
+      stateVector: { ...state.stateVector },
+      version: state.version,
+      baseId: state.baseId,
+      marks: state.marks.map((m) => ({ ...m })),
+    };
+  }
 
+  /**
+   * Get the base the document's operations apply to
+   * @param {string} documentId - Document ID
+   * @returns {Object|null} Base ID and the plain text it was built from, or null if not loaded
+   */
+  getBase(documentId) {
+    if (!this.documentStates.has(documentId)) {
+      return null;
+    }
     const state = this.documentStates.get(documentId);
-    const undoStack = state.history.slice(0, state.historyIndex);
-    const redoStack = state.history.slice(state.historyIndex + 1);
+    return { baseId: state.baseId, content: state.baseContent };
+  }
+
+  /**
+   * Rebuild a document from a persisted base and the operations applied on top of it
+   * @param {string} documentId - Document ID
+   * @param {Object} base - Persisted base ({ baseId, content })
+   * @param {Array} operations - Identifier-based operations recorded against the base
+   * @returns {string} Restored content
+   */
+  restoreDocument(documentId, base, operations = []) {
+    this.documentStates.delete(documentId);
+    this.initializeDocument(documentId, base.content);
+
+    const state = this.documentStates.get(documentId);
+    state.baseId = base.baseId;
+    return this._replay(documentId, state, operations);
+  }
+
+  /**
+   * Serialize a document's full CRDT state, tombstones included
+   * @param {string} documentId - Document ID
+   * @returns {Object|null} Snapshot, or null if the document is not loaded
+   */
+  exportSnapshot(documentId) {
+    if (!this.documentStates.has(documentId)) {
+      return null;
+    }
 
+    const state = this.documentStates.get(documentId);
     return {
-      undoStack: undoStack.reverse(), // Most recent first
-      redoStack: redoStack, // Oldest first
-      canUndo: state.historyIndex > 0,
-      canRedo: state.historyIndex < state.history.length - 1,
+      baseId: state.baseId,
+      baseContent: state.baseContent,
+      characters: state.characters.map((c) => ({ ...c })),
+      stateVector: { ...state.stateVector },
+      version: state.version,
+      collectedTombstones: state.collectedTombstones || 0,
+      marks: state.marks.map((m) => ({ ...m })),
+      markClock: state.markClock,
+    };
+  }
+
+  /**
+   * Rebuild a document from a snapshot and the operations logged after it
+   * @param {string} documentId - Document ID
+   * @param {Object} snapshot - Snapshot produced by exportSnapshot
+   * @param {Array} operations - Operations recorded against the snapshot's base
+   * @returns {string} Restored content
+   */
+  restoreSnapshot(documentId, snapshot, operations = []) {
+    const state = {
+      characters: snapshot.characters.map((c) => ({ ...c })),
+      stateVector: { ...snapshot.stateVector },
+      operations: [],
+      logStart: { ...snapshot.stateVector },
+      baseId: snapshot.baseId,
+      baseContent: snapshot.baseContent,
+      version: snapshot.version || 0,
+      collectedTombstones: snapshot.collectedTombstones || 0,
+      marks: (snapshot.marks || []).map((m) => ({ ...m })),
+      markClock: snapshot.markClock || 0,
+      buffered: new Map(),
+      anchors: new Map(),
+      // Replicas that predate the snapshot resynchronize anyway (see logStart)
+      collectedDeletes: {},
     };
+    this.documentStates.set(documentId, state);
+    return this._replay(documentId, state, operations);
   }
 
   /**
-   * Perform undo operation
+   * Apply logged operations to a freshly restored document
    * @param {string} documentId - Document ID
-   * @returns {Object|null} Previous state content or null if no undo available
+   * @param {Object} state - Restored document state
+   * @param {Array} operations - Operations to replay (already applied ones are skipped)
+   * @returns {string} Content after replay
    */
-  undo(documentId) {
+  _replay(documentId, state, operations) {
+    if (operations.length > 0) {
+      this.applyOperations(documentId, operations);
+    }
+
+    // Replayed edits start a fresh undo history
+    this._resetUndo(state);
+    return this._crdtToString(state.characters);
+  }
+
+  /**
+   * Get the operations a replica is missing, given its state vector
+   * @param {string} documentId - Document ID
+   * @param {Object} stateVector - Replica state vector (site -> highest clock it has)
+   * @param {string} baseId - Base the replica's state was built from
+   * @returns {Array|null} Missing operations in integration order, or null if the replica
+   *   holds state from another base (or older than the log, or from before a delete whose
+   *   tombstone was collected) and needs a full resync
+   */
+  getMissingOperations(documentId, stateVector = {}, baseId) {
     if (!this.documentStates.has(documentId)) {
       return null;
     }
 
     const state = this.documentStates.get(documentId);
-    
-    if (state.historyIndex <= 0) {
-      return null; // No undo available
+    if (!baseId || baseId !== state.baseId) {
+      return null;
     }
 
-    state.historyIndex -= 1;
-    const previousContent = state.history[state.historyIndex];
-    
-    // Update CRDT state without adding to history
-    state.characters = this._stringToCRDT(previousContent);
-    state.version += 1;
+    // Operations older than the in-memory log (e.g. restored from a snapshot) are unavailable
+    const predatesLog = Object.entries(state.logStart || {}).some(
+      ([site, clock]) => (stateVector[site] || 0) < clock
+    );
+    if (predatesLog) {
+      return null;
+    }
+
+    // Its operations may reference characters that no longer exist
+    const predatesCollection = Object.entries(state.collectedDeletes || {}).some(
+      ([site, clock]) => (stateVector[site] || 0) < clock
+    );
+    if (predatesCollection) {
+      return null;
+    }
+
+    return state.operations.filter((op) => op.id.clock > (stateVector[op.id.site] || 0));
+  }
+
+  /**
+   * Remove tombstones that every connected client has already seen deleted
+   * Tombstones still needed by someone's undo/redo steps, marks or anchors are kept
+   * @param {string} documentId - Document ID
+   * @param {number} acknowledgedVersion - Lowest version acknowledged by all clients
+   * @returns {number} Number of tombstones removed
+   */
+  collectGarbage(documentId, acknowledgedVersion) {
+    if (!this.documentStates.has(documentId)) {
+      return 0;
+    }
+
+    const state = this.documentStates.get(documentId);
 
+    // Tombstones that an undo/redo step would restore, or that anchor a mark or a range
+    // anchor, are kept
+    const pinned = new Set();
+    [...state.marks, ...state.anchors.values()].forEach((anchor) => {
+      pinned.add(this._idKey(anchor.start));
+      pinned.add(this._idKey(anchor.end));
+    });
+    state.undoStacks.forEach((stacks) => {
+      [...stacks.undo, ...stacks.redo].flat().forEach((op) => {
+        if (op.type === 'delete') {
+          pinned.add(this._idKey(this._resolveId(state, op.target)));
+        }
+      });
+    });
+
+    const before = state.characters.length;
+    state.collectedDeletes = state.collectedDeletes || {};
+    state.characters = state.characters.filter((c) => {
+      if (!c.deleted || c.deletedVersion > acknowledgedVersion || pinned.has(this._idKey(c.id))) {
+        return true;
+      }
+      if (c.deletedBy) {
+        const { site, clock } = c.deletedBy;
+        state.collectedDeletes[site] = Math.max(state.collectedDeletes[site] || 0, clock);
+      }
+      return false;
+    });
+
+    const removed = before - state.characters.length;
+    state.collectedTombstones = (state.collectedTombstones || 0) + removed;
+    return removed;
+  }
+
+  /**
+   * Get garbage collection statistics for a document
+   * @param {string} documentId - Document ID
+   * @returns {Object|null} Live character and tombstone counts, or null if not loaded
+   */
+  getGCStats(documentId) {
+    if (!this.documentStates.has(documentId)) {
+      return null;
+    }
+
+    const state = this.documentStates.get(documentId);
+    const tombstones = state.characters.filter((c) => c.deleted).length;
     return {
-      content: previousContent,
-      history: this.getHistory(documentId),
+      liveCharacters: state.characters.length - tombstones,
+      tombstones,
+      collectedTombstones: state.collectedTombstones || 0,
+      version: state.version,
     };
   }
 
   /**
-   * Perform redo operation
+   * Get current document content
    * @param {string} documentId - Document ID
-   * @returns {Object|null} Next state content or null if no redo available
+   * @returns {string} Current document content
    */
-  redo(documentId) {
+  getContent(documentId) {
     if (!this.documentStates.has(documentId)) {
-      return null;
+      return '';
+    }
+    const state = this.documentStates.get(documentId);
+    return this._crdtToString(state.characters);
+  }
+
+  /**
+   * Compute an edit script between two strings
+   * @param {string} oldText - Old text
+   * @param {string} newText - New text
+   * @returns {Array} Script of '=' (keep), '-' (delete old char) and '+' (insert new char)
+   */
+  diffText(oldText, newText) {
+    return this._diffText(oldText, newText);
+  }
+
+  /**
+   * Compute a minimal edit script between two strings (Myers' O(ND) algorithm)
+   * The common prefix and suffix are trimmed first, so typical edits diff in linear time
+   * @param {string} oldText - Current text
+   * @param {string} newText - Target text
+   * @returns {Array} Script of '=' (keep), '-' (delete old char) and '+' (insert new char)
+   */
+  _diffText(oldText, newText) {
+    let prefix = 0;
+    while (
+      prefix < oldText.length &&
+      prefix < newText.length &&
+      oldText[prefix] === newText[prefix]
+    ) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    while (
+      suffix < oldText.length - prefix &&
+      suffix < newText.length - prefix &&
+      oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]
+    ) {
+      suffix++;
+    }
+
+    const a = oldText.slice(prefix, oldText.length - suffix);
+    const b = newText.slice(prefix, newText.length - suffix);
+    const middle = this._myersDiff(a, b) || [
+      ...Array(a.length).fill('-'),
+      ...Array(b.length).fill('+'),
+    ];
+
+    return [...Array(prefix).fill('='), ...middle, ...Array(suffix).fill('=')];
+  }
+
+  /**
+   * Myers' shortest edit script between two strings
+   * @param {string} a - Old text
+   * @param {string} b - New text
+   * @returns {Array|null} Edit script, or null if more than MAX_DIFF_EDITS edits are needed
+   */
+  _myersDiff(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_DIFF_EDITS);
+    const offset = n + m + 1;
+    const v = new Int32Array(2 * offset + 1);
+    const trace = []; // trace[d][k + d] = furthest x on diagonal k after d edits
+
+    for (let d = 0; d <= max; d++) {
+      for (let k = -d; k <= d; k += 2) {
+        let x =
+          k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+            ? v[offset + k + 1]
+            : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+      }
+      trace.push(v.slice(offset - d, offset + d + 1));
+
+      if (v[offset + n - m] >= n && Math.abs(n - m) <= d) {
+        return this._backtrackDiff(trace, n, m);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk a Myers trace back from the end to recover the edit script
+   * @param {Array} trace - Furthest reaching x per diagonal, per edit count
+   * @param {number} n - Old text length
+   * @param {number} m - New text length
+   * @returns {Array} Edit script in document order
+   */
+  _backtrackDiff(trace, n, m) {
+    const script = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d > 0; d--) {
+      const previous = trace[d - 1];
+      const at = (k) => previous[k + d - 1];
+      const k = x - y;
+      const down = k === -d || (k !== d && at(k - 1) < at(k + 1));
+      const previousK = down ? k + 1 : k - 1;
+      const previousX = at(previousK);
+      const previousY = previousX - previousK;
+
+      while (x > previousX && y > previousY) {
+        script.push('=');
+        x--;
+        y--;
+      }
+      script.push(down ? '+' : '-');
+      x = previousX;
+      y = previousY;
+    }
+
+    while (x > 0 && y > 0) {
+      script.push('=');
+      x--;
+      y--;
+    }
+
+    return script.reverse();
+  }
+
+  /**
+   * Update document content (for initial load or whole-content updates from legacy clients)
+   * The difference from the current text is applied as insert/delete operations, so
+   * unchanged characters keep their identity and op-based clients can merge the update
+   * @param {string} documentId - Document ID
+   * @param {string} content - New content
+   * @param {string|null} clientId - Client ID (used as the site ID of the generated operations)
+   * @param {string|null} user - User making the edit, for undo tracking
+   * @returns {Object} Result with new content, version and generated operations
+   */
+  setContent(documentId, content, clientId = null, user = null) {
+    const newContent = content || '';
+
+    if (!this.documentStates.has(documentId)) {
+      this.initializeDocument(documentId, newContent);
+      return { content: newContent, version: 0, operations: [] };
     }
 
     const state = this.documentStates.get(documentId);
-    
-    if (state.historyIndex >= state.history.length - 1) {
-      return null; // No redo available
+    const site = clientId || SERVER_SITE;
+    const visible = this._visibleCharacters(state);
+    const script = this._diffText(this._crdtToString(state.characters), newContent);
+    const operations = [];
+
+    let oldIndex = 0;
+    let newIndex = 0;
+    let leftId = null; // Last visible character of the updated text so far
+
+    script.forEach((edit) => {
+      if (edit === '=') {
+        leftId = visible[oldIndex].id;
+        oldIndex++;
+        newIndex++;
+      } else if (edit === '-') {
+        const op = { type: 'delete', id: this._nextId(state, site), target: visible[oldIndex].id };
+        this._integrateLocal(state, op);
+        operations.push(op);
+        oldIndex++;
+      } else {
+        // Right origin is the direct neighbour in the sequence, which may be a tombstone
+        const right = state.characters[(leftId ? this._indexOf(state, leftId) : -1) + 1];
+        const op = {
+          type: 'insert',
+          id: this._nextId(state, site),
+          char: newContent[newIndex],
+          originLeft: leftId,
+          originRight: right ? right.id : null,
+        };
+        this._integrateLocal(state, op);
+        operations.push(op);
+        leftId = op.id;
+        newIndex++;
+      }
+    });
+
+    if (operations.length > 0) {
+      state.version += 1;
+      this._recordUndo(state, user, operations);
     }
 
-    state.historyIndex += 1;
-    const nextContent = state.history[state.historyIndex];
-    
-    // Update CRDT state without adding to history
-    state.characters = this._stringToCRDT(nextContent);
-    state.version += 1;
+    return { content: this._crdtToString(state.characters), version: state.version, operations };
+  }
+
+  /**
+   * Get a user's undo/redo history for a document
+   * @param {string} documentId - Document ID
+   * @param {string} user - User whose steps to describe
+   * @returns {Object} History state with undoStack, redoStack (most recent step first, each
+   *   described by its operation count), and canUndo/canRedo flags
+   */
+  getHistory(documentId, user) {
+    if (!this.documentStates.has(documentId) || !user) {
+      return {
+        undoStack: [],
+        redoStack: [],
+        canUndo: false,
+        canRedo: false,
+      };
+    }
+
+    const state = this.documentStates.get(documentId);
+    const stacks = state.undoStacks.get(user) || { undo: [], redo: [] };
+    const describe = (steps) => steps.map((step) => ({ operations: step.length })).reverse();
 
     return {
-      content: nextContent,
-      history: this.getHistory(documentId),
+      undoStack: describe(stacks.undo),
+      redoStack: describe(stacks.redo),
+      canUndo: stacks.undo.length > 0,
+      canRedo: stacks.redo.length > 0,
     };
   }
 
+  /**
+   * Undo a user's most recent edit
+   * Other users' edits, including ones made after it, are left untouched
+   * @param {string} documentId - Document ID
+   * @param {string} user - User requesting the undo
+   * @returns {Object|null} Undo result ({ content, version, operations, history }) or null
+   *   if the user has nothing to undo
+   */
+  undo(documentId, user) {
+    return this._revertStep(documentId, user, 'undo', 'redo');
+  }
+
+  /**
+   * Redo a user's most recently undone edit
+   * @param {string} documentId - Document ID
+   * @param {string} user - User requesting the redo
+   * @returns {Object|null} Redo result ({ content, version, operations, history }) or null
+   *   if the user has nothing to redo
+   */
+  redo(documentId, user) {
+    return this._revertStep(documentId, user, 'redo', 'undo');
+  }
+
   /**
    * Clear document state (cleanup)
    * @param {string} documentId - Document ID
@@ -1,39 +1,71 @@
+const { EventEmitter } = require('events');
 const Document = require('../models/Document');
 const crdtService = require('./crdtService');
+const operationLogService = require('./operationLogService');
+const versionService = require('./versionService');
+const clusterService = require('./clusterService');
+const folderService = require('./folderService');
+const permissionService = require('./permissionService');
+const searchService = require('./searchService');
+const commentService = require('./commentService');
+const suggestionService = require('./suggestionService');
+
+// Role given to users who join through a share link, by the link's access level
+const SHARE_ROLES = { read: 'viewer', comment: 'commenter', edit: 'editor' };
+
+/**
+ * Build the query condition matching documents at one of the given revisions
+ * Documents stored before revisions were tracked have none, which counts as revision 0
+ * @param {Array<number>} revisions - Accepted revisions
+ * @returns {Object} Query condition
+ */
+const matchRevision = (revisions) => ({
+  revision: { $in: revisions.includes(0) ? [...revisions, null] : revisions },
+});
 
 /**
  * Document Service
  * Handles business logic for document operations
+ * Emits 'content_updated' ({ documentId, operations, content, version, user }) when content
+ * written outside a socket changed a document's live state
  */
-class DocumentService {
+class DocumentService extends EventEmitter {
+  constructor() {
+    super();
+    // Live state changes requested by other nodes for documents this node owns
+    clusterService.handle('set_live_content', (payload) => this.setLiveContent(payload));
+    clusterService.handle('clear_live_state', ({ documentId }) => this.clearLiveState(documentId));
+  }
+
   /**
    * Create a new document
    * @param {Object} data - Document data
    * @param {string} data.title - Document title
    * @param {string} data.content - Document content
    * @param {string} data.owner - Document owner username
+   * @param {string} data.folder - Folder to create the document in, or null for the top level
+   * @param {string} data.label - Optional name for the first version
    * @returns {Promise<Object>} Created document
    */
-  async createDocument({ title, content = '', owner }) {
+  async createDocument({ title, content = '', owner, folder = null, label = null }) {
     try {
       const document = new Document({
         title: title || 'Untitled Document',
         content,
+        plainText: searchService.toPlainText(content),
         owner,
+        folder,
         permissions: [],
-        versions: [
-          {
-            content,
-            timestamp: new Date(),
-            user: owner,
-          },
-        ],
       });
 
       const savedDoc = await document.save();
+      // The node creating a document owns it
+      await clusterService.getOwner(savedDoc._id.toString());
+      await versionService.createVersion(savedDoc._id.toString(), content, owner, { label });
 
-      // Initialize CRDT state
+      // Initialize CRDT state and record it as the first base in the operation log
       crdtService.setContent(savedDoc._id.toString(), content);
+      await operationLogService.append(savedDoc._id.toString(), [], { user: owner });
 
       return savedDoc;
     } catch (error) {
@@ -44,12 +76,18 @@ class DocumentService {
 
   /**
    * Get document by ID
+   * Documents in the trash are only returned when asked for
    * @param {string} documentId - Document ID
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeDeleted - Also return the document if it is in the trash
    * @returns {Promise<Object|null>} Document or null
    */
-  async getDocumentById(documentId) {
+  async getDocumentById(documentId, { includeDeleted = false } = {}) {
     try {
-      const document = await Document.findById(documentId);
+      const document = await Document.findOne({
+        _id: documentId,
+        ...(includeDeleted ? {} : { deletedAt: null }),
+      });
       return document;
     } catch (error) {
       console.error('Error getting document:', error.message);
@@ -62,23 +100,33 @@ class DocumentService {
    * @param {Object} options - Query options
    * @param {string} options.owner - Filter by owner
    * @param {string} options.username - Filter by username (returns documents user owns OR has access to)
+   * @param {string} options.folder - Filter by folder ID; 'root' returns the documents that
+   * are not in any folder the user can see
    * @param {number} options.limit - Limit results
    * @param {number} options.skip - Skip results
    * @returns {Promise<Array>} Array of documents
    */
   async getDocuments(options = {}) {
     try {
-      const { owner, username, limit = 100, skip = 0 } = options;
+      const { owner, username, folder, limit = 100, skip = 0 } = options;
 
-      let query = {};
+      // Documents in the trash are listed separately
+      let query = { deletedAt: null };
 
       if (username) {
-        // Get documents where user is owner OR has permissions
-        query = {
-          $or: [{ owner: username }, { 'permissions.username': username }],
-        };
+        // Get documents where user is owner OR has permissions, directly or through a folder
+        const folderIds = await folderService.getVisibleFolderIds(username);
+        query = { ...query, ...this.getAccessQuery(username, folderIds) };
+
+        if (folder === 'root') {
+          query.$and = [{ $or: [{ folder: null }, { folder: { $nin: folderIds } }] }];
+        }
       } else if (owner) {
-        query = { owner };
+        query = { ...query, owner };
+      }
+
+      if (folder && folder !== 'root') {
+        query.folder = folder;
       }
 
       const documents = await Document.find(query).sort({ updatedAt: -1 }).limit(limit).skip(skip);
@@ -91,36 +139,117 @@ class DocumentService {
   }
 
   /**
-   * Update document content
+   * Get the query condition matching the documents a user can read: those they own or have
+   * a role on, directly or through a folder
+   * @param {string} username - Username
+   * @param {Array} folderIds - Folders the user can see (see FolderService.getVisibleFolderIds)
+   * @returns {Object} Query condition
+   */
+  getAccessQuery(username, folderIds) {
+    return {
+      $or: [
+        { owner: username },
+        { 'permissions.username': username },
+        { folder: { $in: folderIds } },
+      ],
+    };
+  }
+
+  /**
+   * Search the documents a user can read by title and content
+   * @param {string} username - Username
+   * @param {string} query - Search query, in MongoDB $text syntax (words, "phrases", -excluded)
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Limit results
+   * @param {number} options.skip - Skip results
+   * @returns {Promise<Array>} Results, best match first, each with its score and a snippet
+   */
+  async searchDocuments(username, query, { limit = 20, skip = 0 } = {}) {
+    try {
+      const folderIds = await folderService.getVisibleFolderIds(username);
+
+      const documents = await Document.find(
+        {
+          $text: { $search: query },
+          deletedAt: null,
+          ...this.getAccessQuery(username, folderIds),
+        },
+        { score: { $meta: 'textScore' } }
+      )
+        .select('title owner folder updatedAt plainText')
+        .sort({ score: { $meta: 'textScore' } })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+
+      const terms = searchService.getTerms(query);
+      return documents.map((document) => ({
+        _id: document._id,
+        title: document.title,
+        owner: document.owner,
+        folder: document.folder,
+        updatedAt: document.updatedAt,
+        score: document.score,
+        snippet: searchService.getSnippet(document.plainText, terms),
+      }));
+    } catch (error) {
+      console.error('Error searching documents:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update document content and/or title
+   * With ifRevision, the update only happens if the document is still at one of those
+   * revisions; otherwise it fails with 'Document has been modified' and the error carries
+   * the current revision
    * @param {string} documentId - Document ID
-   * @param {string} content - New content
+   * @param {Object} changes - Fields to change
+   * @param {string} changes.title - New title
+   * @param {string} changes.content - New content
    * @param {string} username - Username making the update
+   * @param {Object} options - Update options
+   * @param {string} options.label - Optional name for the saved version
+   * @param {Array<number>} options.ifRevision - Revisions the update is allowed to replace
+   * @param {boolean} options.saveVersion - Record new content as a version (autosaves don't)
    * @returns {Promise<Object>} Updated document
    */
-  async updateDocumentContent(documentId, content, username) {
+  async updateDocument(
+    documentId,
+    { title, content },
+    username,
+    { label = null, ifRevision = null, saveVersion = true } = {}
+  ) {
     try {
-      const document = await Document.findByIdAndUpdate(
-        documentId,
-        {
-          content,
-          updatedAt: new Date(),
-          $push: {
-            versions: {
-              content,
-              timestamp: new Date(),
-              user: username || 'Anonymous',
-            },
-          },
-        },
+      const changes = { updatedAt: new Date() };
+      if (content !== undefined) {
+        changes.content = content;
+        changes.plainText = searchService.toPlainText(content);
+      }
+      if (title !== undefined) {
+        changes.title = title;
+      }
+
+      const document = await Document.findOneAndUpdate(
+        { _id: documentId, deletedAt: null, ...(ifRevision ? matchRevision(ifRevision) : {}) },
+        { $set: changes, $inc: { revision: 1 } },
         { new: true }
       );
 
       if (!document) {
-        throw new Error('Document not found');
+        throw await this.getWriteError(documentId);
       }
 
-      // Update CRDT state
-      crdtService.setContent(documentId, content);
+      // The live state only changes once the write succeeded, so rejected content is never
+      // logged or broadcast
+      if (content !== undefined) {
+        await this.updateLiveContent(documentId, content, username);
+      }
+      if (content !== undefined && saveVersion) {
+        await versionService.createVersion(documentId, content, username || 'Anonymous', {
+          label,
+        });
+      }
 
       return document;
     } catch (error) {
@@ -129,33 +258,198 @@ class DocumentService {
     }
   }
 
+  /**
+   * Update document content
+   * @param {string} documentId - Document ID
+   * @param {string} content - New content
+   * @param {string} username - Username making the update
+   * @param {Object} options - Update options ({ label, ifRevision, saveVersion }, see
+   *   updateDocument)
+   * @returns {Promise<Object>} Updated document
+   */
+  async updateDocumentContent(documentId, content, username, options = {}) {
+    return this.updateDocument(documentId, { content }, username, options);
+  }
+
+  /**
+   * Explain why a write matched no document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Error>} 'Document not found', or 'Document has been modified' with the
+   *   current revision
+   */
+  async getWriteError(documentId) {
+    const current = await Document.findOne({ _id: documentId, deletedAt: null }).select('revision');
+    if (!current) {
+      return new Error('Document not found');
+    }
+
+    const error = new Error('Document has been modified');
+    error.revision = current.revision || 0;
+    return error;
+  }
+
+  /**
+   * Apply content to a document's live state on the node that owns it
+   * @param {string} documentId - Document ID
+   * @param {string} content - New content
+   * @param {string} username - Username making the update
+   * @returns {Promise} Resolves once the change is applied and logged
+   */
+  updateLiveContent(documentId, content, username) {
+    return clusterService.runOnOwner(documentId, 'set_live_content', {
+      documentId,
+      content,
+      username,
+    });
+  }
+
+  /**
+   * Apply content to a document's live CRDT state and log the difference as operations
+   * Runs on the node that owns the document
+   * @param {Object} update - Content update
+   * @param {string} update.documentId - Document ID
+   * @param {string} update.content - New content
+   * @param {string} update.username - Username making the update
+   */
+  async setLiveContent({ documentId, content, username }) {
+    // Diff against the live state, not an empty one
+    if (!crdtService.documentStates.has(documentId)) {
+      await this.loadDocumentIntoCRDT(documentId);
+    }
+
+    const result = crdtService.setContent(documentId, content, null, username);
+    await operationLogService.append(documentId, result.operations, { user: username });
+
+    if (result.operations.length > 0) {
+      this.emit('content_updated', {
+        documentId,
+        operations: result.operations,
+        content: result.content,
+        version: result.version,
+        user: username,
+      });
+    }
+  }
+
+  /**
+   * Drop a document's live CRDT state and give up its ownership
+   * Runs on the node that owns the document
+   * @param {string} documentId - Document ID
+   */
+  async clearLiveState(documentId) {
+    crdtService.clearDocument(documentId);
+    await clusterService.release(documentId);
+  }
+
   /**
    * Update document title
    * @param {string} documentId - Document ID
    * @param {string} title - New title
+   * @param {Object} options - Update options ({ ifRevision }, see updateDocument)
    * @returns {Promise<Object>} Updated document
    */
-  async updateDocumentTitle(documentId, title) {
+  async updateDocumentTitle(documentId, title, options = {}) {
+    return this.updateDocument(documentId, { title }, null, options);
+  }
+
+  /**
+   * Move a document to the trash
+   * It disappears from listings and can no longer be opened or edited until it is restored
+   * With ifRevision, the document is only trashed if it is still at one of those revisions
+   * (see updateDocument)
+   * @param {string} documentId - Document ID
+   * @param {string} username - User moving the document to the trash
+   * @param {Object} options - Options
+   * @param {Array<number>} options.ifRevision - Revisions the document may be at
+   * @returns {Promise<Object>} Trashed document
+   */
+  async trashDocument(documentId, username, { ifRevision = null } = {}) {
     try {
-      const document = await Document.findByIdAndUpdate(
-        documentId,
-        { title, updatedAt: new Date() },
+      const document = await Document.findOneAndUpdate(
+        { _id: documentId, deletedAt: null, ...(ifRevision ? matchRevision(ifRevision) : {}) },
+        { $set: { deletedAt: new Date(), deletedBy: username } },
         { new: true }
       );
 
       if (!document) {
-        throw new Error('Document not found');
+        throw await this.getWriteError(documentId);
+      }
+
+      // Nobody may open or edit it while it is in the trash
+      await permissionService.invalidate(documentId);
+      return document;
+    } catch (error) {
+      console.error('Error moving document to trash:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Take a document out of the trash
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Restored document, or null if it was not in the trash
+   */
+  async restoreDocument(documentId) {
+    try {
+      const document = await Document.findOneAndUpdate(
+        { _id: documentId, deletedAt: { $ne: null } },
+        { $set: { deletedAt: null, deletedBy: null } },
+        { new: true }
+      );
+      if (document) {
+        await permissionService.invalidate(documentId);
       }
+      return document;
+    } catch (error) {
+      console.error('Error restoring document:', error.message);
+      throw error;
+    }
+  }
 
+  /**
+   * Move a document into a folder
+   * @param {string} documentId - Document ID
+   * @param {string|null} folderId - Folder ID, or null for the top level
+   * @returns {Promise<Object|null>} Updated document, or null if not found
+   */
+  async moveDocument(documentId, folderId) {
+    try {
+      const document = await Document.findOneAndUpdate(
+        { _id: documentId, deletedAt: null },
+        { $set: { folder: folderId || null } },
+        { new: true }
+      );
+      if (document) {
+        // Roles inherited from the old folder no longer apply
+        await permissionService.invalidate(documentId);
+      }
       return document;
     } catch (error) {
-      console.error('Error updating document title:', error.message);
+      console.error('Error moving document:', error.message);
       throw error;
     }
   }
 
   /**
-   * Delete document
+   * Get the documents a user owns that are in the trash, most recently trashed first
+   * @param {string} owner - Owner email
+   * @returns {Promise<Array>} Trashed documents
+   */
+  async getTrashedDocuments(owner) {
+    try {
+      const documents = await Document.find({ owner, deletedAt: { $ne: null } }).sort({
+        deletedAt: -1,
+      });
+      return documents;
+    } catch (error) {
+      console.error('Error getting trashed documents:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete document permanently, with its operation log, version history, comments and
+   * suggestions
    * @param {string} documentId - Document ID
    * @returns {Promise<boolean>} True if deleted
    */
@@ -163,8 +457,13 @@ class DocumentService {
     try {
       const result = await Document.findByIdAndDelete(documentId);
 
-      // Clear CRDT state
-      crdtService.clearDocument(documentId);
+      // Clear CRDT state, operation log, version history, comments and suggestions
+      await clusterService.runOnOwner(documentId, 'clear_live_state', { documentId });
+      await operationLogService.clearDocument(documentId);
+      await versionService.deleteVersions(documentId);
+      await commentService.deleteComments(documentId);
+      await suggestionService.deleteSuggestions(documentId);
+      await permissionService.invalidate(documentId);
 
       return !!result;
     } catch (error) {
@@ -174,14 +473,16 @@ class DocumentService {
   }
 
   /**
-   * Load document content into CRDT
+   * Load document into CRDT
+   * Rebuilds state from the operation log so edits not yet saved survive a restart
    * @param {string} documentId - Document ID
    */
   async loadDocumentIntoCRDT(documentId) {
     try {
       const document = await this.getDocumentById(documentId);
       if (document) {
-        crdtService.setContent(documentId, document.content || '');
+        await operationLogService.loadIntoCRDT(documentId, document.content || '');
+        await commentService.loadAnchors(documentId);
       }
     } catch (error) {
       console.error('Error loading document into CRDT:', error.message);
@@ -191,7 +492,7 @@ class DocumentService {
   /**
    * Generate share link for document
    * @param {string} documentId - Document ID
-   * @param {string} access - Access level ('read' or 'edit')
+   * @param {string} access - Access level ('read', 'comment' or 'edit')
    * @param {string} requesterUsername - Username requesting the share link
    * @returns {Promise<string>} Share token
    */
@@ -230,7 +531,7 @@ class DocumentService {
    */
   async getDocumentByShareToken(shareToken) {
     try {
-      const document = await Document.findOne({ shareToken });
+      const document = await Document.findOne({ shareToken, deletedAt: null });
       return document;
     } catch (error) {
       console.error('Error getting document by share token:', error);
@@ -246,7 +547,7 @@ class DocumentService {
    */
   async joinDocumentByShareToken(shareToken, userEmail) {
     try {
-      const document = await Document.findOne({ shareToken });
+      const document = await Document.findOne({ shareToken, deletedAt: null });
       if (!document) {
         throw new Error('Invalid share token');
       }
@@ -256,21 +557,13 @@ class DocumentService {
       // Normalize email to lowercase for consistency
       const normalizedEmail = userEmail.toLowerCase().trim();
 
-      // Add user permission based on share access
-      if (access === 'edit') {
-        // Add as editor
-        const existingPermission = document.permissions.find((p) => p.username === normalizedEmail);
-        if (!existingPermission) {
-          document.permissions.push({ username: normalizedEmail, role: 'editor' });
-          await document.save();
-        }
-      } else if (access === 'read') {
-        // Add as viewer
-        const existingPermission = document.permissions.find((p) => p.username === normalizedEmail);
-        if (!existingPermission) {
-          document.permissions.push({ username: normalizedEmail, role: 'viewer' });
-          await document.save();
-        }
+      // Add user permission based on share access; users who already have a role keep it
+      const role = SHARE_ROLES[access];
+      const existingPermission = document.permissions.find((p) => p.username === normalizedEmail);
+      if (role && !existingPermission) {
+        document.permissions.push({ username: normalizedEmail, role });
+        await document.save();
+        await permissionService.invalidate(document._id);
       }
 
       return {
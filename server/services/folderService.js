@@ -0,0 +1,392 @@
+const Folder = require('../models/Folder');
+const Document = require('../models/Document');
+const permissionService = require('./permissionService');
+
+// Folders nested deeper than this are not searched
+const MAX_FOLDER_DEPTH = 50;
+
+/**
+ * Folder Service
+ * Handles folders, which nest inside each other and hold documents
+ * A role granted on a folder applies to everything inside it (see PermissionService)
+ */
+class FolderService {
+  /**
+   * Create a folder
+   * @param {Object} data - Folder data
+   * @param {string} data.name - Folder name
+   * @param {string} data.owner - Folder owner username
+   * @param {string} data.parent - Parent folder ID, or null for a top-level folder
+   * @returns {Promise<Object>} Created folder
+   */
+  async createFolder({ name, owner, parent = null }) {
+    try {
+      const folderName = this.normalizeName(name);
+
+      if (parent) {
+        const canWrite = await permissionService.checkFolderPermission(parent, owner, 'write');
+        if (!canWrite) {
+          throw new Error('Insufficient permissions');
+        }
+      }
+
+      const folder = new Folder({ name: folderName, owner, parent: parent || null });
+      return await folder.save();
+    } catch (error) {
+      console.error('Error creating folder:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get folder by ID
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Object|null>} Folder or null
+   */
+  async getFolderById(folderId) {
+    try {
+      return await Folder.findById(folderId);
+    } catch (error) {
+      console.error('Error getting folder:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of every folder a user can see: the folders they own or were given a role
+   * on, and everything nested inside them
+   * @param {string} username - Username
+   * @returns {Promise<Array>} Folder IDs
+   */
+  async getVisibleFolderIds(username) {
+    const folders = await this.getVisibleFolders(username);
+    return folders.map((folder) => folder._id);
+  }
+
+  /**
+   * Get every folder a user can see
+   * @param {string} username - Username
+   * @returns {Promise<Array>} Folders
+   */
+  async getVisibleFolders(username) {
+    const folders = await Folder.find({
+      $or: [{ owner: username }, { 'permissions.username': username }],
+    });
+
+    const seen = new Set(folders.map((folder) => folder._id.toString()));
+    let frontier = folders.map((folder) => folder._id);
+
+    for (let depth = 0; frontier.length > 0 && depth < MAX_FOLDER_DEPTH; depth++) {
+      const children = await Folder.find({ parent: { $in: frontier } });
+      frontier = [];
+      for (const child of children) {
+        const id = child._id.toString();
+        if (!seen.has(id)) {
+          seen.add(id);
+          folders.push(child);
+          frontier.push(child._id);
+        }
+      }
+    }
+
+    return folders;
+  }
+
+  /**
+   * Get the folders a user can see, each with the user's role on it
+   * Folders whose parent the user cannot see are listed with parent null, at the top level
+   * @param {string} username - Username
+   * @returns {Promise<Array>} Folders sorted by name
+   */
+  async getFolderTree(username) {
+    try {
+      const folders = await this.getVisibleFolders(username);
+      const byId = new Map(folders.map((folder) => [folder._id.toString(), folder]));
+      const roles = new Map();
+
+      // Roles come from the folder itself or any visible folder above it; folders the
+      // user cannot see grant them nothing
+      const roleOf = (folder, depth = 0) => {
+        const id = folder._id.toString();
+        if (roles.has(id)) {
+          return roles.get(id);
+        }
+
+        let role = permissionService.getDirectRole(folder, username);
+        const parent = folder.parent && byId.get(folder.parent.toString());
+        if (role !== 'owner' && parent && depth < MAX_FOLDER_DEPTH) {
+          role = permissionService.higherRole(role, roleOf(parent, depth + 1));
+        }
+
+        roles.set(id, role);
+        return role;
+      };
+
+      return folders
+        .map((folder) => ({
+          ...folder.toJSON(),
+          parent: folder.parent && byId.has(folder.parent.toString()) ? folder.parent : null,
+          role: roleOf(folder),
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    } catch (error) {
+      console.error('Error getting folder tree:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the folders from the top level down to a folder, for breadcrumbs
+   * The path starts at the highest folder the user can read
+   * @param {string} folderId - Folder ID
+   * @param {string} username - Username
+   * @returns {Promise<Array>} Folders as { _id, name }, the folder itself last
+   */
+  async getFolderPath(folderId, username) {
+    try {
+      const path = [];
+      let currentId = folderId;
+
+      for (let depth = 0; currentId && depth < MAX_FOLDER_DEPTH; depth++) {
+        const folder = await Folder.findById(currentId);
+        if (!folder) {
+          break;
+        }
+        path.unshift({ _id: folder._id, name: folder.name });
+        currentId = folder.parent;
+      }
+
+      // Drop the ancestors the user has no role on
+      while (path.length > 1) {
+        const canRead = await permissionService.checkFolderPermission(
+          path[0]._id,
+          username,
+          'read'
+        );
+        if (canRead) {
+          break;
+        }
+        path.shift();
+      }
+
+      return path;
+    } catch (error) {
+      console.error('Error getting folder path:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the subfolders of a folder
+   * @param {string} folderId - Folder ID
+   * @returns {Promise<Array>} Subfolders sorted by name
+   */
+  async getSubfolders(folderId) {
+    try {
+      return await Folder.find({ parent: folderId }).sort({ name: 1 });
+    } catch (error) {
+      console.error('Error getting subfolders:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a folder and/or move it into another folder
+   * Renaming needs write access; moving needs manage access on the folder and write access
+   * on the destination
+   * @param {string} folderId - Folder ID
+   * @param {Object} changes - Fields to change
+   * @param {string} changes.name - New name
+   * @param {string|null} changes.parent - New parent folder ID, or null for the top level
+   * @param {string} username - Username making the change
+   * @returns {Promise<Object>} Updated folder
+   */
+  async updateFolder(folderId, { name, parent }, username) {
+    try {
+      const folder = await Folder.findById(folderId);
+      if (!folder) {
+        throw new Error('Folder not found');
+      }
+
+      if (name !== undefined) {
+        if (!(await permissionService.checkFolderPermission(folderId, username, 'write'))) {
+          throw new Error('Insufficient permissions');
+        }
+        folder.name = this.normalizeName(name);
+      }
+
+      if (parent !== undefined) {
+        const canManage = await permissionService.checkFolderPermission(
+          folderId,
+          username,
+          'manage'
+        );
+        const canWriteTarget =
+          !parent || (await permissionService.checkFolderPermission(parent, username, 'write'));
+        if (!canManage || !canWriteTarget) {
+          throw new Error('Insufficient permissions');
+        }
+        if (parent && (await this.isInside(parent, folderId))) {
+          throw new Error('Cannot move a folder into itself');
+        }
+        folder.parent = parent || null;
+      }
+
+      folder.updatedAt = new Date();
+      const saved = await folder.save();
+      if (parent !== undefined) {
+        // Everything inside now inherits roles from different folders
+        await permissionService.invalidateAll();
+      }
+      return saved;
+    } catch (error) {
+      console.error('Error updating folder:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a folder is another folder or nested somewhere inside it
+   * @param {string} folderId - Folder to check
+   * @param {string} ancestorId - Possible ancestor
+   * @returns {Promise<boolean>} True if folderId is ancestorId or inside it
+   */
+  async isInside(folderId, ancestorId) {
+    let currentId = folderId;
+
+    for (let depth = 0; currentId && depth < MAX_FOLDER_DEPTH; depth++) {
+      if (currentId.toString() === ancestorId.toString()) {
+        return true;
+      }
+      const folder = await Folder.findById(currentId).select('parent');
+      currentId = folder ? folder.parent : null;
+    }
+
+    // Too deep to tell: refuse rather than risk a cycle
+    return !!currentId;
+  }
+
+  /**
+   * Delete an empty folder
+   * Documents from the folder that are in the trash are restored to the top level
+   * @param {string} folderId - Folder ID
+   * @param {string} username - Username deleting the folder
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteFolder(folderId, username) {
+    try {
+      const folder = await Folder.findById(folderId);
+      if (!folder) {
+        throw new Error('Folder not found');
+      }
+
+      if (!(await permissionService.checkFolderPermission(folderId, username, 'delete'))) {
+        throw new Error('Insufficient permissions');
+      }
+
+      const [subfolders, documents] = await Promise.all([
+        Folder.countDocuments({ parent: folderId }),
+        Document.countDocuments({ folder: folderId, deletedAt: null }),
+      ]);
+      if (subfolders > 0 || documents > 0) {
+        throw new Error('Folder is not empty');
+      }
+
+      await Document.updateMany({ folder: folderId }, { $set: { folder: null } });
+      await Folder.findByIdAndDelete(folderId);
+      await permissionService.invalidateAll();
+      return true;
+    } catch (error) {
+      console.error('Error deleting folder:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Give a user a role on a folder and everything inside it
+   * @param {string} folderId - Folder ID
+   * @param {string} username - Username to grant the role to
+   * @param {string} role - Role ('owner', 'editor', 'commenter', 'viewer')
+   * @param {string} requesterUsername - Username requesting the permission change
+   * @returns {Promise<boolean>} True if successful
+   */
+  async addPermission(folderId, username, role, requesterUsername) {
+    try {
+      const folder = await Folder.findById(folderId);
+      if (!folder) {
+        throw new Error('Folder not found');
+      }
+
+      const canManage = await permissionService.checkFolderPermission(
+        folderId,
+        requesterUsername,
+        'manage'
+      );
+      if (!canManage) {
+        throw new Error('Insufficient permissions');
+      }
+
+      folder.permissions = folder.permissions.filter((p) => p.username !== username);
+      folder.permissions.push({ username, role });
+      await folder.save();
+      await permissionService.invalidateAll();
+      return true;
+    } catch (error) {
+      console.error('Error adding folder permission:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a user's role on a folder
+   * Roles the user has on folders above it or on the documents themselves are kept
+   * @param {string} folderId - Folder ID
+   * @param {string} username - Username to remove the role from
+   * @param {string} requesterUsername - Username requesting the permission change
+   * @returns {Promise<boolean>} True if successful
+   */
+  async removePermission(folderId, username, requesterUsername) {
+    try {
+      const folder = await Folder.findById(folderId);
+      if (!folder) {
+        throw new Error('Folder not found');
+      }
+
+      const canManage = await permissionService.checkFolderPermission(
+        folderId,
+        requesterUsername,
+        'manage'
+      );
+      if (!canManage) {
+        throw new Error('Insufficient permissions');
+      }
+
+      if (folder.owner === username) {
+        throw new Error('Cannot remove owner permission');
+      }
+
+      folder.permissions = folder.permissions.filter((p) => p.username !== username);
+      await folder.save();
+      await permissionService.invalidateAll();
+      return true;
+    } catch (error) {
+      console.error('Error removing folder permission:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Trim a folder name and check it is not empty
+   * @param {string} name - Folder name
+   * @returns {string} Trimmed name
+   */
+  normalizeName(name) {
+    const folderName = typeof name === 'string' ? name.trim() : '';
+    if (!folderName) {
+      throw new Error('Folder name is required');
+    }
+    return folderName;
+  }
+}
+
+module.exports = new FolderService();
@@ -0,0 +1,173 @@
+const Operation = require('../models/Operation');
+const Snapshot = require('../models/Snapshot');
+const crdtService = require('./crdtService');
+
+/**
+ * Operation Log Service
+ * Persists every applied CRDT operation so in-memory document state can be rebuilt
+ * after a restart. Each base (the plain text a CRDT sequence was built from) is stored
+ * as a 'base' entry, followed by the operations applied on top of it. Snapshots cover
+ * a prefix of the log, which is then compacted away
+ */
+class OperationLogService {
+  constructor() {
+    this.recordedBases = new Map(); // documentId -> baseId already persisted
+    this.pendingCounts = new Map(); // documentId -> operations logged since the last snapshot
+  }
+
+  /**
+   * Append applied operations to the log
+   * Records the document's current base first if it has not been persisted yet
+   * @param {string} documentId - Document ID
+   * @param {Array} operations - Identifier-based operations that were applied
+   * @param {Object} meta - Operation metadata
+   * @param {string} meta.clientId - Socket client that produced the operations
+   * @param {string} meta.user - User who made the change
+   */
+  async append(documentId, operations = [], { clientId = null, user = null } = {}) {
+    // Read the base synchronously so it matches the operations just applied
+    const base = crdtService.getBase(documentId);
+    if (!base) {
+      return;
+    }
+
+    const entries = [];
+    const recordBase = this.recordedBases.get(documentId) !== base.baseId;
+    if (recordBase) {
+      entries.push({
+        documentId,
+        baseId: base.baseId,
+        clientId,
+        user,
+        site: 'root',
+        clock: 0,
+        payload: { type: 'base', content: base.content },
+      });
+      this.recordedBases.set(documentId, base.baseId);
+    }
+
+    operations.forEach((op) => {
+      entries.push({
+        documentId,
+        baseId: base.baseId,
+        clientId,
+        user,
+        site: op.id.site,
+        clock: op.id.clock,
+        payload: op,
+      });
+    });
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    this.pendingCounts.set(documentId, this.getPendingCount(documentId) + operations.length);
+
+    try {
+      await Operation.insertMany(entries);
+    } catch (error) {
+      console.error('Error appending operations:', error.message);
+      if (recordBase) {
+        this.recordedBases.delete(documentId);
+      }
+    }
+  }
+
+  /**
+   * Get the number of operations logged since the document's last snapshot
+   * @param {string} documentId - Document ID
+   * @returns {number} Pending operation count
+   */
+  getPendingCount(documentId) {
+    return this.pendingCounts.get(documentId) || 0;
+  }
+
+  /**
+   * Reset the pending operation count (called when a snapshot is taken)
+   * @param {string} documentId - Document ID
+   */
+  resetPendingCount(documentId) {
+    this.pendingCounts.delete(documentId);
+  }
+
+  /**
+   * Remove log entries covered by a snapshot
+   * Entries of older bases are removed too, as long as they predate the snapshot
+   * @param {string} documentId - Document ID
+   * @param {Object} snapshot - Snapshot the entries are covered by
+   * @param {string} snapshot.baseId - Base of the snapshot
+   * @param {Object} snapshot.stateVector - State vector of the snapshot
+   * @param {Date} snapshot.createdAt - When the snapshot was taken
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async compact(documentId, { baseId, stateVector, createdAt }) {
+    const covered = Object.entries(stateVector).map(([site, clock]) => ({
+      baseId,
+      site,
+      clock: { $lte: clock },
+    }));
+
+    const result = await Operation.deleteMany({
+      documentId,
+      $or: [{ baseId: { $ne: baseId }, createdAt: { $lte: createdAt } }, ...covered],
+    });
+    return result.deletedCount || 0;
+  }
+
+  /**
+   * Rebuild a document's CRDT state from the latest snapshot or base plus the log tail
+   * A base entry left in the log is newer than any snapshot (compaction removes older
+   * ones), so it takes precedence. Documents without a log (e.g. created before logging
+   * existed) start a new base from their saved content
+   * @param {string} documentId - Document ID
+   * @param {string} savedContent - Content stored on the document
+   * @returns {Promise<string>} Restored content
+   */
+  async loadIntoCRDT(documentId, savedContent = '') {
+    const base = await Operation.findOne({ documentId, 'payload.type': 'base' }).sort({ _id: -1 });
+
+    if (!base) {
+      const snapshot = await Snapshot.findOne({ documentId }).sort({ createdAt: -1 });
+      if (snapshot) {
+        const tail = await Operation.find({ documentId, baseId: snapshot.baseId }).sort({ _id: 1 });
+        this.recordedBases.set(documentId, snapshot.baseId);
+        return crdtService.restoreSnapshot(
+          documentId,
+          snapshot.state,
+          tail.map((entry) => entry.payload)
+        );
+      }
+
+      crdtService.setContent(documentId, savedContent);
+      await this.append(documentId);
+      return crdtService.getContent(documentId);
+    }
+
+    const tail = await Operation.find({
+      documentId,
+      baseId: base.baseId,
+      _id: { $gt: base._id },
+    }).sort({ _id: 1 });
+
+    this.recordedBases.set(documentId, base.baseId);
+    return crdtService.restoreDocument(
+      documentId,
+      { baseId: base.baseId, content: base.payload.content },
+      tail.map((entry) => entry.payload)
+    );
+  }
+
+  /**
+   * Remove a document's operation log and snapshots
+   * @param {string} documentId - Document ID
+   */
+  async clearDocument(documentId) {
+    this.recordedBases.delete(documentId);
+    this.pendingCounts.delete(documentId);
+    await Operation.deleteMany({ documentId });
+    await Snapshot.deleteMany({ documentId });
+  }
+}
+
+module.exports = new OperationLogService();
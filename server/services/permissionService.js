@@ -1,81 +1,282 @@
 const Document = require('../models/Document');
+const Folder = require('../models/Folder');
+const clusterService = require('./clusterService');
+
+// Roles from least to most privileged
+const ROLE_RANKS = { viewer: 1, commenter: 2, editor: 3, owner: 4 };
+
+// Folders nested deeper than this are not searched for inherited roles
+const MAX_FOLDER_DEPTH = 50;
+
+// How long a cached role is trusted, in case it changed without going through this service
+const PERMISSION_CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS, 10) || 60000;
+
+// Most roles kept in the cache; the documents cached longest ago are dropped first
+const PERMISSION_CACHE_MAX_ENTRIES =
+  parseInt(process.env.PERMISSION_CACHE_MAX_ENTRIES, 10) || 10000;
 
 /**
  * Permission Service
- * Handles role-based access control for documents
- * Roles: owner, editor, viewer
+ * Handles role-based access control for documents and folders
+ * Roles: owner, editor, commenter (may comment and suggest changes but not edit), viewer
+ * A role granted on a folder applies to every subfolder and document inside it; the most
+ * privileged of a user's roles wins
+ * Document roles are cached, since every live edit checks them; anything that changes who
+ * may access a document must call invalidate (or invalidateAll for folder changes)
  */
 class PermissionService {
+  constructor() {
+    this.roleCache = new Map(); // documentId -> Map(username -> { role, expiresAt })
+    this.cacheSize = 0;
+    this.cacheGeneration = 0; // Bumped by every invalidation
+    this.cacheStats = { hits: 0, misses: 0 };
+
+    // Other nodes tell us when roles they changed may be cached here
+    clusterService.handle('permissions_changed', ({ documentId }) => this.clearCache(documentId));
+  }
+
+  /**
+   * Pick the more privileged of two roles
+   * @param {string|null} a - Role
+   * @param {string|null} b - Role
+   * @returns {string|null} The higher role, or null if both are null
+   */
+  higherRole(a, b) {
+    return (ROLE_RANKS[b] || 0) > (ROLE_RANKS[a] || 0) ? b : a;
+  }
+
+  /**
+   * Get the role a document or folder grants a user itself, ignoring the folders above it
+   * @param {Object} resource - Document or folder
+   * @param {string} username - Username
+   * @returns {string|null} Role or null
+   */
+  getDirectRole(resource, username) {
+    if (resource.owner === username) {
+      return 'owner';
+    }
+    const permission = resource.permissions.find((p) => p.username === username);
+    return permission ? permission.role : null;
+  }
+
+  /**
+   * Check whether a role allows an action
+   * @param {string|null} role - Role
+   * @param {string} action - Action ('read', 'comment', 'write', 'delete', 'manage')
+   * @returns {boolean} True if the role allows the action
+   */
+  roleAllows(role, action) {
+    switch (action) {
+      case 'read':
+        return role === 'owner' || role === 'editor' || role === 'commenter' || role === 'viewer';
+      case 'comment':
+        return role === 'owner' || role === 'editor' || role === 'commenter';
+      case 'write':
+        return role === 'owner' || role === 'editor';
+      case 'delete':
+      case 'manage':
+        return role === 'owner';
+      default:
+        return false;
+    }
+  }
+
   /**
    * Check if user has permission for an action
    * @param {string} documentId - Document ID
    * @param {string} username - Username
-   * @param {string} action - Action to check ('read', 'write', 'delete', 'manage')
+   * @param {string} action - Action to check ('read', 'comment', 'write', 'delete', 'manage')
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also check documents in the trash
    * @returns {Promise<boolean>} True if user has permission
    */
-  async checkPermission(documentId, username, action) {
+  async checkPermission(documentId, username, action, options = {}) {
     try {
-      const document = await Document.findById(documentId);
-      if (!document) {
-        return false;
-      }
+      const role = await this.getUserRole(documentId, username, options);
+      return this.roleAllows(role, action);
+    } catch (error) {
+      console.error('Error checking permission:', error);
+      return false;
+    }
+  }
 
-      // Owner has all permissions
-      if (document.owner === username) {
-        return true;
+  /**
+   * Get user's role for a document, including roles inherited from its folders
+   * Nobody has a role on a document in the trash unless includeDeleted is set
+   * @param {string} documentId - Document ID
+   * @param {string} username - Username
+   * @param {Object} options - Options
+   * @param {boolean} options.includeDeleted - Also look up documents in the trash
+   * @returns {Promise<string|null>} User's role or null
+   */
+  async getUserRole(documentId, username, { includeDeleted = false } = {}) {
+    // Trash actions are rare, and their roles must not be served to other lookups
+    if (includeDeleted) {
+      try {
+        return await this.loadUserRole(documentId, username, { includeDeleted });
+      } catch (error) {
+        console.error('Error getting user role:', error);
+        return null;
       }
+    }
 
-      // Find user's permission entry
-      const userPermission = document.permissions.find((p) => p.username === username);
-
-      if (!userPermission) {
-        // No explicit permission, check if user is owner
-        return document.owner === username;
-      }
+    const key = String(documentId);
+    const cached = this.roleCache.get(key)?.get(username);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.cacheStats.hits++;
+      return cached.role;
+    }
+    this.cacheStats.misses++;
 
-      const role = userPermission.role;
-
-      // Check permissions based on role and action
-      switch (action) {
-        case 'read':
-          return role === 'owner' || role === 'editor' || role === 'viewer';
-        case 'write':
-          return role === 'owner' || role === 'editor';
-        case 'delete':
-        case 'manage':
-          return role === 'owner';
-        default:
-          return false;
+    try {
+      // A role read while it was being changed must not end up in the cache
+      const generation = this.cacheGeneration;
+      const role = await this.loadUserRole(documentId, username);
+      if (generation === this.cacheGeneration) {
+        this.cacheRole(key, username, role);
       }
+      return role;
     } catch (error) {
-      console.error('Error checking permission:', error);
-      return false;
+      console.error('Error getting user role:', error);
+      return null;
     }
   }
 
   /**
-   * Get user's role for a document
+   * Read a user's role for a document from MongoDB
    * @param {string} documentId - Document ID
    * @param {string} username - Username
+   * @param {Object} options - Options ({ includeDeleted }, see getUserRole)
    * @returns {Promise<string|null>} User's role or null
    */
-  async getUserRole(documentId, username) {
-    try {
-      const document = await Document.findById(documentId);
-      if (!document) {
-        return null;
+  async loadUserRole(documentId, username, { includeDeleted = false } = {}) {
+    const document = await Document.findOne({
+      _id: documentId,
+      ...(includeDeleted ? {} : { deletedAt: null }),
+    }).select('owner permissions folder');
+    if (!document) {
+      return null;
+    }
+
+    const role = this.getDirectRole(document, username);
+    if (role === 'owner' || !document.folder) {
+      return role;
+    }
+
+    return this.higherRole(role, await this.getFolderRole(document.folder, username));
+  }
+
+  /**
+   * Remember a user's role for a document
+   * @param {string} documentId - Document ID
+   * @param {string} username - Username
+   * @param {string|null} role - Role
+   */
+  cacheRole(documentId, username, role) {
+    let roles = this.roleCache.get(documentId);
+    if (!roles) {
+      roles = new Map();
+      this.roleCache.set(documentId, roles);
+    }
+    if (!roles.has(username)) {
+      this.cacheSize++;
+    }
+    roles.set(username, { role, expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS });
+
+    // Maps iterate in insertion order, so the first document is the oldest
+    while (this.cacheSize > PERMISSION_CACHE_MAX_ENTRIES) {
+      const [oldest] = this.roleCache.keys();
+      this.clearCache(oldest);
+    }
+  }
+
+  /**
+   * Drop cached roles on this node
+   * @param {string|null} documentId - Document ID, or null for every document
+   */
+  clearCache(documentId = null) {
+    this.cacheGeneration++;
+    if (documentId === null) {
+      this.roleCache.clear();
+      this.cacheSize = 0;
+      return;
+    }
+
+    const roles = this.roleCache.get(String(documentId));
+    if (roles) {
+      this.cacheSize -= roles.size;
+      this.roleCache.delete(String(documentId));
+    }
+  }
+
+  /**
+   * Forget the cached roles for a document, on every node
+   * Call after changing its owner, permissions or folder
+   * @param {string} documentId - Document ID
+   */
+  async invalidate(documentId) {
+    this.clearCache(documentId);
+    await clusterService.broadcast('permissions_changed', { documentId: String(documentId) });
+  }
+
+  /**
+   * Forget every cached role, on every node
+   * Call after changing a folder's permissions or moving it, since that changes the roles
+   * inherited by everything inside it
+   */
+  async invalidateAll() {
+    this.clearCache();
+    await clusterService.broadcast('permissions_changed', { documentId: null });
+  }
+
+  /**
+   * Get role cache statistics
+   * @returns {Object} Cached role count, hits and misses
+   */
+  getCacheStats() {
+    return { size: this.cacheSize, ...this.cacheStats };
+  }
+
+  /**
+   * Get user's role for a folder: the highest role granted on it or any folder above it
+   * @param {string} folderId - Folder ID
+   * @param {string} username - Username
+   * @returns {Promise<string|null>} User's role or null
+   */
+  async getFolderRole(folderId, username) {
+    let role = null;
+    let currentId = folderId;
+
+    for (let depth = 0; currentId && depth < MAX_FOLDER_DEPTH; depth++) {
+      const folder = await Folder.findById(currentId);
+      if (!folder) {
+        break;
       }
 
-      if (document.owner === username) {
-        return 'owner';
+      role = this.higherRole(role, this.getDirectRole(folder, username));
+      if (role === 'owner') {
+        break;
       }
+      currentId = folder.parent;
+    }
 
-      const userPermission = document.permissions.find((p) => p.username === username);
+    return role;
+  }
 
-      return userPermission ? userPermission.role : null;
+  /**
+   * Check if user has permission for an action on a folder
+   * @param {string} folderId - Folder ID
+   * @param {string} username - Username
+   * @param {string} action - Action to check ('read', 'comment', 'write', 'delete', 'manage')
+   * @returns {Promise<boolean>} True if user has permission
+   */
+  async checkFolderPermission(folderId, username, action) {
+    try {
+      const role = await this.getFolderRole(folderId, username);
+      return this.roleAllows(role, action);
     } catch (error) {
-      console.error('Error getting user role:', error);
-      return null;
+      console.error('Error checking folder permission:', error);
+      return false;
     }
   }
 
@@ -83,7 +284,7 @@ class PermissionService {
    * Add permission for a user
    * @param {string} documentId - Document ID
    * @param {string} username - Username to grant permission to
-   * @param {string} role - Role to grant ('editor' or 'viewer')
+   * @param {string} role - Role to grant ('editor', 'commenter' or 'viewer')
    * @param {string} requesterUsername - Username requesting the permission change
    * @returns {Promise<boolean>} True if successful
    */
@@ -107,6 +308,7 @@ class PermissionService {
       // Add new permission
       document.permissions.push({ username, role });
       await document.save();
+      await this.invalidate(documentId);
 
       console.log(`Permission added: ${username} as ${role} for document ${documentId}`);
       return true;
@@ -144,6 +346,7 @@ class PermissionService {
 
       document.permissions = document.permissions.filter((p) => p.username !== username);
       await document.save();
+      await this.invalidate(documentId);
 
       console.log(`Permission removed: ${username} from document ${documentId}`);
       return true;
@@ -0,0 +1,336 @@
+const { loadPolicy } = require('../config/sanitizePolicy');
+
+// Elements that never have content or a closing tag
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'wbr', 'area', 'col', 'embed', 'source', 'track']);
+
+// Entities that can hide a URL scheme or CSS function
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  colon: ':',
+  lpar: '(',
+  rpar: ')',
+  bsol: '\\',
+  tab: '\t',
+  newline: '\n',
+};
+
+// CSS that can run script or load resources
+const UNSAFE_STYLE = /url\s*\(|expression\s*\(|javascript:|@import|behavior\s*:|\\/i;
+
+/**
+ * Decode the character references in an attribute value
+ * Numeric references are decoded with or without their semicolon, as browsers do
+ * @param {string} value - Raw attribute value
+ * @returns {string} Decoded value
+ */
+const decodeEntities = (value) =>
+  value
+    .replace(/&#(x[0-9a-f]+|\d+);?/gi, (entity, code) => {
+      const point =
+        code[0] === 'x' || code[0] === 'X' ? parseInt(code.slice(1), 16) : parseInt(code, 10);
+      return point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : '';
+    })
+    .replace(/&([a-z]+);/gi, (entity, name) => NAMED_ENTITIES[name.toLowerCase()] ?? entity);
+
+/**
+ * Check for a character browsers ignore in URLs: whitespace and C0/C1 control characters
+ * @param {string} character - Character
+ * @returns {boolean} True if the character is ignored
+ */
+const isIgnoredInUrl = (character) => {
+  const code = character.charCodeAt(0);
+  return code <= 0x20 || (code >= 0x7f && code <= 0x9f);
+};
+
+/**
+ * Sanitize Service
+ * Removes everything from document HTML that the allow-list policy does not permit, so
+ * content one collaborator writes cannot run script in another collaborator's editor
+ */
+class SanitizeService {
+  constructor() {
+    this.setPolicy(loadPolicy());
+  }
+
+  /**
+   * Replace the policy (see config/sanitizePolicy.js for its shape)
+   * @param {Object} policy - Sanitizer policy
+   */
+  setPolicy(policy) {
+    const lower = (values = []) => values.map((value) => value.toLowerCase());
+    const globalAttributes = lower(policy.globalAttributes);
+
+    this.policy = {
+      tags: new Map(
+        Object.entries(policy.tags || {}).map(([tag, attributes]) => [
+          tag.toLowerCase(),
+          new Set([...lower(attributes), ...globalAttributes]),
+        ])
+      ),
+      styles: new Set(lower(policy.styles)),
+      urlAttributes: new Set(lower(policy.urlAttributes)),
+      urlSchemes: new Set(lower(policy.urlSchemes)),
+      removeWithContent: new Set(lower(policy.removeWithContent)),
+    };
+  }
+
+  /**
+   * Sanitize document HTML
+   * Disallowed tags are dropped but their text is kept, except for the tags removed with
+   * their content; disallowed attributes, unsafe URLs and unsafe styles are dropped.
+   * Content that is already clean is returned unchanged
+   * @param {string} html - Document content
+   * @returns {string} Sanitized content
+   */
+  sanitize(html) {
+    if (typeof html !== 'string') {
+      return '';
+    }
+
+    let output = '';
+    const open = [];
+    let position = 0;
+
+    while (position < html.length) {
+      const start = html.indexOf('<', position);
+      if (start === -1) {
+        output += html.slice(position);
+        break;
+      }
+      output += html.slice(position, start);
+
+      const tag = this.readTag(html, start);
+      if (!tag) {
+        // Not markup, so a browser shows it as text
+        output += '&lt;';
+        position = start + 1;
+        continue;
+      }
+      position = tag.end;
+
+      if (tag.kind === 'comment') {
+        continue;
+      }
+      if (tag.kind === 'open' && this.policy.removeWithContent.has(tag.name)) {
+        position = this.skipElement(html, position, tag.name);
+        continue;
+      }
+
+      const attributes = this.policy.tags.get(tag.name);
+      if (!attributes) {
+        continue;
+      }
+
+      if (tag.kind === 'close') {
+        // Close anything left open inside it; stray closing tags are dropped
+        const index = open.lastIndexOf(tag.name);
+        while (index !== -1 && open.length > index) {
+          output += `</${open.pop()}>`;
+        }
+        continue;
+      }
+
+      output += `<${tag.name}${this.sanitizeAttributes(tag.attributes, attributes)}>`;
+      if (!VOID_TAGS.has(tag.name)) {
+        open.push(tag.name);
+      }
+    }
+
+    while (open.length > 0) {
+      output += `</${open.pop()}>`;
+    }
+    return output;
+  }
+
+  /**
+   * Read the tag, comment or declaration starting at a '<'
+   * @param {string} html - HTML
+   * @param {number} start - Position of the '<'
+   * @returns {Object|null} { kind: 'open'|'close'|'comment', name, attributes, end }, or
+   *   null if the '<' does not start markup
+   */
+  readTag(html, start) {
+    if (html.startsWith('<!--', start)) {
+      const end = html.indexOf('-->', start + 4);
+      return { kind: 'comment', end: end === -1 ? html.length : end + 3 };
+    }
+    if (html[start + 1] === '!' || html[start + 1] === '?') {
+      const end = html.indexOf('>', start);
+      return { kind: 'comment', end: end === -1 ? html.length : end + 1 };
+    }
+
+    const closing = html[start + 1] === '/';
+    const namePattern = /[a-z][^\s/>]*/iy;
+    namePattern.lastIndex = start + (closing ? 2 : 1);
+    const nameMatch = namePattern.exec(html);
+    if (!nameMatch) {
+      return null;
+    }
+
+    const attributes = [];
+    let position = namePattern.lastIndex;
+
+    for (;;) {
+      while (position < html.length && /[\s/]/.test(html[position])) {
+        position++;
+      }
+      if (position >= html.length) {
+        // Unterminated tags are dropped with the rest of the content, as browsers do
+        return { kind: 'comment', end: html.length };
+      }
+      if (html[position] === '>') {
+        position++;
+        break;
+      }
+
+      // As in browsers, a stray '=' starts an attribute name rather than a value
+      const attributePattern = /[^\s/>][^\s/>=]*/y;
+      attributePattern.lastIndex = position;
+      const attributeMatch = attributePattern.exec(html);
+      if (!attributeMatch) {
+        position++;
+        continue;
+      }
+      const name = attributeMatch[0].toLowerCase();
+      position = attributePattern.lastIndex;
+
+      while (position < html.length && /\s/.test(html[position])) {
+        position++;
+      }
+
+      let value = '';
+      if (html[position] === '=') {
+        position++;
+        while (position < html.length && /\s/.test(html[position])) {
+          position++;
+        }
+
+        const quote = html[position];
+        if (quote === '"' || quote === "'") {
+          const end = html.indexOf(quote, position + 1);
+          if (end === -1) {
+            return { kind: 'comment', end: html.length };
+          }
+          value = html.slice(position + 1, end);
+          position = end + 1;
+        } else {
+          const valuePattern = /[^\s>]*/y;
+          valuePattern.lastIndex = position;
+          value = valuePattern.exec(html)[0];
+          position = valuePattern.lastIndex;
+        }
+      }
+
+      attributes.push({ name, value });
+    }
+
+    return {
+      kind: closing ? 'close' : 'open',
+      name: nameMatch[0].toLowerCase(),
+      attributes,
+      end: position,
+    };
+  }
+
+  /**
+   * Find where an element removed with its content ends
+   * @param {string} html - HTML
+   * @param {number} position - Position after the element's opening tag
+   * @param {string} name - Tag name
+   * @returns {number} Position after its closing tag, or the end of the HTML
+   */
+  skipElement(html, position, name) {
+    const closing = new RegExp(`</${name}(?=[\\s/>])[^>]*>`, 'gi');
+    closing.lastIndex = position;
+    return closing.exec(html) ? closing.lastIndex : html.length;
+  }
+
+  /**
+   * Keep the allowed attributes of a tag, with safe values
+   * @param {Array} attributes - Attributes as { name, value }
+   * @param {Set} allowed - Attribute names allowed on the tag
+   * @returns {string} Attributes to write into the tag, each with a leading space
+   */
+  sanitizeAttributes(attributes, allowed) {
+    const seen = new Set();
+    let output = '';
+
+    for (const { name, value } of attributes) {
+      // Browsers use the first of duplicate attributes
+      if (!allowed.has(name) || seen.has(name)) {
+        continue;
+      }
+      seen.add(name);
+
+      let clean = value;
+      if (name === 'style') {
+        clean = this.sanitizeStyle(value);
+        if (!clean) {
+          continue;
+        }
+      } else if (this.policy.urlAttributes.has(name) && !this.isSafeUrl(value)) {
+        continue;
+      }
+
+      output += ` ${name}="${clean.replace(/"/g, '&quot;')}"`;
+    }
+
+    return output;
+  }
+
+  /**
+   * Keep the allowed CSS properties of a style attribute
+   * @param {string} value - Raw style attribute value
+   * @returns {string} Sanitized declarations, or '' if none are left
+   */
+  sanitizeStyle(value) {
+    return decodeEntities(value)
+      .split(';')
+      .map((declaration) => {
+        const colon = declaration.indexOf(':');
+        if (colon === -1) {
+          return null;
+        }
+        const property = declaration.slice(0, colon).trim().toLowerCase();
+        const propertyValue = declaration.slice(colon + 1).trim();
+        if (!this.policy.styles.has(property) || !propertyValue) {
+          return null;
+        }
+        if (UNSAFE_STYLE.test(propertyValue)) {
+          return null;
+        }
+        return `${property}: ${propertyValue};`;
+      })
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  /**
+   * Check that a URL uses an allowed scheme
+   * Relative URLs are allowed; whitespace, control characters and character references
+   * cannot be used to disguise a scheme
+   * @param {string} value - Raw URL
+   * @returns {boolean} True if the URL is safe
+   */
+  isSafeUrl(value) {
+    if (typeof value !== 'string') {
+      return false;
+    }
+
+    const url = [...decodeEntities(value)]
+      .filter((character) => !isIgnoredInUrl(character))
+      .join('');
+    const scheme = /^([^/?#]*?):/.exec(url);
+    if (!scheme) {
+      return true;
+    }
+    return this.policy.urlSchemes.has(scheme[1].toLowerCase());
+  }
+}
+
+module.exports = new SanitizeService();
@@ -0,0 +1,156 @@
+const Document = require('../models/Document');
+
+// Characters of context shown around the first match in a search snippet
+const SNIPPET_LENGTH = 160;
+
+// Tags that separate words when rendered, so removing them must leave a space
+const BLOCK_TAGS =
+  /<\/?(p|div|br|li|ul|ol|h[1-6]|blockquote|pre|tr|td|th|table|section|article|header|footer)\b[^>]*>/gi;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+};
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Search Service
+ * Turns document HTML into the plain text the search index covers, and builds the
+ * highlighted snippets shown with search results
+ */
+class SearchService {
+  /**
+   * Convert document HTML to plain text
+   * @param {string} html - Document content
+   * @returns {string} Text with tags removed, entities decoded and whitespace collapsed
+   */
+  toPlainText(html) {
+    if (!html) {
+      return '';
+    }
+
+    return html
+      .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ')
+      .replace(BLOCK_TAGS, ' ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+        if (code[0] === '#') {
+          const value =
+            code[1] === 'x' || code[1] === 'X'
+              ? parseInt(code.slice(2), 16)
+              : parseInt(code.slice(1), 10);
+          return value > 0 && value <= 0x10ffff ? String.fromCodePoint(value) : entity;
+        }
+        return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+      })
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Get the words and quoted phrases a search query looks for
+   * Negated terms ("-draft") are left out, since they never appear in results
+   * @param {string} query - Search query, in MongoDB $text syntax
+   * @returns {Array<string>} Terms, longest first
+   */
+  getTerms(query) {
+    const terms = [];
+    const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+      const negated = match[1] || match[3];
+      const term = (match[2] || match[4]).replace(/"/g, '').trim();
+      if (!negated && term) {
+        terms.push(term);
+      }
+    }
+
+    return [...new Set(terms)].sort((a, b) => b.length - a.length);
+  }
+
+  /**
+   * Build a snippet of text around the first place a search matched
+   * @param {string} text - Document plain text
+   * @param {Array<string>} terms - Search terms (see getTerms)
+   * @param {number} length - Approximate snippet length
+   * @returns {Object} { text, highlights } where highlights are [start, end] ranges in text
+   */
+  getSnippet(text, terms, length = SNIPPET_LENGTH) {
+    if (!text) {
+      return { text: '', highlights: [] };
+    }
+
+    const pattern =
+      terms.length > 0
+        ? new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu')
+        : null;
+
+    // Center the snippet on the first match, or start at the beginning if the match was
+    // only in the title or on a stemmed form of the word
+    const first = pattern ? pattern.exec(text) : null;
+    let start = first ? Math.max(0, first.index - Math.floor(length / 3)) : 0;
+    let end = Math.min(text.length, start + length);
+
+    // Do not cut words in half
+    if (start > 0) {
+      const space = text.indexOf(' ', start);
+      start = space !== -1 && space < (first ? first.index : end) ? space + 1 : start;
+    }
+    if (end < text.length) {
+      const space = text.lastIndexOf(' ', end);
+      end = space > start ? space : end;
+    }
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    const snippet = `${prefix}${text.slice(start, end)}${suffix}`;
+
+    const highlights = [];
+    if (pattern) {
+      pattern.lastIndex = 0;
+      const body = text.slice(start, end);
+      let match;
+      while ((match = pattern.exec(body)) !== null) {
+        const from = prefix.length + match.index;
+        highlights.push([from, from + match[0].length]);
+      }
+    }
+
+    return { text: snippet, highlights };
+  }
+
+  /**
+   * Fill in the plain text of documents saved before search existed
+   * @returns {Promise<number>} Number of documents updated
+   */
+  async indexExistingDocuments() {
+    try {
+      const documents = await Document.find({ plainText: { $exists: false } }).select('content');
+
+      for (const document of documents) {
+        await Document.updateOne(
+          { _id: document._id },
+          { $set: { plainText: this.toPlainText(document.content) } }
+        );
+      }
+
+      return documents.length;
+    } catch (error) {
+      console.error('Error indexing documents for search:', error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SearchService();
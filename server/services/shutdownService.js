@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const socketIOService = require('./socketIOService');
+const autosaveService = require('./autosaveService');
+const snapshotService = require('./snapshotService');
+const trashService = require('./trashService');
+const clusterService = require('./clusterService');
+
+// Exit with a failure code if shutting down takes longer than this
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * Shutdown Service
+ * Runs the graceful shutdown sequence on SIGTERM/SIGINT: stop accepting connections,
+ * disconnect clients, persist every document with unsaved edits, hand owned documents over
+ * to the rest of the cluster and close MongoDB
+ */
+class ShutdownService {
+  constructor() {
+    this.shutdownPromise = null;
+  }
+
+  /**
+   * Shut down gracefully and exit when the process receives one of the signals
+   * @param {http.Server} server - HTTP server to stop
+   * @param {Array<string>} signals - Signals to handle
+   */
+  register(server, signals = ['SIGTERM', 'SIGINT']) {
+    signals.forEach((signal) => {
+      process.once(signal, () => {
+        this.shutdown(server, signal).then((exitCode) => process.exit(exitCode));
+      });
+    });
+  }
+
+  /**
+   * Run the shutdown sequence once; later calls return the same result
+   * @param {http.Server} server - HTTP server to stop
+   * @param {string} reason - What triggered the shutdown
+   * @returns {Promise<number>} Exit code: 0 if everything was saved in time, 1 otherwise
+   */
+  shutdown(server, reason = 'shutdown') {
+    if (!this.shutdownPromise) {
+      this.shutdownPromise = this.run(server, reason);
+    }
+    return this.shutdownPromise;
+  }
+
+  /**
+   * Shut down within the deadline
+   * @param {http.Server} server - HTTP server to stop
+   * @param {string} reason - What triggered the shutdown
+   * @returns {Promise<number>} Exit code
+   */
+  async run(server, reason) {
+    console.warn(`🛑 Received ${reason}, shutting down...`);
+
+    let timer;
+    const deadline = new Promise((resolve) => {
+      timer = setTimeout(() => resolve(null), SHUTDOWN_TIMEOUT_MS);
+      timer.unref();
+    });
+
+    try {
+      const result = await Promise.race([this.drain(server), deadline]);
+      if (!result) {
+        console.error(`❌ Shutdown did not finish within ${SHUTDOWN_TIMEOUT_MS}ms`);
+        return 1;
+      }
+
+      console.warn(`✅ Saved ${result.saved} document(s), ${result.failed} failed`);
+      return result.failed > 0 ? 1 : 0;
+    } catch (error) {
+      console.error('Error during shutdown:', error.message);
+      return 1;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Stop all traffic, persist unsaved documents and close the database connection
+   * @param {http.Server} server - HTTP server to stop
+   * @returns {Promise<Object>} Number of documents saved and number that failed
+   */
+  async drain(server) {
+    // Stop accepting connections; open ones end when their clients are disconnected
+    server?.close();
+    snapshotService.stop();
+    trashService.stop();
+    socketIOService.beginShutdown();
+    server?.closeIdleConnections();
+
+    const result = await autosaveService.flushAll();
+    // Other nodes take over this node's documents from what was just saved
+    await socketIOService.handOffDocuments();
+    await clusterService.stop();
+    await mongoose.connection.close();
+    return result;
+  }
+}
+
+module.exports = new ShutdownService();
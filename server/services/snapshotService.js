@@ -0,0 +1,167 @@
+const Snapshot = require('../models/Snapshot');
+const crdtService = require('./crdtService');
+const operationLogService = require('./operationLogService');
+const documentService = require('./documentService');
+const clusterService = require('./clusterService');
+
+// Take a snapshot once this many operations were logged since the last one
+const SNAPSHOT_OPERATION_THRESHOLD = parseInt(process.env.SNAPSHOT_OPERATION_THRESHOLD, 10) || 500;
+
+// Take a snapshot of a document with pending operations at least this often
+const SNAPSHOT_INTERVAL_MS = parseInt(process.env.SNAPSHOT_INTERVAL_MS, 10) || 5 * 60 * 1000;
+
+// How often loaded documents are checked against the thresholds
+const SNAPSHOT_CHECK_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Snapshot Service
+ * Periodically serializes in-memory CRDT state and compacts the operation log it covers,
+ * so loading a long-lived document does not replay its whole history
+ */
+class SnapshotService {
+  constructor() {
+    this.timer = null;
+    this.lastSnapshotAt = new Map(); // documentId -> time of last snapshot (or first pending op)
+
+    // Snapshots requested through other nodes for documents this node owns
+    clusterService.handle('create_snapshot', ({ documentId }) => this.takeSnapshot(documentId));
+  }
+
+  /**
+   * Start the periodic snapshot job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.checkDocuments().catch((error) => {
+        console.error('Error running snapshot job:', error.message);
+      });
+    }, SNAPSHOT_CHECK_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic snapshot job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Snapshot every loaded document that crossed the operation-count or time threshold
+   * @returns {Promise<Array>} IDs of documents that were snapshotted
+   */
+  async checkDocuments() {
+    const snapshotted = [];
+    const now = Date.now();
+
+    for (const documentId of crdtService.documentStates.keys()) {
+      const pending = operationLogService.getPendingCount(documentId);
+      if (pending === 0) {
+        continue;
+      }
+
+      if (!this.lastSnapshotAt.has(documentId)) {
+        this.lastSnapshotAt.set(documentId, now);
+      }
+
+      const due =
+        pending >= SNAPSHOT_OPERATION_THRESHOLD ||
+        now - this.lastSnapshotAt.get(documentId) >= SNAPSHOT_INTERVAL_MS;
+
+      if (due) {
+        try {
+          await this.createSnapshot(documentId);
+          snapshotted.push(documentId);
+        } catch (error) {
+          console.error(`Error creating snapshot for document ${documentId}:`, error.message);
+        }
+      }
+    }
+
+    return snapshotted;
+  }
+
+  /**
+   * Serialize a document's CRDT state and compact the log entries it covers
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Snapshot info, or null if the document does not exist
+   */
+  async createSnapshot(documentId) {
+    // Only the node that owns the document holds its live state
+    return clusterService.runOnOwner(documentId, 'create_snapshot', { documentId });
+  }
+
+  /**
+   * Take a snapshot on the node that owns the document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Snapshot info, or null if the document does not exist
+   */
+  async takeSnapshot(documentId) {
+    if (!crdtService.documentStates.has(documentId)) {
+      await documentService.loadDocumentIntoCRDT(documentId);
+    }
+
+    const state = crdtService.exportSnapshot(documentId);
+    if (!state) {
+      return null;
+    }
+
+    // Operations logged from here on are not covered by this snapshot
+    operationLogService.resetPendingCount(documentId);
+    const createdAt = new Date();
+
+    const snapshot = await Snapshot.create({
+      documentId,
+      baseId: state.baseId,
+      version: state.version,
+      state,
+      size: Buffer.byteLength(JSON.stringify(state)),
+      createdAt,
+    });
+
+    // Only the latest snapshot is needed to rebuild the document
+    await Snapshot.deleteMany({ documentId, _id: { $ne: snapshot._id } });
+    await operationLogService.compact(documentId, {
+      baseId: state.baseId,
+      stateVector: state.stateVector,
+      createdAt,
+    });
+
+    this.lastSnapshotAt.set(documentId, createdAt.getTime());
+    return this.toInfo(snapshot);
+  }
+
+  /**
+   * Get information about a document's latest snapshot
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} Snapshot info, or null if none exists
+   */
+  async getSnapshotInfo(documentId) {
+    const snapshot = await Snapshot.findOne({ documentId }).sort({ createdAt: -1 });
+    return snapshot ? this.toInfo(snapshot) : null;
+  }
+
+  /**
+   * Format a snapshot for API responses
+   * @param {Object} snapshot - Snapshot document
+   * @returns {Object} Snapshot age, size and version
+   */
+  toInfo(snapshot) {
+    return {
+      documentId: snapshot.documentId,
+      version: snapshot.version,
+      size: snapshot.size,
+      createdAt: snapshot.createdAt,
+      ageMs: Date.now() - new Date(snapshot.createdAt).getTime(),
+      pendingOperations: operationLogService.getPendingCount(snapshot.documentId),
+    };
+  }
+}
+
+module.exports = new SnapshotService();
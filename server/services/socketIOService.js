@@ -1,10 +1,38 @@
 const documentService = require('./documentService');
 const crdtService = require('./crdtService');
 const permissionService = require('./permissionService');
+const operationLogService = require('./operationLogService');
+const autosaveService = require('./autosaveService');
+const sanitizeService = require('./sanitizeService');
+const commentService = require('./commentService');
+const suggestionService = require('./suggestionService');
+const clusterService = require('./clusterService');
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET } = require('../controllers/authController');
 const User = require('../models/User');
 
+// How long an operation may wait for its causal dependencies before the sender resyncs
+const CAUSAL_BUFFER_TIMEOUT_MS = parseInt(process.env.CAUSAL_BUFFER_TIMEOUT_MS, 10) || 5000;
+
+// How long tombstones a disconnected client has not acknowledged are kept, so that it can
+// still sync the edits it made offline when it reconnects
+const GC_RETENTION_MS = parseInt(process.env.GC_RETENTION_MS, 10) || 10 * 60 * 1000;
+
+// Client events about the client's document; they run on the node that owns the document
+const DOCUMENT_EVENTS = [
+  'set_document_id',
+  'document_change',
+  'suggest_change',
+  'document_operation',
+  'acknowledge_version',
+  'undo',
+  'redo',
+  'title_change',
+  'chat_message',
+  'save_document',
+  'cursor_position',
+];
+
 /**
  * Socket.IO Service
  * Handles all Socket.IO connections and real-time collaboration
@@ -14,7 +42,36 @@ class SocketIOService {
   constructor() {
     this.clients = new Map(); // clientId -> clientData
     this.documentClients = new Map(); // documentId -> Set of clientIds
+    this.bufferTimers = new Map(); // documentId -> timer expiring buffered operations
+    this.departedVersions = new Map(); // documentId -> [{ version, expiresAt }] of clients that left
     this.io = null;
+    this.shuttingDown = false;
+    this.handleAutosaved = this.handleAutosaved.bind(this);
+    this.handleContentUpdated = this.handleContentUpdated.bind(this);
+    this.handleCommentEvent = this.handleCommentEvent.bind(this);
+    this.handleSuggestionsChanged = this.handleSuggestionsChanged.bind(this);
+
+    // Work other nodes forward for documents this node owns, and what the owner sends back
+    clusterService.handle('client_event', (payload, from) => this.handleRemoteEvent(payload, from));
+    clusterService.handle('client_leave', ({ clientId }) => this.removeRemoteClient(clientId));
+    clusterService.handle('client_emit', ({ clientId, event, data }) =>
+      this.deliverToClient(clientId, event, data)
+    );
+    clusterService.handle('client_room', ({ clientId, room, join }) =>
+      this.updateClientRoom(clientId, room, join)
+    );
+    clusterService.handle('room_emit', ({ room, event, data, excludeClientId }) =>
+      this.emitToRoom(room, event, data, excludeClientId)
+    );
+    clusterService.handle('push_content', ({ documentId, content, clientId, user }) =>
+      this.applyContentPush(documentId, content, { clientId, user })
+    );
+    clusterService.handle('push_title', ({ documentId, title }) =>
+      this.broadcastToDocument(documentId, 'title_update', { title })
+    );
+    clusterService.handle('document_trashed', (payload) => this.closeTrashedDocument(payload));
+    clusterService.handle('comment_mention', (mention) => this.deliverMention(mention));
+    clusterService.on('ownership_lost', (documentId) => this.handleOwnershipLost(documentId));
   }
 
   /**
@@ -24,8 +81,28 @@ class SocketIOService {
   initialize(io) {
     this.io = io;
 
+    // Let everyone viewing a document know when its live content was autosaved
+    autosaveService.off('saved', this.handleAutosaved);
+    autosaveService.on('saved', this.handleAutosaved);
+
+    // Share content written through the REST API like any other edit
+    documentService.off('content_updated', this.handleContentUpdated);
+    documentService.on('content_updated', this.handleContentUpdated);
+
+    // Keep everyone viewing a document up to date with its comment threads
+    commentService.off('comment_event', this.handleCommentEvent);
+    commentService.on('comment_event', this.handleCommentEvent);
+
+    // ...and with the changes suggested to it
+    suggestionService.off('suggestions_changed', this.handleSuggestionsChanged);
+    suggestionService.on('suggestions_changed', this.handleSuggestionsChanged);
+
     // Socket.IO authentication middleware
     io.use(async (socket, next) => {
+      if (this.shuttingDown) {
+        return next(new Error('Server is shutting down'));
+      }
+
       try {
         const token =
           socket.handshake.auth?.token ||
@@ -96,68 +173,290 @@ class SocketIOService {
       await this.handleUserJoin(clientId, data.username);
     });
 
-    // Handle setting document ID
-    socket.on('set_document_id', async (data) => {
-      await this.handleSetDocumentId(clientId, data.documentId);
+    // Everything else concerns the client's document and runs on the node that owns it
+    DOCUMENT_EVENTS.forEach((event) => {
+      socket.on(event, (data) => this.routeEvent(clientId, event, data));
     });
 
-    // Handle document content change
-    socket.on('document_change', async (data) => {
-      await this.handleDocumentChange(clientId, data.content);
+    // Handle disconnect
+    socket.on('disconnect', (reason) => {
+      console.log(`👤 Client disconnected: ${clientId}, reason: ${reason}`);
+      this.handleDisconnect(clientId);
     });
 
-    // Handle CRDT operation
-    socket.on('document_operation', async (data) => {
-      await this.handleDocumentOperation(clientId, data.operation);
+    // Handle errors
+    socket.on('error', (error) => {
+      console.error('Socket.IO error:', error);
     });
+  }
 
-    // Handle undo operation
-    socket.on('undo', async () => {
-      await this.handleUndo(clientId);
-    });
+  /**
+   * Run a client event on the node that owns the client's document
+   * When another node owns it, the event is forwarded there and the owner answers the
+   * client through this node
+   * @param {string} clientId - Client ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  async routeEvent(clientId, event, data = {}) {
+    const client = this.clients.get(clientId);
+    const documentId = event === 'set_document_id' ? data?.documentId : client?.documentId;
+    if (!client || !documentId || !clusterService.isClustered()) {
+      return this.handleEvent(clientId, event, data);
+    }
 
-    // Handle redo operation
-    socket.on('redo', async () => {
-      await this.handleRedo(clientId);
-    });
+    try {
+      const owner = await clusterService.getOwner(documentId);
 
-    // Handle title change
-    socket.on('title_change', async (data) => {
-      await this.handleTitleChange(clientId, data.title);
-    });
+      if (event === 'set_document_id') {
+        // Leave the previous document on the node that owned it
+        if (client.owner && client.owner !== owner) {
+          if (client.owner === clusterService.nodeId) {
+            this.leaveDocument(clientId);
+          } else {
+            clusterService.send(client.owner, 'client_leave', { clientId });
+          }
+        }
+        client.owner = owner;
+      } else if (client.owner !== owner) {
+        // The owner went away and its replacement does not know this client yet
+        this.sendToClient(client.socket, 'resync_required', {
+          documentId,
+          reason: 'owner_changed',
+        });
+        return;
+      }
 
-    // Handle chat message
-    socket.on('chat_message', (data) => {
-      this.handleChatMessage(clientId, data.message);
-    });
+      if (owner === clusterService.nodeId) {
+        return this.handleEvent(clientId, event, data);
+      }
 
-    // Handle save document
-    socket.on('save_document', async (data) => {
-      await this.handleSaveDocument(clientId, data);
-    });
+      // The owner joins the client to the document's room through this node
+      client.documentId = documentId;
+      await clusterService.send(owner, 'client_event', {
+        clientId,
+        client: {
+          username: client.username,
+          userId: client.userId,
+          name: client.name,
+          color: client.color,
+          user: client.socket.user || null,
+        },
+        event,
+        data,
+      });
+    } catch (error) {
+      console.error(`❌ Error routing ${event} for client ${clientId}:`, error.message);
+      this.sendError(client.socket, `Failed to reach the server holding this document`);
+    }
+  }
 
-    // Handle cursor position update
-    // Supports both new format {line, column, documentId} and legacy {position, documentId}
-    socket.on('cursor_position', (data) => {
-      // Pass the entire data object or just position for backward compatibility
-      const cursorData = (data.line !== undefined && data.column !== undefined)
-        ? { line: data.line, column: data.column }
-        : data.position;
-      this.handleCursorPosition(clientId, cursorData, data.documentId);
-    });
+  /**
+   * Run a client event on this node
+   * @param {string} clientId - Client ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  async handleEvent(clientId, event, data = {}) {
+    switch (event) {
+      // Reconnecting clients may include { sync: { baseId, stateVector, operations } }
+      case 'set_document_id':
+        return this.handleSetDocumentId(clientId, data.documentId, data.sync);
 
-    // Handle disconnect
-    socket.on('disconnect', (reason) => {
-      console.log(`👤 Client disconnected: ${clientId}, reason: ${reason}`);
-      this.handleDisconnect(clientId);
-    });
+      case 'document_change':
+        return this.handleDocumentChange(clientId, data.content);
 
-    // Handle errors
-    socket.on('error', (error) => {
-      console.error('Socket.IO error:', error);
+      // Whole-content update made in suggesting mode
+      case 'suggest_change':
+        return this.handleSuggestChange(clientId, data.content);
+
+      // Accepts identifier-based operations ({ operations: [...] }) or a legacy offset operation
+      case 'document_operation':
+        return this.handleDocumentOperation(clientId, data.operations || data.operation);
+
+      // Lets the server garbage collect tombstones
+      case 'acknowledge_version':
+        return this.handleAcknowledgeVersion(clientId, data.version);
+
+      case 'undo':
+        return this.handleUndo(clientId);
+
+      case 'redo':
+        return this.handleRedo(clientId);
+
+      case 'title_change':
+        return this.handleTitleChange(clientId, data.title);
+
+      case 'chat_message':
+        return this.handleChatMessage(clientId, data.message);
+
+      case 'save_document':
+        return this.handleSaveDocument(clientId, data);
+
+      // Supports both new format {line, column, documentId} and legacy {position, documentId}
+      case 'cursor_position': {
+        const cursorData =
+          data.line !== undefined && data.column !== undefined
+            ? { line: data.line, column: data.column }
+            : data.position;
+        return this.handleCursorPosition(clientId, cursorData, data.documentId);
+      }
+
+      default:
+        console.warn(`⚠️ Unknown event ${event} from client ${clientId}`);
+    }
+  }
+
+  /**
+   * Run an event forwarded by the node a client is connected to
+   * The client is represented here by a socket that relays everything back to that node
+   * @param {Object} payload - Forwarded event
+   * @param {string} payload.clientId - Client ID
+   * @param {Object} payload.client - Client details from the client's node
+   * @param {string} payload.event - Event name
+   * @param {Object} payload.data - Event data
+   * @param {string} origin - Node the client is connected to
+   */
+  async handleRemoteEvent({ clientId, client: details, event, data }, origin) {
+    // Documents are being handed over; the client resyncs with the next owner
+    if (this.shuttingDown) {
+      return;
+    }
+
+    let client = this.clients.get(clientId);
+    if (!client) {
+      client = {
+        id: clientId,
+        socket: this.createRemoteSocket(clientId, origin, details.user),
+        color: details.color,
+        documentId: null,
+        owner: clusterService.nodeId,
+      };
+      this.clients.set(clientId, client);
+    }
+    client.username = details.username;
+    client.userId = details.userId;
+    client.name = details.name;
+
+    await this.handleEvent(clientId, event, data);
+  }
+
+  /**
+   * Create a stand-in socket for a client connected to another node
+   * @param {string} clientId - Client ID
+   * @param {string} origin - Node the client is connected to
+   * @param {Object} user - Authenticated user of the client's socket
+   * @returns {Object} Socket-like object that relays to the client's node
+   */
+  createRemoteSocket(clientId, origin, user) {
+    return {
+      id: clientId,
+      remote: true,
+      origin,
+      connected: true,
+      user,
+      emit: (event, data) => clusterService.send(origin, 'client_emit', { clientId, event, data }),
+      join: (room) => clusterService.send(origin, 'client_room', { clientId, room, join: true }),
+      leave: (room) => clusterService.send(origin, 'client_room', { clientId, room, join: false }),
+    };
+  }
+
+  /**
+   * Forget a client connected to another node that left its document here
+   * @param {string} clientId - Client ID
+   */
+  removeRemoteClient(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.socket.remote) {
+      return;
+    }
+
+    this.leaveDocument(clientId);
+    this.clients.delete(clientId);
+  }
+
+  /**
+   * Emit an event the document's owner sent for a client connected to this node
+   * @param {string} clientId - Client ID
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  deliverToClient(clientId, event, data) {
+    const client = this.clients.get(clientId);
+    if (client && !client.socket.remote) {
+      this.sendToClient(client.socket, event, data);
+    }
+  }
+
+  /**
+   * Join or leave a room for a client connected to this node, on behalf of the owner
+   * @param {string} clientId - Client ID
+   * @param {string} room - Room name
+   * @param {boolean} join - True to join, false to leave
+   */
+  updateClientRoom(clientId, room, join) {
+    const client = this.clients.get(clientId);
+    if (!client || client.socket.remote) {
+      return;
+    }
+
+    if (join) {
+      client.socket.join(room);
+    } else {
+      client.socket.leave(room);
+    }
+  }
+
+  /**
+   * Drop a document another node took over: its state here is stale, so its clients must
+   * resync with the new owner
+   * @param {string} documentId - Document ID
+   */
+  handleOwnershipLost(documentId) {
+    console.warn(`⚠️ Document ${documentId} is now owned by another node`);
+    autosaveService.markSaved(documentId);
+    crdtService.clearDocument(documentId);
+
+    const docClients = this.documentClients.get(documentId) || new Set();
+    this.documentClients.delete(documentId);
+    docClients.forEach((clientId) => {
+      const client = this.clients.get(clientId);
+      if (!client) {
+        return;
+      }
+
+      this.sendToClient(client.socket, 'resync_required', { documentId, reason: 'owner_changed' });
+      if (client.socket.remote) {
+        this.clients.delete(clientId);
+      } else {
+        client.owner = null;
+      }
     });
   }
 
+  /**
+   * Hand every owned document over to other nodes during shutdown
+   * Clients of other nodes that were working on them are told to resync with the next owner
+   * @returns {Promise<number>} Number of clients told to resync
+   */
+  async handOffDocuments() {
+    const remoteClients = Array.from(this.clients.values()).filter(
+      (client) => client.socket.remote
+    );
+
+    await clusterService.releaseAll();
+    await Promise.all(
+      remoteClients.map((client) => {
+        this.clients.delete(client.id);
+        return client.socket.emit('resync_required', {
+          documentId: client.documentId,
+          reason: 'owner_changed',
+        });
+      })
+    );
+    return remoteClients.length;
+  }
+
   /**
    * Handle user join
    * @param {string} clientId - Client ID
@@ -187,8 +486,12 @@ class SocketIOService {
    * Handle setting document ID for a client
    * @param {string} clientId - Client ID
    * @param {string} documentId - Document ID
+   * @param {Object} sync - Optional replica state from a reconnecting client
+   * @param {string} sync.baseId - Base the client's CRDT state was built from
+   * @param {Object} sync.stateVector - Client state vector (site -> highest clock)
+   * @param {Array} sync.operations - Operations the client made while offline
    */
-  async handleSetDocumentId(clientId, documentId) {
+  async handleSetDocumentId(clientId, documentId, sync = null) {
     const client = this.clients.get(clientId);
     if (!client) {
       console.warn(`⚠️ Client ${clientId} not found when setting document ID`);
@@ -201,6 +504,15 @@ class SocketIOService {
     }
 
     try {
+      // Missing and trashed documents are not joined, so nothing is sent to or taken
+      // from clients that ask for them
+      const document = await documentService.getDocumentById(documentId);
+      if (!document) {
+        console.warn(`⚠️ Document ${documentId} not found`);
+        this.sendError(client.socket, `Document ${documentId} not found`);
+        return;
+      }
+
       const oldDocumentId = client.documentId;
 
       // Remove from old document's client set
@@ -210,6 +522,8 @@ class SocketIOService {
           oldClients.delete(clientId);
           if (oldClients.size === 0) {
             this.documentClients.delete(oldDocumentId);
+            // Nobody is left editing it, so save its unsaved edits now
+            autosaveService.flush(oldDocumentId).catch(() => {});
           }
         }
         // Leave old room
@@ -220,41 +534,48 @@ class SocketIOService {
       client.documentId = documentId;
 
       // Add to new document's client set
-      if (documentId) {
-        if (!this.documentClients.has(documentId)) {
-          this.documentClients.set(documentId, new Set());
-        }
-        this.documentClients.get(documentId).add(clientId);
+      if (!this.documentClients.has(documentId)) {
+        this.documentClients.set(documentId, new Set());
+      }
+      this.documentClients.get(documentId).add(clientId);
 
-        // Join document room for efficient broadcasting
-        client.socket.join(`document:${documentId}`);
+      // Join document room for efficient broadcasting
+      client.socket.join(`document:${documentId}`);
 
-        // Load document into CRDT if not already loaded
-        if (!crdtService.documentStates.has(documentId)) {
-          await documentService.loadDocumentIntoCRDT(documentId);
-        }
+      // Load document into CRDT if not already loaded
+      if (!crdtService.documentStates.has(documentId)) {
+        await documentService.loadDocumentIntoCRDT(documentId);
+      }
 
-        // Send current document state to client
-        const document = await documentService.getDocumentById(documentId);
-        if (document) {
-          const history = crdtService.getHistory(documentId);
-          this.sendToClient(client.socket, 'init', {
-            document: {
-              title: document.title,
-              content: crdtService.getContent(documentId),
-            },
-            users: this.getUsersForDocument(documentId),
-            history: history, // Include history state
-          });
+      // Send current document state to client
+      if (sync && (await this.syncClient(client, documentId, document, sync))) {
+        // Client was brought up to date with a delta instead of the full document
+        this.broadcastToDocument(documentId, 'user_list_update', {
+          users: this.getUsersForDocument(documentId),
+        });
+      } else {
+        const history = crdtService.getHistory(documentId, client.username);
+        const crdtState = crdtService.getState(documentId);
 
-          // Broadcast user list update to all clients viewing this document
-          this.broadcastToDocument(documentId, 'user_list_update', {
-            users: this.getUsersForDocument(documentId),
-          });
-        } else {
-          console.warn(`⚠️ Document ${documentId} not found`);
-          this.sendError(client.socket, `Document ${documentId} not found`);
-        }
+        // The client starts from the version it is sent in init
+        client.acknowledgedVersion = crdtState ? crdtState.version : 0;
+
+        this.sendToClient(client.socket, 'init', {
+          document: {
+            title: document.title,
+            content: crdtService.getContent(documentId),
+          },
+          users: this.getUsersForDocument(documentId),
+          history: history, // The user's own undo/redo history
+          crdt: crdtState, // Character ids and mark operations for op-based clients
+          marks: crdtService.getMarks(documentId), // Formatting spans over the content
+          siteId: clientId, // Site of the operations generated for this client's edits
+        });
+
+        // Broadcast user list update to all clients viewing this document
+        this.broadcastToDocument(documentId, 'user_list_update', {
+          users: this.getUsersForDocument(documentId),
+        });
       }
 
       console.log(`📄 Client ${client.username} (${clientId}) set document ID:`, documentId);
@@ -265,12 +586,91 @@ class SocketIOService {
   }
 
   /**
-   * Handle document content change (simple text replacement)
+   * Exchange missing operations with a reconnecting client
+   * The client receives only the operations its state vector does not cover, and the
+   * operations it made while offline are applied and broadcast to everyone else
+   * @param {Object} client - Client data
+   * @param {string} documentId - Document ID
+   * @param {Object} document - Document from the database
+   * @param {Object} sync - Client replica state ({ baseId, stateVector, operations })
+   * @returns {Promise<boolean>} False if the client needs a full init instead
+   */
+  async syncClient(client, documentId, document, sync) {
+    // Computed before applying the client's operations so they are not echoed back
+    const missing = crdtService.getMissingOperations(documentId, sync.stateVector, sync.baseId);
+    if (!missing) {
+      return false;
+    }
+
+    if (Array.isArray(sync.operations) && sync.operations.length > 0) {
+      const hasPermission = await permissionService.checkPermission(
+        documentId,
+        client.username,
+        'write'
+      );
+
+      if (!hasPermission) {
+        this.sendError(client.socket, 'Insufficient permissions to edit document');
+      } else if (this.hasUnsafeLink(sync.operations)) {
+        this.sendError(client.socket, 'Links must use an allowed URL scheme');
+      } else {
+        let result = crdtService.applyOperations(
+          documentId,
+          sync.operations,
+          client.username,
+          client.id
+        );
+        if (result.unresolved.length > 0) {
+          this.scheduleBufferExpiry(documentId);
+        }
+        if (result.operations.length > 0) {
+          // The client also needs the operations that sanitized its offline edits
+          result = this.sanitizeResult(documentId, result);
+          this.broadcastToDocument(
+            documentId,
+            'document_operation',
+            {
+              operations: result.operations,
+              content: result.content,
+              version: result.version,
+              marks: crdtService.getMarks(documentId),
+              user: client.username,
+            },
+            result.sanitized ? null : client.id
+          );
+          await this.logOperations(documentId, result.operations, {
+            clientId: client.id,
+            user: client.username,
+          });
+        }
+      }
+    }
+
+    const crdtState = crdtService.getState(documentId);
+    client.acknowledgedVersion = crdtState.version;
+
+    this.sendToClient(client.socket, 'sync_operations', {
+      document: {
+        title: document.title,
+      },
+      operations: missing,
+      stateVector: crdtState.stateVector,
+      version: crdtState.version,
+      baseId: crdtState.baseId,
+      marks: crdtService.getMarks(documentId),
+      users: this.getUsersForDocument(documentId),
+      history: crdtService.getHistory(documentId, client.username),
+    });
+
+    return true;
+  }
+
+  /**
+   * Handle document content change (whole-content update from legacy clients)
    * @param {string} clientId - Client ID
    * @param {string} content - New content
-   * @param {boolean} skipHistory - Whether to skip adding to history (for undo/redo)
    */
-  async handleDocumentChange(clientId, content, skipHistory = false) {
+  async handleDocumentChange(clientId, content) {
     const client = this.clients.get(clientId);
     if (!client || !client.documentId) {
       return;
@@ -288,29 +688,147 @@ class SocketIOService {
       return;
     }
 
-    // Update CRDT state (skip history if this is from undo/redo)
-    crdtService.setContent(client.documentId, content, !skipHistory);
+    await this.applyContentUpdate(client, sanitizeService.sanitize(content));
+  }
 
-    // Broadcast to other clients viewing the same document
-    this.broadcastToDocument(
+  /**
+   * Handle a whole-content update made in suggesting mode
+   * Anyone who can comment may suggest changes; a change that is not only suggestions is
+   * refused and the client is asked to resync
+   * @param {string} clientId - Client ID
+   * @param {string} content - New content, with the suggestions marked up
+   */
+  async handleSuggestChange(clientId, content) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.documentId) {
+      return;
+    }
+
+    const hasPermission = await permissionService.checkPermission(
       client.documentId,
-      'document_update',
+      client.username,
+      'comment'
+    );
+
+    if (!hasPermission) {
+      this.sendError(client.socket, 'Insufficient permissions to suggest changes');
+      return;
+    }
+
+    try {
+      const result = await suggestionService.suggestChange(
+        client.documentId,
+        sanitizeService.sanitize(content),
+        { clientId, user: client.username }
+      );
+      if (result.operations.length > 0) {
+        this.sendHistoryUpdate(client);
+      }
+    } catch (error) {
+      this.sendError(client.socket, error.message);
+      // The client's editor no longer matches the live content
+      this.sendToClient(client.socket, 'resync_required', {
+        documentId: client.documentId,
+        reason: 'Suggestion refused',
+      });
+    }
+  }
+
+  /**
+   * Apply a whole-content update as CRDT operations and share them
+   * Only the difference from the current text is applied, so op-based clients can merge it
+   * @param {Object} client - Client data
+   * @param {string} content - New content
+   * @returns {Promise<Object>} Result with new content, version and generated operations
+   */
+  async applyContentUpdate(client, content) {
+    const result = await this.pushContentUpdate(client.documentId, content, {
+      clientId: client.id,
+      user: client.username,
+    });
+
+    if (result.operations.length > 0) {
+      this.sendHistoryUpdate(client);
+    }
+    return result;
+  }
+
+  /**
+   * Apply new content to a document as CRDT operations, log them and broadcast them to
+   * the document's live collaborators as a normal change
+   * Also used for changes made outside a socket, such as restoring a version
+   * @param {string} documentId - Document ID
+   * @param {string} content - New content
+   * @param {Object} options - Change metadata
+   * @param {string} options.clientId - Client making the change (not sent the broadcast)
+   * @param {string} options.user - User making the change
+   * @returns {Promise<Object>} Result with new content, version and generated operations
+   */
+  async pushContentUpdate(documentId, content, { clientId = null, user = null } = {}) {
+    return clusterService.runOnOwner(documentId, 'push_content', {
+      documentId,
+      content,
+      clientId,
+      user,
+    });
+  }
+
+  /**
+   * Send a title changed outside a socket (e.g. through the REST API) to the document's
+   * live collaborators
+   * @param {string} documentId - Document ID
+   * @param {string} title - New title
+   */
+  async pushTitleUpdate(documentId, title) {
+    return clusterService.runOnOwner(documentId, 'push_title', { documentId, title });
+  }
+
+  /**
+   * Apply pushed content on the node that owns the document
+   * @param {string} documentId - Document ID
+   * @param {string} content - New content
+   * @param {Object} options - Change metadata ({ clientId, user })
+   * @returns {Promise<Object>} Result with new content, version and generated operations
+   */
+  async applyContentPush(documentId, content, { clientId = null, user = null } = {}) {
+    // Diff against the live state, not an empty one
+    if (!crdtService.documentStates.has(documentId)) {
+      await documentService.loadDocumentIntoCRDT(documentId);
+    }
+
+    const result = crdtService.setContent(documentId, content, clientId, user);
+    if (result.operations.length === 0) {
+      return result;
+    }
+
+    await this.logOperations(documentId, result.operations, { clientId, user });
+
+    this.broadcastToDocument(
+      documentId,
+      'document_operation',
       {
-        content: content,
-        user: client.username,
+        operations: result.operations,
+        content: result.content,
+        version: result.version,
+        marks: crdtService.getMarks(documentId),
+        user,
       },
       clientId
     );
+
+    return result;
   }
 
   /**
    * Handle document operation (CRDT-based)
    * @param {string} clientId - Client ID
-   * @param {Object} operation - Operation object
+   * @param {Array|Object} operation - Identifier-based operations, or a legacy
+   *   offset operation ({ type, position, text } or
+   *   { type: 'format', action, markType, value, position, length })
    */
   async handleDocumentOperation(clientId, operation) {
     const client = this.clients.get(clientId);
-    if (!client || !client.documentId) {
+    if (!client || !client.documentId || !operation) {
       return;
     }
 
@@ -326,28 +844,309 @@ class SocketIOService {
       return;
     }
 
-    // Apply CRDT operation
-    const result = crdtService.applyOperation(
-      client.documentId,
-      operation.type,
-      operation.position,
-      operation.text,
-      clientId
-    );
+    if (!Array.isArray(operation) && !this.isValidOffsetOperation(operation)) {
+      this.sendError(client.socket, 'Invalid operation');
+      return;
+    }
+
+    if (this.hasUnsafeLink(Array.isArray(operation) ? operation : [operation])) {
+      this.sendError(client.socket, 'Links must use an allowed URL scheme');
+      return;
+    }
+
+    // Apply CRDT operation(s); offset operations are converted into identifier-based ones
+    let result;
+    if (Array.isArray(operation)) {
+      result = crdtService.applyOperations(client.documentId, operation, client.username, clientId);
+      if (result.unresolved.length > 0) {
+        this.scheduleBufferExpiry(client.documentId);
+      }
+    } else if (operation.type === 'format') {
+      result = crdtService.applyMark(client.documentId, operation, clientId);
+    } else {
+      result = crdtService.applyOperation(
+        client.documentId,
+        operation.type,
+        operation.position,
+        operation.text,
+        clientId,
+        client.username
+      );
+    }
+
+    if (result.operations && result.operations.length === 0) {
+      return;
+    }
+
+    // Buffered operations released by this batch came from other clients, so the sender
+    // needs them too
+    const releasedBuffered =
+      Array.isArray(operation) && result.operations.some((op) => !operation.includes(op));
 
-    // Broadcast operation to other clients
+    // The sender also needs the operations that sanitized its change
+    result = this.sanitizeResult(client.documentId, result);
+
+    // Broadcast identifier-based operations to other clients
     this.broadcastToDocument(
       client.documentId,
       'document_operation',
       {
-        operation: operation,
+        operations: result.operations,
         content: result.content,
+        version: result.version,
+        marks: crdtService.getMarks(client.documentId), // Resolved formatting spans
         user: client.username,
       },
-      clientId
+      releasedBuffered || result.sanitized ? null : clientId
+    );
+
+    await this.logOperations(client.documentId, result.operations, {
+      clientId,
+      user: client.username,
+    });
+
+    this.sendHistoryUpdate(client);
+  }
+
+  /**
+   * Check whether any operation marks a link whose URL is not allowed
+   * @param {Array} operations - Identifier-based or offset operations
+   * @returns {boolean} True if a link mark uses a disallowed URL
+   */
+  hasUnsafeLink(operations) {
+    return operations.some(
+      (op) => op && op.markType === 'link' && op.value && !sanitizeService.isSafeUrl(op.value)
     );
   }
 
+  /**
+   * Check the shape of a legacy offset operation before it reaches the CRDT
+   * Identifier-based operations are checked by the CRDT, which skips malformed ones
+   * @param {Object} operation - Offset operation
+   * @returns {boolean} True if the operation can be applied
+   */
+  isValidOffsetOperation(operation) {
+    if (typeof operation !== 'object' || !Number.isInteger(operation.position)) {
+      return false;
+    }
+    if (operation.type === 'format') {
+      return Number.isInteger(operation.length) && typeof operation.markType === 'string';
+    }
+    return (
+      ['insert', 'delete'].includes(operation.type) &&
+      typeof operation.text === 'string' &&
+      operation.text.length > 0
+    );
+  }
+
+  /**
+   * Make sure a change applied to the live document leaves only allowed markup
+   * Inserted text can add up to markup the sanitizer does not allow, so it is replaced
+   * before the change is logged or broadcast and no client ever receives it
+   * @param {string} documentId - Document ID
+   * @param {Object} result - Change result ({ operations, content, version })
+   * @returns {Object} The result, or one that also holds the operations sanitizing it and
+   *   has sanitized set
+   */
+  sanitizeResult(documentId, result) {
+    const clean = sanitizeService.sanitize(result.content);
+    if (clean === result.content) {
+      return result;
+    }
+
+    // Not attributed to the user, so undoing it cannot bring the markup back
+    const cleanup = crdtService.setContent(documentId, clean);
+    return {
+      ...result,
+      operations: [...result.operations, ...cleanup.operations],
+      content: cleanup.content,
+      version: cleanup.version,
+      sanitized: true,
+    };
+  }
+
+  /**
+   * Make sure operations buffered for a document are expired once they time out
+   * @param {string} documentId - Document ID
+   */
+  scheduleBufferExpiry(documentId) {
+    if (this.bufferTimers.has(documentId)) {
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      this.bufferTimers.delete(documentId);
+      this.expireBufferedOperations(documentId);
+    }, CAUSAL_BUFFER_TIMEOUT_MS);
+    timer.unref();
+    this.bufferTimers.set(documentId, timer);
+  }
+
+  /**
+   * Drop operations whose dependencies did not arrive in time and ask their senders to
+   * resync, since the operations they are missing cannot be recovered otherwise
+   * @param {string} documentId - Document ID
+   * @returns {number} Number of expired operations
+   */
+  expireBufferedOperations(documentId) {
+    const expired = crdtService.expireBufferedOperations(documentId, CAUSAL_BUFFER_TIMEOUT_MS);
+
+    const sources = new Set(expired.map((entry) => entry.source));
+    sources.forEach((sourceId) => {
+      const source = this.clients.get(sourceId);
+      if (source && source.documentId === documentId) {
+        console.warn(`⚠️ Operations from ${source.username} timed out waiting for dependencies`);
+        this.sendToClient(source.socket, 'resync_required', {
+          documentId,
+          reason: 'Operations timed out waiting for their dependencies',
+        });
+      }
+    });
+
+    if (crdtService.getBufferedCount(documentId) > 0) {
+      this.scheduleBufferExpiry(documentId);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Notify a document's clients that its live content was autosaved
+   * @param {Object} info - Save info emitted by the autosave service
+   */
+  handleAutosaved({ documentId, content, user, savedAt }) {
+    this.broadcastToDocument(documentId, 'document_saved', {
+      documentId,
+      autosaved: true,
+      content,
+      user,
+      timestamp: savedAt.toISOString(),
+    });
+  }
+
+  /**
+   * Broadcast a content change made outside a socket to the document's clients
+   * @param {Object} update - Change emitted by the document service
+   */
+  handleContentUpdated({ documentId, operations, content, version, user }) {
+    this.broadcastToDocument(documentId, 'document_operation', {
+      operations,
+      content,
+      version,
+      marks: crdtService.getMarks(documentId),
+      user,
+    });
+  }
+
+  /**
+   * Broadcast a comment thread change to the document's clients and notify the users
+   * mentioned in it
+   * @param {Object} change - Change emitted by the comment service
+   */
+  handleCommentEvent({ documentId, event, comment, mention }) {
+    this.broadcastToDocument(documentId, event, { documentId, comment });
+
+    if (mention) {
+      // Mentioned users may be connected to any node, viewing any document
+      const notification = { ...mention, documentId, commentId: comment._id };
+      this.deliverMention(notification);
+      clusterService.broadcast('comment_mention', notification);
+    }
+  }
+
+  /**
+   * Broadcast changed suggestions, and the content change they made, to the document's
+   * clients
+   * @param {Object} change - Change emitted by the suggestion service
+   */
+  handleSuggestionsChanged({ documentId, suggestions, change }) {
+    if (change) {
+      // The suggestion service already logged the operations
+      autosaveService.markDirty(documentId, change.user);
+      // The suggesting client is sent the operations too: they were made from its content
+      // on the server, so its replica does not have them
+      this.broadcastToDocument(documentId, 'document_operation', {
+        operations: change.operations,
+        content: change.content,
+        version: change.version,
+        marks: crdtService.getMarks(documentId),
+        user: change.user,
+      });
+    }
+    if (suggestions.length > 0) {
+      this.broadcastToDocument(documentId, 'suggestions_changed', { documentId, suggestions });
+    }
+  }
+
+  /**
+   * Persist applied operations to the log and schedule an autosave of the document
+   * @param {string} documentId - Document ID
+   * @param {Array} operations - Applied identifier-based operations
+   * @param {Object} meta - Operation metadata
+   * @param {string} meta.clientId - Client that produced the operations
+   * @param {string} meta.user - User who made the change
+   */
+  async logOperations(documentId, operations, { clientId = null, user = null } = {}) {
+    autosaveService.markDirty(documentId, user);
+    await operationLogService.append(documentId, operations, { clientId, user });
+  }
+
+  /**
+   * Send a client their own undo/redo history after one of their edits
+   * @param {Object} client - Client data
+   */
+  sendHistoryUpdate(client) {
+    this.sendToClient(
+      client.socket,
+      'history_update',
+      crdtService.getHistory(client.documentId, client.username)
+    );
+  }
+
+  /**
+   * Handle version acknowledgement from a client
+   * @param {string} clientId - Client ID
+   * @param {number} version - Highest CRDT version the client has applied
+   */
+  handleAcknowledgeVersion(clientId, version) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.documentId || typeof version !== 'number') {
+      return;
+    }
+
+    client.acknowledgedVersion = Math.max(client.acknowledgedVersion || 0, version);
+    this.collectDocumentGarbage(client.documentId);
+  }
+
+  /**
+   * Garbage collect tombstones every client viewing a document has acknowledged
+   * Clients that left within GC_RETENTION_MS still hold tombstones back, so they can sync
+   * their offline edits; clients gone for longer get a full resync when they reconnect
+   * @param {string} documentId - Document ID
+   * @returns {number} Number of tombstones removed
+   */
+  collectDocumentGarbage(documentId) {
+    const docClients = this.documentClients.get(documentId);
+    if (!docClients || docClients.size === 0) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const departed = (this.departedVersions.get(documentId) || []).filter(
+      (entry) => entry.expiresAt > now
+    );
+    if (departed.length > 0) {
+      this.departedVersions.set(documentId, departed);
+    } else {
+      this.departedVersions.delete(documentId);
+    }
+
+    const acknowledgedVersions = [
+      ...Array.from(docClients).map((id) => this.clients.get(id)?.acknowledgedVersion || 0),
+      ...departed.map((entry) => entry.version),
+    ];
+    return crdtService.collectGarbage(documentId, Math.min(...acknowledgedVersions));
+  }
+
   /**
    * Handle title change
    * @param {string} clientId - Client ID
@@ -510,25 +1309,31 @@ class SocketIOService {
       return;
     }
 
-    // Perform undo operation
-    const result = crdtService.undo(client.documentId);
+    // Undo only this user's own edits
+    let result = crdtService.undo(client.documentId, client.username);
     
     if (!result) {
       this.sendError(client.socket, 'Nothing to undo');
       return;
     }
+    result = this.sanitizeResult(client.documentId, result);
 
-    // Broadcast undo result to all clients (including the requester)
-    this.broadcastToDocument(
-      client.documentId,
-      'undo_result',
-      {
-        content: result.content,
-        history: result.history,
-        user: client.username,
-      },
-      null // Broadcast to all including requester so they sync their UI
-    );
+    await this.logOperations(client.documentId, result.operations, {
+      clientId,
+      user: client.username,
+    });
+
+    const payload = {
+      operations: result.operations,
+      content: result.content,
+      version: result.version,
+      marks: crdtService.getMarks(client.documentId), // Resolved formatting spans
+      user: client.username,
+    };
+
+    // The requester also gets their updated history; other users' histories are unaffected
+    this.sendToClient(client.socket, 'undo_result', { ...payload, history: result.history });
+    this.broadcastToDocument(client.documentId, 'undo_result', payload, clientId);
   }
 
   /**
@@ -553,31 +1358,38 @@ class SocketIOService {
       return;
     }
 
-    // Perform redo operation
-    const result = crdtService.redo(client.documentId);
+    // Redo only this user's own edits
+    let result = crdtService.redo(client.documentId, client.username);
     
     if (!result) {
       this.sendError(client.socket, 'Nothing to redo');
       return;
     }
+    result = this.sanitizeResult(client.documentId, result);
 
-    // Broadcast redo result to all clients (including the requester)
-    this.broadcastToDocument(
-      client.documentId,
-      'redo_result',
-      {
-        content: result.content,
-        history: result.history,
-        user: client.username,
-      },
-      null // Broadcast to all including requester so they sync their UI
-    );
+    await this.logOperations(client.documentId, result.operations, {
+      clientId,
+      user: client.username,
+    });
+
+    const payload = {
+      operations: result.operations,
+      content: result.content,
+      version: result.version,
+      marks: crdtService.getMarks(client.documentId), // Resolved formatting spans
+      user: client.username,
+    };
+
+    // The requester also gets their updated history; other users' histories are unaffected
+    this.sendToClient(client.socket, 'redo_result', { ...payload, history: result.history });
+    this.broadcastToDocument(client.documentId, 'redo_result', payload, clientId);
   }
 
   /**
    * Handle save document
    * @param {string} clientId - Client ID
-   * @param {Object} data - Save data (may include content and title for new documents)
+   * @param {Object} data - Save data (may include content and title for new documents, and
+   *   a label naming the saved version)
    */
   async handleSaveDocument(clientId, data = {}) {
     const client = this.clients.get(clientId);
@@ -595,18 +1407,30 @@ class SocketIOService {
 
       try {
         // Get content and title from data or use defaults
-        const content = data.content || '';
+        const content = sanitizeService.sanitize(data.content || '');
         const title = data.title || 'Untitled Document';
 
+        // Creating a document inside a folder needs write access to it
+        if (
+          data.folder &&
+          !(await permissionService.checkFolderPermission(data.folder, client.username, 'write'))
+        ) {
+          this.sendError(client.socket, 'Insufficient permissions to add documents to this folder');
+          return;
+        }
+
         // Create new document
         const document = await documentService.createDocument({
           title,
           content,
           owner: client.username,
+          folder: data.folder,
+          label: data.label,
         });
 
-        // Set document ID for client
+        // Set document ID for client; the new document is owned by this node
         client.documentId = document._id.toString();
+        client.owner = clusterService.nodeId;
 
         // Add to document clients
         if (!this.documentClients.has(client.documentId)) {
@@ -663,18 +1487,22 @@ class SocketIOService {
 
     try {
       // Use provided content or fall back to CRDT content
-      const content = data.content || crdtService.getContent(client.documentId);
+      const content = data.content
+        ? sanitizeService.sanitize(data.content)
+        : crdtService.getContent(client.documentId);
       
-      // Update CRDT with latest content
+      // Apply any edits the saved content contains that were not sent yet
       if (data.content) {
-        crdtService.setContent(client.documentId, data.content);
+        await this.applyContentUpdate(client, content);
       }
       
       // Update document content in database
+      // An optional label names the saved version as a checkpoint
       const document = await documentService.updateDocumentContent(
         client.documentId,
         content,
-        client.username
+        client.username,
+        { label: data.label }
       );
       
       // Update title if provided
@@ -682,6 +1510,9 @@ class SocketIOService {
         await documentService.updateDocumentTitle(client.documentId, data.title);
       }
 
+      // The explicit save covers any pending autosave
+      autosaveService.markSaved(client.documentId);
+
       this.sendToClient(client.socket, 'save_success', {
         message: 'Document saved successfully!',
         documentId: document._id.toString(),
@@ -692,6 +1523,8 @@ class SocketIOService {
         client.documentId,
         'document_saved',
         {
+          documentId: client.documentId,
+          autosaved: false,
           message: `${client.username} saved the document`,
           timestamp: new Date().toISOString(),
         },
@@ -714,42 +1547,11 @@ class SocketIOService {
     if (client) {
       console.log('👤 Client disconnected:', client.username || clientId);
 
-      // Send null cursor position to remove cursor from other clients
-      // Send both formats for compatibility
-      if (client.documentId) {
-        this.broadcastToDocument(
-          client.documentId,
-          'cursor_update',
-          {
-            userId: client.userId || clientId,
-            username: client.username || client.name || 'User',
-            line: null, // null means remove cursor (new format)
-            column: null,
-            position: null, // null means remove cursor (legacy format)
-            color: client.color,
-          },
-          clientId // Don't send to the disconnected client
-        );
-      }
-
-      // Remove from document's client set
-      if (client.documentId) {
-        const docClients = this.documentClients.get(client.documentId);
-        if (docClients) {
-          docClients.delete(clientId);
-          if (docClients.size === 0) {
-            this.documentClients.delete(client.documentId);
-          } else {
-            // Broadcast user list update
-            this.broadcastToDocument(client.documentId, 'user_list_update', {
-              users: this.getUsersForDocument(client.documentId),
-            });
-          }
-        }
-        // Leave document room
-        if (client.socket) {
-          client.socket.leave(`document:${client.documentId}`);
-        }
+      // Remove from document's client set, on the node that owns the document
+      if (client.owner && client.owner !== clusterService.nodeId) {
+        clusterService.send(client.owner, 'client_leave', { clientId });
+      } else {
+        this.leaveDocument(clientId);
       }
 
       this.clients.delete(clientId);
@@ -757,6 +1559,88 @@ class SocketIOService {
     }
   }
 
+  /**
+   * Remove a client from its document's client set and room
+   * @param {string} clientId - Client ID
+   */
+  leaveDocument(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client || !client.documentId) {
+      return;
+    }
+
+    const documentId = client.documentId;
+
+    // Send null cursor position to remove cursor from other clients
+    // Send both formats for compatibility
+    this.broadcastToDocument(
+      documentId,
+      'cursor_update',
+      {
+        userId: client.userId || clientId,
+        username: client.username || client.name || 'User',
+        line: null, // null means remove cursor (new format)
+        column: null,
+        position: null, // null means remove cursor (legacy format)
+        color: client.color,
+      },
+      clientId // Don't send to the leaving client
+    );
+
+    // The client may come back with edits made offline against what it acknowledged
+    if (!this.departedVersions.has(documentId)) {
+      this.departedVersions.set(documentId, []);
+    }
+    this.departedVersions.get(documentId).push({
+      version: client.acknowledgedVersion || 0,
+      expiresAt: Date.now() + GC_RETENTION_MS,
+    });
+
+    const docClients = this.documentClients.get(documentId);
+    if (docClients) {
+      docClients.delete(clientId);
+      if (docClients.size === 0) {
+        this.documentClients.delete(documentId);
+        // The last collaborator left, so save their unsaved edits now
+        autosaveService.flush(documentId).catch(() => {});
+      } else {
+        // Broadcast user list update
+        this.broadcastToDocument(documentId, 'user_list_update', {
+          users: this.getUsersForDocument(documentId),
+        });
+
+        // The leaving client may have been the one holding back tombstone collection
+        this.collectDocumentGarbage(documentId);
+      }
+    }
+
+    // Leave document room
+    if (client.socket) {
+      client.socket.leave(`document:${documentId}`);
+    }
+    client.documentId = null;
+  }
+
+  /**
+   * Refuse new connections, tell every client the server is going away and disconnect them,
+   * so no edit can arrive after the final save
+   * @returns {number} Number of clients that were disconnected
+   */
+  beginShutdown() {
+    this.shuttingDown = true;
+    this.bufferTimers.forEach((timer) => clearTimeout(timer));
+    this.bufferTimers.clear();
+
+    const clients = Array.from(this.clients.values()).filter((client) => !client.socket.remote);
+    clients.forEach((client) => {
+      this.sendToClient(client.socket, 'server_shutting_down', {
+        message: 'The server is restarting. Your changes are being saved.',
+      });
+      client.socket.disconnect(true);
+    });
+    return clients.length;
+  }
+
   /**
    * Send message to a specific client
    * @param {Socket} socket - Socket.IO socket
@@ -797,17 +1681,29 @@ class SocketIOService {
 
     // Use Socket.IO rooms for efficient broadcasting
     const room = `document:${documentId}`;
+    this.emitToRoom(room, type, data, excludeClientId);
 
-    if (excludeClientId) {
-      const excludeSocket = this.clients.get(excludeClientId)?.socket;
-      if (excludeSocket && excludeSocket.connected) {
-        // Broadcast to room, excluding the specified socket
-        // socket.broadcast.to(room) sends to everyone in room EXCEPT the socket itself
-        excludeSocket.broadcast.to(room).emit(type, data);
-      } else {
-        // If exclude socket not found, broadcast to all in room
-        this.io.to(room).emit(type, data);
-      }
+    // Clients on other nodes are in the room there
+    clusterService.broadcast('room_emit', { room, event: type, data, excludeClientId });
+  }
+
+  /**
+   * Emit to the clients of a room connected to this node
+   * @param {string} room - Room name
+   * @param {string} type - Message type
+   * @param {Object} data - Message data
+   * @param {string} excludeClientId - Client ID to exclude (optional)
+   */
+  emitToRoom(room, type, data, excludeClientId = null) {
+    if (!this.io) {
+      return;
+    }
+
+    const excludeSocket = this.clients.get(excludeClientId)?.socket;
+    if (excludeSocket && excludeSocket.connected && !excludeSocket.remote) {
+      // Broadcast to room, excluding the specified socket
+      // socket.broadcast.to(room) sends to everyone in room EXCEPT the socket itself
+      excludeSocket.broadcast.to(room).emit(type, data);
     } else {
       // Broadcast to all clients in the room
       this.io.to(room).emit(type, data);
@@ -871,7 +1767,8 @@ class SocketIOService {
    * Notify a user about role change for a document
    * @param {string} documentId - Document ID
    * @param {string} userEmail - User email whose role changed
-   * @param {string} newRole - New role ('owner', 'editor', 'viewer') or null if removed
+   * @param {string} newRole - New role ('owner', 'editor', 'commenter', 'viewer') or null if
+   *   removed
    */
   notifyRoleChange(documentId, userEmail, newRole) {
     if (!this.io) {
@@ -895,6 +1792,80 @@ class SocketIOService {
     }
   }
 
+  /**
+   * Notify the mentioned users' clients connected to this node of a mention
+   * @param {Object} mention - Mention
+   * @param {Array<string>} mention.users - Emails of the mentioned users
+   * @param {string} mention.author - Email of the user who wrote the mention
+   * @param {string} mention.body - Text of the comment or reply
+   * @param {string} mention.documentId - Document ID
+   * @param {string} mention.commentId - ID of the comment thread
+   */
+  deliverMention({ users, author, body, documentId, commentId }) {
+    for (const client of this.clients.values()) {
+      // Clients of other nodes are notified by their own node
+      if (client.socket.remote) {
+        continue;
+      }
+      const email = (client.username || '').toLowerCase().trim();
+      if (users.includes(email) && email !== author) {
+        this.sendToClient(client.socket, 'comment_mention', {
+          documentId,
+          commentId,
+          author,
+          body,
+        });
+      }
+    }
+  }
+
+  /**
+   * Tell everyone working on a document that it was moved to the trash, and close it
+   * @param {string} documentId - Document ID
+   * @param {Object} info - Who trashed the document and when
+   * @param {string} info.user - User who moved the document to the trash
+   * @param {Date} info.deletedAt - When it was moved to the trash
+   * @returns {Promise<number>} Number of clients that were viewing the document
+   */
+  async notifyDocumentTrashed(documentId, { user, deletedAt }) {
+    return clusterService.runOnOwner(documentId, 'document_trashed', {
+      documentId,
+      user,
+      deletedAt: new Date(deletedAt).toISOString(),
+    });
+  }
+
+  /**
+   * Close a trashed document on the node that owns it: notify and detach its clients,
+   * then drop its live state
+   * @param {Object} info - Trash info ({ documentId, user, deletedAt })
+   * @returns {Promise<number>} Number of clients that were viewing the document
+   */
+  async closeTrashedDocument({ documentId, user, deletedAt }) {
+    autosaveService.markSaved(documentId);
+
+    const docClients = this.documentClients.get(documentId) || new Set();
+    this.documentClients.delete(documentId);
+    docClients.forEach((clientId) => {
+      const client = this.clients.get(clientId);
+      if (!client) {
+        return;
+      }
+
+      this.sendToClient(client.socket, 'document_trashed', { documentId, user, deletedAt });
+      client.socket.leave(`document:${documentId}`);
+      if (client.socket.remote) {
+        this.clients.delete(clientId);
+      } else {
+        client.documentId = null;
+        client.owner = null;
+      }
+    });
+
+    await documentService.clearLiveState(documentId);
+    return docClients.size;
+  }
+
   /**
    * Generate unique client ID
    * @returns {string} Client ID
@@ -932,6 +1903,13 @@ class SocketIOService {
       documentClients: Object.fromEntries(
         Array.from(this.documentClients.entries()).map(([docId, clients]) => [docId, clients.size])
       ),
+      cluster: clusterService.getStats(),
+      crdt: Object.fromEntries(
+        Array.from(crdtService.documentStates.keys()).map((docId) => [
+          docId,
+          crdtService.getGCStats(docId),
+        ])
+      ),
     };
   }
 }
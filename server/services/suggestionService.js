@@ -0,0 +1,373 @@
+const { EventEmitter } = require('events');
+const Suggestion = require('../models/Suggestion');
+const crdtService = require('./crdtService');
+const operationLogService = require('./operationLogService');
+const clusterService = require('./clusterService');
+const sanitizeService = require('./sanitizeService');
+const searchService = require('./searchService');
+const commentService = require('./commentService');
+
+// Suggestion type marked by each element
+const SUGGESTION_TAGS = new Map([
+  ['ins', 'insert'],
+  ['del', 'delete'],
+]);
+
+// Keys clients may give new suggestions
+const KEY_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Suggestion Service
+ * A suggestion is a change proposed in suggesting mode. It lives in the content itself:
+ * suggested text is wrapped in <ins data-suggestion="key"> and text suggested for deletion in
+ * <del data-suggestion="key">, so it shows inline and survives reloads with the content.
+ * Suggestion records hold who suggested what and whether it was accepted or rejected.
+ * Accepting keeps inserted text and drops deleted text; rejecting does the opposite
+ * Emits 'suggestions_changed' ({ documentId, suggestions, change }) on the node that owns the
+ * document when suggestions are made, withdrawn (status 'withdrawn'), accepted or rejected;
+ * change holds the resulting content change ({ operations, content, version, user, clientId }),
+ * if any
+ */
+class SuggestionService extends EventEmitter {
+  constructor() {
+    super();
+    // Work other nodes ask of the node that owns the document
+    clusterService.handle('suggestion_keys', ({ documentId }) => this.getLiveKeys(documentId));
+    clusterService.handle('suggestion_resolve', (payload) => this.resolveLocally(payload));
+  }
+
+  /**
+   * List a document's suggestions in the order they were made
+   * Pending suggestions whose markup was edited away are left out
+   * @param {string} documentId - Document ID
+   * @param {Object} options - Options
+   * @param {string} options.status - 'pending', 'accepted' or 'rejected'
+   * @returns {Promise<Array>} Suggestions
+   */
+  async getSuggestions(documentId, { status = 'pending' } = {}) {
+    try {
+      const suggestions = await Suggestion.find({ document: documentId, status })
+        .sort({ createdAt: 1 })
+        .lean();
+      if (status !== 'pending') {
+        return suggestions;
+      }
+
+      const keys = new Set(
+        await clusterService.runOnOwner(documentId, 'suggestion_keys', { documentId })
+      );
+      return suggestions.filter((suggestion) => keys.has(suggestion.key));
+    } catch (error) {
+      console.error('Error getting suggestions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply content changed in suggesting mode and record the suggestions it makes
+   * The change may only add suggestions or change or withdraw the user's own; the text
+   * outside suggestions must stay the same. Runs on the node that owns the document
+   * @param {string} documentId - Document ID
+   * @param {string} content - New content (sanitized)
+   * @param {Object} options - Change metadata
+   * @param {string} options.clientId - Client making the change
+   * @param {string} options.user - Email of the suggesting user
+   * @returns {Promise<Object>} Result with new content, version and generated operations
+   */
+  async suggestChange(documentId, content, { clientId = null, user }) {
+    try {
+      await commentService.ensureLoaded(documentId);
+      const records = await Suggestion.find({ document: documentId });
+      const byKey = new Map(records.map((record) => [record.key, record]));
+
+      // Validate and apply without awaiting, so no edit can slip in between
+      const currentContent = crdtService.getContent(documentId);
+      if (this.rejectAll(currentContent) !== this.rejectAll(content)) {
+        throw new Error('Only suggestions can be made in suggesting mode');
+      }
+      const current = this.collectSuggestions(currentContent);
+      const proposed = this.collectSuggestions(content);
+
+      const created = [];
+      const changed = [];
+      proposed.forEach((suggestion, key) => {
+        const record = byKey.get(key);
+        if (!record) {
+          // Markup without a record (e.g. pasted) is left alone unless it is new
+          if (current.has(key)) {
+            return;
+          }
+          if (!KEY_PATTERN.test(key) || !suggestion.type) {
+            throw new Error('Invalid suggestion');
+          }
+          created.push(suggestion);
+          return;
+        }
+
+        if (record.status !== 'pending' || record.type !== suggestion.type) {
+          throw new Error('Invalid suggestion');
+        }
+        if (record.text !== suggestion.text) {
+          if (record.author !== user) {
+            throw new Error('Only the author can change this suggestion');
+          }
+          changed.push({ record, text: suggestion.text });
+        }
+      });
+
+      const withdrawn = [];
+      current.forEach((suggestion, key) => {
+        const record = byKey.get(key);
+        if (!record || proposed.has(key)) {
+          return;
+        }
+        if (record.author !== user) {
+          throw new Error('Only the author can change this suggestion');
+        }
+        withdrawn.push(record);
+      });
+
+      const result = crdtService.setContent(documentId, content, clientId, user);
+      await operationLogService.append(documentId, result.operations, { clientId, user });
+
+      const now = new Date();
+      const saved = await Promise.all([
+        ...created.map(({ key, type, text }) =>
+          new Suggestion({ document: documentId, key, type, author: user, text }).save()
+        ),
+        ...changed.map(({ record, text }) => {
+          record.text = text;
+          record.updatedAt = now;
+          return record.save();
+        }),
+      ]);
+      if (withdrawn.length > 0) {
+        await Suggestion.deleteMany({ _id: { $in: withdrawn.map((record) => record._id) } });
+      }
+
+      const suggestions = [
+        ...saved.map((record) => record.toObject()),
+        ...withdrawn.map((record) => ({ ...record.toObject(), status: 'withdrawn' })),
+      ];
+      this.publish(documentId, suggestions, result, { clientId, user });
+      return result;
+    } catch (error) {
+      console.error('Error suggesting change:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Accept or reject pending suggestions
+   * @param {string} documentId - Document ID
+   * @param {Array<string>|null} keys - Keys of the suggestions, or null for every pending one
+   * @param {boolean} accept - True to accept, false to reject
+   * @param {string} username - Email of the user deciding
+   * @returns {Promise<Array>} Suggestions that were accepted or rejected
+   */
+  async resolveSuggestions(documentId, keys, accept, username) {
+    try {
+      return await clusterService.runOnOwner(documentId, 'suggestion_resolve', {
+        documentId,
+        keys,
+        accept,
+        username,
+      });
+    } catch (error) {
+      console.error('Error resolving suggestions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove every suggestion record of a document
+   * @param {string} documentId - Document ID
+   */
+  async deleteSuggestions(documentId) {
+    await Suggestion.deleteMany({ document: documentId });
+  }
+
+  /**
+   * Find the suggestion elements in content
+   * @param {string} html - Sanitized content
+   * @returns {Array} Elements ({ key, type, start, contentStart, contentEnd, end }) in
+   *   document order, outer elements before the elements inside them
+   */
+  findSuggestions(html) {
+    const elements = [];
+    const open = []; // Elements whose closing tag has not been reached, innermost last
+    let position = html.indexOf('<');
+
+    while (position !== -1) {
+      const tag = sanitizeService.readTag(html, position);
+      if (!tag) {
+        position = html.indexOf('<', position + 1);
+        continue;
+      }
+
+      if (tag.kind === 'open' && SUGGESTION_TAGS.has(tag.name)) {
+        const key = tag.attributes.find((attribute) => attribute.name === 'data-suggestion');
+        const element = {
+          name: tag.name,
+          key: key ? key.value : null,
+          start: position,
+          contentStart: tag.end,
+        };
+        open.push(element);
+        if (element.key) {
+          elements.push(element);
+        }
+      } else if (tag.kind === 'close' && SUGGESTION_TAGS.has(tag.name)) {
+        const index = open.map((element) => element.name).lastIndexOf(tag.name);
+        if (index !== -1) {
+          const [element] = open.splice(index, 1);
+          element.contentEnd = position;
+          element.end = tag.end;
+        }
+      }
+      position = html.indexOf('<', tag.end);
+    }
+
+    return elements
+      .filter((element) => element.end !== undefined)
+      .map(({ name, key, start, contentStart, contentEnd, end }) => ({
+        key,
+        type: SUGGESTION_TAGS.get(name),
+        start,
+        contentStart,
+        contentEnd,
+        end,
+      }));
+  }
+
+  /**
+   * Gather the suggestions in content; a suggestion may span several elements
+   * @param {string} html - Sanitized content
+   * @returns {Map} key -> { key, type, text }, type null if its elements disagree
+   */
+  collectSuggestions(html) {
+    const suggestions = new Map();
+    this.findSuggestions(html).forEach(({ key, type, contentStart, contentEnd }) => {
+      const text = searchService.toPlainText(html.slice(contentStart, contentEnd));
+      const suggestion = suggestions.get(key);
+      if (!suggestion) {
+        suggestions.set(key, { key, type, text });
+        return;
+      }
+      if (suggestion.type !== type) {
+        suggestion.type = null;
+      }
+      suggestion.text = [suggestion.text, text].filter(Boolean).join(' ');
+    });
+    return suggestions;
+  }
+
+  /**
+   * Accept or reject suggestions in content
+   * @param {string} html - Sanitized content
+   * @param {Set<string>} keys - Keys of the suggestions
+   * @param {boolean} accept - True to accept, false to reject
+   * @returns {string} Content without the suggestions' markup
+   */
+  applyDecision(html, keys, accept) {
+    let output = html;
+    for (;;) {
+      const element = this.findSuggestions(output).find(({ key }) => keys.has(key));
+      if (!element) {
+        return output;
+      }
+
+      const keepText = (element.type === 'insert') === accept;
+      output =
+        output.slice(0, element.start) +
+        (keepText ? output.slice(element.contentStart, element.contentEnd) : '') +
+        output.slice(element.end);
+    }
+  }
+
+  /**
+   * Get content as it would be with every suggestion rejected
+   * @param {string} html - Sanitized content
+   * @returns {string} Content without suggestions
+   */
+  rejectAll(html) {
+    return this.applyDecision(html, new Set(this.collectSuggestions(html).keys()), false);
+  }
+
+  /**
+   * Let the document's live collaborators know suggestions changed
+   * @param {string} documentId - Document ID
+   * @param {Array} suggestions - Changed suggestions
+   * @param {Object} result - Content change result ({ operations, content, version })
+   * @param {Object} meta - Change metadata ({ clientId, user })
+   */
+  publish(documentId, suggestions, result, { clientId = null, user = null }) {
+    const change =
+      result.operations.length > 0
+        ? {
+            operations: result.operations,
+            content: result.content,
+            version: result.version,
+            user,
+            clientId,
+          }
+        : null;
+    if (suggestions.length > 0 || change) {
+      this.emit('suggestions_changed', { documentId, suggestions, change });
+    }
+  }
+
+  /**
+   * Get the keys of the suggestions in a document's live content
+   * Runs on the node that owns the document
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Array<string>>} Keys
+   */
+  async getLiveKeys(documentId) {
+    await commentService.ensureLoaded(documentId);
+    return [...this.collectSuggestions(crdtService.getContent(documentId)).keys()];
+  }
+
+  /**
+   * Accept or reject pending suggestions in the live content
+   * Runs on the node that owns the document
+   * @param {Object} request - Request ({ documentId, keys, accept, username })
+   * @returns {Promise<Array>} Suggestions that were accepted or rejected
+   */
+  async resolveLocally({ documentId, keys, accept, username }) {
+    await commentService.ensureLoaded(documentId);
+    const query = { document: documentId, status: 'pending' };
+    if (keys) {
+      query.key = { $in: keys };
+    }
+    const pending = await Suggestion.find(query).sort({ createdAt: 1 });
+
+    const content = crdtService.getContent(documentId);
+    const present = this.collectSuggestions(content);
+    const targets = pending.filter((suggestion) => present.has(suggestion.key));
+    if (targets.length === 0) {
+      return [];
+    }
+
+    const updated = this.applyDecision(content, new Set(targets.map(({ key }) => key)), accept);
+    const result = crdtService.setContent(documentId, updated, null, username);
+    await operationLogService.append(documentId, result.operations, { user: username });
+
+    const decision = {
+      status: accept ? 'accepted' : 'rejected',
+      resolvedBy: username,
+      resolvedAt: new Date(),
+    };
+    decision.updatedAt = decision.resolvedAt;
+    await Suggestion.updateMany(
+      { _id: { $in: targets.map((suggestion) => suggestion._id) } },
+      { $set: decision }
+    );
+
+    const suggestions = targets.map((suggestion) => ({ ...suggestion.toObject(), ...decision }));
+    this.publish(documentId, suggestions, result, { user: username });
+    return suggestions;
+  }
+}
+
+module.exports = new SuggestionService();
@@ -0,0 +1,79 @@
+const Document = require('../models/Document');
+const documentService = require('./documentService');
+
+// Permanently delete documents once they have been in the trash this long
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+const TRASH_RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// How often the trash is checked for documents past the retention window
+const TRASH_PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS, 10) || 60 * 60 * 1000;
+
+/**
+ * Trash Service
+ * Periodically purges documents that stayed in the trash longer than the retention window
+ */
+class TrashService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Start the periodic purge job
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch((error) => {
+        console.error('Error purging trash:', error.message);
+      });
+    }, TRASH_PURGE_INTERVAL_MS);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic purge job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Get when a trashed document will be purged
+   * @param {Date} deletedAt - When the document was moved to the trash
+   * @returns {Date} Purge date
+   */
+  getPurgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + TRASH_RETENTION_MS);
+  }
+
+  /**
+   * Permanently delete every document whose retention window has passed
+   * A document that fails to delete is retried on the next run
+   * @param {Date} now - Current time
+   * @returns {Promise<Array>} IDs of the purged documents
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - TRASH_RETENTION_MS);
+    const expired = await Document.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+
+    const purged = [];
+    for (const { _id } of expired) {
+      const documentId = _id.toString();
+      try {
+        await documentService.deleteDocument(documentId);
+        purged.push(documentId);
+      } catch (error) {
+        console.error(`Error purging document ${documentId}:`, error.message);
+      }
+    }
+
+    return purged;
+  }
+}
+
+module.exports = new TrashService();
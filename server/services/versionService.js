@@ -0,0 +1,542 @@
+const zlib = require('zlib');
+const Version = require('../models/Version');
+const Document = require('../models/Document');
+const crdtService = require('./crdtService');
+const clusterService = require('./clusterService');
+
+// Store the full content every this many versions so reading one replays few deltas
+const VERSION_KEYFRAME_INTERVAL = parseInt(process.env.VERSION_KEYFRAME_INTERVAL, 10) || 20;
+
+// Keep at most this many versions per document, oldest unpinned ones pruned first (0 keeps all)
+const VERSION_RETENTION_LIMIT = parseInt(process.env.VERSION_RETENTION_LIMIT, 10) || 0;
+
+// Longest accepted version label
+const MAX_LABEL_LENGTH = 100;
+
+/**
+ * Version Service
+ * Stores document version history in its own collection. Each version is kept as a
+ * deflated delta against the previous one, with a full keyframe every
+ * VERSION_KEYFRAME_INTERVAL versions; reading a version starts from the keyframe at or
+ * before it and applies the deltas after it
+ * Versions can be labelled (named checkpoints) and pinned; pinned versions are never
+ * pruned by the VERSION_RETENTION_LIMIT policy
+ */
+class VersionService {
+  constructor() {
+    this.latest = new Map(); // documentId -> { number, content } of the newest version
+    this.queues = new Map(); // documentId -> promise of the version being written
+
+    // Versions saved through other nodes for documents this node owns
+    clusterService.handle('create_version', (payload) => this.queueVersion(payload));
+  }
+
+  /**
+   * Record a new version of a document
+   * Versions are written on the node that owns the document, so saves through different
+   * nodes cannot pick the same number
+   * @param {string} documentId - Document ID
+   * @param {string} content - Full content of the version
+   * @param {string} user - User who saved the version
+   * @param {Object} options - Version options
+   * @param {string} options.label - Name of the version (e.g. "v1.0")
+   * @param {Date} options.timestamp - When the version was saved
+   * @returns {Promise<Object>} Version info
+   */
+  async createVersion(documentId, content, user = null, { label = null, timestamp } = {}) {
+    return clusterService.runOnOwner(documentId, 'create_version', {
+      documentId,
+      content,
+      user,
+      label: this.normalizeLabel(label),
+      timestamp: timestamp || new Date(),
+    });
+  }
+
+  /**
+   * Write a version on this node
+   * Versions of one document are written one at a time so their numbers stay sequential
+   * @param {Object} payload - Version to write
+   * @param {string} payload.documentId - Document ID
+   * @param {string} payload.content - Full content of the version
+   * @param {string} payload.user - User who saved the version
+   * @param {string} payload.label - Normalized label
+   * @param {Date|string} payload.timestamp - When the version was saved (a string when
+   *   it was sent by another node)
+   * @returns {Promise<Object>} Version info
+   */
+  async queueVersion({ documentId, content, user, label, timestamp }) {
+    const previous = this.queues.get(documentId) || Promise.resolve();
+    const options = { label, timestamp: new Date(timestamp) };
+    const write = previous
+      .catch(() => {})
+      .then(() => this._writeVersion(documentId, content, user, options));
+    this.queues.set(documentId, write);
+
+    try {
+      return await write;
+    } finally {
+      if (this.queues.get(documentId) === write) {
+        this.queues.delete(documentId);
+      }
+    }
+  }
+
+  /**
+   * Write a version after the previous one, then apply the retention policy
+   * @param {string} documentId - Document ID
+   * @param {string} content - Full content of the version
+   * @param {string} user - User who saved the version
+   * @param {Object} options - Label and timestamp of the version
+   * @returns {Promise<Object>} Version info
+   */
+  async _writeVersion(documentId, content, user, { label, timestamp }) {
+    try {
+      const latest = await this._getLatest(documentId);
+      const number = latest ? latest.number + 1 : 1;
+      const keyframe = !latest || (number - 1) % VERSION_KEYFRAME_INTERVAL === 0;
+
+      const version = await Version.create({
+        documentId,
+        number,
+        keyframe,
+        data: this._compress(keyframe ? content : this.encodeDelta(latest.content, content)),
+        length: content.length,
+        user,
+        label,
+        timestamp,
+      });
+
+      this.latest.set(documentId, { number, content });
+      if (VERSION_RETENTION_LIMIT > 0) {
+        await this.pruneVersions(documentId, VERSION_RETENTION_LIMIT);
+      }
+      return this.toInfo(version);
+    } catch (error) {
+      this.latest.delete(documentId);
+      console.error('Error creating version:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the newest version of a document with its content
+   * The cached content is only used while it is still the newest stored version; another
+   * node may have written versions since (e.g. while it owned the document)
+   * @param {string} documentId - Document ID
+   * @returns {Promise<Object|null>} { number, content }, or null if there are no versions
+   */
+  async _getLatest(documentId) {
+    const newest = await Version.findOne({ documentId }).sort({ number: -1 }).select('number');
+    if (!newest) {
+      this.latest.delete(documentId);
+      return null;
+    }
+
+    const cached = this.latest.get(documentId);
+    if (cached && cached.number === newest.number) {
+      return cached;
+    }
+
+    const latest = {
+      number: newest.number,
+      content: await this.getVersionContent(documentId, newest.number),
+    };
+    this.latest.set(documentId, latest);
+    return latest;
+  }
+
+  /**
+   * List a document's versions, newest first
+   * @param {string} documentId - Document ID
+   * @param {Object} options - Pagination options
+   * @param {number} options.limit - Maximum number of versions
+   * @param {number} options.skip - Number of newer versions to skip
+   * @param {boolean} options.named - Only return labelled versions
+   * @returns {Promise<Array>} Version info (without content)
+   */
+  async getVersions(documentId, { limit = 0, skip = 0, named = false } = {}) {
+    try {
+      const versions = await Version.find(this._query(documentId, { named }))
+        .sort({ number: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-data');
+      return versions.map((version) => this.toInfo(version));
+    } catch (error) {
+      console.error('Error getting versions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a document's versions
+   * @param {string} documentId - Document ID
+   * @param {Object} options - Filter options
+   * @param {boolean} options.named - Only count labelled versions
+   * @returns {Promise<number>} Number of versions
+   */
+  async getVersionCount(documentId, { named = false } = {}) {
+    try {
+      return await Version.countDocuments(this._query(documentId, { named }));
+    } catch (error) {
+      console.error('Error counting versions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the query selecting a document's versions
+   * @param {string} documentId - Document ID
+   * @param {Object} options - Filter options
+   * @param {boolean} options.named - Only select labelled versions
+   * @returns {Object} Mongo query
+   */
+  _query(documentId, { named = false } = {}) {
+    return named ? { documentId, label: { $ne: null } } : { documentId };
+  }
+
+  /**
+   * Name or pin a version
+   * @param {string} documentId - Document ID
+   * @param {number} number - Version number
+   * @param {Object} changes - Fields to change
+   * @param {string|null} changes.label - New label (empty or null removes it)
+   * @param {boolean} changes.pinned - Whether retention must keep the version
+   * @returns {Promise<Object|null>} Updated version info, or null if not found
+   */
+  async updateVersion(documentId, number, { label, pinned } = {}) {
+    try {
+      const update = {};
+      if (label !== undefined) {
+        update.label = this.normalizeLabel(label);
+      }
+      if (pinned !== undefined) {
+        update.pinned = !!pinned;
+      }
+
+      const version = await Version.findOneAndUpdate({ documentId, number }, update, {
+        new: true,
+      }).select('-data');
+      return version ? this.toInfo(version) : null;
+    } catch (error) {
+      console.error('Error updating version:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the oldest versions beyond a limit, skipping pinned ones and the newest
+   * A version whose predecessor is deleted is rewritten as a keyframe first, so every
+   * remaining version can still be reconstructed
+   * @param {string} documentId - Document ID
+   * @param {number} limit - Number of versions to keep
+   * @returns {Promise<number>} Number of versions deleted
+   */
+  async pruneVersions(documentId, limit) {
+    try {
+      const versions = await Version.find({ documentId }).sort({ number: 1 }).select('-data');
+      let excess = versions.length - limit;
+      const pruned = new Set();
+      versions.slice(0, -1).forEach((version) => {
+        if (excess > 0 && !version.pinned) {
+          pruned.add(version.number);
+          excess--;
+        }
+      });
+      if (pruned.size === 0) {
+        return 0;
+      }
+
+      for (let i = 1; i < versions.length; i++) {
+        const version = versions[i];
+        const previous = versions[i - 1];
+        if (!pruned.has(version.number) && !version.keyframe && pruned.has(previous.number)) {
+          const content = await this.getVersionContent(documentId, version.number);
+          await Version.updateOne(
+            { _id: version._id },
+            { keyframe: true, data: this._compress(content) }
+          );
+        }
+      }
+
+      await Version.deleteMany({ documentId, number: { $in: [...pruned] } });
+      return pruned.size;
+    } catch (error) {
+      console.error('Error pruning versions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up a version label
+   * @param {string|null} label - Label from the user
+   * @returns {string|null} Trimmed label, or null if empty
+   */
+  normalizeLabel(label) {
+    if (typeof label !== 'string') {
+      return null;
+    }
+    const trimmed = label.trim().slice(0, MAX_LABEL_LENGTH);
+    return trimmed || null;
+  }
+
+  /**
+   * Get a version with its content
+   * @param {string} documentId - Document ID
+   * @param {number} number - Version number
+   * @returns {Promise<Object|null>} Version info with content, or null if not found
+   */
+  async getVersion(documentId, number) {
+    try {
+      const version = await Version.findOne({ documentId, number }).select('-data');
+      if (!version) {
+        return null;
+      }
+
+      const content = await this.getVersionContent(documentId, number);
+      return { ...this.toInfo(version), content };
+    } catch (error) {
+      console.error('Error getting version:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two versions of a document
+   * @param {string} documentId - Document ID
+   * @param {number} from - Older version number
+   * @param {number} to - Newer version number
+   * @returns {Promise<Object|null>} Structured diff, or null if either version is missing
+   */
+  async diffVersions(documentId, from, to) {
+    const [fromContent, toContent] = await Promise.all([
+      this.getVersionContent(documentId, from),
+      this.getVersionContent(documentId, to),
+    ]);
+    if (fromContent === null || toContent === null) {
+      return null;
+    }
+
+    const changes = this.diffContent(fromContent, toContent);
+    const count = (type) =>
+      changes.filter((c) => c.type === type).reduce((sum, c) => sum + c.text.length, 0);
+
+    return {
+      from,
+      to,
+      changes,
+      stats: { insertions: count('insert'), deletions: count('delete') },
+    };
+  }
+
+  /**
+   * Describe the change between two texts as runs of equal, inserted and deleted text
+   * @param {string} oldText - Old content
+   * @param {string} newText - New content
+   * @returns {Array} Changes ({ type: 'equal' | 'insert' | 'delete', text })
+   */
+  diffContent(oldText, newText) {
+    const types = { '=': 'equal', '+': 'insert', '-': 'delete' };
+    const changes = [];
+    let oldIndex = 0;
+    let newIndex = 0;
+
+    crdtService.diffText(oldText, newText).forEach((step) => {
+      const char = step === '+' ? newText[newIndex] : oldText[oldIndex];
+      if (step !== '+') {
+        oldIndex++;
+      }
+      if (step !== '-') {
+        newIndex++;
+      }
+
+      const last = changes[changes.length - 1];
+      if (last && last.type === types[step]) {
+        last.text += char;
+      } else {
+        changes.push({ type: types[step], text: char });
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Reconstruct the content of a version
+   * @param {string} documentId - Document ID
+   * @param {number} number - Version number
+   * @returns {Promise<string|null>} Content, or null if the version does not exist
+   */
+  async getVersionContent(documentId, number) {
+    try {
+      const keyframe = await Version.findOne({
+        documentId,
+        keyframe: true,
+        number: { $lte: number },
+      }).sort({ number: -1 });
+      if (!keyframe) {
+        return null;
+      }
+
+      // Each delta applies to the version before it that still exists
+      const deltas = await Version.find({
+        documentId,
+        number: { $gt: keyframe.number, $lte: number },
+      }).sort({ number: 1 });
+      const last = deltas.length > 0 ? deltas[deltas.length - 1] : keyframe;
+      if (last.number !== number) {
+        return null;
+      }
+
+      return deltas.reduce(
+        (content, version) => this.applyDelta(content, this._decompress(version.data)),
+        this._decompress(keyframe.data)
+      );
+    } catch (error) {
+      console.error('Error reading version:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a document's version history
+   * @param {string} documentId - Document ID
+   */
+  async deleteVersions(documentId) {
+    try {
+      await Version.deleteMany({ documentId });
+      this.latest.delete(documentId);
+    } catch (error) {
+      console.error('Error deleting versions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Move version history still embedded in documents into the versions collection
+   * @returns {Promise<number>} Number of documents migrated
+   */
+  async migrateEmbeddedVersions() {
+    try {
+      // The embedded array is no longer in the schema, so read the raw documents
+      const documents = await Document.collection
+        .find({ versions: { $exists: true } })
+        .project({ versions: 1 })
+        .toArray();
+
+      for (const document of documents) {
+        const documentId = document._id.toString();
+        await this.deleteVersions(documentId);
+        for (const version of document.versions || []) {
+          await this.createVersion(documentId, version.content || '', version.user || null, {
+            timestamp: version.timestamp,
+          });
+        }
+        await Document.collection.updateOne({ _id: document._id }, { $unset: { versions: '' } });
+      }
+
+      return documents.length;
+    } catch (error) {
+      console.error('Error migrating versions:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Encode the change between two texts as runs: a positive number keeps that many
+   * characters, a negative number deletes that many and a string is inserted
+   * @param {string} oldText - Previous content
+   * @param {string} newText - New content
+   * @returns {Array} Delta
+   */
+  encodeDelta(oldText, newText) {
+    const delta = [];
+    let newIndex = 0;
+    const push = (run) => {
+      const last = delta[delta.length - 1];
+      if (typeof run === 'string' && typeof last === 'string') {
+        delta[delta.length - 1] = last + run;
+      } else if (typeof run === 'number' && typeof last === 'number' && run > 0 === last > 0) {
+        delta[delta.length - 1] = last + run;
+      } else {
+        delta.push(run);
+      }
+    };
+
+    crdtService.diffText(oldText, newText).forEach((step) => {
+      if (step === '=') {
+        push(1);
+        newIndex++;
+      } else if (step === '-') {
+        push(-1);
+      } else {
+        push(newText[newIndex++]);
+      }
+    });
+
+    // Trailing kept characters are implied
+    if (typeof delta[delta.length - 1] === 'number' && delta[delta.length - 1] > 0) {
+      delta.pop();
+    }
+    return delta;
+  }
+
+  /**
+   * Apply a delta produced by encodeDelta
+   * @param {string} text - Previous content
+   * @param {Array} delta - Delta
+   * @returns {string} New content
+   */
+  applyDelta(text, delta) {
+    let index = 0;
+    let result = '';
+    delta.forEach((run) => {
+      if (typeof run === 'string') {
+        result += run;
+      } else if (run > 0) {
+        result += text.slice(index, index + run);
+        index += run;
+      } else {
+        index -= run;
+      }
+    });
+    return result + text.slice(index);
+  }
+
+  /**
+   * Deflate a value for storage
+   * @param {*} value - Content or delta
+   * @returns {Buffer} Compressed JSON
+   */
+  _compress(value) {
+    return zlib.deflateRawSync(Buffer.from(JSON.stringify(value)));
+  }
+
+  /**
+   * Inflate a stored value
+   * @param {Buffer} data - Compressed JSON
+   * @returns {*} Content or delta
+   */
+  _decompress(data) {
+    return JSON.parse(zlib.inflateRawSync(data).toString());
+  }
+
+  /**
+   * Convert a version record into the shape returned by the API
+   * @param {Object} version - Version record
+   * @returns {Object} Version info
+   */
+  toInfo(version) {
+    return {
+      number: version.number,
+      user: version.user,
+      timestamp: version.timestamp,
+      length: version.length,
+      keyframe: version.keyframe,
+      label: version.label || null,
+      pinned: !!version.pinned,
+    };
+  }
+}
+
+module.exports = new VersionService();
@@ -0,0 +1,272 @@
+const crdtService = require('../../services/crdtService');
+
+const MARK_TYPES = ['bold', 'italic', 'underline', 'link', 'heading'];
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz ';
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * CRDT Simulation
+ * Runs N virtual replicas of the CRDT against each other over a simulated network with
+ * random delays and partitions. Every random choice comes from the seed, so a failing
+ * run can be reproduced exactly
+ */
+class CRDTSimulation {
+  /**
+   * @param {Object} options - Simulation options
+   * @param {number} options.seed - Seed for every random choice
+   * @param {number} options.replicas - Number of replicas
+   * @param {string} options.initialContent - Content every replica starts from
+   * @param {number} options.maxDelay - Maximum message delay in ticks
+   * @param {number} options.editRate - Probability of a local edit per tick
+   * @param {number} options.partitionRate - Probability of a partition starting per tick
+   */
+  constructor({
+    seed,
+    replicas = 3,
+    initialContent = '',
+    maxDelay = 10,
+    editRate = 0.6,
+    partitionRate = 0.02,
+  }) {
+    this.seed = seed;
+    this.random = createRandom(seed);
+    this.maxDelay = maxDelay;
+    this.editRate = editRate;
+    this.partitionRate = partitionRate;
+    this.tick = 0;
+    this.sequence = 0; // Tie-breaker so messages due on the same tick deliver deterministically
+    this.inFlight = []; // { from, to, operations, dueAt, sequence }
+    this.partition = null; // { groups: Map(replica -> group), until }
+    this.stats = { edits: 0, messages: 0, delivered: 0, buffered: 0, partitions: 0 };
+
+    this.replicas = Array.from({ length: replicas }, (_, index) => ({
+      documentId: `sim-${seed}-${index}`,
+      site: `replica${index}`,
+    }));
+    this.replicas.forEach((replica) =>
+      crdtService.initializeDocument(replica.documentId, initialContent)
+    );
+  }
+
+  /**
+   * Pick an integer in [min, max]
+   * @param {number} min - Lower bound
+   * @param {number} max - Upper bound
+   * @returns {number} Random integer
+   */
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * (max - min + 1));
+  }
+
+  /**
+   * Pick a random element of an array
+   * @param {Array} items - Items to pick from
+   * @returns {*} Random item
+   */
+  pick(items) {
+    return items[this.randomInt(0, items.length - 1)];
+  }
+
+  /**
+   * Advance the simulation by one tick: deliver due messages, start or heal partitions and
+   * possibly make a local edit on a random replica
+   */
+  step() {
+    this.tick += 1;
+
+    if (this.partition && this.tick >= this.partition.until) {
+      this.partition = null;
+    } else if (!this.partition && this.random() < this.partitionRate) {
+      this.startPartition();
+    }
+
+    this.deliverDue();
+
+    if (this.random() < this.editRate) {
+      this.edit(this.pick(this.replicas));
+    }
+  }
+
+  /**
+   * Run a number of ticks
+   * @param {number} steps - Number of ticks
+   * @returns {CRDTSimulation} The simulation, for chaining
+   */
+  run(steps) {
+    for (let i = 0; i < steps; i++) {
+      this.step();
+    }
+    return this;
+  }
+
+  /**
+   * Heal any partition and deliver every message still in flight
+   * @returns {CRDTSimulation} The simulation, for chaining
+   */
+  settle() {
+    this.partition = null;
+    while (this.inFlight.length > 0) {
+      this.tick = Math.max(this.tick, Math.min(...this.inFlight.map((m) => m.dueAt)));
+      this.deliverDue();
+    }
+    return this;
+  }
+
+  /**
+   * Split the replicas into two groups that cannot reach each other for a while
+   */
+  startPartition() {
+    const groups = new Map(this.replicas.map((replica) => [replica, this.random() < 0.5]));
+    this.partition = { groups, until: this.tick + this.randomInt(5, 40) };
+    this.stats.partitions += 1;
+  }
+
+  /**
+   * Check whether a message can currently travel between two replicas
+   * @param {Object} from - Sending replica
+   * @param {Object} to - Receiving replica
+   * @returns {boolean} True if no partition separates them
+   */
+  canReach(from, to) {
+    return !this.partition || this.partition.groups.get(from) === this.partition.groups.get(to);
+  }
+
+  /**
+   * Deliver every message that is due and not blocked by a partition, in due order
+   */
+  deliverDue() {
+    const due = this.inFlight
+      .filter((message) => message.dueAt <= this.tick && this.canReach(message.from, message.to))
+      .sort((a, b) => a.dueAt - b.dueAt || a.sequence - b.sequence);
+
+    due.forEach((message) => {
+      this.inFlight.splice(this.inFlight.indexOf(message), 1);
+      const result = crdtService.applyOperations(message.to.documentId, message.operations);
+      this.stats.delivered += 1;
+      if (result.unresolved.length > 0) {
+        this.stats.buffered += 1;
+      }
+    });
+  }
+
+  /**
+   * Make a random insert, delete or format edit on a replica and send it to the others
+   * @param {Object} replica - Replica making the edit
+   */
+  edit(replica) {
+    const length = crdtService.getContent(replica.documentId).length;
+    const roll = this.random();
+    let result;
+
+    if (length === 0 || roll < 0.5) {
+      const text = Array.from({ length: this.randomInt(1, 4) }, () => this.pick([...ALPHABET]));
+      result = crdtService.applyOperation(
+        replica.documentId,
+        'insert',
+        this.randomInt(0, length),
+        text.join(''),
+        replica.site
+      );
+    } else if (roll < 0.8) {
+      const position = this.randomInt(0, length - 1);
+      const count = Math.min(this.randomInt(1, 3), length - position);
+      result = crdtService.applyOperation(
+        replica.documentId,
+        'delete',
+        position,
+        'x'.repeat(count),
+        replica.site
+      );
+    } else {
+      const markType = this.pick(MARK_TYPES);
+      const position = this.randomInt(0, length - 1);
+      const values = { link: `https://example.com/${this.tick}`, heading: this.randomInt(1, 3) };
+      result = crdtService.applyMark(
+        replica.documentId,
+        {
+          action: this.random() < 0.75 ? 'add' : 'remove',
+          markType,
+          value: values[markType] ?? null,
+          position,
+          length: this.randomInt(1, length - position),
+        },
+        replica.site
+      );
+    }
+
+    this.stats.edits += 1;
+    this.broadcast(replica, result.operations);
+  }
+
+  /**
+   * Send operations to every other replica, each copy with its own random delay
+   * @param {Object} from - Sending replica
+   * @param {Array} operations - Operations to send
+   */
+  broadcast(from, operations) {
+    if (operations.length === 0) {
+      return;
+    }
+
+    this.replicas
+      .filter((replica) => replica !== from)
+      .forEach((to) => {
+        this.inFlight.push({
+          from,
+          to,
+          operations: JSON.parse(JSON.stringify(operations)), // Replicas share no objects
+          dueAt: this.tick + this.randomInt(0, this.maxDelay),
+          sequence: this.sequence++,
+        });
+        this.stats.messages += 1;
+      });
+  }
+
+  /**
+   * Get the text of every replica
+   * @returns {Array<string>} Contents, in replica order
+   */
+  contents() {
+    return this.replicas.map((replica) => crdtService.getContent(replica.documentId));
+  }
+
+  /**
+   * Get the resolved formatting of every replica
+   * @returns {Array<Array>} Mark spans, in replica order
+   */
+  marks() {
+    return this.replicas.map((replica) => crdtService.getMarks(replica.documentId));
+  }
+
+  /**
+   * Get the number of operations each replica is still holding back
+   * @returns {Array<number>} Buffered operation counts, in replica order
+   */
+  bufferedCounts() {
+    return this.replicas.map((replica) => crdtService.getBufferedCount(replica.documentId));
+  }
+
+  /**
+   * Remove every replica's document state
+   */
+  destroy() {
+    this.replicas.forEach((replica) => crdtService.clearDocument(replica.documentId));
+  }
+}
+
+module.exports = { CRDTSimulation, createRandom };
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// Set NODE_ENV to test to prevent server from starting
+process.env.NODE_ENV = 'test';
+
+const app = require('../../server');
+const Document = require('../../models/Document');
+const Comment = require('../../models/Comment');
+const crdtService = require('../../services/crdtService');
+
+beforeAll(async () => {
+  const MONGODB_URI =
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/collaborative-editor-test';
+  await mongoose.connect(MONGODB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Document.deleteMany({});
+  await Comment.deleteMany({});
+});
+
+describe('Comment API Routes', () => {
+  const owner = 'owner@example.com';
+  let document;
+
+  beforeEach(async () => {
+    document = await Document.create({
+      title: 'Plan',
+      content: '<p>Ship the new editor in May</p>',
+      owner,
+      permissions: [
+        { username: 'commenter@example.com', role: 'commenter' },
+        { username: 'viewer@example.com', role: 'viewer' },
+      ],
+    });
+  });
+
+  // Start a thread on "new editor" as the commenter
+  const createComment = (body = 'Which one?') =>
+    request(app)
+      .post(`/api/documents/${document._id}/comments`)
+      .set('x-username', 'commenter@example.com')
+      .send({ body, position: 12, length: 10 });
+
+  describe('POST /api/documents/:id/comments', () => {
+    test('should start a thread anchored to the commented text', async () => {
+      const response = await createComment('Which one? cc @owner@example.com');
+
+      expect(response.status).toBe(201);
+      expect(response.body.author).toBe('commenter@example.com');
+      expect(response.body.quote).toBe('new editor');
+      expect(response.body.range).toEqual({ start: 12, end: 22 });
+      expect(response.body.mentions).toEqual([owner]);
+      expect(await Comment.countDocuments({ document: document._id })).toBe(1);
+    });
+
+    test('should not let viewers comment', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${document._id}/comments`)
+        .set('x-username', 'viewer@example.com')
+        .send({ body: 'Hi', position: 12, length: 10 });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should reject empty comments and ranges outside the content', async () => {
+      const empty = await createComment(' ');
+      const outside = await request(app)
+        .post(`/api/documents/${document._id}/comments`)
+        .set('x-username', owner)
+        .send({ body: 'Hi', position: 500, length: 3 });
+
+      expect(empty.status).toBe(400);
+      expect(outside.status).toBe(400);
+      expect(outside.body.error).toBe('Invalid comment range');
+    });
+  });
+
+  describe('GET /api/documents/:id/comments', () => {
+    test('should list threads with the range their text covers now', async () => {
+      await createComment();
+      crdtService.setContent(document._id.toString(), '<p>Finally ship the new editor in May</p>');
+
+      const response = await request(app)
+        .get(`/api/documents/${document._id}/comments`)
+        .set('x-username', 'viewer@example.com');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].range).toEqual({ start: 20, end: 30 });
+    });
+
+    test('should filter by resolved state', async () => {
+      const created = await createComment();
+      await Comment.updateOne({ _id: created.body._id }, { $set: { resolved: true } });
+
+      const open = await request(app)
+        .get(`/api/documents/${document._id}/comments?resolved=false`)
+        .set('x-username', owner);
+      const resolved = await request(app)
+        .get(`/api/documents/${document._id}/comments?resolved=true`)
+        .set('x-username', owner);
+
+      expect(open.body).toHaveLength(0);
+      expect(resolved.body).toHaveLength(1);
+    });
+
+    test('should require read access', async () => {
+      const response = await request(app)
+        .get(`/api/documents/${document._id}/comments`)
+        .set('x-username', 'stranger@example.com');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('POST /api/documents/:id/comments/:commentId/replies', () => {
+    test('should add a reply to the thread', async () => {
+      const created = await createComment();
+
+      const response = await request(app)
+        .post(`/api/documents/${document._id}/comments/${created.body._id}/replies`)
+        .set('x-username', owner)
+        .send({ body: 'The rewrite' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.replies).toHaveLength(1);
+      expect(response.body.replies[0]).toMatchObject({ author: owner, body: 'The rewrite' });
+    });
+
+    test('should return 404 for an unknown thread', async () => {
+      const response = await request(app)
+        .post(`/api/documents/${document._id}/comments/${new mongoose.Types.ObjectId()}/replies`)
+        .set('x-username', owner)
+        .send({ body: 'Hello?' });
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /api/documents/:id/comments/:commentId', () => {
+    test('should resolve and reopen a thread', async () => {
+      const created = await createComment();
+      const url = `/api/documents/${document._id}/comments/${created.body._id}`;
+
+      const resolved = await request(app)
+        .patch(url)
+        .set('x-username', owner)
+        .send({ resolved: true });
+      expect(resolved.status).toBe(200);
+      expect(resolved.body.resolved).toBe(true);
+      expect(resolved.body.resolvedBy).toBe(owner);
+
+      const reopened = await request(app)
+        .patch(url)
+        .set('x-username', 'commenter@example.com')
+        .send({ resolved: false });
+      expect(reopened.body.resolved).toBe(false);
+      expect(reopened.body.resolvedBy).toBe(null);
+    });
+
+    test('should only let the author edit the text', async () => {
+      const created = await createComment();
+      const url = `/api/documents/${document._id}/comments/${created.body._id}`;
+
+      const byOwner = await request(app).patch(url).set('x-username', owner).send({ body: 'X' });
+      const byAuthor = await request(app)
+        .patch(url)
+        .set('x-username', 'commenter@example.com')
+        .send({ body: 'Which editor?' });
+
+      expect(byOwner.status).toBe(403);
+      expect(byAuthor.status).toBe(200);
+      expect(byAuthor.body.body).toBe('Which editor?');
+    });
+
+    test('should reject a non-boolean resolved state', async () => {
+      const created = await createComment();
+
+      const response = await request(app)
+        .patch(`/api/documents/${document._id}/comments/${created.body._id}`)
+        .set('x-username', owner)
+        .send({ resolved: 'yes' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('DELETE /api/documents/:id/comments/:commentId', () => {
+    test('should let the document owner delete any thread', async () => {
+      const created = await createComment();
+
+      const response = await request(app)
+        .delete(`/api/documents/${document._id}/comments/${created.body._id}`)
+        .set('x-username', owner);
+
+      expect(response.status).toBe(200);
+      expect(await Comment.countDocuments({})).toBe(0);
+    });
+
+    test('should not let other commenters delete a thread', async () => {
+      await Document.updateOne(
+        { _id: document._id },
+        { $push: { permissions: { username: 'other@example.com', role: 'commenter' } } }
+      );
+      const created = await createComment();
+
+      const response = await request(app)
+        .delete(`/api/documents/${document._id}/comments/${created.body._id}`)
+        .set('x-username', 'other@example.com');
+
+      expect(response.status).toBe(403);
+      expect(await Comment.countDocuments({})).toBe(1);
+    });
+  });
+});
@@ -6,6 +6,10 @@ process.env.NODE_ENV = 'test';
 
 const app = require('../../server');
 const Document = require('../../models/Document');
+const Version = require('../../models/Version');
+const versionService = require('../../services/versionService');
+const crdtService = require('../../services/crdtService');
+const autosaveService = require('../../services/autosaveService');
 
 beforeAll(async () => {
   const MONGODB_URI =
@@ -19,6 +23,8 @@ afterAll(async () => {
 
 beforeEach(async () => {
   await Document.deleteMany({});
+  await Version.deleteMany({});
+  versionService.latest.clear();
 });
 
 describe('Document API Routes', () => {
@@ -55,6 +61,43 @@ describe('Document API Routes', () => {
     });
   });
 
+  describe('GET /api/documents/search', () => {
+    beforeAll(async () => {
+      await Document.syncIndexes();
+    });
+
+    test('should return matching documents with highlighted snippets', async () => {
+      await request(app)
+        .post('/api/documents')
+        .set('x-username', testUser)
+        .send({ title: 'Plan', content: '<p>Launch the <i>rocket</i> on Monday</p>' });
+      await request(app)
+        .post('/api/documents')
+        .set('x-username', 'someone-else')
+        .send({ title: 'Rocket', content: 'Private' });
+
+      const response = await request(app)
+        .get('/api/documents/search?q=rocket')
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].title).toBe('Plan');
+      expect(response.body[0].snippet).toEqual({
+        text: 'Launch the rocket on Monday',
+        highlights: [[11, 17]],
+      });
+    });
+
+    test('should require a query', async () => {
+      const response = await request(app)
+        .get('/api/documents/search?q=%20')
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
   describe('GET /api/documents/:id', () => {
     test('should get document by ID', async () => {
       const doc = await Document.create({
@@ -70,6 +113,25 @@ describe('Document API Routes', () => {
       expect(response.status).toBe(200);
       expect(response.body.title).toBe('Test Doc');
       expect(response.body.content).toBe('Test Content');
+      expect(response.headers.etag).toBe('"0"');
+    });
+
+    test('should include unsaved live edits without saving them', async () => {
+      const doc = await Document.create({ title: 'Test Doc', content: 'Saved', owner: testUser });
+      const docId = doc._id.toString();
+      crdtService.setContent(docId, 'Saved and live');
+      autosaveService.markDirty(docId, testUser);
+
+      const response = await request(app)
+        .get(`/api/documents/${doc._id}`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body.content).toBe('Saved and live');
+      expect(response.headers.etag).toBe('W/"0"');
+      expect(autosaveService.isDirty(docId)).toBe(true);
+      expect((await Document.findById(doc._id)).content).toBe('Saved');
+      autosaveService.markSaved(docId);
     });
 
     test('should return 404 for non-existent document', async () => {
@@ -110,6 +172,16 @@ describe('Document API Routes', () => {
       expect(response.body.owner).toBe(testUser);
     });
 
+    test('should remove unsafe markup from the content', async () => {
+      const response = await request(app)
+        .post('/api/documents')
+        .set('x-username', testUser)
+        .send({ title: 'New Document', content: '<a href="javascript:alert(1)">Link</a>' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.content).toBe('<a>Link</a>');
+    });
+
     test('should require username', async () => {
       const response = await request(app).post('/api/documents').send({
         title: 'New Document',
@@ -138,6 +210,20 @@ describe('Document API Routes', () => {
       expect(response.body.content).toBe('New Content');
     });
 
+    test('should remove unsafe markup from the content', async () => {
+      const doc = await Document.create({ title: 'Test', content: 'Old', owner: testUser });
+
+      const response = await request(app)
+        .put(`/api/documents/${doc._id}`)
+        .set('x-username', testUser)
+        .send({
+          content: '<p onmouseover="alert(1)">Hi</p><script>alert(2)</script>',
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.content).toBe('<p>Hi</p>');
+    });
+
     test('should update document title', async () => {
       const doc = await Document.create({
         title: 'Old Title',
@@ -155,6 +241,40 @@ describe('Document API Routes', () => {
       expect(response.body.title).toBe('New Title');
     });
 
+    test('should return the new revision as ETag', async () => {
+      const doc = await Document.create({ title: 'Test', content: 'Old', owner: testUser });
+
+      const response = await request(app)
+        .put(`/api/documents/${doc._id}`)
+        .set('x-username', testUser)
+        .set('If-Match', '"0"')
+        .send({ content: 'New Content' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers.etag).toBe('"1"');
+      expect(response.body.revision).toBe(1);
+    });
+
+    test('should reject a stale If-Match with the current revision', async () => {
+      const doc = await Document.create({
+        title: 'Test',
+        content: 'Old',
+        owner: testUser,
+        revision: 3,
+      });
+
+      const response = await request(app)
+        .put(`/api/documents/${doc._id}`)
+        .set('x-username', testUser)
+        .set('If-Match', '"2"')
+        .send({ content: 'Stale' });
+
+      expect(response.status).toBe(412);
+      expect(response.headers.etag).toBe('"3"');
+      expect(response.body.revision).toBe(3);
+      expect((await Document.findById(doc._id)).content).toBe('Old');
+    });
+
     test('should check write permission', async () => {
       const doc = await Document.create({
         title: 'Protected',
@@ -186,10 +306,28 @@ describe('Document API Routes', () => {
         .set('x-username', testUser);
 
       expect(response.status).toBe(200);
-      expect(response.body.message).toContain('deleted');
+      expect(response.body.message).toContain('trash');
+      expect(response.body.purgeAt).toBeDefined();
+
+      const trashed = await Document.findById(doc._id);
+      expect(trashed.deletedAt).toBeInstanceOf(Date);
+
+      const fetched = await request(app)
+        .get(`/api/documents/${doc._id}`)
+        .set('x-username', testUser);
+      expect(fetched.status).toBe(404);
+    });
+
+    test('should reject a stale If-Match', async () => {
+      const doc = await Document.create({ title: 'To Delete', owner: testUser, revision: 2 });
+
+      const response = await request(app)
+        .delete(`/api/documents/${doc._id}`)
+        .set('x-username', testUser)
+        .set('If-Match', '"1"');
 
-      const deleted = await Document.findById(doc._id);
-      expect(deleted).toBeNull();
+      expect(response.status).toBe(412);
+      expect(await Document.findById(doc._id)).not.toBeNull();
     });
 
     test('should check delete permission', async () => {
@@ -207,6 +345,76 @@ describe('Document API Routes', () => {
     });
   });
 
+  describe('Trash routes', () => {
+    const trash = async (owner) => {
+      const doc = await Document.create({ title: 'Trashed', owner });
+      await request(app).delete(`/api/documents/${doc._id}`).set('x-username', owner);
+      return doc;
+    };
+
+    test('should list the requester trashed documents', async () => {
+      await trash(testUser);
+      await trash('someone-else');
+      await Document.create({ title: 'Kept', owner: testUser });
+
+      const response = await request(app).get('/api/documents/trash').set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(1);
+      expect(response.body[0].title).toBe('Trashed');
+      expect(response.body[0].purgeAt).toBeDefined();
+    });
+
+    test('should restore a trashed document', async () => {
+      const doc = await trash(testUser);
+
+      const response = await request(app)
+        .post(`/api/documents/trash/${doc._id}/restore`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body.deletedAt).toBeNull();
+      expect((await Document.findById(doc._id)).deletedAt).toBeNull();
+    });
+
+    test('should permanently delete a trashed document', async () => {
+      const doc = await trash(testUser);
+
+      const response = await request(app)
+        .delete(`/api/documents/trash/${doc._id}`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(await Document.findById(doc._id)).toBeNull();
+    });
+
+    test('should only permanently delete documents in the trash', async () => {
+      const doc = await Document.create({ title: 'Kept', owner: testUser });
+
+      const response = await request(app)
+        .delete(`/api/documents/trash/${doc._id}`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(404);
+      expect(await Document.findById(doc._id)).not.toBeNull();
+    });
+
+    test('should require delete permission to restore', async () => {
+      const doc = await Document.create({
+        title: 'Protected',
+        owner: 'owner1',
+        permissions: [{ username: 'editor1', role: 'editor' }],
+      });
+      await Document.updateOne({ _id: doc._id }, { deletedAt: new Date() });
+
+      const response = await request(app)
+        .post(`/api/documents/trash/${doc._id}/restore`)
+        .set('x-username', 'editor1');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('POST /api/documents/:id/permissions', () => {
     test('should add permission', async () => {
       const doc = await Document.create({
@@ -230,6 +438,33 @@ describe('Document API Routes', () => {
       expect(permission.role).toBe('editor');
     });
 
+    test('should add a commenter', async () => {
+      const doc = await Document.create({ title: 'Test', owner: testUser });
+
+      const response = await request(app)
+        .post(`/api/documents/${doc._id}/permissions`)
+        .set('x-username', testUser)
+        .send({ email: 'reviewer@example.com', role: 'commenter' });
+
+      expect(response.status).toBe(200);
+      const updated = await Document.findById(doc._id);
+      expect(updated.permissions[0]).toMatchObject({
+        username: 'reviewer@example.com',
+        role: 'commenter',
+      });
+    });
+
+    test('should reject unknown roles', async () => {
+      const doc = await Document.create({ title: 'Test', owner: testUser });
+
+      const response = await request(app)
+        .post(`/api/documents/${doc._id}/permissions`)
+        .set('x-username', testUser)
+        .send({ email: 'reviewer@example.com', role: 'reviewer' });
+
+      expect(response.status).toBe(400);
+    });
+
     test('should require manage permission', async () => {
       const doc = await Document.create({
         title: 'Test',
@@ -323,6 +558,19 @@ describe('Document API Routes', () => {
       expect(response.body.access).toBe('read');
     });
 
+    test('should generate share link with comment access', async () => {
+      const doc = await Document.create({ title: 'Test Doc', owner: testUser });
+
+      const response = await request(app)
+        .post(`/api/documents/${doc._id}/share`)
+        .set('x-username', testUser)
+        .send({ access: 'comment' });
+
+      expect(response.status).toBe(200);
+      const updated = await Document.findById(doc._id);
+      expect(updated.shareAccess).toBe('comment');
+    });
+
     test('should require owner to generate share link', async () => {
       const doc = await Document.create({
         title: 'Test Doc',
@@ -466,6 +714,132 @@ describe('Document API Routes', () => {
     });
   });
 
+  describe('Version routes', () => {
+    const createWithVersions = async (owner, contents) => {
+      const doc = await Document.create({ title: 'Versioned', content: contents[0], owner });
+      for (const content of contents) {
+        await versionService.createVersion(doc._id.toString(), content, owner);
+      }
+      return doc;
+    };
+
+    test('should list versions newest first with pagination', async () => {
+      const doc = await createWithVersions(testUser, ['one', 'two', 'three']);
+
+      const response = await request(app)
+        .get(`/api/documents/${doc._id}/versions?limit=2`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(3);
+      expect(response.body.versions.map((v) => v.number)).toEqual([3, 2]);
+      expect(response.body.versions[0].user).toBe(testUser);
+      expect(response.body.versions[0].timestamp).toBeDefined();
+    });
+
+    test('should fetch a version with its content', async () => {
+      const doc = await createWithVersions(testUser, ['one', 'two']);
+
+      const response = await request(app)
+        .get(`/api/documents/${doc._id}/versions/1`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ number: 1, content: 'one' });
+    });
+
+    test('should return 404 for a missing version', async () => {
+      const doc = await createWithVersions(testUser, ['one']);
+
+      const response = await request(app)
+        .get(`/api/documents/${doc._id}/versions/7`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(404);
+    });
+
+    test('should diff two versions', async () => {
+      const doc = await createWithVersions(testUser, ['Hello World', 'Hello brave World']);
+
+      const response = await request(app)
+        .get(`/api/documents/${doc._id}/versions/diff?from=1&to=2`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body.changes).toEqual([
+        { type: 'equal', text: 'Hello ' },
+        { type: 'insert', text: 'brave ' },
+        { type: 'equal', text: 'World' },
+      ]);
+      expect(response.body.stats).toEqual({ insertions: 6, deletions: 0 });
+    });
+
+    test('should require from and to for a diff', async () => {
+      const doc = await createWithVersions(testUser, ['one']);
+
+      const response = await request(app)
+        .get(`/api/documents/${doc._id}/versions/diff?from=1`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should restore a version as a new version', async () => {
+      const doc = await createWithVersions(testUser, ['one', 'two']);
+
+      const response = await request(app)
+        .post(`/api/documents/${doc._id}/versions/1/restore`)
+        .set('x-username', testUser);
+
+      expect(response.status).toBe(200);
+      expect(response.body.restoredFrom).toBe(1);
+      expect(response.body.document.content).toBe('one');
+      expect(await versionService.getVersionContent(doc._id.toString(), 3)).toBe('one');
+    });
+
+    test('should name and pin a version', async () => {
+      const doc = await createWithVersions(testUser, ['one', 'two']);
+
+      const response = await request(app)
+        .patch(`/api/documents/${doc._id}/versions/1`)
+        .set('x-username', testUser)
+        .send({ label: 'v1.0', pinned: true });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toMatchObject({ number: 1, label: 'v1.0', pinned: true });
+
+      const named = await request(app)
+        .get(`/api/documents/${doc._id}/versions?named=true`)
+        .set('x-username', testUser);
+
+      expect(named.body.total).toBe(1);
+      expect(named.body.versions[0].label).toBe('v1.0');
+    });
+
+    test('should reject a non-string label', async () => {
+      const doc = await createWithVersions(testUser, ['one']);
+
+      const response = await request(app)
+        .patch(`/api/documents/${doc._id}/versions/1`)
+        .set('x-username', testUser)
+        .send({ label: 42 });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require write permission to restore', async () => {
+      const doc = await createWithVersions('owner1', ['one', 'two']);
+      doc.permissions.push({ username: 'viewer1', role: 'viewer' });
+      await doc.save();
+
+      const response = await request(app)
+        .post(`/api/documents/${doc._id}/versions/1/restore`)
+        .set('x-username', 'viewer1');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
   describe('Error handling', () => {
     test('should handle server errors gracefully', async () => {
       const response = await request(app)
@@ -0,0 +1,285 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// Set NODE_ENV to test to prevent server from starting
+process.env.NODE_ENV = 'test';
+
+const app = require('../../server');
+const Document = require('../../models/Document');
+const Folder = require('../../models/Folder');
+
+beforeAll(async () => {
+  const MONGODB_URI =
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/collaborative-editor-test';
+  await mongoose.connect(MONGODB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Document.deleteMany({});
+  await Folder.deleteMany({});
+});
+
+describe('Folder API Routes', () => {
+  const owner = 'owner1';
+
+  describe('POST /api/folders', () => {
+    test('should create a top-level folder', async () => {
+      const response = await request(app)
+        .post('/api/folders')
+        .set('x-username', owner)
+        .send({ name: '  Projects ' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.name).toBe('Projects');
+      expect(response.body.owner).toBe(owner);
+      expect(response.body.parent).toBe(null);
+    });
+
+    test('should require a name', async () => {
+      const response = await request(app)
+        .post('/api/folders')
+        .set('x-username', owner)
+        .send({ name: ' ' });
+
+      expect(response.status).toBe(400);
+    });
+
+    test('should require write access to the parent folder', async () => {
+      const parent = await Folder.create({
+        name: 'Team',
+        owner,
+        permissions: [{ username: 'viewer1', role: 'viewer' }],
+      });
+
+      const response = await request(app)
+        .post('/api/folders')
+        .set('x-username', 'viewer1')
+        .send({ name: 'Mine', parent: parent._id });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('GET /api/folders', () => {
+    test('should list shared folders with everything inside them', async () => {
+      const team = await Folder.create({
+        name: 'Team',
+        owner,
+        permissions: [{ username: 'editor1', role: 'editor' }],
+      });
+      await Folder.create({ name: 'Drafts', owner, parent: team._id });
+      await Folder.create({ name: 'Private', owner });
+
+      const response = await request(app).get('/api/folders').set('x-username', 'editor1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map((folder) => [folder.name, folder.role])).toEqual([
+        ['Drafts', 'editor'],
+        ['Team', 'editor'],
+      ]);
+    });
+  });
+
+  describe('GET /api/folders/:id', () => {
+    test('should return the folder with its path, subfolders and documents', async () => {
+      const team = await Folder.create({ name: 'Team', owner });
+      const drafts = await Folder.create({ name: 'Drafts', owner, parent: team._id });
+      await Folder.create({ name: 'Old', owner, parent: drafts._id });
+      await Document.create({ title: 'Plan', owner: 'someone', folder: drafts._id });
+
+      const response = await request(app)
+        .get(`/api/folders/${drafts._id}`)
+        .set('x-username', owner);
+
+      expect(response.status).toBe(200);
+      expect(response.body.role).toBe('owner');
+      expect(response.body.path.map((folder) => folder.name)).toEqual(['Team', 'Drafts']);
+      expect(response.body.folders.map((folder) => folder.name)).toEqual(['Old']);
+      expect(response.body.documents.map((doc) => doc.title)).toEqual(['Plan']);
+    });
+
+    test('should return 403 without a role on the folder', async () => {
+      const folder = await Folder.create({ name: 'Private', owner });
+
+      const response = await request(app)
+        .get(`/api/folders/${folder._id}`)
+        .set('x-username', 'stranger');
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('PATCH /api/folders/:id', () => {
+    test('should rename and move a folder', async () => {
+      const archive = await Folder.create({ name: 'Archive', owner });
+      const folder = await Folder.create({ name: 'Drafts', owner });
+
+      const response = await request(app)
+        .patch(`/api/folders/${folder._id}`)
+        .set('x-username', owner)
+        .send({ name: 'Old drafts', parent: archive._id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.name).toBe('Old drafts');
+      expect(response.body.parent).toBe(archive._id.toString());
+    });
+
+    test('should not move a folder into itself', async () => {
+      const parent = await Folder.create({ name: 'Team', owner });
+      const child = await Folder.create({ name: 'Drafts', owner, parent: parent._id });
+
+      const response = await request(app)
+        .patch(`/api/folders/${parent._id}`)
+        .set('x-username', owner)
+        .send({ parent: child._id });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Cannot move a folder into itself');
+    });
+  });
+
+  describe('DELETE /api/folders/:id', () => {
+    test('should delete an empty folder', async () => {
+      const folder = await Folder.create({ name: 'Empty', owner });
+      const trashed = await Document.create({
+        title: 'Old',
+        owner,
+        folder: folder._id,
+        deletedAt: new Date(),
+      });
+
+      const response = await request(app)
+        .delete(`/api/folders/${folder._id}`)
+        .set('x-username', owner);
+
+      expect(response.status).toBe(200);
+      expect(await Folder.findById(folder._id)).toBe(null);
+      // Restoring the document later puts it at the top level
+      expect((await Document.findById(trashed._id)).folder).toBe(null);
+    });
+
+    test('should not delete a folder with documents in it', async () => {
+      const folder = await Folder.create({ name: 'Full', owner });
+      await Document.create({ title: 'Doc', owner, folder: folder._id });
+
+      const response = await request(app)
+        .delete(`/api/folders/${folder._id}`)
+        .set('x-username', owner);
+
+      expect(response.status).toBe(409);
+    });
+  });
+
+  describe('Folder permissions', () => {
+    test('should give access to every document inside the folder', async () => {
+      const folder = await Folder.create({ name: 'Team', owner });
+      const doc = await Document.create({
+        title: 'Plan',
+        content: 'Text',
+        owner,
+        folder: folder._id,
+      });
+
+      await request(app)
+        .post(`/api/folders/${folder._id}/permissions`)
+        .set('x-username', owner)
+        .send({ email: 'Viewer1@example.com', role: 'viewer' })
+        .expect(200);
+
+      const read = await request(app)
+        .get(`/api/documents/${doc._id}`)
+        .set('x-username', 'viewer1@example.com');
+      expect(read.status).toBe(200);
+      expect(read.body.role).toBe('viewer');
+
+      const write = await request(app)
+        .put(`/api/documents/${doc._id}`)
+        .set('x-username', 'viewer1@example.com')
+        .send({ content: 'Changed' });
+      expect(write.status).toBe(403);
+
+      const list = await request(app)
+        .get('/api/documents')
+        .set('x-username', 'viewer1@example.com');
+      expect(list.body.map((d) => d.title)).toEqual(['Plan']);
+    });
+
+    test('should only let folder owners manage permissions', async () => {
+      const folder = await Folder.create({
+        name: 'Team',
+        owner,
+        permissions: [{ username: 'editor1', role: 'editor' }],
+      });
+
+      const response = await request(app)
+        .post(`/api/folders/${folder._id}/permissions`)
+        .set('x-username', 'editor1')
+        .send({ email: 'friend', role: 'editor' });
+
+      expect(response.status).toBe(403);
+    });
+  });
+
+  describe('Documents in folders', () => {
+    test('should create a document in a folder', async () => {
+      const folder = await Folder.create({ name: 'Team', owner });
+
+      const response = await request(app)
+        .post('/api/documents')
+        .set('x-username', owner)
+        .send({ title: 'Notes', folder: folder._id });
+
+      expect(response.status).toBe(201);
+      expect(response.body.folder).toBe(folder._id.toString());
+    });
+
+    test('should move a document between folders', async () => {
+      const folder = await Folder.create({ name: 'Team', owner });
+      const doc = await Document.create({ title: 'Notes', owner });
+
+      const response = await request(app)
+        .put(`/api/documents/${doc._id}/folder`)
+        .set('x-username', owner)
+        .send({ folderId: folder._id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.folder).toBe(folder._id.toString());
+    });
+
+    test('should not move a document into a folder without write access', async () => {
+      const folder = await Folder.create({
+        name: 'Team',
+        owner: 'lead1',
+        permissions: [{ username: owner, role: 'viewer' }],
+      });
+      const doc = await Document.create({ title: 'Notes', owner });
+
+      const response = await request(app)
+        .put(`/api/documents/${doc._id}/folder`)
+        .set('x-username', owner)
+        .send({ folderId: folder._id });
+
+      expect(response.status).toBe(403);
+    });
+
+    test('should list documents by folder', async () => {
+      const folder = await Folder.create({ name: 'Team', owner });
+      await Document.create([
+        { title: 'Inside', owner, folder: folder._id },
+        { title: 'Outside', owner },
+      ]);
+
+      const inside = await request(app)
+        .get(`/api/documents?folder=${folder._id}`)
+        .set('x-username', owner);
+      const root = await request(app).get('/api/documents?folder=root').set('x-username', owner);
+
+      expect(inside.body.map((doc) => doc.title)).toEqual(['Inside']);
+      expect(root.body.map((doc) => doc.title)).toEqual(['Outside']);
+    });
+  });
+});
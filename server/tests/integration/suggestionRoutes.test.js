@@ -0,0 +1,152 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// Set NODE_ENV to test to prevent server from starting
+process.env.NODE_ENV = 'test';
+
+const app = require('../../server');
+const Document = require('../../models/Document');
+const Suggestion = require('../../models/Suggestion');
+const crdtService = require('../../services/crdtService');
+
+beforeAll(async () => {
+  const MONGODB_URI =
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/collaborative-editor-test';
+  await mongoose.connect(MONGODB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Document.deleteMany({});
+  await Suggestion.deleteMany({});
+});
+
+describe('Suggestion API Routes', () => {
+  const owner = 'owner@example.com';
+  let document;
+
+  beforeEach(async () => {
+    document = await Document.create({
+      title: 'Plan',
+      content:
+        '<p>Ship the<ins data-suggestion="s1"> new</ins> editor ' +
+        '<del data-suggestion="s2">in May</del></p>',
+      owner,
+      permissions: [
+        { username: 'editor@example.com', role: 'editor' },
+        { username: 'commenter@example.com', role: 'commenter' },
+      ],
+    });
+    await Suggestion.create([
+      {
+        document: document._id,
+        key: 's1',
+        type: 'insert',
+        author: 'commenter@example.com',
+        text: 'new',
+      },
+      {
+        document: document._id,
+        key: 's2',
+        type: 'delete',
+        author: 'commenter@example.com',
+        text: 'in May',
+      },
+    ]);
+  });
+
+  const suggestionsUrl = () => `/api/documents/${document._id}/suggestions`;
+
+  describe('GET /api/documents/:id/suggestions', () => {
+    test('should list pending suggestions', async () => {
+      const response = await request(app)
+        .get(suggestionsUrl())
+        .set('x-username', 'commenter@example.com');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map((suggestion) => suggestion.key)).toEqual(['s1', 's2']);
+    });
+
+    test('should reject an unknown status', async () => {
+      const response = await request(app)
+        .get(`${suggestionsUrl()}?status=maybe`)
+        .set('x-username', owner);
+
+      expect(response.status).toBe(400);
+    });
+  });
+
+  describe('POST /api/documents/:id/suggestions/:key/accept', () => {
+    test('should apply the suggestion to the content', async () => {
+      const response = await request(app)
+        .post(`${suggestionsUrl()}/s1/accept`)
+        .set('x-username', 'editor@example.com');
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual([
+        expect.objectContaining({
+          key: 's1',
+          status: 'accepted',
+          resolvedBy: 'editor@example.com',
+        }),
+      ]);
+      expect(crdtService.getContent(document._id.toString())).toBe(
+        '<p>Ship the new editor <del data-suggestion="s2">in May</del></p>'
+      );
+      expect((await Suggestion.findOne({ key: 's1' })).status).toBe('accepted');
+    });
+
+    test('should not let commenters accept suggestions', async () => {
+      const response = await request(app)
+        .post(`${suggestionsUrl()}/s1/accept`)
+        .set('x-username', 'commenter@example.com');
+
+      expect(response.status).toBe(403);
+      expect((await Suggestion.findOne({ key: 's1' })).status).toBe('pending');
+    });
+
+    test('should return 404 for a suggestion that is not pending', async () => {
+      await Suggestion.updateOne({ key: 's1' }, { $set: { status: 'rejected' } });
+
+      const response = await request(app)
+        .post(`${suggestionsUrl()}/s1/accept`)
+        .set('x-username', owner);
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('POST /api/documents/:id/suggestions/reject', () => {
+    test('should reject every pending suggestion', async () => {
+      const response = await request(app)
+        .post(`${suggestionsUrl()}/reject`)
+        .set('x-username', owner);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toHaveLength(2);
+      expect(crdtService.getContent(document._id.toString())).toBe('<p>Ship the editor in May</p>');
+    });
+
+    test('should reject only the listed suggestions', async () => {
+      const response = await request(app)
+        .post(`${suggestionsUrl()}/reject`)
+        .set('x-username', owner)
+        .send({ keys: ['s2'] });
+
+      expect(response.body.map((suggestion) => suggestion.key)).toEqual(['s2']);
+      expect(await Suggestion.countDocuments({ status: 'pending' })).toBe(1);
+    });
+
+    test('should validate the keys', async () => {
+      const response = await request(app)
+        .post(`${suggestionsUrl()}/reject`)
+        .set('x-username', owner)
+        .send({ keys: 's2' });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const autosaveService = require('../../services/autosaveService');
+const documentService = require('../../services/documentService');
+const crdtService = require('../../services/crdtService');
+
+jest.mock('../../services/documentService');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.clearAllMocks();
+  crdtService.documentStates.clear();
+  autosaveService.dirty.forEach((entry) => clearTimeout(entry.timer));
+  autosaveService.dirty.clear();
+  autosaveService.removeAllListeners('saved');
+
+  documentService.getDocumentById = jest.fn(() => Promise.resolve({ content: 'Hello' }));
+  documentService.updateDocumentContent = jest.fn(() => Promise.resolve({}));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('AutosaveService', () => {
+  describe('markDirty', () => {
+    test('should save once edits have been idle', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+
+      autosaveService.markDirty('doc1', 'user1');
+      jest.advanceTimersByTime(2000);
+      autosaveService.markDirty('doc1', 'user2');
+      jest.advanceTimersByTime(2000);
+
+      expect(documentService.updateDocumentContent).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(documentService.updateDocumentContent).toHaveBeenCalledTimes(1);
+      expect(documentService.updateDocumentContent).toHaveBeenCalledWith(
+        'doc1',
+        'Hello world',
+        'user2',
+        { saveVersion: false }
+      );
+      expect(autosaveService.isDirty('doc1')).toBe(false);
+    });
+  });
+
+  describe('markSaved', () => {
+    test('should cancel the pending autosave', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+
+      autosaveService.markDirty('doc1', 'user1');
+      autosaveService.markSaved('doc1');
+      await jest.advanceTimersByTimeAsync(5000);
+
+      expect(autosaveService.isDirty('doc1')).toBe(false);
+      expect(documentService.updateDocumentContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUnsavedContent', () => {
+    test('should return live content only while it has unsaved edits', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+      expect(autosaveService.getUnsavedContent('doc1')).toBeNull();
+
+      autosaveService.markDirty('doc1', 'user1');
+      expect(await autosaveService.getUnsavedContentOnOwner('doc1')).toBe('Hello world');
+      expect(documentService.updateDocumentContent).not.toHaveBeenCalled();
+
+      await autosaveService.flush('doc1');
+      expect(autosaveService.getUnsavedContent('doc1')).toBeNull();
+    });
+  });
+
+  describe('flush', () => {
+    test('should save the live content and emit saved', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+      const listener = jest.fn();
+      autosaveService.on('saved', listener);
+
+      autosaveService.markDirty('doc1', 'user1');
+      const info = await autosaveService.flush('doc1');
+
+      expect(info).toEqual(
+        expect.objectContaining({ documentId: 'doc1', content: 'Hello world', user: 'user1' })
+      );
+      expect(info.savedAt).toBeInstanceOf(Date);
+      expect(listener).toHaveBeenCalledWith(info);
+      expect(autosaveService.isDirty('doc1')).toBe(false);
+    });
+
+    test('should do nothing for a document without unsaved edits', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+
+      expect(await autosaveService.flush('doc1')).toBeNull();
+      expect(documentService.getDocumentById).not.toHaveBeenCalled();
+    });
+
+    test('should skip saving when the stored content already matches', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      const listener = jest.fn();
+      autosaveService.on('saved', listener);
+
+      autosaveService.markDirty('doc1', 'user1');
+
+      expect(await autosaveService.flush('doc1')).toBeNull();
+      expect(documentService.updateDocumentContent).not.toHaveBeenCalled();
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('should skip documents that are no longer loaded', async () => {
+      autosaveService.markDirty('doc1', 'user1');
+
+      expect(await autosaveService.flush('doc1')).toBeNull();
+      expect(documentService.updateDocumentContent).not.toHaveBeenCalled();
+    });
+
+    test('should rethrow save errors', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+      documentService.updateDocumentContent.mockRejectedValue(new Error('Document not found'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      autosaveService.markDirty('doc1', 'user1');
+
+      await expect(autosaveService.flush('doc1')).rejects.toThrow('Document not found');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('flushOnOwner', () => {
+    test('should save unsaved edits when this node owns the document', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+      autosaveService.markDirty('doc1', 'user1');
+
+      const info = await autosaveService.flushOnOwner('doc1');
+
+      expect(info).toEqual(expect.objectContaining({ documentId: 'doc1', content: 'Hello world' }));
+      expect(autosaveService.isDirty('doc1')).toBe(false);
+    });
+  });
+
+  describe('flushAll', () => {
+    test('should save every dirty document and count failures', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+      crdtService.setContent('doc2', 'Goodbye');
+      crdtService.setContent('doc3', 'Unchanged');
+      documentService.updateDocumentContent.mockImplementation((documentId) =>
+        documentId === 'doc2' ? Promise.reject(new Error('Write failed')) : Promise.resolve({})
+      );
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      autosaveService.markDirty('doc1', 'user1');
+      autosaveService.markDirty('doc2', 'user1');
+
+      expect(await autosaveService.flushAll()).toEqual({ saved: 1, failed: 1 });
+      expect(documentService.updateDocumentContent).toHaveBeenCalledTimes(2);
+      expect(autosaveService.dirty.size).toBe(0);
+      console.error.mockRestore();
+    });
+
+    test('should wait for saves already in progress', async () => {
+      crdtService.setContent('doc1', 'Hello world');
+      let finishWrite;
+      documentService.updateDocumentContent.mockReturnValue(
+        new Promise((resolve) => {
+          finishWrite = resolve;
+        })
+      );
+
+      autosaveService.markDirty('doc1', 'user1');
+      const inProgress = autosaveService.flush('doc1');
+      const flushed = autosaveService.flushAll();
+      await Promise.resolve();
+      finishWrite({});
+
+      expect(await flushed).toEqual({ saved: 1, failed: 0 });
+      expect(await inProgress).toEqual(expect.objectContaining({ documentId: 'doc1' }));
+      expect(autosaveService.saving.size).toBe(0);
+    });
+  });
+});
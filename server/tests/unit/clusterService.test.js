@@ -0,0 +1,143 @@
+const { MemoryClusterAdapter, MemoryClusterBus } = require('../../services/cluster/memoryAdapter');
+
+// Every node gets its own copy of the service, as if it ran in its own process
+const createNode = (nodeId) => {
+  let clusterService;
+  jest.isolateModules(() => {
+    clusterService = require('../../services/clusterService');
+  });
+  clusterService.nodeId = nodeId;
+  return clusterService;
+};
+
+describe('ClusterService', () => {
+  let bus;
+  let nodeA;
+  let nodeB;
+
+  beforeEach(async () => {
+    bus = new MemoryClusterBus();
+    nodeA = createNode('A');
+    nodeB = createNode('B');
+    await nodeA.useAdapter(new MemoryClusterAdapter(bus));
+    await nodeB.useAdapter(new MemoryClusterAdapter(bus));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await nodeA.stop();
+    await nodeB.stop();
+    console.error.mockRestore();
+  });
+
+  describe('without an adapter', () => {
+    test('should own every document', async () => {
+      const single = createNode('solo');
+
+      expect(single.isClustered()).toBe(false);
+      expect(single.isOwner('doc1')).toBe(true);
+      expect(await single.getOwner('doc1')).toBe('solo');
+    });
+
+    test('should run handlers locally', async () => {
+      const single = createNode('solo');
+      single.handle('double', ({ value }) => value * 2);
+
+      expect(await single.runOnOwner('doc1', 'double', { value: 21 })).toBe(42);
+    });
+  });
+
+  describe('getOwner', () => {
+    test('should give each document exactly one owner', async () => {
+      expect(await nodeA.getOwner('doc1')).toBe('A');
+      expect(await nodeB.getOwner('doc1')).toBe('A');
+      expect(await nodeB.getOwner('doc2')).toBe('B');
+
+      expect(nodeA.isOwner('doc1')).toBe(true);
+      expect(nodeB.isOwner('doc1')).toBe(false);
+      expect(nodeA.isOwner('doc2')).toBe(false);
+    });
+
+    test('should let another node take over once the lease expires', async () => {
+      await nodeA.getOwner('doc1');
+      bus.leases.get('document:doc1').expiresAt = Date.now() - 1;
+      nodeB.owners.clear();
+
+      expect(await nodeB.getOwner('doc1')).toBe('B');
+    });
+  });
+
+  describe('renewLeases', () => {
+    test('should report documents another node took over', async () => {
+      await nodeA.getOwner('doc1');
+      bus.leases.set('document:doc1', { owner: 'B', expiresAt: Date.now() + 10000 });
+      const lost = jest.fn();
+      nodeA.on('ownership_lost', lost);
+
+      await nodeA.renewLeases();
+
+      expect(lost).toHaveBeenCalledWith('doc1');
+      expect(nodeA.isOwner('doc1')).toBe(false);
+    });
+  });
+
+  describe('releaseAll', () => {
+    test('should free leases and clear other nodes caches', async () => {
+      await nodeA.getOwner('doc1');
+      expect(await nodeB.getOwner('doc1')).toBe('A');
+
+      expect(await nodeA.releaseAll()).toEqual(['doc1']);
+      await bus.settle();
+
+      expect(await nodeB.getOwner('doc1')).toBe('B');
+    });
+  });
+
+  describe('messages', () => {
+    test('should run requests on the owner and return the result', async () => {
+      nodeA.handle('double', ({ value }, from) => ({ value: value * 2, from }));
+      nodeB.handle('double', () => {
+        throw new Error('Should run on the owner');
+      });
+      await nodeA.getOwner('doc1');
+
+      expect(await nodeB.runOnOwner('doc1', 'double', { value: 21 })).toEqual({
+        value: 42,
+        from: 'B',
+      });
+    });
+
+    test('should reject requests whose handler fails', async () => {
+      nodeA.handle('fail', () => {
+        throw new Error('Document not found');
+      });
+
+      await expect(nodeB.request('A', 'fail', {})).rejects.toThrow('Document not found');
+    });
+
+    test('should broadcast to every other node', async () => {
+      const onA = jest.fn();
+      const onB = jest.fn();
+      nodeA.handle('hello', onA);
+      nodeB.handle('hello', onB);
+
+      await nodeA.broadcast('hello', { text: 'hi' });
+      await bus.settle();
+
+      expect(onA).not.toHaveBeenCalled();
+      expect(onB).toHaveBeenCalledWith({ text: 'hi' }, 'A');
+    });
+
+    test('should send messages as copies', async () => {
+      const received = jest.fn();
+      nodeB.handle('data', received);
+      const payload = { list: [1, 2] };
+
+      await nodeA.send('B', 'data', payload);
+      payload.list.push(3);
+      await bus.settle();
+
+      expect(received).toHaveBeenCalledWith({ list: [1, 2] }, 'A');
+    });
+  });
+});
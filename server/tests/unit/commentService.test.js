@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const commentService = require('../../services/commentService');
+const crdtService = require('../../services/crdtService');
+const permissionService = require('../../services/permissionService');
+const Comment = require('../../models/Comment');
+
+const documentId = new mongoose.Types.ObjectId().toString();
+
+// Users who can read the document (no one manages it)
+const readers = ['alice@example.com', 'bob@example.com'];
+
+let events;
+const recordEvent = (event) => events.push(event);
+
+beforeEach(() => {
+  crdtService.documentStates.clear();
+  crdtService.initializeDocument(documentId, '<p>Hello brave new world</p>');
+
+  events = [];
+  commentService.on('comment_event', recordEvent);
+
+  jest
+    .spyOn(permissionService, 'checkPermission')
+    .mockImplementation(
+      async (id, username, action) => action === 'read' && readers.includes(username)
+    );
+  jest.spyOn(Comment.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  commentService.off('comment_event', recordEvent);
+  jest.restoreAllMocks();
+});
+
+// Text of the current content a thread's range covers
+const rangeText = ({ range }) => crdtService.getContent(documentId).slice(range.start, range.end);
+
+describe('CommentService', () => {
+  describe('parseMentions', () => {
+    test('should find mentioned emails once each, lowercased', () => {
+      expect(
+        commentService.parseMentions(
+          '@alice@example.com and @Bob@Example.com. Mail carol@example.com, @alice@example.com'
+        )
+      ).toEqual(['alice@example.com', 'bob@example.com']);
+    });
+
+    test('should ignore text without mentions', () => {
+      expect(commentService.parseMentions('No one @ all')).toEqual([]);
+      expect(commentService.parseMentions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('createComment', () => {
+    test('should anchor the thread to the commented text and quote it', async () => {
+      const comment = await commentService.createComment(
+        documentId,
+        { body: 'Too dramatic?', position: 9, length: 5 },
+        'alice@example.com'
+      );
+
+      expect(comment.body).toBe('Too dramatic?');
+      expect(comment.quote).toBe('brave');
+      expect(comment.range).toEqual({ start: 9, end: 14 });
+      expect(comment.resolved).toBe(false);
+      expect(events).toEqual([{ documentId, event: 'comment_created', comment, mention: null }]);
+    });
+
+    test('should notify the mentioned users who can read the document', async () => {
+      const comment = await commentService.createComment(
+        documentId,
+        { body: '@bob@example.com and @eve@example.com, thoughts?', position: 3, length: 5 },
+        'alice@example.com'
+      );
+
+      expect(comment.mentions).toEqual(['bob@example.com']);
+      expect(events[0].mention).toEqual({
+        users: ['bob@example.com'],
+        author: 'alice@example.com',
+        body: '@bob@example.com and @eve@example.com, thoughts?',
+      });
+    });
+
+    test('should reject empty comments and ranges outside the content', async () => {
+      await expect(
+        commentService.createComment(documentId, { body: '  ', position: 3, length: 5 }, 'alice')
+      ).rejects.toThrow('Comment cannot be empty');
+      await expect(
+        commentService.createComment(documentId, { body: 'Hi', position: 200, length: 5 }, 'alice')
+      ).rejects.toThrow('Invalid comment range');
+      await expect(
+        commentService.createComment(documentId, { body: 'Hi', position: '3', length: 5 }, 'alice')
+      ).rejects.toThrow('Invalid comment range');
+      expect(Comment.prototype.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getComments', () => {
+    test('should return threads with the range their text covers after edits', async () => {
+      const created = await commentService.createComment(
+        documentId,
+        { body: 'Nice', position: 15, length: 3 },
+        'alice@example.com'
+      );
+      const lean = jest.fn().mockResolvedValue([created]);
+      jest.spyOn(Comment, 'find').mockReturnValue({ sort: () => ({ lean }) });
+
+      crdtService.setContent(documentId, '<p>Hello, hello brave new world!</p>');
+      const [comment] = await commentService.getComments(documentId, { resolved: false });
+
+      expect(Comment.find).toHaveBeenCalledWith({ document: documentId, resolved: false });
+      expect(rangeText(comment)).toBe('new');
+    });
+
+    test('should return no range once the commented text is deleted', async () => {
+      const created = await commentService.createComment(
+        documentId,
+        { body: 'Nice', position: 15, length: 3 },
+        'alice@example.com'
+      );
+      jest
+        .spyOn(Comment, 'find')
+        .mockReturnValue({ sort: () => ({ lean: () => Promise.resolve([created]) }) });
+
+      crdtService.setContent(documentId, '<p>Hello brave world</p>');
+      const [comment] = await commentService.getComments(documentId);
+
+      expect(comment.range).toBeNull();
+    });
+  });
+
+  describe('updateComment', () => {
+    test('should only let the author edit a comment', async () => {
+      const created = new Comment({ document: documentId, author: 'alice@example.com', body: 'A' });
+      jest.spyOn(Comment, 'findOne').mockResolvedValue(created);
+
+      await expect(
+        commentService.updateComment(documentId, created._id, 'B', 'bob@example.com')
+      ).rejects.toThrow('Only the author can edit this comment');
+    });
+
+    test('should notify only the users mentioned for the first time', async () => {
+      const created = new Comment({
+        document: documentId,
+        author: 'alice@example.com',
+        body: '@bob@example.com',
+        mentions: ['bob@example.com'],
+        anchor: crdtService.createAnchor(documentId, 3, 5),
+      });
+      jest.spyOn(Comment, 'findOne').mockResolvedValue(created);
+      readers.push('carol@example.com');
+
+      try {
+        const comment = await commentService.updateComment(
+          documentId,
+          created._id,
+          '@bob@example.com @carol@example.com',
+          'alice@example.com'
+        );
+
+        expect(comment.mentions).toEqual(['bob@example.com', 'carol@example.com']);
+        expect(rangeText(comment)).toBe('Hello');
+        expect(events[0].event).toBe('comment_updated');
+        expect(events[0].mention.users).toEqual(['carol@example.com']);
+      } finally {
+        readers.pop();
+      }
+    });
+  });
+
+  describe('setResolved', () => {
+    test('should record who resolved a thread and clear it when reopened', async () => {
+      const update = jest.spyOn(Comment, 'findOneAndUpdate').mockImplementation(
+        async (query, { $set }) =>
+          new Comment({
+            document: documentId,
+            author: 'alice@example.com',
+            body: 'A',
+            anchor: crdtService.createAnchor(documentId, 3, 5),
+            ...$set,
+          })
+      );
+
+      const resolved = await commentService.setResolved(documentId, 'c1', true, 'bob');
+      expect(resolved.resolved).toBe(true);
+      expect(resolved.resolvedBy).toBe('bob');
+      expect(events[0].event).toBe('comment_resolved');
+
+      const reopened = await commentService.setResolved(documentId, 'c1', false, 'bob');
+      expect(reopened.resolved).toBe(false);
+      expect(reopened.resolvedBy).toBeNull();
+      expect(update.mock.calls[1][1].$set.resolvedAt).toBeNull();
+    });
+  });
+
+  describe('deleteComment', () => {
+    test('should let the author delete a thread and stop keeping its anchor', async () => {
+      const created = await commentService.createComment(
+        documentId,
+        { body: 'Hi', position: 3, length: 5 },
+        'alice@example.com'
+      );
+      const commentId = created._id.toString();
+      jest.spyOn(Comment, 'findOne').mockResolvedValue(new Comment(created));
+      jest.spyOn(Comment, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      expect(crdtService.documentStates.get(documentId).anchors.has(commentId)).toBe(true);
+      expect(await commentService.deleteComment(documentId, commentId, 'alice@example.com')).toBe(
+        true
+      );
+
+      expect(crdtService.documentStates.get(documentId).anchors.has(commentId)).toBe(false);
+      expect(events[1].event).toBe('comment_deleted');
+    });
+
+    test('should not let other users delete a thread unless they manage the document', async () => {
+      const created = new Comment({ document: documentId, author: 'alice@example.com', body: 'A' });
+      jest.spyOn(Comment, 'findOne').mockResolvedValue(created);
+      jest.spyOn(Comment, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+      await expect(
+        commentService.deleteComment(documentId, created._id, 'bob@example.com')
+      ).rejects.toThrow('Only the author or the document owner can delete this comment');
+      expect(permissionService.checkPermission).toHaveBeenCalledWith(
+        documentId,
+        'bob@example.com',
+        'manage'
+      );
+      expect(Comment.deleteOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('loadAnchors', () => {
+    test('should keep the anchors of the saved threads', async () => {
+      const anchor = crdtService.createAnchor(documentId, 3, 5);
+      const lean = jest.fn().mockResolvedValue([{ _id: 'c1', anchor }]);
+      jest.spyOn(Comment, 'find').mockReturnValue({ select: () => ({ lean }) });
+
+      await commentService.loadAnchors(documentId);
+
+      expect(crdtService.documentStates.get(documentId).anchors.get('c1')).toEqual(anchor);
+    });
+  });
+});
@@ -71,45 +71,709 @@ describe('CRDTService', () => {
     });
   });
 
-  describe('mergeOperations', () => {
-    test('should merge multiple insert operations', () => {
-      crdtService.initializeDocument('doc1', 'Hello');
+  describe('applyOperation identifiers', () => {
+    test('should return identifier-based operations for inserts', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      const result = crdtService.applyOperation('doc1', 'insert', 1, 'XY', 'client1');
 
-      const operations = [
-        {
-          operation: 'insert',
-          position: 5,
-          text: ' World',
-          clientId: 'client1',
-          timestamp: Date.now(),
-        },
+      expect(result.content).toBe('aXYb');
+      expect(result.operations).toHaveLength(2);
+      expect(result.operations[0]).toEqual({
+        type: 'insert',
+        id: { site: 'client1', clock: 1 },
+        char: 'X',
+        originLeft: { site: 'root', clock: 1 },
+        originRight: { site: 'root', clock: 2 },
+        deps: { root: 2 },
+      });
+      expect(result.operations[1].originLeft).toEqual({ site: 'client1', clock: 1 });
+    });
+
+    test('should return delete operations targeting character ids', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      const result = crdtService.applyOperation('doc1', 'delete', 1, 'b', 'client1');
+
+      expect(result.operations).toEqual([
         {
-          operation: 'insert',
-          position: 11,
-          text: '!',
-          clientId: 'client2',
-          timestamp: Date.now() + 1,
+          type: 'delete',
+          id: { site: 'client1', clock: 1 },
+          target: { site: 'root', clock: 2 },
+          deps: { root: 2 },
         },
-      ];
+      ]);
+    });
+
+    test('should keep character ids stable across later edits', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      const before = crdtService.getState('doc1').characters.map((c) => c.id);
+
+      crdtService.applyOperation('doc1', 'insert', 0, 'X', 'client1');
+      const after = crdtService.getState('doc1').characters.map((c) => c.id);
 
-      const result = crdtService.mergeOperations('doc1', operations);
+      expect(after.slice(1)).toEqual(before);
+    });
+  });
+
+  describe('mergeOperations', () => {
+    test('should merge identifier-based operations from another replica', () => {
+      crdtService.initializeDocument('source', 'Hello');
+      crdtService.initializeDocument('doc1', 'Hello');
+
+      const { operations: first } = crdtService.applyOperation(
+        'source',
+        'insert',
+        5,
+        ' World',
+        'client1'
+      );
+      const { operations: second } = crdtService.applyOperation(
+        'source',
+        'insert',
+        11,
+        '!',
+        'client2'
+      );
+
+      const result = crdtService.mergeOperations('doc1', [...first, ...second]);
       expect(result).toBe('Hello World!');
     });
 
-    test('should handle concurrent edits correctly', () => {
+    test('should converge when concurrent inserts at the same offset arrive in any order', () => {
+      crdtService.initializeDocument('replicaA', 'Hello');
+      crdtService.initializeDocument('replicaB', 'Hello');
+
+      // Two clients insert at the same offset without seeing each other's edit
+      const { operations: opsA } = crdtService.applyOperation(
+        'replicaA',
+        'insert',
+        5,
+        ' A',
+        'client1'
+      );
+      const { operations: opsB } = crdtService.applyOperation(
+        'replicaB',
+        'insert',
+        5,
+        ' B',
+        'client2'
+      );
+
+      const resultA = crdtService.mergeOperations('replicaA', opsB);
+      const resultB = crdtService.mergeOperations('replicaB', opsA);
+
+      expect(resultA).toBe(resultB);
+      expect(resultA).toBe('Hello A B');
+    });
+
+    test('should converge for concurrent insert and delete', () => {
+      crdtService.initializeDocument('replicaA', 'Hello World');
+      crdtService.initializeDocument('replicaB', 'Hello World');
+
+      const { operations: opsA } = crdtService.applyOperation(
+        'replicaA',
+        'delete',
+        0,
+        'Hello',
+        'client1'
+      );
+      const { operations: opsB } = crdtService.applyOperation(
+        'replicaB',
+        'insert',
+        6,
+        'big ',
+        'client2'
+      );
+
+      const resultA = crdtService.mergeOperations('replicaA', opsB);
+      const resultB = crdtService.mergeOperations('replicaB', opsA);
+
+      expect(resultA).toBe(resultB);
+      expect(resultA).toBe(' big World');
+    });
+
+    test('should ignore duplicate operations', () => {
+      crdtService.initializeDocument('source', 'ab');
+      crdtService.initializeDocument('doc1', 'ab');
+      const { operations } = crdtService.applyOperation('source', 'insert', 1, 'X', 'client1');
+
+      crdtService.mergeOperations('doc1', operations);
+      const result = crdtService.applyOperations('doc1', operations);
+
+      expect(result.content).toBe('aXb');
+      expect(result.operations).toHaveLength(0);
+    });
+
+    test('should apply operations regardless of batch order', () => {
+      crdtService.initializeDocument('source', '');
+      crdtService.initializeDocument('doc1', '');
+      const { operations } = crdtService.applyOperation('source', 'insert', 0, 'abc', 'client1');
+
+      const result = crdtService.mergeOperations('doc1', [...operations].reverse());
+      expect(result).toBe('abc');
+    });
+  });
+
+  describe('tombstones', () => {
+    test('should keep deleted characters as tombstones', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      crdtService.applyOperation('doc1', 'delete', 1, 'b', 'client1');
+
+      const state = crdtService.documentStates.get('doc1');
+      expect(crdtService.getContent('doc1')).toBe('ac');
+      expect(state.characters).toHaveLength(3);
+      expect(state.characters[1]).toMatchObject({ char: 'b', deleted: true, deletedVersion: 1 });
+    });
+
+    test('should ignore tombstones when resolving offsets', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      crdtService.applyOperation('doc1', 'delete', 0, 'ab', 'client1');
+      const result = crdtService.applyOperation('doc1', 'insert', 1, 'X', 'client1');
+
+      expect(result.content).toBe('cX');
+    });
+
+    test('should apply a concurrent insert next to a deleted neighbour', () => {
+      crdtService.initializeDocument('replicaA', 'abc');
+      crdtService.initializeDocument('replicaB', 'abc');
+
+      const { operations: deleteOps } = crdtService.applyOperation(
+        'replicaA',
+        'delete',
+        1,
+        'b',
+        'client1'
+      );
+      const { operations: insertOps } = crdtService.applyOperation(
+        'replicaB',
+        'insert',
+        2,
+        'X',
+        'client2'
+      );
+
+      expect(crdtService.mergeOperations('replicaA', insertOps)).toBe('aXc');
+      expect(crdtService.mergeOperations('replicaB', deleteOps)).toBe('aXc');
+    });
+  });
+
+  describe('collectGarbage', () => {
+    test('should remove tombstones acknowledged by every client', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      crdtService.applyOperation('doc1', 'delete', 1, 'b', 'client1');
+
+      expect(crdtService.collectGarbage('doc1', 1)).toBe(1);
+      expect(crdtService.documentStates.get('doc1').characters).toHaveLength(2);
+      expect(crdtService.getContent('doc1')).toBe('ac');
+    });
+
+    test('should keep tombstones newer than the acknowledged version', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      crdtService.applyOperation('doc1', 'delete', 1, 'b', 'client1');
+
+      expect(crdtService.collectGarbage('doc1', 0)).toBe(0);
+      expect(crdtService.documentStates.get('doc1').characters).toHaveLength(3);
+    });
+
+    test('should keep tombstones an undo step would restore', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      crdtService.applyOperation('doc1', 'delete', 1, 'b', 'client1', 'alice');
+
+      expect(crdtService.collectGarbage('doc1', 1)).toBe(0);
+      expect(crdtService.undo('doc1', 'alice').content).toBe('abc');
+    });
+
+    test('should treat deletes of collected characters as already applied', () => {
+      crdtService.initializeDocument('replicaA', 'abc');
+      crdtService.initializeDocument('replicaB', 'abc');
+      const { operations } = crdtService.applyOperation('replicaA', 'delete', 1, 'b', 'client1');
+      crdtService.applyOperation('replicaB', 'delete', 1, 'b', 'client2');
+      crdtService.collectGarbage('replicaB', 1);
+
+      const result = crdtService.applyOperations('replicaB', operations);
+      expect(result.content).toBe('ac');
+      expect(result.unresolved).toHaveLength(0);
+    });
+
+    test('should let a replica holding back collection sync its offline edits', () => {
+      crdtService.initializeDocument('server', 'abc');
+      crdtService.initializeDocument('client', 'abc');
+      const { baseId } = crdtService.getState('server');
+      const { stateVector } = crdtService.getState('client');
+      const { operations } = crdtService.applyOperation('server', 'delete', 1, 'b', 'client2');
+      // The offline client acknowledged version 0, so 'b' is kept
+      crdtService.collectGarbage('server', 0);
+
+      const offline = crdtService.applyOperation('client', 'insert', 1, 'X', 'client1');
+
+      expect(crdtService.getMissingOperations('server', stateVector, baseId)).toEqual(operations);
+      expect(crdtService.mergeOperations('server', offline.operations)).toBe('aXc');
+      expect(crdtService.mergeOperations('client', operations)).toBe('aXc');
+    });
+
+    test('should make a replica that missed a collected delete resync', () => {
+      crdtService.initializeDocument('server', 'abc');
+      crdtService.initializeDocument('client', 'abc');
+      const { baseId } = crdtService.getState('server');
+      crdtService.applyOperation('server', 'delete', 1, 'b', 'client2');
+      crdtService.collectGarbage('server', 1);
+
+      // The offline edit is anchored to 'b', which the server no longer has
+      crdtService.applyOperation('client', 'insert', 2, 'X', 'client1');
+      const { stateVector } = crdtService.getState('client');
+
+      expect(crdtService.getMissingOperations('server', stateVector, baseId)).toBeNull();
+    });
+
+    test('should return 0 for non-existent document', () => {
+      expect(crdtService.collectGarbage('nonexistent', 10)).toBe(0);
+    });
+  });
+
+  describe('getGCStats', () => {
+    test('should report live characters and tombstones', () => {
+      crdtService.initializeDocument('doc1', 'abcd');
+      crdtService.applyOperation('doc1', 'delete', 0, 'ab', 'client1');
+
+      expect(crdtService.getGCStats('doc1')).toEqual({
+        liveCharacters: 2,
+        tombstones: 2,
+        collectedTombstones: 0,
+        version: 1,
+      });
+
+      crdtService.collectGarbage('doc1', 1);
+      expect(crdtService.getGCStats('doc1')).toMatchObject({
+        liveCharacters: 2,
+        tombstones: 0,
+        collectedTombstones: 2,
+      });
+    });
+
+    test('should return null for non-existent document', () => {
+      expect(crdtService.getGCStats('nonexistent')).toBeNull();
+    });
+  });
+
+  describe('getMissingOperations', () => {
+    test('should return only operations not covered by the state vector', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      const { baseId } = crdtService.getState('doc1');
+      crdtService.applyOperation('doc1', 'insert', 2, 'c', 'client1');
+      const { operations } = crdtService.applyOperation('doc1', 'insert', 3, 'd', 'client1');
+      const { operations: other } = crdtService.applyOperation('doc1', 'delete', 0, 'a', 'client2');
+
+      const missing = crdtService.getMissingOperations('doc1', { root: 2, client1: 1 }, baseId);
+
+      expect(missing).toEqual([...operations, ...other]);
+    });
+
+    test('should let a stale replica catch up by applying the missing operations', () => {
+      crdtService.initializeDocument('server', 'Hello');
+      crdtService.initializeDocument('client', 'Hello');
+      const clientState = crdtService.getState('client');
+      crdtService.applyOperation('server', 'insert', 5, ' World', 'client2');
+
+      const missing = crdtService.getMissingOperations(
+        'server',
+        clientState.stateVector,
+        crdtService.getState('server').baseId
+      );
+
+      expect(crdtService.mergeOperations('client', missing)).toBe('Hello World');
+    });
+
+    test('should return null when the base does not match', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      expect(crdtService.getMissingOperations('doc1', {}, 'other-base')).toBeNull();
+    });
+
+    test('should keep the base when content is replaced', () => {
+      crdtService.setContent('doc1', 'ab');
+      const { baseId } = crdtService.getState('doc1');
+
+      const { operations } = crdtService.setContent('doc1', 'xyz');
+
+      expect(crdtService.getState('doc1').baseId).toBe(baseId);
+      expect(crdtService.getMissingOperations('doc1', { root: 2 }, baseId)).toEqual(operations);
+    });
+
+    test('should return null for non-existent document', () => {
+      expect(crdtService.getMissingOperations('nonexistent', {}, 'base')).toBeNull();
+    });
+  });
+
+  describe('restoreDocument', () => {
+    test('should rebuild content from a base and its operations', () => {
       crdtService.initializeDocument('doc1', 'Hello');
+      const base = crdtService.getBase('doc1');
+      crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1');
+      crdtService.applyOperation('doc1', 'delete', 0, 'H', 'client2');
+      const operations = [...crdtService.documentStates.get('doc1').operations];
+
+      crdtService.clearDocument('doc1');
+      const content = crdtService.restoreDocument('doc1', base, operations);
+
+      expect(content).toBe('ello World');
+      expect(crdtService.getContent('doc1')).toBe('ello World');
+      expect(crdtService.getBase('doc1')).toEqual(base);
+    });
+
+    test('should keep operations replayable for reconnecting clients', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      const base = crdtService.getBase('doc1');
+      const { operations } = crdtService.applyOperation('doc1', 'insert', 2, 'c', 'client1');
+
+      crdtService.restoreDocument('doc1', base, operations);
+
+      expect(crdtService.getMissingOperations('doc1', { root: 2 }, base.baseId)).toEqual(
+        operations
+      );
+    });
+  });
+
+  describe('snapshots', () => {
+    test('should export the full state including tombstones', () => {
+      crdtService.initializeDocument('doc1', 'Hello');
+      crdtService.applyOperation('doc1', 'delete', 0, 'H', 'client1');
+
+      const snapshot = crdtService.exportSnapshot('doc1');
+
+      expect(snapshot.characters).toHaveLength(5);
+      expect(snapshot.characters[0].deleted).toBe(true);
+      expect(snapshot.stateVector).toEqual({ root: 5, client1: 1 });
+      expect(snapshot.baseId).toBe(crdtService.getBase('doc1').baseId);
+    });
+
+    test('should return null for a document that is not loaded', () => {
+      expect(crdtService.exportSnapshot('missing')).toBeNull();
+    });
+
+    test('should restore a snapshot and replay the operations after it', () => {
+      crdtService.initializeDocument('doc1', 'Hello');
+      crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1');
+      const snapshot = crdtService.exportSnapshot('doc1');
+      const { operations } = crdtService.applyOperation('doc1', 'insert', 11, '!', 'client2');
+
+      crdtService.clearDocument('doc1');
+      const content = crdtService.restoreSnapshot('doc1', snapshot, operations);
+
+      expect(content).toBe('Hello World!');
+      expect(crdtService.getState('doc1').stateVector).toEqual({ root: 5, client1: 6, client2: 1 });
+      expect(crdtService.getBase('doc1').baseId).toBe(snapshot.baseId);
+    });
+
+    test('should resync replicas older than the snapshot', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      const { baseId } = crdtService.getBase('doc1');
+      crdtService.applyOperation('doc1', 'insert', 2, 'c', 'client1');
+      const snapshot = crdtService.exportSnapshot('doc1');
+
+      crdtService.restoreSnapshot('doc1', snapshot);
+
+      expect(crdtService.getMissingOperations('doc1', { root: 2 }, baseId)).toBeNull();
+      expect(crdtService.getMissingOperations('doc1', { root: 2, client1: 1 }, baseId)).toEqual([]);
+    });
+  });
+
+  describe('marks', () => {
+    test('should resolve a mark into a span over the visible text', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+
+      const result = crdtService.applyMark(
+        'doc1',
+        { markType: 'bold', position: 0, length: 5 },
+        'client1'
+      );
+
+      expect(result.operations).toHaveLength(1);
+      expect(result.operations[0].type).toBe('mark');
+      expect(result.marks).toEqual([{ type: 'bold', value: true, start: 0, end: 5 }]);
+    });
+
+    test('should keep marks attached to their characters when text is edited', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+      crdtService.applyMark('doc1', { markType: 'italic', position: 6, length: 5 }, 'client1');
+
+      crdtService.applyOperation('doc1', 'insert', 0, '>> ', 'client2');
+      crdtService.applyOperation('doc1', 'insert', 11, 'o', 'client2');
+
+      expect(crdtService.getMarks('doc1')).toEqual([
+        { type: 'italic', value: true, start: 9, end: 15 },
+      ]);
+    });
+
+    test('should carry values for links and headings', () => {
+      crdtService.initializeDocument('doc1', 'Title link');
+      crdtService.applyMark(
+        'doc1',
+        { markType: 'heading', value: 1, position: 0, length: 5 },
+        'c1'
+      );
+      crdtService.applyMark(
+        'doc1',
+        { markType: 'link', value: 'https://example.com', position: 6, length: 4 },
+        'c1'
+      );
+
+      expect(crdtService.getMarks('doc1')).toEqual([
+        { type: 'heading', value: 1, start: 0, end: 5 },
+        { type: 'link', value: 'https://example.com', start: 6, end: 10 },
+      ]);
+    });
+
+    test('should remove a mark from part of a range', () => {
+      crdtService.initializeDocument('doc1', 'abcdef');
+      crdtService.applyMark('doc1', { markType: 'underline', position: 0, length: 6 }, 'c1');
+
+      crdtService.applyMark(
+        'doc1',
+        { action: 'remove', markType: 'underline', position: 2, length: 2 },
+        'c1'
+      );
+
+      expect(crdtService.getMarks('doc1')).toEqual([
+        { type: 'underline', value: true, start: 0, end: 2 },
+        { type: 'underline', value: true, start: 4, end: 6 },
+      ]);
+    });
+
+    test('should converge on concurrent conflicting marks regardless of arrival order', () => {
+      crdtService.initializeDocument('replicaA', 'abcd');
+      crdtService.initializeDocument('replicaB', 'abcd');
+      const add = crdtService.applyMark(
+        'replicaA',
+        { markType: 'bold', position: 0, length: 4 },
+        'siteA'
+      );
+      const remove = crdtService.applyMark(
+        'replicaB',
+        { action: 'remove', markType: 'bold', position: 1, length: 2 },
+        'siteB'
+      );
+
+      crdtService.applyOperations('replicaA', remove.operations);
+      crdtService.applyOperations('replicaB', add.operations);
+
+      expect(crdtService.getMarks('replicaA')).toEqual(crdtService.getMarks('replicaB'));
+      expect(crdtService.getMarks('replicaA')).toEqual([
+        { type: 'bold', value: true, start: 0, end: 1 },
+        { type: 'bold', value: true, start: 3, end: 4 },
+      ]);
+    });
+
+    test('should ignore unsupported mark types', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+
+      const result = crdtService.applyMark(
+        'doc1',
+        { markType: 'blink', position: 0, length: 3 },
+        'c1'
+      );
+
+      expect(result.operations).toEqual([]);
+      expect(result.marks).toEqual([]);
+    });
+
+    test('should keep tombstones that anchor a mark', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      crdtService.applyMark('doc1', { markType: 'bold', position: 0, length: 3 }, 'c1');
+      crdtService.applyOperation('doc1', 'delete', 2, 'c', 'c1');
+
+      expect(crdtService.collectGarbage('doc1', 10)).toBe(0);
+      expect(crdtService.getMarks('doc1')).toEqual([
+        { type: 'bold', value: true, start: 0, end: 2 },
+      ]);
+    });
+
+    test('should survive a snapshot round trip', () => {
+      crdtService.initializeDocument('doc1', 'abc');
+      crdtService.applyMark('doc1', { markType: 'bold', position: 1, length: 1 }, 'c1');
+      const snapshot = crdtService.exportSnapshot('doc1');
+
+      crdtService.restoreSnapshot('doc1', snapshot);
+
+      expect(crdtService.getMarks('doc1')).toEqual([
+        { type: 'bold', value: true, start: 1, end: 2 },
+      ]);
+    });
+  });
+
+  describe('anchors', () => {
+    test('should resolve an anchor to the range it was created for', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+
+      const anchor = crdtService.createAnchor('doc1', 6, 5);
+
+      expect(anchor).toEqual({
+        start: { site: 'root', clock: 7 },
+        end: { site: 'root', clock: 11 },
+      });
+      expect(crdtService.resolveAnchor('doc1', anchor)).toEqual({ start: 6, end: 11 });
+    });
 
-      // Simulate two clients inserting at same position
-      const operations = [
-        { operation: 'insert', position: 5, text: ' A', clientId: 'client1', timestamp: 1000 },
-        { operation: 'insert', position: 5, text: ' B', clientId: 'client2', timestamp: 1001 },
+    test('should follow its text when content is edited around and inside it', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+      const anchor = crdtService.createAnchor('doc1', 6, 5);
+
+      crdtService.applyOperation('doc1', 'insert', 0, '>> ', 'client1');
+      crdtService.applyOperation('doc1', 'insert', 11, 'o', 'client1');
+      crdtService.applyOperation('doc1', 'insert', 15, '!', 'client1');
+
+      const range = crdtService.resolveAnchor('doc1', anchor);
+      expect(crdtService.getContent('doc1').slice(range.start, range.end)).toBe('Woorld');
+    });
+
+    test('should shrink to what is left when its ends are deleted', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+      const anchor = crdtService.createAnchor('doc1', 6, 5);
+
+      crdtService.applyOperation('doc1', 'delete', 6, 'W', 'client1');
+      crdtService.applyOperation('doc1', 'delete', 9, 'd', 'client1');
+
+      expect(crdtService.resolveAnchor('doc1', anchor)).toEqual({ start: 6, end: 9 });
+    });
+
+    test('should not resolve once all of its text is deleted', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+      const anchor = crdtService.createAnchor('doc1', 0, 5);
+
+      crdtService.setContent('doc1', ' World');
+
+      expect(crdtService.resolveAnchor('doc1', anchor)).toBeNull();
+    });
+
+    test('should not anchor an empty range or one outside the content', () => {
+      crdtService.initializeDocument('doc1', 'Hello');
+
+      expect(crdtService.createAnchor('doc1', 2, 0)).toBeNull();
+      expect(crdtService.createAnchor('doc1', 5, 3)).toBeNull();
+      expect(crdtService.createAnchor('doc1', -1, 3)).toBeNull();
+      expect(crdtService.createAnchor('missing', 0, 1)).toBeNull();
+    });
+
+    test('should keep the tombstones of pinned anchors when collecting garbage', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+      const anchor = crdtService.createAnchor('doc1', 6, 5);
+      crdtService.pinAnchor('doc1', 'comment1', anchor);
+
+      crdtService.applyOperation('doc1', 'delete', 6, 'W', 'client1');
+      crdtService.applyOperation('doc1', 'delete', 9, 'd', 'client1');
+      crdtService.collectGarbage('doc1', 2);
+      expect(crdtService.resolveAnchor('doc1', anchor)).toEqual({ start: 6, end: 9 });
+
+      crdtService.unpinAnchor('doc1', 'comment1');
+      expect(crdtService.collectGarbage('doc1', 2)).toBe(2);
+      expect(crdtService.resolveAnchor('doc1', anchor)).toBeNull();
+    });
+  });
+
+  describe('causal buffering', () => {
+    test('should buffer an operation until the one it depends on arrives', () => {
+      crdtService.initializeDocument('source', 'ab');
+      crdtService.initializeDocument('doc1', 'ab');
+      const { operations: first } = crdtService.applyOperation('source', 'insert', 1, 'X', 'c1');
+      const { operations: second } = crdtService.applyOperation('source', 'insert', 2, 'Y', 'c2');
+
+      const early = crdtService.applyOperations('doc1', second, 'user2', 'socket2');
+      expect(early.operations).toEqual([]);
+      expect(early.unresolved).toEqual(second);
+      expect(early.content).toBe('ab');
+      expect(crdtService.getBufferedCount('doc1')).toBe(1);
+
+      const late = crdtService.applyOperations('doc1', first, 'user1', 'socket1');
+      expect(late.operations).toHaveLength(2);
+      expect(late.unresolved).toEqual([]);
+      expect(late.content).toBe('aXYb');
+      expect(crdtService.getBufferedCount('doc1')).toBe(0);
+    });
+
+    test('should record dependencies on other sites in generated operations', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      crdtService.applyOperation('doc1', 'insert', 1, 'X', 'c1');
+      const { operations } = crdtService.applyOperation('doc1', 'insert', 2, 'Y', 'c2');
+
+      expect(operations[0].deps).toEqual({ c1: 1, root: 2 });
+    });
+
+    test('should wait for declared dependencies even when the references are known', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      const op = {
+        type: 'insert',
+        id: { site: 'c2', clock: 1 },
+        char: 'Y',
+        originLeft: { site: 'root', clock: 1 },
+        originRight: { site: 'root', clock: 2 },
+        deps: { c1: 1 },
+      };
+
+      expect(crdtService.applyOperations('doc1', [op]).unresolved).toEqual([op]);
+
+      const dependency = { ...op, id: { site: 'c1', clock: 1 }, char: 'X', deps: {} };
+      expect(crdtService.applyOperations('doc1', [dependency]).content).toBe('aXYb');
+    });
+
+    test('should apply operations from one site in clock order', () => {
+      crdtService.initializeDocument('source', 'ab');
+      crdtService.initializeDocument('doc1', 'ab');
+      const { operations } = crdtService.applyOperation('source', 'delete', 0, 'ab', 'c1');
+
+      expect(crdtService.applyOperations('doc1', [operations[1]]).content).toBe('ab');
+      expect(crdtService.applyOperations('doc1', [operations[0]]).content).toBe('');
+    });
+
+    test('should skip malformed operations without failing', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      const root = { site: 'root', clock: 1 };
+      const malformed = [
+        null,
+        { type: 'delete', id: { site: 'x', clock: 1 } },
+        { type: 'delete', id: { site: 'x', clock: '1' }, target: root },
+        { type: 'bogus', id: { site: 'x', clock: 1 }, target: root },
+        { type: 'insert', id: { site: 'x', clock: 1 }, char: 'XY', originLeft: root },
+        { type: 'insert', id: { clock: 1 }, char: 'X', originLeft: root },
+        { type: 'insert', id: { site: 'x', clock: 1 }, char: 'X', originLeft: { site: 'root' } },
+        { type: 'insert', id: { site: 'x', clock: 1 }, char: 'X', deps: { root: 'all' } },
       ];
 
-      const result = crdtService.mergeOperations('doc1', operations);
-      // Both should be inserted, ordered by timestamp
-      expect(result).toContain('Hello');
-      expect(result).toContain('A');
-      expect(result).toContain('B');
+      const result = crdtService.applyOperations('doc1', malformed);
+
+      expect(result.operations).toEqual([]);
+      expect(result.unresolved).toEqual([]);
+      expect(result.content).toBe('ab');
+      expect(crdtService.getBufferedCount('doc1')).toBe(0);
+    });
+
+    test('should keep buffered operations until they are applied', () => {
+      crdtService.initializeDocument('source', 'ab');
+      crdtService.initializeDocument('doc1', 'ab');
+      const { operations: first } = crdtService.applyOperation('source', 'insert', 1, 'X', 'c1');
+      const { operations: second } = crdtService.applyOperation('source', 'insert', 2, 'Y', 'c2');
+      crdtService.applyOperations('doc1', second);
+
+      const integrate = jest.spyOn(crdtService, '_integrate').mockImplementationOnce(() => {
+        throw new Error('Integration failed');
+      });
+      expect(() => crdtService.applyOperations('doc1', first)).toThrow('Integration failed');
+      integrate.mockRestore();
+
+      expect(crdtService.getBufferedCount('doc1')).toBe(1);
+      expect(crdtService.applyOperations('doc1', first).content).toBe('aXYb');
+      expect(crdtService.getBufferedCount('doc1')).toBe(0);
+    });
+
+    test('should expire operations whose dependencies never arrive', () => {
+      crdtService.initializeDocument('source', 'ab');
+      crdtService.initializeDocument('doc1', 'ab');
+      crdtService.applyOperation('source', 'insert', 1, 'X', 'c1');
+      const { operations } = crdtService.applyOperation('source', 'insert', 2, 'Y', 'c2');
+      crdtService.applyOperations('doc1', operations, 'user2', 'socket2');
+
+      expect(crdtService.expireBufferedOperations('doc1', 60000)).toEqual([]);
+      const expired = crdtService.expireBufferedOperations('doc1', 0);
+
+      expect(expired).toHaveLength(1);
+      expect(expired[0]).toMatchObject({ op: operations[0], user: 'user2', source: 'socket2' });
+      expect(crdtService.getBufferedCount('doc1')).toBe(0);
     });
   });
 
@@ -121,142 +785,208 @@ describe('CRDTService', () => {
     });
   });
 
-  describe('History management', () => {
-    test('should initialize history on first operation', () => {
+  describe('Undo tracking', () => {
+    test('should record each user edit as an undo step', () => {
       crdtService.initializeDocument('doc1', 'Hello');
-      crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1');
-      
-      const state = crdtService.documentStates.get('doc1');
-      expect(state.history).toBeDefined();
-      expect(state.history.length).toBeGreaterThan(0);
-      expect(state.historyIndex).toBeDefined();
+      crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1', 'alice');
+
+      const history = crdtService.getHistory('doc1', 'alice');
+      expect(history.canUndo).toBe(true);
+      expect(history.undoStack).toEqual([{ operations: 6 }]);
     });
 
-    test('should add to history when content changes', () => {
-      crdtService.setContent('doc1', 'Hello');
-      const state1 = crdtService.documentStates.get('doc1');
-      const initialHistoryLength = state1.history.length;
-      
-      crdtService.setContent('doc1', 'Hello World');
-      const state2 = crdtService.documentStates.get('doc1');
-      
-      expect(state2.history.length).toBe(initialHistoryLength + 1);
+    test('should record identifier-based operations for their author', () => {
+      crdtService.initializeDocument('doc1', 'ab');
+      const op = {
+        type: 'insert',
+        id: { site: 'siteA', clock: 1 },
+        char: 'x',
+        originLeft: { site: 'root', clock: 2 },
+        originRight: null,
+      };
+      crdtService.applyOperations('doc1', [op], 'alice');
+
+      expect(crdtService.getHistory('doc1', 'alice').canUndo).toBe(true);
     });
 
-    test('should not add to history when content does not change', () => {
-      crdtService.setContent('doc1', 'Hello');
-      const state1 = crdtService.documentStates.get('doc1');
-      const initialHistoryLength = state1.history.length;
-      
-      crdtService.setContent('doc1', 'Hello');
-      const state2 = crdtService.documentStates.get('doc1');
-      
-      expect(state2.history.length).toBe(initialHistoryLength);
+    test('should not record edits without an author', () => {
+      crdtService.initializeDocument('doc1', 'Hello');
+      crdtService.applyOperation('doc1', 'insert', 5, '!', 'client1');
+
+      expect(crdtService.documentStates.get('doc1').undoStacks.size).toBe(0);
     });
 
-    test('should limit history size to 50', () => {
-      crdtService.setContent('doc1', 'Initial');
-      
-      // Add 55 operations
+    test('should limit undo steps to 50 per user', () => {
+      crdtService.initializeDocument('doc1', '');
+
       for (let i = 0; i < 55; i++) {
-        crdtService.setContent('doc1', `Content ${i}`);
+        crdtService.applyOperation('doc1', 'insert', i, 'x', 'client1', 'alice');
       }
-      
-      const state = crdtService.documentStates.get('doc1');
-      expect(state.history.length).toBeLessThanOrEqual(50);
-    });
 
-    test('should remove history after current index when making new changes after undo', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
-      crdtService.setContent('doc1', 'ABC');
-      
-      const state1 = crdtService.documentStates.get('doc1');
-      const historyLengthBeforeUndo = state1.history.length;
-      
-      crdtService.undo('doc1'); // Go back to 'AB'
-      
-      crdtService.setContent('doc1', 'ABX'); // New change after undo
-      
-      const state2 = crdtService.documentStates.get('doc1');
-      // History should be trimmed - 'ABC' should be removed
-      expect(state2.history[state2.historyIndex]).toBe('ABX');
+      expect(crdtService.getHistory('doc1', 'alice').undoStack).toHaveLength(50);
     });
-  });
 
-  describe('setContent with addToHistory flag', () => {
-    test('should add to history when addToHistory is true', () => {
-      crdtService.setContent('doc1', 'Hello');
-      const state1 = crdtService.documentStates.get('doc1');
-      const initialHistoryLength = state1.history.length;
-      
-      crdtService.setContent('doc1', 'Hello World', true);
-      const state2 = crdtService.documentStates.get('doc1');
-      
-      expect(state2.history.length).toBeGreaterThan(initialHistoryLength);
+    test('should clear the redo stack when making new changes after undo', () => {
+      crdtService.initializeDocument('doc1', '');
+      crdtService.applyOperation('doc1', 'insert', 0, 'A', 'client1', 'alice');
+      crdtService.undo('doc1', 'alice');
+
+      crdtService.applyOperation('doc1', 'insert', 0, 'B', 'client1', 'alice');
+
+      expect(crdtService.getHistory('doc1', 'alice').canRedo).toBe(false);
     });
 
-    test('should not add to history when addToHistory is false', () => {
-      crdtService.setContent('doc1', 'Hello');
-      const state1 = crdtService.documentStates.get('doc1');
-      const initialHistoryLength = state1.history.length;
-      
-      crdtService.setContent('doc1', 'Hello World', false);
-      const state2 = crdtService.documentStates.get('doc1');
-      
-      expect(state2.history.length).toBe(initialHistoryLength);
+    test('should record whole-content updates as an undo step for their author', () => {
+      crdtService.initializeDocument('doc1', 'Hello');
+      crdtService.applyOperation('doc1', 'insert', 5, '!', 'client1', 'alice');
+
+      crdtService.setContent('doc1', 'Hello World!', 'client1', 'alice');
+
+      expect(crdtService.getHistory('doc1', 'alice').undoStack).toHaveLength(2);
+      expect(crdtService.undo('doc1', 'alice').content).toBe('Hello!');
     });
+  });
 
+  describe('setContent', () => {
     test('should initialize document if it does not exist', () => {
       crdtService.setContent('newdoc', 'New Content');
       expect(crdtService.getContent('newdoc')).toBe('New Content');
     });
+
+    test('should keep the base when content does not change', () => {
+      crdtService.setContent('doc1', 'Hello');
+      const { baseId } = crdtService.getBase('doc1');
+
+      const result = crdtService.setContent('doc1', 'Hello');
+
+      expect(result.operations).toEqual([]);
+      expect(crdtService.getBase('doc1').baseId).toBe(baseId);
+    });
+
+    test('should apply only the difference as operations', () => {
+      crdtService.setContent('doc1', 'Hello World');
+
+      const result = crdtService.setContent('doc1', 'Hello brave World!', 'client1');
+
+      expect(result.content).toBe('Hello brave World!');
+      expect(result.operations.every((op) => op.type === 'insert')).toBe(true);
+      expect(result.operations).toHaveLength(7);
+      expect(result.operations[0].id).toEqual({ site: 'client1', clock: 1 });
+    });
+
+    test('should keep the identity of unchanged characters', () => {
+      crdtService.setContent('doc1', 'abcdef');
+      const before = crdtService.getState('doc1').characters.map((c) => c.id);
+
+      const result = crdtService.setContent('doc1', 'abXdf');
+      const visible = crdtService.getState('doc1').characters.filter((c) => !c.deleted);
+
+      expect(result.operations.filter((op) => op.type === 'delete')).toHaveLength(2);
+      expect(result.operations.filter((op) => op.type === 'insert')).toHaveLength(1);
+      expect(visible.map((c) => c.char).join('')).toBe('abXdf');
+      expect(visible[0].id).toEqual(before[0]);
+      expect(visible[3].id).toEqual(before[3]);
+    });
+
+    test('should merge with concurrent op-based edits on another replica', () => {
+      crdtService.initializeDocument('server', 'Hello World');
+      crdtService.initializeDocument('replica', 'Hello World');
+      const remote = crdtService.applyOperation('replica', 'insert', 0, '> ', 'siteB');
+
+      const legacy = crdtService.setContent('server', 'Hello, World', 'siteA');
+      crdtService.applyOperations('server', remote.operations);
+      crdtService.applyOperations('replica', legacy.operations);
+
+      expect(crdtService.getContent('server')).toBe('> Hello, World');
+      expect(crdtService.getContent('replica')).toBe('> Hello, World');
+    });
+
+    test('should diff large rewrites without losing content', () => {
+      crdtService.setContent('doc1', 'a'.repeat(3000));
+      const target = 'b'.repeat(2500);
+
+      expect(crdtService.setContent('doc1', target).content).toBe(target);
+    });
   });
 
   describe('undo', () => {
-    test('should undo to previous state', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
-      crdtService.setContent('doc1', 'ABC');
-      
-      const result = crdtService.undo('doc1');
-      
-      expect(result).toBeDefined();
-      expect(result.content).toBe('AB');
-      expect(crdtService.getContent('doc1')).toBe('AB');
+    test("should undo the user's own insert", () => {
+      crdtService.initializeDocument('doc1', 'Hello');
+      crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1', 'alice');
+
+      const result = crdtService.undo('doc1', 'alice');
+
+      expect(result.content).toBe('Hello');
+      expect(crdtService.getContent('doc1')).toBe('Hello');
+      expect(result.operations).toHaveLength(6);
+      expect(result.operations.every((op) => op.type === 'delete')).toBe(true);
+    });
+
+    test("should leave other users' later edits in place", () => {
+      crdtService.initializeDocument('doc1', 'ac');
+      crdtService.applyOperation('doc1', 'insert', 1, 'b', 'client1', 'alice');
+      crdtService.applyOperation('doc1', 'insert', 0, '>', 'client2', 'bob');
+      crdtService.applyOperation('doc1', 'insert', 4, '<', 'client2', 'bob');
+
+      const result = crdtService.undo('doc1', 'alice');
+
+      expect(result.content).toBe('>ac<');
+      expect(crdtService.getHistory('doc1', 'bob').canUndo).toBe(true);
+    });
+
+    test('should restore deleted text where it was, even after remote edits', () => {
+      crdtService.initializeDocument('doc1', 'Hello World');
+      crdtService.applyOperation('doc1', 'delete', 5, ' World', 'client1', 'alice');
+      crdtService.applyOperation('doc1', 'insert', 0, 'Oh, ', 'client2', 'bob');
+
+      const result = crdtService.undo('doc1', 'alice');
+
+      expect(result.content).toBe('Oh, Hello World');
+    });
+
+    test('should skip steps whose text others already deleted', () => {
+      crdtService.initializeDocument('doc1', '');
+      crdtService.applyOperation('doc1', 'insert', 0, 'A', 'client1', 'alice');
+      crdtService.applyOperation('doc1', 'insert', 1, 'B', 'client1', 'alice');
+      crdtService.applyOperation('doc1', 'delete', 1, 'B', 'client2', 'bob');
+
+      const result = crdtService.undo('doc1', 'alice');
+
+      expect(result.content).toBe('');
+      expect(crdtService.getHistory('doc1', 'alice').canUndo).toBe(false);
     });
 
     test('should return null if no undo available', () => {
       crdtService.setContent('doc1', 'Hello');
       
-      const result = crdtService.undo('doc1');
+      const result = crdtService.undo('doc1', 'alice');
       
       expect(result).toBeNull();
     });
 
     test('should return null for non-existent document', () => {
-      const result = crdtService.undo('nonexistent');
+      const result = crdtService.undo('nonexistent', 'alice');
       expect(result).toBeNull();
     });
 
     test('should update version on undo', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
+      crdtService.initializeDocument('doc1', 'A');
+      crdtService.applyOperation('doc1', 'insert', 1, 'B', 'client1', 'alice');
       
       const state1 = crdtService.documentStates.get('doc1');
       const versionBeforeUndo = state1.version;
       
-      crdtService.undo('doc1');
+      crdtService.undo('doc1', 'alice');
       
       const state2 = crdtService.documentStates.get('doc1');
       expect(state2.version).toBeGreaterThan(versionBeforeUndo);
     });
 
     test('should include history in undo result', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
+      crdtService.initializeDocument('doc1', 'A');
+      crdtService.applyOperation('doc1', 'insert', 1, 'B', 'client1', 'alice');
       
-      const result = crdtService.undo('doc1');
+      const result = crdtService.undo('doc1', 'alice');
       
       expect(result.history).toBeDefined();
       expect(result.history.canUndo).toBe(false);
@@ -265,52 +995,59 @@ describe('CRDTService', () => {
   });
 
   describe('redo', () => {
-    test('should redo to next state', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
-      crdtService.setContent('doc1', 'ABC');
+    test('should redo an undone insert', () => {
+      crdtService.initializeDocument('doc1', 'AB');
+      crdtService.applyOperation('doc1', 'insert', 2, 'C', 'client1', 'alice');
       
-      crdtService.undo('doc1'); // Go back to 'AB'
-      const result = crdtService.redo('doc1');
+      crdtService.undo('doc1', 'alice');
+      const result = crdtService.redo('doc1', 'alice');
       
       expect(result).toBeDefined();
       expect(result.content).toBe('ABC');
       expect(crdtService.getContent('doc1')).toBe('ABC');
     });
 
+    test('should allow undoing again after redo', () => {
+      crdtService.initializeDocument('doc1', 'AB');
+      crdtService.applyOperation('doc1', 'insert', 2, 'C', 'client1', 'alice');
+      crdtService.undo('doc1', 'alice');
+      crdtService.redo('doc1', 'alice');
+
+      const result = crdtService.undo('doc1', 'alice');
+
+      expect(result.content).toBe('AB');
+    });
+
+    test('should track restored characters across repeated undo and redo', () => {
+      crdtService.initializeDocument('doc1', '');
+      crdtService.applyOperation('doc1', 'insert', 0, 'x', 'client1', 'alice');
+      crdtService.applyOperation('doc1', 'delete', 0, 'x', 'client1', 'alice');
+
+      expect(crdtService.undo('doc1', 'alice').content).toBe('x');
+      expect(crdtService.undo('doc1', 'alice').content).toBe('');
+      expect(crdtService.redo('doc1', 'alice').content).toBe('x');
+      expect(crdtService.redo('doc1', 'alice').content).toBe('');
+    });
+
     test('should return null if no redo available', () => {
       crdtService.setContent('doc1', 'Hello');
       
-      const result = crdtService.redo('doc1');
+      const result = crdtService.redo('doc1', 'alice');
       
       expect(result).toBeNull();
     });
 
     test('should return null for non-existent document', () => {
-      const result = crdtService.redo('nonexistent');
+      const result = crdtService.redo('nonexistent', 'alice');
       expect(result).toBeNull();
     });
 
-    test('should update version on redo', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
-      crdtService.undo('doc1');
-      
-      const state1 = crdtService.documentStates.get('doc1');
-      const versionBeforeRedo = state1.version;
-      
-      crdtService.redo('doc1');
-      
-      const state2 = crdtService.documentStates.get('doc1');
-      expect(state2.version).toBeGreaterThan(versionBeforeRedo);
-    });
-
     test('should include history in redo result', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
-      crdtService.undo('doc1');
+      crdtService.initializeDocument('doc1', 'A');
+      crdtService.applyOperation('doc1', 'insert', 1, 'B', 'client1', 'alice');
+      crdtService.undo('doc1', 'alice');
       
-      const result = crdtService.redo('doc1');
+      const result = crdtService.redo('doc1', 'alice');
       
       expect(result.history).toBeDefined();
       expect(result.history.canUndo).toBe(true);
@@ -320,34 +1057,21 @@ describe('CRDTService', () => {
 
   describe('getHistory', () => {
     test('should return empty history for non-existent document', () => {
-      const history = crdtService.getHistory('nonexistent');
-      
+      const history = crdtService.getHistory('nonexistent', 'alice');
+
       expect(history.undoStack).toEqual([]);
       expect(history.redoStack).toEqual([]);
       expect(history.canUndo).toBe(false);
       expect(history.canRedo).toBe(false);
     });
 
-    test('should return correct history state', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
-      crdtService.setContent('doc1', 'ABC');
-      
-      const history = crdtService.getHistory('doc1');
-      
-      expect(history.canUndo).toBe(true);
-      expect(history.canRedo).toBe(false);
-      expect(history.undoStack.length).toBeGreaterThan(0);
-    });
+    test("should only describe the requesting user's steps", () => {
+      crdtService.initializeDocument('doc1', '');
+      crdtService.applyOperation('doc1', 'insert', 0, 'ab', 'client1', 'alice');
+      crdtService.applyOperation('doc1', 'insert', 2, 'c', 'client2', 'bob');
 
-    test('should update canRedo after undo', () => {
-      crdtService.setContent('doc1', 'A');
-      crdtService.setContent('doc1', 'AB');
-      
-      crdtService.undo('doc1');
-      
-      const history = crdtService.getHistory('doc1');
-      expect(history.canRedo).toBe(true);
+      expect(crdtService.getHistory('doc1', 'alice').undoStack).toEqual([{ operations: 2 }]);
+      expect(crdtService.getHistory('doc1', 'bob').undoStack).toEqual([{ operations: 1 }]);
     });
   });
 
@@ -2,6 +2,10 @@ const mongoose = require('mongoose');
 const documentService = require('../../services/documentService');
 const Document = require('../../models/Document');
 const crdtService = require('../../services/crdtService');
+const versionService = require('../../services/versionService');
+const Version = require('../../models/Version');
+const Folder = require('../../models/Folder');
+const permissionService = require('../../services/permissionService');
 
 beforeAll(async () => {
   const MONGODB_URI =
@@ -15,11 +19,14 @@ afterAll(async () => {
 
 beforeEach(async () => {
   await Document.deleteMany({});
+  await Version.deleteMany({});
   crdtService.documentStates.clear();
+  versionService.latest.clear();
 });
 
 afterEach(async () => {
   await Document.deleteMany({});
+  await Version.deleteMany({});
   crdtService.documentStates.clear();
 });
 
@@ -111,6 +118,43 @@ describe('DocumentService', () => {
     });
   });
 
+  describe('searchDocuments', () => {
+    beforeAll(async () => {
+      // $text queries need the text index
+      await Document.syncIndexes();
+    });
+
+    test('should rank title matches first and only return readable documents', async () => {
+      await documentService.createDocument({
+        title: 'Notes',
+        content: '<p>The <b>budget</b> is final</p>',
+        owner: 'user1',
+      });
+      await documentService.createDocument({ title: 'Budget', content: 'Draft', owner: 'user1' });
+      await documentService.createDocument({ title: 'Budget', content: '', owner: 'user2' });
+
+      const results = await documentService.searchDocuments('user1', 'budget');
+
+      expect(results.map((result) => result.title)).toEqual(['Budget', 'Notes']);
+      expect(results[1].snippet).toEqual({ text: 'The budget is final', highlights: [[4, 10]] });
+    });
+
+    test('should search the latest content and skip documents in the trash', async () => {
+      const doc = await documentService.createDocument({ title: 'Doc', owner: 'user1' });
+      const trashed = await documentService.createDocument({
+        title: 'Old',
+        content: 'roadmap',
+        owner: 'user1',
+      });
+      await documentService.updateDocumentContent(doc._id.toString(), 'New roadmap', 'user1');
+      await documentService.trashDocument(trashed._id.toString(), 'user1');
+
+      const results = await documentService.searchDocuments('user1', 'roadmap');
+
+      expect(results.map((result) => result.title)).toEqual(['Doc']);
+    });
+  });
+
   describe('updateDocumentContent', () => {
     test('should update document content', async () => {
       const doc = await documentService.createDocument({
@@ -123,7 +167,7 @@ describe('DocumentService', () => {
       const updated = await documentService.updateDocumentContent(docId, 'New content', 'user1');
 
       expect(updated.content).toBe('New content');
-      expect(updated.versions.length).toBe(2);
+      expect(await versionService.getVersionCount(docId)).toBe(2);
     });
 
     test('should update CRDT state', async () => {
@@ -139,6 +183,23 @@ describe('DocumentService', () => {
       expect(crdtService.getContent(docId)).toBe('New content');
     });
 
+    test('should not record a version when saveVersion is false', async () => {
+      const doc = await documentService.createDocument({
+        title: 'Test',
+        content: 'Old',
+        owner: 'user1',
+      });
+
+      const docId = doc._id.toString();
+      const updated = await documentService.updateDocumentContent(docId, 'New content', 'user1', {
+        saveVersion: false,
+      });
+
+      expect(updated.content).toBe('New content');
+      expect(crdtService.getContent(docId)).toBe('New content');
+      expect(await versionService.getVersionCount(docId)).toBe(1);
+    });
+
     test('should throw error for non-existent document', async () => {
       const fakeId = new mongoose.Types.ObjectId();
       await expect(
@@ -147,6 +208,103 @@ describe('DocumentService', () => {
     });
   });
 
+  describe('updateDocument', () => {
+    test('should update title and content as one revision', async () => {
+      const doc = await documentService.createDocument({ title: 'Old', owner: 'user1' });
+
+      const updated = await documentService.updateDocument(
+        doc._id.toString(),
+        { title: 'New', content: 'Body' },
+        'user1'
+      );
+
+      expect(updated.title).toBe('New');
+      expect(updated.content).toBe('Body');
+      expect(updated.revision).toBe(doc.revision + 1);
+    });
+
+    test('should update when the document is at an expected revision', async () => {
+      const doc = await documentService.createDocument({ content: 'Old', owner: 'user1' });
+      const docId = doc._id.toString();
+
+      const updated = await documentService.updateDocument(docId, { content: 'New' }, 'user1', {
+        ifRevision: [doc.revision],
+      });
+
+      expect(updated.content).toBe('New');
+      expect(crdtService.getContent(docId)).toBe('New');
+    });
+
+    test('should reject a stale revision without touching the live state', async () => {
+      const doc = await documentService.createDocument({ content: 'Old', owner: 'user1' });
+      const docId = doc._id.toString();
+      await documentService.updateDocumentContent(docId, 'Newer', 'user2');
+
+      await expect(
+        documentService.updateDocument(docId, { content: 'Stale' }, 'user1', {
+          ifRevision: [doc.revision],
+        })
+      ).rejects.toMatchObject({ message: 'Document has been modified', revision: 1 });
+      expect(crdtService.getContent(docId)).toBe('Newer');
+    });
+
+    test('should treat documents without a revision as revision 0', async () => {
+      const doc = await Document.create({ content: 'Old', owner: 'user1' });
+      await Document.updateOne({ _id: doc._id }, { $unset: { revision: 1 } });
+
+      const updated = await documentService.updateDocument(
+        doc._id.toString(),
+        { title: 'New' },
+        'user1',
+        { ifRevision: [0] }
+      );
+
+      expect(updated.revision).toBe(1);
+    });
+
+    test('should not touch the live state when the write fails', async () => {
+      const doc = await documentService.createDocument({ content: 'Old', owner: 'user1' });
+      const docId = doc._id.toString();
+      await documentService.trashDocument(docId, 'user1');
+      const listener = jest.fn();
+      documentService.on('content_updated', listener);
+
+      await expect(
+        documentService.updateDocumentContent(docId, 'Rejected', 'user1')
+      ).rejects.toThrow('Document not found');
+      documentService.off('content_updated', listener);
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(crdtService.getContent(docId)).not.toBe('Rejected');
+    });
+
+    test('should load the live state before changing it', async () => {
+      const doc = await documentService.createDocument({ content: 'Hello', owner: 'user1' });
+      const docId = doc._id.toString();
+      crdtService.documentStates.clear();
+      const load = jest.spyOn(documentService, 'loadDocumentIntoCRDT');
+
+      await documentService.updateDocumentContent(docId, 'Hello world', 'user1');
+      load.mockRestore();
+
+      expect(load).toHaveBeenCalledWith(docId);
+      expect(crdtService.getContent(docId)).toBe('Hello world');
+    });
+
+    test('should emit content_updated when the live content changed', async () => {
+      const doc = await documentService.createDocument({ content: 'Old', owner: 'user1' });
+      const listener = jest.fn();
+      documentService.on('content_updated', listener);
+
+      await documentService.updateDocumentContent(doc._id.toString(), 'New', 'user1');
+      documentService.off('content_updated', listener);
+
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({ documentId: doc._id.toString(), content: 'New', user: 'user1' })
+      );
+    });
+  });
+
   describe('updateDocumentTitle', () => {
     test('should update document title', async () => {
       const doc = await documentService.createDocument({
@@ -160,6 +318,45 @@ describe('DocumentService', () => {
     });
   });
 
+  describe('trashDocument', () => {
+    test('should hide the document until it is restored', async () => {
+      const doc = await documentService.createDocument({ title: 'Test', owner: 'user1' });
+      const docId = doc._id.toString();
+
+      const trashed = await documentService.trashDocument(docId, 'user1');
+
+      expect(trashed.deletedAt).toBeInstanceOf(Date);
+      expect(trashed.deletedBy).toBe('user1');
+      expect(await documentService.getDocumentById(docId)).toBeNull();
+      expect(await documentService.getDocuments({ owner: 'user1' })).toHaveLength(0);
+      expect(await documentService.getTrashedDocuments('user1')).toHaveLength(1);
+
+      const restored = await documentService.restoreDocument(docId);
+
+      expect(restored.deletedAt).toBeNull();
+      expect(await documentService.getDocumentById(docId)).not.toBeNull();
+    });
+
+    test('should not trash a document that changed since an expected revision', async () => {
+      const doc = await documentService.createDocument({ title: 'Test', owner: 'user1' });
+      await documentService.updateDocumentTitle(doc._id.toString(), 'Renamed');
+
+      await expect(
+        documentService.trashDocument(doc._id.toString(), 'user1', { ifRevision: [doc.revision] })
+      ).rejects.toThrow('Document has been modified');
+      expect(await documentService.getDocumentById(doc._id.toString())).not.toBeNull();
+    });
+
+    test('should not update a document in the trash', async () => {
+      const doc = await documentService.createDocument({ title: 'Test', owner: 'user1' });
+      await documentService.trashDocument(doc._id.toString(), 'user1');
+
+      await expect(
+        documentService.updateDocumentTitle(doc._id.toString(), 'Renamed')
+      ).rejects.toThrow('Document not found');
+    });
+  });
+
   describe('deleteDocument', () => {
     test('should delete document', async () => {
       const doc = await documentService.createDocument({
@@ -188,6 +385,30 @@ describe('DocumentService', () => {
     });
   });
 
+  describe('moveDocument', () => {
+    afterEach(async () => {
+      await Folder.deleteMany({});
+    });
+
+    test('should drop roles inherited from the old folder', async () => {
+      const folder = await Folder.create({
+        name: 'Team',
+        owner: 'lead1',
+        permissions: [{ username: 'member1', role: 'editor' }],
+      });
+      const doc = await documentService.createDocument({
+        title: 'Plan',
+        owner: 'user1',
+        folder: folder._id,
+      });
+      expect(await permissionService.getUserRole(doc._id, 'member1')).toBe('editor');
+
+      await documentService.moveDocument(doc._id, null);
+
+      expect(await permissionService.getUserRole(doc._id, 'member1')).toBeNull();
+    });
+  });
+
   describe('loadDocumentIntoCRDT', () => {
     test('should load document content into CRDT', async () => {
       const doc = await documentService.createDocument({
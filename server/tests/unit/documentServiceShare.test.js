@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const documentService = require('../../services/documentService');
 const Document = require('../../models/Document');
 const crdtService = require('../../services/crdtService');
+const permissionService = require('../../services/permissionService');
 
 beforeAll(async () => {
   const MONGODB_URI =
@@ -137,6 +138,38 @@ describe('DocumentService - Share Links', () => {
       expect(permission.role).toBe('viewer');
     });
 
+    test('should join document with comment access and add commenter permission', async () => {
+      const doc = await Document.create({
+        title: 'Shared Doc',
+        owner: 'owner1',
+        shareToken: 'test-token-comment',
+        shareAccess: 'comment',
+      });
+
+      const result = await documentService.joinDocumentByShareToken(
+        'test-token-comment',
+        'newuser'
+      );
+
+      expect(result.access).toBe('comment');
+      const updated = await Document.findById(doc._id);
+      expect(updated.permissions.find((p) => p.username === 'newuser').role).toBe('commenter');
+    });
+
+    test('should let the joining user in even if their lack of access was cached', async () => {
+      const doc = await Document.create({
+        title: 'Shared Doc',
+        owner: 'owner1',
+        shareToken: 'test-token-edit',
+        shareAccess: 'edit',
+      });
+      expect(await permissionService.checkPermission(doc._id, 'newuser', 'write')).toBe(false);
+
+      await documentService.joinDocumentByShareToken('test-token-edit', 'newuser');
+
+      expect(await permissionService.checkPermission(doc._id, 'newuser', 'write')).toBe(true);
+    });
+
     test('should not duplicate permission if user already has access', async () => {
       const doc = await Document.create({
         title: 'Shared Doc',
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const folderService = require('../../services/folderService');
+const permissionService = require('../../services/permissionService');
+const Folder = require('../../models/Folder');
+const Document = require('../../models/Document');
+
+// Connect to test database
+beforeAll(async () => {
+  const MONGODB_URI =
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/collaborative-editor-test';
+  await mongoose.connect(MONGODB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Folder.deleteMany({});
+  await Document.deleteMany({});
+});
+
+describe('FolderService', () => {
+  let team;
+  let drafts;
+  let old;
+
+  beforeEach(async () => {
+    team = await Folder.create({ name: 'Team', owner: 'owner1' });
+    drafts = await Folder.create({
+      name: 'Drafts',
+      owner: 'owner1',
+      parent: team._id,
+      permissions: [{ username: 'editor1', role: 'editor' }],
+    });
+    old = await Folder.create({ name: 'Old', owner: 'owner1', parent: drafts._id });
+  });
+
+  describe('getFolderTree', () => {
+    test('should list shared folders and everything below them', async () => {
+      const tree = await folderService.getFolderTree('editor1');
+
+      expect(tree.map((folder) => folder.name)).toEqual(['Drafts', 'Old']);
+      // editor1 cannot see Team, so Drafts is shown at the top level
+      expect(tree[0].parent).toBe(null);
+      expect(tree[1].parent.toString()).toBe(drafts._id.toString());
+      expect(tree.map((folder) => folder.role)).toEqual(['editor', 'editor']);
+    });
+
+    test('should return nothing for users without a role', async () => {
+      expect(await folderService.getFolderTree('stranger')).toEqual([]);
+    });
+  });
+
+  describe('getFolderPath', () => {
+    test('should start at the highest folder the user can see', async () => {
+      const ownerPath = await folderService.getFolderPath(old._id, 'owner1');
+      const editorPath = await folderService.getFolderPath(old._id, 'editor1');
+
+      expect(ownerPath.map((folder) => folder.name)).toEqual(['Team', 'Drafts', 'Old']);
+      expect(editorPath.map((folder) => folder.name)).toEqual(['Drafts', 'Old']);
+    });
+  });
+
+  describe('updateFolder', () => {
+    test('should let editors rename but not move folders', async () => {
+      const renamed = await folderService.updateFolder(old._id, { name: 'Archive' }, 'editor1');
+      expect(renamed.name).toBe('Archive');
+
+      await expect(
+        folderService.updateFolder(old._id, { parent: null }, 'editor1')
+      ).rejects.toThrow('Insufficient permissions');
+    });
+
+    test('should not move a folder into one of its subfolders', async () => {
+      await expect(
+        folderService.updateFolder(team._id, { parent: old._id }, 'owner1')
+      ).rejects.toThrow('Cannot move a folder into itself');
+    });
+  });
+
+  describe('deleteFolder', () => {
+    test('should not delete folders with subfolders', async () => {
+      await expect(folderService.deleteFolder(drafts._id, 'owner1')).rejects.toThrow(
+        'Folder is not empty'
+      );
+    });
+
+    test('should only let owners delete folders', async () => {
+      await expect(folderService.deleteFolder(old._id, 'editor1')).rejects.toThrow(
+        'Insufficient permissions'
+      );
+      expect(await folderService.deleteFolder(old._id, 'owner1')).toBe(true);
+    });
+  });
+
+  describe('cached document roles', () => {
+    let doc;
+
+    beforeEach(async () => {
+      doc = await Document.create({ title: 'Plan', owner: 'author1', folder: old._id });
+    });
+
+    test('should follow folder permission changes', async () => {
+      expect(await permissionService.getUserRole(doc._id, 'reader1')).toBeNull();
+
+      await folderService.addPermission(team._id, 'reader1', 'viewer', 'owner1');
+      expect(await permissionService.getUserRole(doc._id, 'reader1')).toBe('viewer');
+
+      await folderService.removePermission(team._id, 'reader1', 'owner1');
+      expect(await permissionService.getUserRole(doc._id, 'reader1')).toBeNull();
+    });
+
+    test('should follow folder moves', async () => {
+      expect(await permissionService.getUserRole(doc._id, 'editor1')).toBe('editor');
+
+      await folderService.updateFolder(old._id, { parent: team._id }, 'owner1');
+
+      expect(await permissionService.getUserRole(doc._id, 'editor1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const operationLogService = require('../../services/operationLogService');
+const crdtService = require('../../services/crdtService');
+const Operation = require('../../models/Operation');
+
+beforeAll(async () => {
+  const MONGODB_URI =
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/collaborative-editor-test';
+  await mongoose.connect(MONGODB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Operation.deleteMany({});
+  crdtService.documentStates.clear();
+  operationLogService.recordedBases.clear();
+});
+
+afterEach(async () => {
+  await Operation.deleteMany({});
+  crdtService.documentStates.clear();
+});
+
+describe('OperationLogService', () => {
+  describe('append', () => {
+    test('should record the base before the first operations', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      const { operations } = crdtService.applyOperation('doc1', 'insert', 5, '!', 'client1');
+
+      await operationLogService.append('doc1', operations, { clientId: 'client1', user: 'user1' });
+
+      const entries = await Operation.find({ documentId: 'doc1' }).sort({ _id: 1 });
+      expect(entries).toHaveLength(2);
+      expect(entries[0].payload).toEqual({ type: 'base', content: 'Hello' });
+      expect(entries[1].payload.type).toBe('insert');
+      expect(entries[1].site).toBe('client1');
+      expect(entries[1].clock).toBe(1);
+      expect(entries[1].user).toBe('user1');
+    });
+
+    test('should record each base only once', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      await operationLogService.append('doc1');
+      await operationLogService.append('doc1');
+
+      const bases = await Operation.countDocuments({ documentId: 'doc1', 'payload.type': 'base' });
+      expect(bases).toBe(1);
+    });
+
+    test('should log replaced content as operations on the same base', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      await operationLogService.append('doc1');
+      const { operations } = crdtService.setContent('doc1', 'Hello!', 'client1');
+      await operationLogService.append('doc1', operations);
+
+      const bases = await Operation.find({ documentId: 'doc1', 'payload.type': 'base' });
+      expect(bases.map((b) => b.payload.content)).toEqual(['Hello']);
+      expect(await Operation.countDocuments({ documentId: 'doc1', site: 'client1' })).toBe(1);
+    });
+
+    test('should do nothing for a document not loaded in the CRDT', async () => {
+      await operationLogService.append('unknown');
+      expect(await Operation.countDocuments({})).toBe(0);
+    });
+  });
+
+  describe('loadIntoCRDT', () => {
+    test('should rebuild unsaved edits from the log after a restart', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      const { operations } = crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1');
+      await operationLogService.append('doc1', operations);
+
+      // Simulate a restart losing all in-memory state
+      crdtService.documentStates.clear();
+      operationLogService.recordedBases.clear();
+
+      const content = await operationLogService.loadIntoCRDT('doc1', 'Hello');
+      expect(content).toBe('Hello World');
+      expect(crdtService.getContent('doc1')).toBe('Hello World');
+    });
+
+    test('should start from saved content when no log exists', async () => {
+      const content = await operationLogService.loadIntoCRDT('doc1', 'Saved content');
+
+      expect(content).toBe('Saved content');
+      const bases = await Operation.find({ documentId: 'doc1', 'payload.type': 'base' });
+      expect(bases).toHaveLength(1);
+    });
+  });
+
+  describe('clearDocument', () => {
+    test('should remove all log entries for a document', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      await operationLogService.append('doc1');
+
+      await operationLogService.clearDocument('doc1');
+
+      expect(await Operation.countDocuments({ documentId: 'doc1' })).toBe(0);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const permissionService = require('../../services/permissionService');
 const Document = require('../../models/Document');
+const Folder = require('../../models/Folder');
+const clusterService = require('../../services/clusterService');
 
 // Connect to test database
 beforeAll(async () => {
@@ -15,10 +17,13 @@ afterAll(async () => {
 
 beforeEach(async () => {
   await Document.deleteMany({});
+  await Folder.deleteMany({});
+  permissionService.clearCache();
 });
 
 afterEach(async () => {
   await Document.deleteMany({});
+  await Folder.deleteMany({});
 });
 
 describe('PermissionService', () => {
@@ -31,6 +36,7 @@ describe('PermissionService', () => {
       owner: 'owner1',
       permissions: [
         { username: 'editor1', role: 'editor' },
+        { username: 'commenter1', role: 'commenter' },
         { username: 'viewer1', role: 'viewer' },
       ],
     });
@@ -53,8 +59,22 @@ describe('PermissionService', () => {
       expect(await permissionService.checkPermission(documentId, 'editor1', 'manage')).toBe(false);
     });
 
+    test('commenter should have read and comment permissions', async () => {
+      expect(await permissionService.checkPermission(documentId, 'commenter1', 'read')).toBe(true);
+      expect(await permissionService.checkPermission(documentId, 'commenter1', 'comment')).toBe(
+        true
+      );
+      expect(await permissionService.checkPermission(documentId, 'commenter1', 'write')).toBe(
+        false
+      );
+      expect(await permissionService.checkPermission(documentId, 'commenter1', 'manage')).toBe(
+        false
+      );
+    });
+
     test('viewer should only have read permission', async () => {
       expect(await permissionService.checkPermission(documentId, 'viewer1', 'read')).toBe(true);
+      expect(await permissionService.checkPermission(documentId, 'viewer1', 'comment')).toBe(false);
       expect(await permissionService.checkPermission(documentId, 'viewer1', 'write')).toBe(false);
       expect(await permissionService.checkPermission(documentId, 'viewer1', 'delete')).toBe(false);
       expect(await permissionService.checkPermission(documentId, 'viewer1', 'manage')).toBe(false);
@@ -97,6 +117,22 @@ describe('PermissionService', () => {
       const role = await permissionService.getUserRole(documentId, 'unauthorized');
       expect(role).toBeNull();
     });
+
+    test('should return null for documents in the trash', async () => {
+      await Document.findByIdAndUpdate(documentId, { deletedAt: new Date() });
+
+      expect(await permissionService.getUserRole(documentId, 'owner1')).toBeNull();
+      expect(await permissionService.checkPermission(documentId, 'editor1', 'read')).toBe(false);
+    });
+
+    test('should look up documents in the trash when asked to', async () => {
+      await Document.findByIdAndUpdate(documentId, { deletedAt: new Date() });
+
+      const role = await permissionService.getUserRole(documentId, 'owner1', {
+        includeDeleted: true,
+      });
+      expect(role).toBe('owner');
+    });
   });
 
   describe('addPermission', () => {
@@ -146,4 +182,141 @@ describe('PermissionService', () => {
       ).rejects.toThrow('Cannot remove owner permission');
     });
   });
+
+  describe('role cache', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should answer repeated checks without reading the document again', async () => {
+      const findOne = jest.spyOn(Document, 'findOne');
+      const before = permissionService.getCacheStats();
+
+      expect(await permissionService.checkPermission(documentId, 'editor1', 'write')).toBe(true);
+      expect(await permissionService.checkPermission(documentId, 'editor1', 'write')).toBe(true);
+      expect(await permissionService.checkPermission(documentId, 'editor1', 'read')).toBe(true);
+
+      expect(findOne).toHaveBeenCalledTimes(1);
+      const after = permissionService.getCacheStats();
+      expect(after.misses - before.misses).toBe(1);
+      expect(after.hits - before.hits).toBe(2);
+    });
+
+    test('should cache users without access too', async () => {
+      const findOne = jest.spyOn(Document, 'findOne');
+
+      expect(await permissionService.checkPermission(documentId, 'stranger', 'read')).toBe(false);
+      expect(await permissionService.checkPermission(documentId, 'stranger', 'read')).toBe(false);
+
+      expect(findOne).toHaveBeenCalledTimes(1);
+    });
+
+    test('should see roles granted through addPermission', async () => {
+      expect(await permissionService.getUserRole(documentId, 'newuser')).toBeNull();
+
+      await permissionService.addPermission(documentId, 'newuser', 'editor', 'owner1');
+
+      expect(await permissionService.getUserRole(documentId, 'newuser')).toBe('editor');
+    });
+
+    test('should see roles removed through removePermission', async () => {
+      expect(await permissionService.getUserRole(documentId, 'editor1')).toBe('editor');
+
+      await permissionService.removePermission(documentId, 'editor1', 'owner1');
+
+      expect(await permissionService.checkPermission(documentId, 'editor1', 'write')).toBe(false);
+    });
+
+    test('should not cache a role read while it was being changed', async () => {
+      const stale = permissionService.getUserRole(documentId, 'editor1');
+      permissionService.clearCache(documentId);
+      expect(await stale).toBe('editor');
+
+      await Document.updateOne({ _id: documentId }, { $set: { permissions: [] } });
+
+      expect(await permissionService.getUserRole(documentId, 'editor1')).toBeNull();
+    });
+
+    test('should tell other nodes, and listen to them, when roles change', async () => {
+      const broadcast = jest.spyOn(clusterService, 'broadcast').mockResolvedValue();
+      expect(await permissionService.getUserRole(documentId, 'viewer1')).toBe('viewer');
+
+      await permissionService.invalidate(documentId);
+      expect(broadcast).toHaveBeenCalledWith('permissions_changed', { documentId });
+
+      await permissionService.getUserRole(documentId, 'viewer1');
+      await Document.updateOne({ _id: documentId }, { $set: { permissions: [] } });
+      await clusterService.handlers.get('permissions_changed')({ documentId }, 'node-2');
+
+      expect(await permissionService.getUserRole(documentId, 'viewer1')).toBeNull();
+    });
+
+    test('should expire cached roles', async () => {
+      expect(await permissionService.getUserRole(documentId, 'viewer1')).toBe('viewer');
+      await Document.updateOne({ _id: documentId }, { $set: { permissions: [] } });
+
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 10 * 60 * 1000);
+
+      expect(await permissionService.getUserRole(documentId, 'viewer1')).toBeNull();
+    });
+  });
+
+  describe('folder permissions', () => {
+    let parentId;
+    let childId;
+
+    beforeEach(async () => {
+      const parent = await Folder.create({
+        name: 'Team',
+        owner: 'lead1',
+        permissions: [{ username: 'viewer1', role: 'viewer' }],
+      });
+      const child = await Folder.create({
+        name: 'Drafts',
+        owner: 'lead1',
+        parent: parent._id,
+        permissions: [{ username: 'writer1', role: 'editor' }],
+      });
+      parentId = parent._id.toString();
+      childId = child._id.toString();
+      await Document.findByIdAndUpdate(documentId, { folder: child._id });
+    });
+
+    test('should inherit roles from every folder above the document', async () => {
+      expect(await permissionService.getUserRole(documentId, 'lead1')).toBe('owner');
+      expect(await permissionService.getUserRole(documentId, 'writer1')).toBe('editor');
+      expect(await permissionService.checkPermission(documentId, 'lead1', 'manage')).toBe(true);
+      expect(await permissionService.checkPermission(documentId, 'writer1', 'write')).toBe(true);
+    });
+
+    test('should rank commenters between viewers and editors', async () => {
+      await Folder.findByIdAndUpdate(parentId, {
+        permissions: [
+          { username: 'viewer1', role: 'commenter' },
+          { username: 'editor1', role: 'commenter' },
+        ],
+      });
+
+      expect(await permissionService.getUserRole(documentId, 'viewer1')).toBe('commenter');
+      expect(await permissionService.getUserRole(documentId, 'editor1')).toBe('editor');
+    });
+
+    test('should use the most privileged role the user has', async () => {
+      // editor1 can only view the team folder, but edits this document directly
+      await Folder.findByIdAndUpdate(parentId, {
+        permissions: [{ username: 'editor1', role: 'viewer' }],
+      });
+
+      expect(await permissionService.getUserRole(documentId, 'editor1')).toBe('editor');
+    });
+
+    test('should not grant roles from folders below', async () => {
+      expect(await permissionService.getFolderRole(parentId, 'writer1')).toBe(null);
+      expect(await permissionService.getFolderRole(childId, 'viewer1')).toBe('viewer');
+      expect(await permissionService.checkFolderPermission(childId, 'viewer1', 'write')).toBe(
+        false
+      );
+    });
+  });
 });
@@ -0,0 +1,174 @@
+const sanitizeService = require('../../services/sanitizeService');
+const { defaultPolicy } = require('../../config/sanitizePolicy');
+
+afterEach(() => {
+  sanitizeService.setPolicy(defaultPolicy);
+});
+
+describe('SanitizeService', () => {
+  describe('sanitize', () => {
+    test('should keep content that is already clean unchanged', () => {
+      const html =
+        '<h1>Notes</h1><p>Some <b>bold</b>, <i>italic</i> and ' +
+        '<span style="color: red;">red</span> text &amp; a ' +
+        '<a href="https://example.com" title="Example">link</a>.</p>' +
+        '<ul><li>One</li><li>Two</li></ul><img src="/logo.png" alt="Logo"><br>';
+
+      expect(sanitizeService.sanitize(html)).toBe(html);
+    });
+
+    test('should keep suggested insertions and deletions', () => {
+      expect(
+        sanitizeService.sanitize(
+          '<p>Hi<ins data-suggestion="s1" onclick="x()"> there</ins><del data-suggestion="s2">!</del></p>'
+        )
+      ).toBe('<p>Hi<ins data-suggestion="s1"> there</ins><del data-suggestion="s2">!</del></p>');
+    });
+
+    test('should keep plain text unchanged', () => {
+      expect(sanitizeService.sanitize('Just some text')).toBe('Just some text');
+      expect(sanitizeService.sanitize('')).toBe('');
+      expect(sanitizeService.sanitize(null)).toBe('');
+    });
+
+    test('should remove script elements with their contents', () => {
+      expect(sanitizeService.sanitize('<p>Hi</p><script>alert(1)</script><p>there</p>')).toBe(
+        '<p>Hi</p><p>there</p>'
+      );
+      expect(sanitizeService.sanitize('<SCRIPT src="x.js"></SCRIPT >Text')).toBe('Text');
+      expect(sanitizeService.sanitize('Text<script>alert(1)')).toBe('Text');
+    });
+
+    test('should remove other elements that can run script or embed content', () => {
+      expect(
+        sanitizeService.sanitize(
+          '<iframe src="https://evil.test"></iframe><svg onload="alert(1)"><circle/></svg>' +
+            '<style>body { display: none }</style><object data="x.swf"></object>Text'
+        )
+      ).toBe('Text');
+    });
+
+    test('should remove event handler attributes', () => {
+      expect(sanitizeService.sanitize('<img src="x" onerror="alert(1)">')).toBe('<img src="x">');
+      expect(sanitizeService.sanitize('<p onclick=alert(1) ONMOUSEOVER="alert(2)">Hi</p>')).toBe(
+        '<p>Hi</p>'
+      );
+      expect(sanitizeService.sanitize('<b/onmouseover=alert(1)>Hi</b>')).toBe('<b>Hi</b>');
+    });
+
+    test('should remove javascript: URLs', () => {
+      expect(sanitizeService.sanitize('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(sanitizeService.sanitize('<a href=" JaVaScRiPt:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(sanitizeService.sanitize('<img src="data:text/html,<script>alert(1)</script>">')).toBe(
+        '<img>'
+      );
+    });
+
+    test('should remove javascript: URLs disguised with character references or whitespace', () => {
+      expect(sanitizeService.sanitize('<a href="jav&#x61;script:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(
+        sanitizeService.sanitize(
+          '<a href="&#106&#97&#118&#97&#115&#99&#114&#105&#112&#116:alert(1)">x</a>'
+        )
+      ).toBe('<a>x</a>');
+      expect(sanitizeService.sanitize('<a href="javascript&colon;alert(1)">x</a>')).toBe(
+        '<a>x</a>'
+      );
+      expect(sanitizeService.sanitize('<a href="java\tscript:alert(1)">x</a>')).toBe('<a>x</a>');
+      expect(sanitizeService.sanitize('<a href="java&Tab;script:alert(1)">x</a>')).toBe('<a>x</a>');
+    });
+
+    test('should remove unsafe styles and keep the allowed ones', () => {
+      expect(
+        sanitizeService.sanitize(
+          '<span style="color: red; background-image: url(x); position: fixed">x</span>'
+        )
+      ).toBe('<span style="color: red;">x</span>');
+      expect(sanitizeService.sanitize('<span style="color: expression(alert(1))">x</span>')).toBe(
+        '<span>x</span>'
+      );
+      expect(
+        sanitizeService.sanitize('<span style="background-color: u&#114;l(javascript:x)">x</span>')
+      ).toBe('<span>x</span>');
+    });
+
+    test('should drop disallowed tags but keep their text', () => {
+      expect(sanitizeService.sanitize('<form action="/x"><input value="a">Name</form>')).toBe(
+        'Name'
+      );
+      expect(sanitizeService.sanitize('<custom-tag>Hi</custom-tag>')).toBe('Hi');
+    });
+
+    test('should drop comments', () => {
+      expect(sanitizeService.sanitize('A<!-- <script>alert(1)</script> -->B')).toBe('AB');
+      expect(sanitizeService.sanitize('A<!-- unterminated')).toBe('A');
+    });
+
+    test('should escape a < that does not start a tag', () => {
+      expect(sanitizeService.sanitize('1 < 2 and <3')).toBe('1 &lt; 2 and &lt;3');
+    });
+
+    test('should close unclosed tags and drop stray closing tags', () => {
+      expect(sanitizeService.sanitize('<p><b>Hi</p></i>')).toBe('<p><b>Hi</b></p>');
+      expect(sanitizeService.sanitize('<ul><li>One')).toBe('<ul><li>One</li></ul>');
+    });
+
+    test('should not let attribute values break out of the tag', () => {
+      expect(sanitizeService.sanitize(`<a title='"><script>alert(1)</script>'>x</a>`)).toBe(
+        '<a title="&quot;><script>alert(1)</script>">x</a>'
+      );
+    });
+
+    test('should drop malformed attributes without failing', () => {
+      expect(sanitizeService.sanitize('<a =foo>x</a>')).toBe('<a>x</a>');
+      expect(sanitizeService.sanitize('<a = href="https://example.com" =>x</a>')).toBe(
+        '<a href="https://example.com">x</a>'
+      );
+    });
+
+    test('should return the same result when run again', () => {
+      const inputs = [
+        '<p onclick="x()">A<script>b</script><a href="javascript:c">d</a>',
+        '<span style="color: red;;font-weight:bold">x</span>',
+        `<a title='"quoted"'>x</a> 1 < 2`,
+        '<div><p>Unclosed',
+      ];
+
+      inputs.forEach((html) => {
+        const once = sanitizeService.sanitize(html);
+        expect(sanitizeService.sanitize(once)).toBe(once);
+      });
+    });
+
+    test('should use a custom policy', () => {
+      sanitizeService.setPolicy({
+        ...defaultPolicy,
+        tags: { p: [], a: ['href'] },
+        urlSchemes: ['https'],
+      });
+
+      expect(
+        sanitizeService.sanitize(
+          '<p><b>Bold</b> <a href="http://example.com">x</a> <a href="https://example.com">y</a></p>'
+        )
+      ).toBe('<p>Bold <a>x</a> <a href="https://example.com">y</a></p>');
+    });
+  });
+
+  describe('isSafeUrl', () => {
+    test('should allow the policy schemes and relative URLs', () => {
+      expect(sanitizeService.isSafeUrl('https://example.com/a?b=c:d')).toBe(true);
+      expect(sanitizeService.isSafeUrl('mailto:someone@example.com')).toBe(true);
+      expect(sanitizeService.isSafeUrl('/docs/page#section')).toBe(true);
+      expect(sanitizeService.isSafeUrl('page?time=10:30')).toBe(true);
+    });
+
+    test('should reject other schemes', () => {
+      expect(sanitizeService.isSafeUrl('javascript:alert(1)')).toBe(false);
+      expect(sanitizeService.isSafeUrl('vbscript:msgbox(1)')).toBe(false);
+      expect(sanitizeService.isSafeUrl('data:text/html,hi')).toBe(false);
+      expect(sanitizeService.isSafeUrl('\u0000javascript:alert(1)')).toBe(false);
+      expect(sanitizeService.isSafeUrl(undefined)).toBe(false);
+    });
+  });
+});
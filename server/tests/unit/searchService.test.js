@@ -0,0 +1,107 @@
+const searchService = require('../../services/searchService');
+const Document = require('../../models/Document');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Text covered by each highlight range
+const highlighted = ({ text, highlights }) => highlights.map(([from, to]) => text.slice(from, to));
+
+describe('SearchService', () => {
+  describe('toPlainText', () => {
+    test('should remove tags and keep words apart across blocks', () => {
+      expect(searchService.toPlainText('<p>Hello <b>big</b></p><p>world</p>')).toBe(
+        'Hello big world'
+      );
+      expect(searchService.toPlainText('one<br>two<div>three</div>')).toBe('one two three');
+    });
+
+    test('should drop scripts and styles with their contents', () => {
+      expect(
+        searchService.toPlainText('<style>p { color: red }</style>Text<script>alert(1)</script>')
+      ).toBe('Text');
+    });
+
+    test('should decode entities', () => {
+      expect(searchService.toPlainText('Fish &amp; chips&nbsp;&lt;3 &#233;t&#xE9;')).toBe(
+        'Fish & chips <3 été'
+      );
+      expect(searchService.toPlainText('&unknown; &#0;')).toBe('&unknown; &#0;');
+    });
+
+    test('should handle empty content', () => {
+      expect(searchService.toPlainText('')).toBe('');
+      expect(searchService.toPlainText(null)).toBe('');
+    });
+  });
+
+  describe('getTerms', () => {
+    test('should split words and phrases and leave out negated terms', () => {
+      expect(searchService.getTerms('budget "quarterly report" -draft -"old plan" q3')).toEqual([
+        'quarterly report',
+        'budget',
+        'q3',
+      ]);
+    });
+  });
+
+  describe('getSnippet', () => {
+    const text =
+      'The first part of this document is an introduction that goes on for a while. ' +
+      'Later on, the budget for the next quarter is discussed in detail, and the Budget ' +
+      'committee signs it off. Everything after that is an appendix nobody reads.';
+
+    test('should center the snippet on the first match and highlight every match', () => {
+      const snippet = searchService.getSnippet(text, ['budget'], 120);
+
+      expect(snippet.text.startsWith('…')).toBe(true);
+      expect(snippet.text.endsWith('…')).toBe(true);
+      expect(snippet.text).toContain('the budget for the next quarter');
+      expect(highlighted(snippet)).toEqual(['budget', 'Budget']);
+    });
+
+    test('should not cut words in half', () => {
+      const snippet = searchService.getSnippet(text, ['quarter'], 60);
+      const words = snippet.text.replace(/…/g, '').split(' ');
+
+      words.forEach((word) => expect(text).toMatch(new RegExp(`\\b${word.replace('.', '\\.')}`)));
+    });
+
+    test('should only match at the start of words', () => {
+      const snippet = searchService.getSnippet('sublet the let', ['let']);
+
+      expect(snippet.highlights).toEqual([[11, 14]]);
+    });
+
+    test('should start at the beginning when the text does not contain a term', () => {
+      const snippet = searchService.getSnippet(text, ['meeting'], 40);
+
+      expect(snippet.text.startsWith('The first part')).toBe(true);
+      expect(snippet.highlights).toEqual([]);
+    });
+
+    test('should return the whole text when it is short', () => {
+      expect(searchService.getSnippet('Budget notes', ['notes'])).toEqual({
+        text: 'Budget notes',
+        highlights: [[7, 12]],
+      });
+    });
+  });
+
+  describe('indexExistingDocuments', () => {
+    test('should fill in the plain text of documents that have none', async () => {
+      const select = jest.fn(() => Promise.resolve([{ _id: 'doc1', content: '<p>Hello</p>' }]));
+      jest.spyOn(Document, 'find').mockReturnValue({ select });
+      jest.spyOn(Document, 'updateOne').mockResolvedValue({});
+
+      expect(await searchService.indexExistingDocuments()).toBe(1);
+
+      expect(Document.find).toHaveBeenCalledWith({ plainText: { $exists: false } });
+      expect(Document.updateOne).toHaveBeenCalledWith(
+        { _id: 'doc1' },
+        { $set: { plainText: 'Hello' } }
+      );
+    });
+  });
+});
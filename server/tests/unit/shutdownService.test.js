@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const shutdownService = require('../../services/shutdownService');
+const socketIOService = require('../../services/socketIOService');
+const autosaveService = require('../../services/autosaveService');
+const snapshotService = require('../../services/snapshotService');
+const trashService = require('../../services/trashService');
+const clusterService = require('../../services/clusterService');
+
+jest.mock('../../services/socketIOService');
+jest.mock('../../services/autosaveService');
+jest.mock('../../services/snapshotService');
+jest.mock('../../services/trashService');
+jest.mock('../../services/clusterService');
+
+const createMockServer = () => ({
+  close: jest.fn(),
+  closeIdleConnections: jest.fn(),
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  shutdownService.shutdownPromise = null;
+
+  autosaveService.flushAll = jest.fn(() => Promise.resolve({ saved: 2, failed: 0 }));
+  jest.spyOn(mongoose.connection, 'close').mockResolvedValue();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('ShutdownService', () => {
+  describe('shutdown', () => {
+    test('should stop traffic, save dirty documents and close MongoDB in order', async () => {
+      const calls = [];
+      const server = createMockServer();
+      server.close.mockImplementation(() => calls.push('close server'));
+      socketIOService.beginShutdown.mockImplementation(() => calls.push('disconnect clients'));
+      autosaveService.flushAll.mockImplementation(async () => {
+        calls.push('flush');
+        return { saved: 2, failed: 0 };
+      });
+      socketIOService.handOffDocuments.mockImplementation(async () => calls.push('hand off'));
+      clusterService.stop.mockImplementation(async () => calls.push('leave cluster'));
+      mongoose.connection.close.mockImplementation(async () => calls.push('close database'));
+
+      const exitCode = await shutdownService.shutdown(server, 'SIGTERM');
+
+      expect(exitCode).toBe(0);
+      expect(snapshotService.stop).toHaveBeenCalled();
+      expect(trashService.stop).toHaveBeenCalled();
+      expect(calls).toEqual([
+        'close server',
+        'disconnect clients',
+        'flush',
+        'hand off',
+        'leave cluster',
+        'close database',
+      ]);
+    });
+
+    test('should only run once', async () => {
+      const server = createMockServer();
+
+      const first = shutdownService.shutdown(server, 'SIGTERM');
+      const second = shutdownService.shutdown(server, 'SIGINT');
+
+      expect(second).toBe(first);
+      await first;
+      expect(autosaveService.flushAll).toHaveBeenCalledTimes(1);
+    });
+
+    test('should fail when a document could not be saved', async () => {
+      autosaveService.flushAll.mockResolvedValue({ saved: 1, failed: 1 });
+
+      expect(await shutdownService.shutdown(createMockServer(), 'SIGTERM')).toBe(1);
+      expect(mongoose.connection.close).toHaveBeenCalled();
+    });
+
+    test('should fail when closing the database fails', async () => {
+      mongoose.connection.close.mockRejectedValue(new Error('Connection lost'));
+
+      expect(await shutdownService.shutdown(createMockServer(), 'SIGTERM')).toBe(1);
+    });
+
+    test('should give up after the deadline', async () => {
+      jest.useFakeTimers();
+      autosaveService.flushAll.mockReturnValue(new Promise(() => {}));
+
+      const result = shutdownService.shutdown(createMockServer(), 'SIGTERM');
+      await jest.advanceTimersByTimeAsync(10000);
+
+      expect(await result).toBe(1);
+      expect(mongoose.connection.close).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const snapshotService = require('../../services/snapshotService');
+const operationLogService = require('../../services/operationLogService');
+const crdtService = require('../../services/crdtService');
+const Operation = require('../../models/Operation');
+const Snapshot = require('../../models/Snapshot');
+
+beforeAll(async () => {
+  const MONGODB_URI =
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/collaborative-editor-test';
+  await mongoose.connect(MONGODB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Operation.deleteMany({});
+  await Snapshot.deleteMany({});
+  crdtService.documentStates.clear();
+  operationLogService.recordedBases.clear();
+  operationLogService.pendingCounts.clear();
+  snapshotService.lastSnapshotAt.clear();
+});
+
+afterEach(async () => {
+  await Operation.deleteMany({});
+  await Snapshot.deleteMany({});
+  crdtService.documentStates.clear();
+});
+
+describe('SnapshotService', () => {
+  describe('createSnapshot', () => {
+    test('should store the CRDT state and compact the covered log entries', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      const { operations } = crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1');
+      await operationLogService.append('doc1', operations);
+
+      const info = await snapshotService.createSnapshot('doc1');
+
+      expect(info.version).toBe(crdtService.getState('doc1').version);
+      expect(info.size).toBeGreaterThan(0);
+      expect(info.pendingOperations).toBe(0);
+      expect(await Snapshot.countDocuments({ documentId: 'doc1' })).toBe(1);
+      expect(await Operation.countDocuments({ documentId: 'doc1', 'payload.type': 'insert' })).toBe(
+        0
+      );
+    });
+
+    test('should keep only the latest snapshot', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      await operationLogService.append('doc1');
+
+      await snapshotService.createSnapshot('doc1');
+      await snapshotService.createSnapshot('doc1');
+
+      expect(await Snapshot.countDocuments({ documentId: 'doc1' })).toBe(1);
+    });
+  });
+
+  describe('loading from a snapshot', () => {
+    test('should restore the snapshot and replay only the log tail', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      const first = crdtService.applyOperation('doc1', 'insert', 5, ' World', 'client1');
+      await operationLogService.append('doc1', first.operations);
+      await snapshotService.createSnapshot('doc1');
+      const second = crdtService.applyOperation('doc1', 'insert', 11, '!', 'client2');
+      await operationLogService.append('doc1', second.operations);
+
+      // Simulate a restart losing all in-memory state
+      crdtService.documentStates.clear();
+      operationLogService.recordedBases.clear();
+
+      const content = await operationLogService.loadIntoCRDT('doc1', 'Hello');
+      expect(content).toBe('Hello World!');
+      expect(await Operation.countDocuments({ documentId: 'doc1' })).toBe(1);
+    });
+  });
+
+  describe('checkDocuments', () => {
+    test('should snapshot documents past the operation threshold', async () => {
+      crdtService.setContent('doc1', 'Hello');
+      const { operations } = crdtService.applyOperation(
+        'doc1',
+        'insert',
+        5,
+        'x'.repeat(500),
+        'client1'
+      );
+      await operationLogService.append('doc1', operations);
+
+      const snapshotted = await snapshotService.checkDocuments();
+
+      expect(snapshotted).toEqual(['doc1']);
+      expect(await snapshotService.getSnapshotInfo('doc1')).not.toBeNull();
+    });
+
+    test('should skip documents without pending operations', async () => {
+      crdtService.setContent('doc1', 'Hello');
+
+      expect(await snapshotService.checkDocuments()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const { MemoryClusterAdapter, MemoryClusterBus } = require('../../services/cluster/memoryAdapter');
+
+jest.mock('../../services/documentService');
+jest.mock('../../services/permissionService');
+jest.mock('../../services/operationLogService');
+jest.mock('../../services/autosaveService');
+
+/**
+ * Start a server node with its own copy of every service, as if it ran in its own process
+ */
+const createNode = async (nodeId, bus) => {
+  const node = {};
+  jest.isolateModules(() => {
+    node.socketIO = require('../../services/socketIOService');
+    node.cluster = require('../../services/clusterService');
+    node.crdt = require('../../services/crdtService');
+    node.documents = require('../../services/documentService');
+    node.permissions = require('../../services/permissionService');
+    node.operationLog = require('../../services/operationLogService');
+    node.autosave = require('../../services/autosaveService');
+  });
+
+  node.documents.getDocumentById = jest.fn(() => Promise.resolve({ title: 'Doc', content: '' }));
+  node.documents.loadDocumentIntoCRDT = jest.fn(async (documentId) => {
+    node.crdt.setContent(documentId, 'Hello');
+  });
+  node.permissions.checkPermission = jest.fn(() => Promise.resolve(true));
+  node.operationLog.append = jest.fn(() => Promise.resolve());
+  node.autosave.flush = jest.fn(() => Promise.resolve(null));
+
+  const roomEmit = jest.fn();
+  node.socketIO.io = {
+    to: jest.fn(() => ({ emit: roomEmit })),
+    emit: jest.fn(),
+    _roomEmit: roomEmit,
+  };
+
+  node.cluster.nodeId = nodeId;
+  await node.cluster.useAdapter(new MemoryClusterAdapter(bus));
+  return node;
+};
+
+const createMockSocket = (id) => {
+  const broadcastEmit = jest.fn();
+  return {
+    id,
+    connected: true,
+    user: { username: id },
+    emit: jest.fn(),
+    on: jest.fn(),
+    join: jest.fn(),
+    leave: jest.fn(),
+    broadcast: { to: jest.fn(() => ({ emit: broadcastEmit })) },
+    _broadcastEmit: broadcastEmit,
+  };
+};
+
+const connect = async (node, name) => {
+  const socket = createMockSocket(name);
+  node.socketIO.handleConnection(socket);
+  await node.socketIO.handleUserJoin(socket.clientId, name);
+  return socket;
+};
+
+describe('SocketIOService across cluster nodes', () => {
+  let bus;
+  let nodeA;
+  let nodeB;
+
+  // Deliver messages until every node has finished handling them
+  const settle = async () => {
+    for (let i = 0; i < 10; i++) {
+      await bus.settle();
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+  };
+
+  beforeEach(async () => {
+    bus = new MemoryClusterBus();
+    nodeA = await createNode('A', bus);
+    nodeB = await createNode('B', bus);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await nodeA.cluster.stop();
+    await nodeB.cluster.stop();
+    jest.restoreAllMocks();
+  });
+
+  const joinBoth = async () => {
+    const alice = await connect(nodeA, 'alice');
+    const bob = await connect(nodeB, 'bob');
+    await nodeA.socketIO.routeEvent(alice.clientId, 'set_document_id', { documentId: 'doc1' });
+    await nodeB.socketIO.routeEvent(bob.clientId, 'set_document_id', { documentId: 'doc1' });
+    await settle();
+    return { alice, bob };
+  };
+
+  test('should keep the document on the node that opened it first', async () => {
+    const { bob } = await joinBoth();
+
+    expect(nodeA.cluster.isOwner('doc1')).toBe(true);
+    expect(nodeA.crdt.documentStates.has('doc1')).toBe(true);
+    expect(nodeB.crdt.documentStates.has('doc1')).toBe(false);
+
+    // The owner answered bob through bob's node and joined the room there
+    expect(bob.emit).toHaveBeenCalledWith(
+      'init',
+      expect.objectContaining({ document: expect.objectContaining({ content: 'Hello' }) })
+    );
+    expect(bob.join).toHaveBeenCalledWith('document:doc1');
+    expect(nodeA.socketIO.getUsersForDocument('doc1').map((user) => user.name)).toEqual([
+      'alice',
+      'bob',
+    ]);
+  });
+
+  test('should apply operations from other nodes on the owner and broadcast everywhere', async () => {
+    const { bob } = await joinBoth();
+
+    await nodeB.socketIO.routeEvent(bob.clientId, 'document_operation', {
+      operation: { type: 'insert', position: 5, text: '!' },
+    });
+    await settle();
+
+    expect(nodeA.crdt.getContent('doc1')).toBe('Hello!');
+    expect(nodeA.socketIO.io._roomEmit).toHaveBeenCalledWith(
+      'document_operation',
+      expect.objectContaining({ content: 'Hello!', user: 'bob' })
+    );
+    // Other clients on bob's node get it too, but not bob
+    expect(bob.broadcast.to).toHaveBeenCalledWith('document:doc1');
+    expect(bob._broadcastEmit).toHaveBeenCalledWith(
+      'document_operation',
+      expect.objectContaining({ content: 'Hello!' })
+    );
+  });
+
+  test('should remove clients that disconnect from another node', async () => {
+    const { bob } = await joinBoth();
+
+    nodeB.socketIO.handleDisconnect(bob.clientId);
+    await settle();
+
+    expect(nodeA.socketIO.clients.has(bob.clientId)).toBe(false);
+    expect(nodeA.socketIO.documentClients.get('doc1').size).toBe(1);
+  });
+
+  test('should hand documents over and make their remote clients resync', async () => {
+    const { bob } = await joinBoth();
+
+    expect(await nodeA.socketIO.handOffDocuments()).toBe(1);
+    await settle();
+
+    expect(bob.emit).toHaveBeenCalledWith('resync_required', {
+      documentId: 'doc1',
+      reason: 'owner_changed',
+    });
+    expect(await nodeB.cluster.getOwner('doc1')).toBe('B');
+  });
+
+  test('should make clients resync when their document changed owner', async () => {
+    const { bob } = await joinBoth();
+    bus.leases.set('document:doc1', { owner: 'B', expiresAt: Date.now() + 10000 });
+    nodeB.cluster.owners.clear();
+
+    await nodeB.socketIO.routeEvent(bob.clientId, 'document_operation', {
+      operation: { type: 'insert', position: 0, text: 'x' },
+    });
+
+    expect(bob.emit).toHaveBeenCalledWith('resync_required', {
+      documentId: 'doc1',
+      reason: 'owner_changed',
+    });
+    expect(nodeA.crdt.getContent('doc1')).toBe('Hello');
+  });
+
+  test('should drop state and resync clients when ownership is lost', async () => {
+    const { alice } = await joinBoth();
+
+    nodeA.cluster.emit('ownership_lost', 'doc1');
+    await settle();
+
+    expect(nodeA.crdt.documentStates.has('doc1')).toBe(false);
+    expect(alice.emit).toHaveBeenCalledWith('resync_required', {
+      documentId: 'doc1',
+      reason: 'owner_changed',
+    });
+  });
+});
@@ -2,12 +2,18 @@ const socketIOService = require('../../services/socketIOService');
 const documentService = require('../../services/documentService');
 const crdtService = require('../../services/crdtService');
 const permissionService = require('../../services/permissionService');
+const operationLogService = require('../../services/operationLogService');
+const autosaveService = require('../../services/autosaveService');
+const commentService = require('../../services/commentService');
+const suggestionService = require('../../services/suggestionService');
 const mongoose = require('mongoose');
 
 // Mock dependencies
 jest.mock('../../services/documentService');
 jest.mock('../../services/crdtService');
 jest.mock('../../services/permissionService');
+jest.mock('../../services/operationLogService');
+jest.mock('../../services/autosaveService');
 
 beforeAll(async () => {
   const MONGODB_URI =
@@ -23,16 +29,26 @@ beforeEach(() => {
   // Clear all clients and document clients
   socketIOService.clients.clear();
   socketIOService.documentClients.clear();
+  socketIOService.bufferTimers.forEach((timer) => clearTimeout(timer));
+  socketIOService.bufferTimers.clear();
+  socketIOService.departedVersions.clear();
   socketIOService.io = null;
+  socketIOService.shuttingDown = false;
 
   // Reset mocks
   jest.clearAllMocks();
 
   // Setup default mock implementations
   crdtService.documentStates = new Map();
-  crdtService.setContent = jest.fn();
+  crdtService.setContent = jest.fn(() => ({ content: 'test', version: 1, operations: [] }));
   crdtService.getContent = jest.fn(() => '');
-  crdtService.applyOperation = jest.fn(() => ({ content: 'test', version: 1 }));
+  crdtService.applyOperation = jest.fn(() => ({ content: 'test', version: 1, operations: [] }));
+  crdtService.applyOperations = jest.fn(() => ({
+    content: 'test',
+    version: 1,
+    operations: [],
+    unresolved: [],
+  }));
   crdtService.clearDocument = jest.fn();
 
   permissionService.checkPermission = jest.fn(() => Promise.resolve(true));
@@ -48,6 +64,8 @@ beforeEach(() => {
     Promise.resolve({ _id: { toString: () => 'doc123' }, title: 'New Title' })
   );
   documentService.loadDocumentIntoCRDT = jest.fn(() => Promise.resolve());
+
+  autosaveService.flush = jest.fn(() => Promise.resolve(null));
 });
 
 describe('SocketIOService', () => {
@@ -72,6 +90,135 @@ describe('SocketIOService', () => {
       expect(mockIO.use).toHaveBeenCalled();
       expect(mockIO.on).toHaveBeenCalledWith('connection', expect.any(Function));
     });
+
+    test('should broadcast autosaves to the document', () => {
+      socketIOService.initialize(createMockIO());
+      expect(autosaveService.on).toHaveBeenCalledWith('saved', socketIOService.handleAutosaved);
+      socketIOService.documentClients.set('doc123', new Set(['client1']));
+
+      const savedAt = new Date('2026-01-01T00:00:00Z');
+      socketIOService.handleAutosaved({
+        documentId: 'doc123',
+        content: 'Saved',
+        user: 'user1',
+        savedAt,
+      });
+
+      expect(socketIOService.io.to).toHaveBeenCalledWith('document:doc123');
+      expect(socketIOService.io._mockEmit).toHaveBeenCalledWith('document_saved', {
+        documentId: 'doc123',
+        autosaved: true,
+        content: 'Saved',
+        user: 'user1',
+        timestamp: savedAt.toISOString(),
+      });
+    });
+
+    test('should broadcast content written through the REST API', () => {
+      socketIOService.initialize(createMockIO());
+      expect(documentService.on).toHaveBeenCalledWith(
+        'content_updated',
+        socketIOService.handleContentUpdated
+      );
+      socketIOService.documentClients.set('doc123', new Set(['client1']));
+      const operations = [{ type: 'insert', id: { site: 'server', clock: 1 }, char: 'a' }];
+
+      socketIOService.handleContentUpdated({
+        documentId: 'doc123',
+        operations,
+        content: 'a',
+        version: 1,
+        user: 'user1',
+      });
+
+      expect(socketIOService.io._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({ operations, content: 'a', version: 1, user: 'user1' })
+      );
+    });
+
+    test('should broadcast comment thread changes and notify mentioned users', () => {
+      socketIOService.initialize(createMockIO());
+      socketIOService.documentClients.set('doc123', new Set(['client1']));
+      const bobSocket = createMockSocket('socket-bob');
+      const carolSocket = createMockSocket('socket-carol');
+      socketIOService.handleConnection(bobSocket);
+      socketIOService.handleConnection(carolSocket);
+      socketIOService.clients.get(bobSocket.clientId).username = 'Bob@example.com';
+      socketIOService.clients.get(carolSocket.clientId).username = 'carol@example.com';
+      const comment = {
+        _id: 'comment1',
+        body: 'Ask @bob@example.com',
+        range: { start: 0, end: 4 },
+      };
+
+      commentService.emit('comment_event', {
+        documentId: 'doc123',
+        event: 'comment_created',
+        comment,
+        mention: { users: ['bob@example.com'], author: 'alice@example.com', body: comment.body },
+      });
+
+      expect(socketIOService.io._mockEmit).toHaveBeenCalledWith('comment_created', {
+        documentId: 'doc123',
+        comment,
+      });
+      expect(bobSocket.emit).toHaveBeenCalledWith('comment_mention', {
+        documentId: 'doc123',
+        commentId: 'comment1',
+        author: 'alice@example.com',
+        body: 'Ask @bob@example.com',
+      });
+      expect(carolSocket.emit).not.toHaveBeenCalledWith('comment_mention', expect.anything());
+    });
+
+    test('should broadcast suggestion changes with the content change they made', () => {
+      socketIOService.initialize(createMockIO());
+      socketIOService.documentClients.set('doc123', new Set(['client1']));
+      crdtService.getMarks = jest.fn(() => []);
+      const operations = [{ type: 'insert', id: { site: 'server', clock: 1 }, char: 'a' }];
+      const suggestions = [{ key: 's1', type: 'insert', author: 'user1', status: 'accepted' }];
+
+      suggestionService.emit('suggestions_changed', {
+        documentId: 'doc123',
+        suggestions,
+        change: { operations, content: 'a', version: 3, user: 'user2', clientId: null },
+      });
+
+      expect(socketIOService.io._mockEmit).toHaveBeenCalledWith('document_operation', {
+        operations,
+        content: 'a',
+        version: 3,
+        marks: [],
+        user: 'user2',
+      });
+      expect(socketIOService.io._mockEmit).toHaveBeenCalledWith('suggestions_changed', {
+        documentId: 'doc123',
+        suggestions,
+      });
+      expect(autosaveService.markDirty).toHaveBeenCalledWith('doc123', 'user2');
+    });
+
+    test('should send the suggesting client the operations made from its change', () => {
+      socketIOService.initialize(createMockIO());
+      const mockSocket = createMockSocket('client1');
+      socketIOService.clients.set('client1', { id: 'client1', socket: mockSocket });
+      socketIOService.documentClients.set('doc123', new Set(['client1']));
+      crdtService.getMarks = jest.fn(() => []);
+      const operations = [{ type: 'insert', id: { site: 'client1', clock: 1 }, char: 'a' }];
+
+      suggestionService.emit('suggestions_changed', {
+        documentId: 'doc123',
+        suggestions: [],
+        change: { operations, content: 'a', version: 3, user: 'user1', clientId: 'client1' },
+      });
+
+      expect(mockSocket.broadcast.to).not.toHaveBeenCalled();
+      expect(socketIOService.io._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({ operations, content: 'a' })
+      );
+    });
   });
 
   describe('handleConnection', () => {
@@ -181,6 +328,29 @@ describe('SocketIOService', () => {
           message: expect.stringContaining('not found'),
         })
       );
+      expect(mockSocket.join).not.toHaveBeenCalled();
+      expect(socketIOService.clients.get(clientId).documentId).toBeNull();
+      expect(socketIOService.documentClients.has('doc123')).toBe(false);
+      expect(documentService.loadDocumentIntoCRDT).not.toHaveBeenCalled();
+    });
+
+    test('should stay in the current document when the next one is not found', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      documentService.getDocumentById
+        .mockResolvedValueOnce({ title: 'Doc1', content: 'Content1' })
+        .mockResolvedValueOnce(null);
+      crdtService.getContent.mockReturnValue('content');
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc1');
+      await socketIOService.handleSetDocumentId(clientId, 'trashed');
+
+      expect(mockSocket.leave).not.toHaveBeenCalled();
+      expect(mockSocket.join).not.toHaveBeenCalledWith('document:trashed');
+      expect(socketIOService.clients.get(clientId).documentId).toBe('doc1');
+      expect(socketIOService.documentClients.has('trashed')).toBe(false);
     });
 
     test('should switch documents when changing documentId', async () => {
@@ -202,10 +372,181 @@ describe('SocketIOService', () => {
       expect(mockSocket.leave).toHaveBeenCalledWith('document:doc1');
       expect(mockSocket.join).toHaveBeenCalledWith('document:doc2');
     });
+
+    test('should reply with missing operations when a reconnecting client sends its state', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+      await socketIOService.handleUserJoin(clientId, 'user1');
+
+      const missing = [{ type: 'insert', id: { site: 'siteB', clock: 1 }, char: 'x' }];
+      const offline = [{ type: 'insert', id: { site: 'siteA', clock: 3 }, char: 'y' }];
+      documentService.getDocumentById.mockResolvedValue({ title: 'Doc', content: '' });
+      crdtService.getMissingOperations.mockReturnValue(missing);
+      crdtService.applyOperations.mockReturnValue({
+        content: 'xy',
+        version: 4,
+        operations: offline,
+        unresolved: [],
+      });
+      crdtService.getState.mockReturnValue({
+        stateVector: { siteA: 3, siteB: 1 },
+        version: 4,
+        baseId: 'base1',
+      });
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123', {
+        baseId: 'base1',
+        stateVector: { siteA: 2 },
+        operations: offline,
+      });
+
+      expect(crdtService.getMissingOperations).toHaveBeenCalledWith(
+        'doc123',
+        { siteA: 2 },
+        'base1'
+      );
+      expect(crdtService.applyOperations).toHaveBeenCalledWith(
+        'doc123',
+        offline,
+        'user1',
+        clientId
+      );
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'sync_operations',
+        expect.objectContaining({ operations: missing, version: 4, baseId: 'base1' })
+      );
+      expect(mockSocket.emit).not.toHaveBeenCalledWith('init', expect.anything());
+      expect(socketIOService.clients.get(clientId).acknowledgedVersion).toBe(4);
+    });
+
+    test('should fall back to full init when the client state is from another base', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      documentService.getDocumentById.mockResolvedValue({ title: 'Doc', content: 'abc' });
+      crdtService.getMissingOperations.mockReturnValue(null);
+      crdtService.getContent.mockReturnValue('abc');
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123', {
+        baseId: 'stale',
+        stateVector: {},
+        operations: [],
+      });
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'init',
+        expect.objectContaining({ document: expect.objectContaining({ content: 'abc' }) })
+      );
+    });
+
+    test('should not apply offline operations without write permission', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      documentService.getDocumentById.mockResolvedValue({ title: 'Doc', content: '' });
+      crdtService.getMissingOperations.mockReturnValue([]);
+      crdtService.getState.mockReturnValue({ stateVector: {}, version: 1, baseId: 'base1' });
+      permissionService.checkPermission.mockResolvedValue(false);
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123', {
+        baseId: 'base1',
+        stateVector: {},
+        operations: [{ type: 'insert', id: { site: 'siteA', clock: 1 }, char: 'y' }],
+      });
+
+      expect(crdtService.applyOperations).not.toHaveBeenCalled();
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'error',
+        expect.objectContaining({ message: expect.stringContaining('permissions') })
+      );
+    });
+
+    test('should not apply offline link marks with a disallowed URL', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      documentService.getDocumentById.mockResolvedValue({ title: 'Doc', content: '' });
+      crdtService.getMissingOperations.mockReturnValue([]);
+      crdtService.getState.mockReturnValue({ stateVector: {}, version: 1, baseId: 'base1' });
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123', {
+        baseId: 'base1',
+        stateVector: {},
+        operations: [
+          {
+            type: 'mark',
+            id: { site: 'siteA', clock: 1 },
+            markType: 'link',
+            value: 'javascript:alert(1)',
+          },
+        ],
+      });
+
+      expect(crdtService.applyOperations).not.toHaveBeenCalled();
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'error',
+        expect.objectContaining({ message: expect.stringContaining('URL') })
+      );
+      expect(mockSocket.emit).toHaveBeenCalledWith('sync_operations', expect.anything());
+    });
+
+    test('should sanitize markup offline operations produce before sending it', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+      await socketIOService.handleUserJoin(clientId, 'user1');
+
+      const offline = [{ type: 'insert', id: { site: 'siteA', clock: 1 }, char: '>' }];
+      const cleanupOps = [{ type: 'delete', id: { site: 'server', clock: 1 } }];
+      documentService.getDocumentById.mockResolvedValue({ title: 'Doc', content: '' });
+      crdtService.getMissingOperations.mockReturnValue([]);
+      crdtService.applyOperations.mockReturnValue({
+        content: '<img src=x onerror=alert(1)>',
+        version: 2,
+        operations: offline,
+        unresolved: [],
+      });
+      crdtService.setContent.mockReturnValue({
+        content: '<img src="x">',
+        version: 3,
+        operations: cleanupOps,
+      });
+      crdtService.getState.mockReturnValue({ stateVector: {}, version: 3, baseId: 'base1' });
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123', {
+        baseId: 'base1',
+        stateVector: {},
+        operations: offline,
+      });
+
+      expect(crdtService.setContent).toHaveBeenCalledWith('doc123', '<img src="x">');
+      // The reconnecting client gets the correction too
+      expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
+      expect(mockIO._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({ operations: [...offline, ...cleanupOps], version: 3 })
+      );
+      expect(operationLogService.append).toHaveBeenCalledWith(
+        'doc123',
+        [...offline, ...cleanupOps],
+        expect.anything()
+      );
+      const emitted = JSON.stringify([
+        ...mockIO._mockEmit.mock.calls,
+        ...mockSocket.emit.mock.calls,
+      ]);
+      expect(emitted).not.toContain('onerror');
+    });
   });
 
   describe('handleDocumentChange', () => {
-    test('should update CRDT and broadcast to other clients', async () => {
+    test('should apply the change as operations and broadcast them to other clients', async () => {
       const mockSocket1 = createMockSocket('socket1');
       const mockSocket2 = createMockSocket('socket2');
 
@@ -230,20 +571,61 @@ describe('SocketIOService', () => {
       const mockIO = createMockIO();
       socketIOService.io = mockIO;
 
+      const diffOps = [
+        { type: 'insert', id: { site: clientId1, clock: 1 }, char: 'N', originLeft: null },
+      ];
+      crdtService.setContent.mockReturnValue({
+        content: 'New Content',
+        version: 2,
+        operations: diffOps,
+      });
+
       await socketIOService.handleDocumentChange(clientId1, 'New Content');
 
-      expect(crdtService.setContent).toHaveBeenCalledWith('doc123', 'New Content', true);
+      expect(crdtService.setContent).toHaveBeenCalledWith(
+        'doc123',
+        'New Content',
+        clientId1,
+        'user1'
+      );
+      expect(operationLogService.append).toHaveBeenCalledWith('doc123', diffOps, {
+        clientId: clientId1,
+        user: 'user1',
+      });
       // broadcastToDocument excludes the sender, so it uses socket1.broadcast.to() to exclude itself
       expect(mockSocket1.broadcast.to).toHaveBeenCalledWith('document:doc123');
       expect(mockSocket1._mockEmit).toHaveBeenCalledWith(
-        'document_update',
+        'document_operation',
         expect.objectContaining({
+          operations: diffOps,
           content: 'New Content',
+          version: 2,
           user: 'user1',
         })
       );
     });
 
+    test('should not broadcast when the content did not change', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+
+      const mockDoc = { _id: { toString: () => 'doc123' }, title: 'Test', content: '' };
+      documentService.getDocumentById.mockResolvedValue(mockDoc);
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      await socketIOService.handleDocumentChange(clientId, 'Same');
+
+      expect(operationLogService.append).not.toHaveBeenCalled();
+      expect(mockSocket._mockEmit).not.toHaveBeenCalledWith(
+        'document_operation',
+        expect.anything()
+      );
+    });
+
     test('should check permissions before updating', async () => {
       const mockSocket = createMockSocket('socket1');
       socketIOService.handleConnection(mockSocket);
@@ -269,6 +651,101 @@ describe('SocketIOService', () => {
         })
       );
     });
+
+    test('should remove unsafe markup before applying the change', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+
+      const mockDoc = { _id: { toString: () => 'doc123' }, title: 'Test', content: '' };
+      documentService.getDocumentById.mockResolvedValue(mockDoc);
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      await socketIOService.handleDocumentChange(
+        clientId,
+        '<p onclick="steal()">Hi</p><script>steal()</script><a href="javascript:steal()">x</a>'
+      );
+
+      expect(crdtService.setContent).toHaveBeenCalledWith(
+        'doc123',
+        '<p>Hi</p><a>x</a>',
+        clientId,
+        'user1'
+      );
+    });
+  });
+
+  describe('handleSuggestChange', () => {
+    // Connect a client to doc123 as user1
+    const joinDocument = async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      await socketIOService.handleUserJoin(mockSocket.clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({
+        _id: { toString: () => 'doc123' },
+        title: 'Test',
+        content: '',
+      });
+      await socketIOService.handleSetDocumentId(mockSocket.clientId, 'doc123');
+      return mockSocket;
+    };
+
+    test('should let commenters suggest changes', async () => {
+      const mockSocket = await joinDocument();
+      const suggestChange = jest
+        .spyOn(suggestionService, 'suggestChange')
+        .mockResolvedValue({ content: 'x', version: 2, operations: [] });
+
+      await socketIOService.handleSuggestChange(
+        mockSocket.clientId,
+        '<p>Hi<ins data-suggestion="s1" onclick="steal()">!</ins></p>'
+      );
+
+      expect(permissionService.checkPermission).toHaveBeenCalledWith('doc123', 'user1', 'comment');
+      expect(suggestChange).toHaveBeenCalledWith(
+        'doc123',
+        '<p>Hi<ins data-suggestion="s1">!</ins></p>',
+        { clientId: mockSocket.clientId, user: 'user1' }
+      );
+      suggestChange.mockRestore();
+    });
+
+    test('should ask the client to resync when its change is refused', async () => {
+      const mockSocket = await joinDocument();
+      const suggestChange = jest
+        .spyOn(suggestionService, 'suggestChange')
+        .mockRejectedValue(new Error('Only suggestions can be made in suggesting mode'));
+
+      await socketIOService.handleSuggestChange(mockSocket.clientId, '<p>Bye</p>');
+
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'error',
+        expect.objectContaining({ message: 'Only suggestions can be made in suggesting mode' })
+      );
+      expect(mockSocket.emit).toHaveBeenCalledWith('resync_required', {
+        documentId: 'doc123',
+        reason: 'Suggestion refused',
+      });
+      suggestChange.mockRestore();
+    });
+
+    test('should not let viewers suggest changes', async () => {
+      const mockSocket = await joinDocument();
+      permissionService.checkPermission.mockResolvedValue(false);
+      const suggestChange = jest.spyOn(suggestionService, 'suggestChange');
+
+      await socketIOService.handleSuggestChange(mockSocket.clientId, '<p>Hi</p>');
+
+      expect(suggestChange).not.toHaveBeenCalled();
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'error',
+        expect.objectContaining({ message: expect.stringContaining('permissions') })
+      );
+      suggestChange.mockRestore();
+    });
   });
 
   describe('handleTitleChange', () => {
@@ -370,6 +847,65 @@ describe('SocketIOService', () => {
       jest.useRealTimers();
     });
 
+    test('should remove unsafe markup from a new document', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      jest.useFakeTimers();
+
+      await socketIOService.handleSaveDocument(clientId, {
+        content: '<p>Hi<img src="x" onerror="alert(1)"></p>',
+        title: 'New Doc',
+      });
+
+      expect(documentService.createDocument).toHaveBeenCalledWith(
+        expect.objectContaining({ content: '<p>Hi<img src="x"></p>' })
+      );
+
+      jest.advanceTimersByTime(100);
+      jest.useRealTimers();
+    });
+
+    test('should create new document in a folder the user can write to', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      permissionService.checkFolderPermission = jest.fn(() => Promise.resolve(true));
+      jest.useFakeTimers();
+
+      await socketIOService.handleSaveDocument(clientId, { content: 'Notes', folder: 'folder1' });
+
+      expect(permissionService.checkFolderPermission).toHaveBeenCalledWith(
+        'folder1',
+        'user1',
+        'write'
+      );
+      expect(documentService.createDocument).toHaveBeenCalledWith(
+        expect.objectContaining({ folder: 'folder1' })
+      );
+
+      jest.advanceTimersByTime(100);
+      jest.useRealTimers();
+    });
+
+    test('should not create new document in a folder the user cannot write to', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      permissionService.checkFolderPermission = jest.fn(() => Promise.resolve(false));
+
+      await socketIOService.handleSaveDocument(clientId, { content: 'Notes', folder: 'folder1' });
+
+      expect(documentService.createDocument).not.toHaveBeenCalled();
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'error',
+        expect.objectContaining({ message: expect.stringContaining('Insufficient permissions') })
+      );
+    });
+
     test('should save existing document', async () => {
       const mockSocket = createMockSocket('socket1');
       socketIOService.handleConnection(mockSocket);
@@ -388,11 +924,46 @@ describe('SocketIOService', () => {
       expect(documentService.updateDocumentContent).toHaveBeenCalledWith(
         'doc123',
         'Updated Content',
-        'user1'
+        'user1',
+        { label: undefined }
       );
       expect(mockSocket.emit).toHaveBeenCalledWith('save_success', expect.any(Object));
     });
 
+    test('should pass an optional label for the saved version', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      crdtService.getContent.mockReturnValue('Final');
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      await socketIOService.handleSaveDocument(clientId, { label: 'Sent to legal' });
+
+      expect(documentService.updateDocumentContent).toHaveBeenCalledWith(
+        'doc123',
+        'Final',
+        'user1',
+        { label: 'Sent to legal' }
+      );
+    });
+
+    test('should cancel the pending autosave after saving', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      await socketIOService.handleSaveDocument(clientId, {});
+
+      expect(autosaveService.markSaved).toHaveBeenCalledWith('doc123');
+    });
+
     test('should require username for new document', async () => {
       const mockSocket = createMockSocket('socket1');
       socketIOService.handleConnection(mockSocket);
@@ -438,8 +1009,93 @@ describe('SocketIOService', () => {
       expect(socketIOService.documentClients.get('doc123').has(clientId1)).toBe(false);
       expect(mockSocket1.leave).toHaveBeenCalledWith('document:doc123');
       expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
+      expect(autosaveService.flush).not.toHaveBeenCalled();
     });
-  });
+
+    test('should flush unsaved edits when the last client leaves', () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      socketIOService.clients.get(clientId).documentId = 'doc123';
+      socketIOService.documentClients.set('doc123', new Set([clientId]));
+      socketIOService.io = createMockIO();
+
+      socketIOService.handleDisconnect(clientId);
+
+      expect(socketIOService.documentClients.has('doc123')).toBe(false);
+      expect(autosaveService.flush).toHaveBeenCalledWith('doc123');
+    });
+  });
+
+  describe('beginShutdown', () => {
+    test('should notify and disconnect every client', () => {
+      const mockSocket1 = createMockSocket('socket1');
+      const mockSocket2 = createMockSocket('socket2');
+      mockSocket1.disconnect = jest.fn();
+      mockSocket2.disconnect = jest.fn();
+      socketIOService.handleConnection(mockSocket1);
+      socketIOService.handleConnection(mockSocket2);
+
+      expect(socketIOService.beginShutdown()).toBe(2);
+
+      expect(socketIOService.shuttingDown).toBe(true);
+      [mockSocket1, mockSocket2].forEach((socket) => {
+        expect(socket.emit).toHaveBeenCalledWith(
+          'server_shutting_down',
+          expect.objectContaining({ message: expect.any(String) })
+        );
+        expect(socket.disconnect).toHaveBeenCalledWith(true);
+      });
+    });
+
+    test('should refuse new connections', async () => {
+      socketIOService.shuttingDown = true;
+      const mockIO = createMockIO();
+      socketIOService.initialize(mockIO);
+
+      const middleware = mockIO.use.mock.calls[0][0];
+      const next = jest.fn();
+      await middleware({ handshake: { auth: { username: 'user1' }, headers: {} } }, next);
+
+      expect(next).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Server is shutting down' })
+      );
+    });
+  });
+
+  describe('notifyDocumentTrashed', () => {
+    test('should notify and detach the document clients and drop its live state', async () => {
+      const mockSocket1 = createMockSocket('socket1');
+      const mockSocket2 = createMockSocket('socket2');
+      socketIOService.handleConnection(mockSocket1);
+      socketIOService.handleConnection(mockSocket2);
+      const client1 = socketIOService.clients.get(mockSocket1.clientId);
+      const client2 = socketIOService.clients.get(mockSocket2.clientId);
+      client1.documentId = 'doc123';
+      socketIOService.documentClients.set('doc123', new Set([client1.id]));
+      const deletedAt = new Date('2026-01-01T00:00:00Z');
+
+      const notified = await socketIOService.notifyDocumentTrashed('doc123', {
+        user: 'owner1',
+        deletedAt,
+      });
+
+      expect(notified).toBe(1);
+      expect(mockSocket1.emit).toHaveBeenCalledWith('document_trashed', {
+        documentId: 'doc123',
+        user: 'owner1',
+        deletedAt: deletedAt.toISOString(),
+      });
+      expect(mockSocket1.leave).toHaveBeenCalledWith('document:doc123');
+      expect(mockSocket2.emit).not.toHaveBeenCalledWith('document_trashed', expect.anything());
+      expect(client1.documentId).toBeNull();
+      expect(client2.documentId).toBeNull();
+      expect(socketIOService.documentClients.has('doc123')).toBe(false);
+      expect(autosaveService.markSaved).toHaveBeenCalledWith('doc123');
+      expect(documentService.clearLiveState).toHaveBeenCalledWith('doc123');
+    });
+  });
 
   describe('sendToClient', () => {
     test('should send message to connected socket', () => {
@@ -675,6 +1331,15 @@ describe('SocketIOService', () => {
         doc2: 1,
       });
     });
+
+    test('should include CRDT garbage collection stats per loaded document', () => {
+      crdtService.documentStates.set('doc1', {});
+      crdtService.getGCStats.mockReturnValue({ liveCharacters: 4, tombstones: 1 });
+
+      const stats = socketIOService.getStats();
+
+      expect(stats.crdt).toEqual({ doc1: { liveCharacters: 4, tombstones: 1 } });
+    });
   });
 
   describe('handleCursorPosition', () => {
@@ -772,7 +1437,14 @@ describe('SocketIOService', () => {
 
       await socketIOService.handleSetDocumentId(clientId, 'doc123');
 
-      crdtService.applyOperation.mockReturnValue({ content: 'Hello', version: 1 });
+      const generatedOps = [
+        { type: 'insert', id: { site: clientId, clock: 1 }, char: 'H', originLeft: null },
+      ];
+      crdtService.applyOperation.mockReturnValue({
+        content: 'Hello',
+        version: 1,
+        operations: generatedOps,
+      });
 
       const mockIO = createMockIO();
       socketIOService.io = mockIO;
@@ -788,17 +1460,189 @@ describe('SocketIOService', () => {
         'insert',
         0,
         'Hello',
-        clientId
+        clientId,
+        'user1'
       );
       expect(mockSocket.broadcast.to).toHaveBeenCalledWith('document:doc123');
       expect(mockSocket._mockEmit).toHaveBeenCalledWith(
         'document_operation',
         expect.objectContaining({
-          operation: expect.objectContaining({ type: 'insert' }),
+          operations: generatedOps,
           content: 'Hello',
           user: 'user1',
         })
       );
+      expect(autosaveService.markDirty).toHaveBeenCalledWith('doc123', 'user1');
+    });
+
+    test('should apply legacy format operations as marks and broadcast resolved spans', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+
+      const mockDoc = { _id: { toString: () => 'doc123' }, title: 'Test', content: '' };
+      documentService.getDocumentById.mockResolvedValue(mockDoc);
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const markOps = [{ type: 'mark', id: { site: clientId, clock: 1 }, markType: 'bold' }];
+      const spans = [{ type: 'bold', value: true, start: 0, end: 5 }];
+      crdtService.applyMark.mockReturnValue({ content: 'Hello', version: 2, operations: markOps });
+      crdtService.getMarks.mockReturnValue(spans);
+
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      const format = { type: 'format', markType: 'bold', position: 0, length: 5 };
+      await socketIOService.handleDocumentOperation(clientId, format);
+
+      expect(crdtService.applyMark).toHaveBeenCalledWith('doc123', format, clientId);
+      expect(crdtService.applyOperation).not.toHaveBeenCalled();
+      expect(mockSocket._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({ operations: markOps, marks: spans })
+      );
+    });
+
+    test('should apply identifier-based operations and broadcast applied ones', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+
+      const mockDoc = { _id: { toString: () => 'doc123' }, title: 'Test', content: '' };
+      documentService.getDocumentById.mockResolvedValue(mockDoc);
+
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const ops = [
+        { type: 'insert', id: { site: 'siteA', clock: 1 }, char: 'a', originLeft: null },
+      ];
+      crdtService.applyOperations.mockReturnValue({
+        content: 'a',
+        version: 2,
+        operations: ops,
+        unresolved: [],
+      });
+
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      await socketIOService.handleDocumentOperation(clientId, ops);
+
+      expect(crdtService.applyOperations).toHaveBeenCalledWith('doc123', ops, 'user1', clientId);
+      expect(crdtService.applyOperation).not.toHaveBeenCalled();
+      expect(operationLogService.append).toHaveBeenCalledWith('doc123', ops, {
+        clientId,
+        user: 'user1',
+      });
+      expect(mockSocket._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({ operations: ops, content: 'a', version: 2 })
+      );
+    });
+
+    test('should not broadcast when every operation was already applied', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      await socketIOService.handleDocumentOperation(clientId, [
+        { type: 'insert', id: { site: 'siteA', clock: 1 }, char: 'a', originLeft: null },
+      ]);
+
+      expect(mockSocket._mockEmit).not.toHaveBeenCalledWith(
+        'document_operation',
+        expect.anything()
+      );
+    });
+
+    test('should schedule expiry when operations are waiting for dependencies', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const ops = [
+        { type: 'insert', id: { site: 'siteA', clock: 2 }, char: 'b', originLeft: null },
+      ];
+      crdtService.applyOperations.mockReturnValue({
+        content: '',
+        version: 1,
+        operations: [],
+        unresolved: ops,
+      });
+      socketIOService.io = createMockIO();
+
+      await socketIOService.handleDocumentOperation(clientId, ops);
+
+      expect(socketIOService.bufferTimers.has('doc123')).toBe(true);
+      expect(operationLogService.append).not.toHaveBeenCalled();
+    });
+
+    test('should ask the sender to resync when buffered operations expire', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const op = { type: 'insert', id: { site: 'siteA', clock: 2 }, char: 'b' };
+      crdtService.expireBufferedOperations.mockReturnValue([
+        { op, user: 'user1', source: clientId, bufferedAt: 0 },
+      ]);
+      crdtService.getBufferedCount.mockReturnValue(0);
+
+      expect(socketIOService.expireBufferedOperations('doc123')).toBe(1);
+      expect(mockSocket.emit).toHaveBeenCalledWith(
+        'resync_required',
+        expect.objectContaining({ documentId: 'doc123' })
+      );
+      expect(socketIOService.bufferTimers.has('doc123')).toBe(false);
+    });
+
+    test('should send operations released from the buffer back to the sender', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const sent = { type: 'insert', id: { site: 'siteA', clock: 1 }, char: 'a' };
+      const released = { type: 'insert', id: { site: 'siteB', clock: 1 }, char: 'b' };
+      crdtService.applyOperations.mockReturnValue({
+        content: 'ab',
+        version: 2,
+        operations: [sent, released],
+        unresolved: [],
+      });
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      await socketIOService.handleDocumentOperation(clientId, [sent]);
+
+      expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
+      expect(mockIO._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({ operations: [sent, released] })
+      );
     });
 
     test('should check permissions before applying operation', async () => {
@@ -839,6 +1683,232 @@ describe('SocketIOService', () => {
       });
       // Should not throw error
     });
+
+    test('should reply with an error to malformed offset operations', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      await socketIOService.handleDocumentOperation(clientId, { type: 'insert', position: 0 });
+      await socketIOService.handleDocumentOperation(clientId, {
+        type: 'delete',
+        position: '0',
+        text: 'a',
+      });
+      await socketIOService.handleDocumentOperation(clientId, { type: 'bogus', position: 0 });
+
+      expect(crdtService.applyOperation).not.toHaveBeenCalled();
+      expect(
+        mockSocket.emit.mock.calls.filter(
+          ([event, data]) => event === 'error' && data.message === 'Invalid operation'
+        )
+      ).toHaveLength(3);
+    });
+
+    test('should reject links with unsafe URLs', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      await socketIOService.handleDocumentOperation(clientId, {
+        type: 'format',
+        action: 'add',
+        markType: 'link',
+        value: 'java\tscript:alert(1)',
+        position: 0,
+        length: 5,
+      });
+
+      expect(crdtService.applyMark).not.toHaveBeenCalled();
+      expect(mockSocket.emit).toHaveBeenCalledWith('error', {
+        message: 'Links must use an allowed URL scheme',
+      });
+    });
+
+    test('should replace content that operations turned into unsafe markup', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const insertOps = [{ type: 'insert', id: { site: clientId, clock: 1 }, char: '>' }];
+      const cleanupOps = [{ type: 'delete', id: { site: clientId, clock: 1 } }];
+      crdtService.applyOperation.mockReturnValue({
+        content: '<img src=x onerror=alert(1)>',
+        version: 2,
+        operations: insertOps,
+      });
+      crdtService.setContent.mockReturnValue({
+        content: '<img src="x">',
+        version: 3,
+        operations: cleanupOps,
+      });
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      await socketIOService.handleDocumentOperation(clientId, {
+        type: 'insert',
+        position: 27,
+        text: '>',
+      });
+
+      expect(crdtService.setContent).toHaveBeenCalledWith('doc123', '<img src="x">');
+      // The sender gets the correction too, in the same message as its change
+      expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
+      expect(mockIO._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({
+          operations: [...insertOps, ...cleanupOps],
+          content: '<img src="x">',
+          version: 3,
+        })
+      );
+      expect(operationLogService.append).toHaveBeenCalledWith(
+        'doc123',
+        [...insertOps, ...cleanupOps],
+        expect.anything()
+      );
+      // The unsafe content never leaves the server
+      const sent = [...mockIO._mockEmit.mock.calls, ...mockSocket._mockEmit.mock.calls];
+      expect(JSON.stringify(sent)).not.toContain('onerror');
+    });
+  });
+
+  describe('commenters', () => {
+    test('should not be able to change the document through any handler', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'reviewer1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      // What roleAllows grants a commenter
+      permissionService.checkPermission.mockImplementation((documentId, username, action) =>
+        Promise.resolve(action === 'read' || action === 'comment')
+      );
+
+      await socketIOService.handleDocumentChange(clientId, 'Changed');
+      await socketIOService.handleDocumentOperation(clientId, {
+        type: 'insert',
+        position: 0,
+        text: 'x',
+      });
+      await socketIOService.handleTitleChange(clientId, 'Renamed');
+      await socketIOService.handleUndo(clientId);
+      await socketIOService.handleRedo(clientId);
+      await socketIOService.handleSaveDocument(clientId, { content: 'Changed' });
+
+      expect(crdtService.setContent).not.toHaveBeenCalled();
+      expect(crdtService.applyOperation).not.toHaveBeenCalled();
+      expect(crdtService.undo).not.toHaveBeenCalled();
+      expect(crdtService.redo).not.toHaveBeenCalled();
+      expect(documentService.updateDocumentTitle).not.toHaveBeenCalled();
+      expect(documentService.updateDocumentContent).not.toHaveBeenCalled();
+      expect(
+        mockSocket.emit.mock.calls.filter(
+          ([event, data]) => event === 'error' && data.message.includes('permissions')
+        )
+      ).toHaveLength(6);
+    });
+  });
+
+  describe('handleAcknowledgeVersion', () => {
+    test('should collect garbage up to the lowest acknowledged version', () => {
+      const mockSocket1 = createMockSocket('socket1');
+      const mockSocket2 = createMockSocket('socket2');
+      socketIOService.handleConnection(mockSocket1);
+      socketIOService.handleConnection(mockSocket2);
+      const clientId1 = mockSocket1.clientId;
+      const clientId2 = mockSocket2.clientId;
+
+      socketIOService.clients.get(clientId1).documentId = 'doc1';
+      socketIOService.clients.get(clientId2).documentId = 'doc1';
+      socketIOService.clients.get(clientId2).acknowledgedVersion = 3;
+      socketIOService.documentClients.set('doc1', new Set([clientId1, clientId2]));
+
+      socketIOService.handleAcknowledgeVersion(clientId1, 5);
+
+      expect(socketIOService.clients.get(clientId1).acknowledgedVersion).toBe(5);
+      expect(crdtService.collectGarbage).toHaveBeenCalledWith('doc1', 3);
+    });
+
+    test('should never move the acknowledged version backwards', () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+      socketIOService.clients.get(clientId).documentId = 'doc1';
+      socketIOService.clients.get(clientId).acknowledgedVersion = 7;
+      socketIOService.documentClients.set('doc1', new Set([clientId]));
+
+      socketIOService.handleAcknowledgeVersion(clientId, 2);
+
+      expect(socketIOService.clients.get(clientId).acknowledgedVersion).toBe(7);
+    });
+
+    test('should ignore clients without a document', () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+
+      socketIOService.handleAcknowledgeVersion(mockSocket.clientId, 5);
+
+      expect(crdtService.collectGarbage).not.toHaveBeenCalled();
+    });
+
+    test('should keep tombstones a disconnected client has not acknowledged', () => {
+      const mockSocket1 = createMockSocket('socket1');
+      const mockSocket2 = createMockSocket('socket2');
+      socketIOService.handleConnection(mockSocket1);
+      socketIOService.handleConnection(mockSocket2);
+      const clientId1 = mockSocket1.clientId;
+      const clientId2 = mockSocket2.clientId;
+
+      socketIOService.clients.get(clientId1).documentId = 'doc1';
+      socketIOService.clients.get(clientId2).documentId = 'doc1';
+      socketIOService.clients.get(clientId2).acknowledgedVersion = 2;
+      socketIOService.documentClients.set('doc1', new Set([clientId1, clientId2]));
+
+      socketIOService.handleDisconnect(clientId2);
+      socketIOService.handleAcknowledgeVersion(clientId1, 5);
+
+      expect(crdtService.collectGarbage).toHaveBeenLastCalledWith('doc1', 2);
+    });
+
+    test('should stop waiting for disconnected clients after the retention window', () => {
+      const mockSocket1 = createMockSocket('socket1');
+      const mockSocket2 = createMockSocket('socket2');
+      socketIOService.handleConnection(mockSocket1);
+      socketIOService.handleConnection(mockSocket2);
+      const clientId1 = mockSocket1.clientId;
+      const clientId2 = mockSocket2.clientId;
+
+      socketIOService.clients.get(clientId1).documentId = 'doc1';
+      socketIOService.clients.get(clientId2).documentId = 'doc1';
+      socketIOService.clients.get(clientId2).acknowledgedVersion = 2;
+      socketIOService.documentClients.set('doc1', new Set([clientId1, clientId2]));
+
+      const now = Date.now();
+      const dateNow = jest.spyOn(Date, 'now').mockReturnValue(now);
+      socketIOService.handleDisconnect(clientId2);
+      dateNow.mockReturnValue(now + 60 * 60 * 1000);
+      socketIOService.handleAcknowledgeVersion(clientId1, 5);
+      dateNow.mockRestore();
+
+      expect(crdtService.collectGarbage).toHaveBeenLastCalledWith('doc1', 5);
+      expect(socketIOService.departedVersions.has('doc1')).toBe(false);
+    });
   });
 
   describe('handleUndo', () => {
@@ -852,23 +1922,50 @@ describe('SocketIOService', () => {
       socketIOService.clients.get(clientId).documentId = 'doc123';
       socketIOService.documentClients.set('doc123', new Set([clientId]));
 
-      crdtService.undo.mockReturnValue({ content: 'Previous', version: 0, history: [] });
+      const inverseOps = [
+        { type: 'delete', id: { site: 'server', clock: 1 }, target: { site: 'a', clock: 1 } },
+      ];
+      const history = { undoStack: [], redoStack: [], canUndo: false, canRedo: false };
+      const spans = [{ type: 'bold', value: true, start: 0, end: 4 }];
+      crdtService.getMarks.mockReturnValue(spans);
+      crdtService.undo.mockReturnValue({
+        content: 'Previous',
+        version: 0,
+        operations: inverseOps,
+        history,
+      });
 
       const mockIO = createMockIO();
       socketIOService.io = mockIO;
 
       await socketIOService.handleUndo(clientId);
 
-      expect(crdtService.undo).toHaveBeenCalledWith('doc123');
-      // broadcastToDocument with null excludeClientId broadcasts to all
-      expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
-      expect(mockIO._mockEmit).toHaveBeenCalledWith(
+      expect(crdtService.undo).toHaveBeenCalledWith('doc123', 'user1');
+      expect(operationLogService.append).toHaveBeenCalledWith('doc123', inverseOps, {
+        clientId,
+        user: 'user1',
+      });
+      // The requester gets their own history along with the result
+      expect(mockSocket.emit).toHaveBeenCalledWith(
         'undo_result',
         expect.objectContaining({
+          operations: inverseOps,
           content: 'Previous',
+          marks: spans,
+          history,
           user: 'user1',
         })
       );
+      // Everyone else only gets the operations
+      expect(mockSocket.broadcast.to).toHaveBeenCalledWith('document:doc123');
+      expect(mockSocket._mockEmit).toHaveBeenCalledWith(
+        'undo_result',
+        expect.not.objectContaining({ history })
+      );
+      expect(mockSocket._mockEmit).toHaveBeenCalledWith(
+        'undo_result',
+        expect.objectContaining({ marks: spans })
+      );
     });
 
     test('should handle nothing to undo', async () => {
@@ -924,23 +2021,89 @@ describe('SocketIOService', () => {
       socketIOService.clients.get(clientId).documentId = 'doc123';
       socketIOService.documentClients.set('doc123', new Set([clientId]));
 
-      crdtService.redo.mockReturnValue({ content: 'Next', version: 1, history: [] });
+      const inverseOps = [
+        { type: 'delete', id: { site: 'server', clock: 1 }, target: { site: 'a', clock: 1 } },
+      ];
+      const history = { undoStack: [], redoStack: [], canUndo: false, canRedo: false };
+      const spans = [{ type: 'bold', value: true, start: 0, end: 4 }];
+      crdtService.getMarks.mockReturnValue(spans);
+      crdtService.redo.mockReturnValue({
+        content: 'Next',
+        version: 1,
+        operations: inverseOps,
+        history,
+      });
 
       const mockIO = createMockIO();
       socketIOService.io = mockIO;
 
       await socketIOService.handleRedo(clientId);
 
-      expect(crdtService.redo).toHaveBeenCalledWith('doc123');
-      // broadcastToDocument with null excludeClientId broadcasts to all
-      expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
-      expect(mockIO._mockEmit).toHaveBeenCalledWith(
+      expect(crdtService.redo).toHaveBeenCalledWith('doc123', 'user1');
+      expect(operationLogService.append).toHaveBeenCalledWith('doc123', inverseOps, {
+        clientId,
+        user: 'user1',
+      });
+      // The requester gets their own history along with the result
+      expect(mockSocket.emit).toHaveBeenCalledWith(
         'redo_result',
         expect.objectContaining({
+          operations: inverseOps,
           content: 'Next',
+          marks: spans,
+          history,
           user: 'user1',
         })
       );
+      // Everyone else only gets the operations
+      expect(mockSocket.broadcast.to).toHaveBeenCalledWith('document:doc123');
+      expect(mockSocket._mockEmit).toHaveBeenCalledWith(
+        'redo_result',
+        expect.not.objectContaining({ history })
+      );
+      expect(mockSocket._mockEmit).toHaveBeenCalledWith(
+        'redo_result',
+        expect.objectContaining({ marks: spans })
+      );
+    });
+
+    test('should sanitize markup a redo brings back before sending it', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+
+      socketIOService.clients.get(clientId).documentId = 'doc123';
+      socketIOService.documentClients.set('doc123', new Set([clientId]));
+
+      const redoOps = [{ type: 'insert', id: { site: 'server', clock: 2 }, char: '>' }];
+      const cleanupOps = [{ type: 'delete', id: { site: 'server', clock: 3 } }];
+      crdtService.redo.mockReturnValue({
+        content: '<img src=x onerror=alert(1)>',
+        version: 2,
+        operations: redoOps,
+        history: { undoStack: [], redoStack: [], canUndo: true, canRedo: false },
+      });
+      crdtService.setContent.mockReturnValue({
+        content: '<img src="x">',
+        version: 3,
+        operations: cleanupOps,
+      });
+      socketIOService.io = createMockIO();
+
+      await socketIOService.handleRedo(clientId);
+
+      expect(crdtService.setContent).toHaveBeenCalledWith('doc123', '<img src="x">');
+      expect(mockSocket._mockEmit).toHaveBeenCalledWith(
+        'redo_result',
+        expect.objectContaining({
+          operations: [...redoOps, ...cleanupOps],
+          content: '<img src="x">',
+        })
+      );
+      const sent = [...mockSocket.emit.mock.calls, ...mockSocket._mockEmit.mock.calls];
+      expect(JSON.stringify(sent)).not.toContain('onerror');
     });
 
     test('should handle nothing to redo', async () => {
@@ -985,8 +2148,8 @@ describe('SocketIOService', () => {
     });
   });
 
-  describe('handleDocumentChange with skipHistory', () => {
-    test('should update CRDT with skipHistory flag', async () => {
+  describe('handleDocumentChange history updates', () => {
+    test('should send the author their updated history', async () => {
       const mockSocket = createMockSocket('socket1');
       socketIOService.handleConnection(mockSocket);
       const clientId = mockSocket.clientId;
@@ -1002,9 +2165,75 @@ describe('SocketIOService', () => {
       const mockIO = createMockIO();
       socketIOService.io = mockIO;
 
-      await socketIOService.handleDocumentChange(clientId, 'New Content', true);
+      crdtService.setContent.mockReturnValue({
+        content: 'New Content',
+        version: 1,
+        operations: [{ type: 'delete', id: { site: clientId, clock: 1 }, target: {} }],
+      });
+      const history = { undoStack: [{ operations: 1 }], redoStack: [], canUndo: true };
+      crdtService.getHistory.mockReturnValue(history);
+
+      await socketIOService.handleDocumentChange(clientId, 'New Content');
+
+      expect(crdtService.getHistory).toHaveBeenCalledWith('doc123', 'user1');
+      expect(mockSocket.emit).toHaveBeenCalledWith('history_update', history);
+    });
+  });
+
+  describe('pushContentUpdate', () => {
+    test('should broadcast a server-side change to every collaborator', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      const clientId = mockSocket.clientId;
+
+      await socketIOService.handleUserJoin(clientId, 'user1');
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(clientId, 'doc123');
+
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      const operations = [{ type: 'insert', id: { site: 'server', clock: 1 }, char: 'a' }];
+      crdtService.setContent.mockReturnValue({ content: 'a', version: 3, operations });
+
+      await socketIOService.pushContentUpdate('doc123', 'a', { user: 'user2' });
+
+      expect(crdtService.setContent).toHaveBeenCalledWith('doc123', 'a', null, 'user2');
+      expect(operationLogService.append).toHaveBeenCalledWith('doc123', operations, {
+        clientId: null,
+        user: 'user2',
+      });
+      expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
+      expect(mockIO._mockEmit).toHaveBeenCalledWith(
+        'document_operation',
+        expect.objectContaining({ operations, content: 'a', version: 3, user: 'user2' })
+      );
+    });
+
+    test('should load the document before diffing against it', async () => {
+      crdtService.setContent.mockReturnValue({ content: 'a', version: 1, operations: [] });
+
+      await socketIOService.pushContentUpdate('doc456', 'a');
+
+      expect(documentService.loadDocumentIntoCRDT).toHaveBeenCalledWith('doc456');
+      expect(operationLogService.append).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pushTitleUpdate', () => {
+    test('should send the new title to every collaborator', async () => {
+      const mockSocket = createMockSocket('socket1');
+      socketIOService.handleConnection(mockSocket);
+      documentService.getDocumentById.mockResolvedValue({ title: 'Test', content: '' });
+      await socketIOService.handleSetDocumentId(mockSocket.clientId, 'doc123');
+
+      const mockIO = createMockIO();
+      socketIOService.io = mockIO;
+
+      await socketIOService.pushTitleUpdate('doc123', 'Renamed');
 
-      expect(crdtService.setContent).toHaveBeenCalledWith('doc123', 'New Content', false);
+      expect(mockIO.to).toHaveBeenCalledWith('document:doc123');
+      expect(mockIO._mockEmit).toHaveBeenCalledWith('title_update', { title: 'Renamed' });
     });
   });
 });
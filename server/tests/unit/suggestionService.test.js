@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const suggestionService = require('../../services/suggestionService');
+const crdtService = require('../../services/crdtService');
+const operationLogService = require('../../services/operationLogService');
+const Suggestion = require('../../models/Suggestion');
+
+const documentId = new mongoose.Types.ObjectId().toString();
+
+let events;
+const recordEvent = (event) => events.push(event);
+
+// Saved suggestion records, for Suggestion.find
+let records;
+const pendingRecord = (fields) =>
+  new Suggestion({ document: documentId, status: 'pending', ...fields });
+
+beforeEach(() => {
+  crdtService.documentStates.clear();
+  crdtService.initializeDocument(documentId, '<p>Hello world</p>');
+
+  events = [];
+  records = [];
+  suggestionService.on('suggestions_changed', recordEvent);
+
+  jest.spyOn(operationLogService, 'append').mockResolvedValue();
+  jest.spyOn(Suggestion, 'find').mockImplementation(({ key }) => {
+    const result = Promise.resolve(
+      key ? records.filter((record) => key.$in.includes(record.key)) : records
+    );
+    result.sort = () => result;
+    return result;
+  });
+  jest.spyOn(Suggestion, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+  jest.spyOn(Suggestion, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Suggestion.prototype, 'save').mockImplementation(function save() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  suggestionService.off('suggestions_changed', recordEvent);
+  jest.restoreAllMocks();
+});
+
+describe('SuggestionService', () => {
+  describe('applyDecision', () => {
+    const content =
+      '<p>Hello<ins data-suggestion="a"> brave</ins> <del data-suggestion="b">old </del>world</p>';
+
+    test('should keep inserted text and drop deleted text when accepting', () => {
+      expect(suggestionService.applyDecision(content, new Set(['a', 'b']), true)).toBe(
+        '<p>Hello brave world</p>'
+      );
+    });
+
+    test('should drop inserted text and keep deleted text when rejecting', () => {
+      expect(suggestionService.applyDecision(content, new Set(['a', 'b']), false)).toBe(
+        '<p>Hello old world</p>'
+      );
+    });
+
+    test('should leave other suggestions alone', () => {
+      expect(suggestionService.applyDecision(content, new Set(['a']), true)).toBe(
+        '<p>Hello brave <del data-suggestion="b">old </del>world</p>'
+      );
+    });
+
+    test('should handle suggestions spanning several elements and nested ones', () => {
+      const spanning =
+        '<p><ins data-suggestion="a">One<del data-suggestion="b">x</del></ins></p>' +
+        '<p><ins data-suggestion="a">Two</ins></p>';
+
+      expect(suggestionService.applyDecision(spanning, new Set(['a']), false)).toBe(
+        '<p></p><p></p>'
+      );
+      expect(suggestionService.applyDecision(spanning, new Set(['a', 'b']), true)).toBe(
+        '<p>One</p><p>Two</p>'
+      );
+      expect(suggestionService.collectSuggestions(spanning).get('a')).toEqual({
+        key: 'a',
+        type: 'insert',
+        text: 'Onex Two',
+      });
+    });
+  });
+
+  describe('suggestChange', () => {
+    test('should apply the change and record the suggestions it makes', async () => {
+      const content = '<p>Hello<ins data-suggestion="s1"> there</ins> world</p>';
+
+      const result = await suggestionService.suggestChange(documentId, content, {
+        clientId: 'client1',
+        user: 'alice@example.com',
+      });
+
+      expect(crdtService.getContent(documentId)).toBe(content);
+      expect(operationLogService.append).toHaveBeenCalledWith(documentId, result.operations, {
+        clientId: 'client1',
+        user: 'alice@example.com',
+      });
+      expect(events).toHaveLength(1);
+      expect(events[0].suggestions).toEqual([
+        expect.objectContaining({
+          key: 's1',
+          type: 'insert',
+          author: 'alice@example.com',
+          text: 'there',
+          status: 'pending',
+        }),
+      ]);
+      expect(events[0].change).toMatchObject({ content, user: 'alice@example.com' });
+    });
+
+    test('should refuse changes to the text outside suggestions', async () => {
+      await expect(
+        suggestionService.suggestChange(documentId, '<p>Hello there world</p>', {
+          user: 'alice@example.com',
+        })
+      ).rejects.toThrow('Only suggestions can be made in suggesting mode');
+
+      expect(crdtService.getContent(documentId)).toBe('<p>Hello world</p>');
+      expect(Suggestion.prototype.save).not.toHaveBeenCalled();
+      expect(events).toHaveLength(0);
+    });
+
+    test("should refuse changes to someone else's suggestion", async () => {
+      crdtService.setContent(documentId, '<p>Hello <del data-suggestion="s1">world</del></p>');
+      records = [pendingRecord({ key: 's1', type: 'delete', author: 'bob', text: 'world' })];
+
+      await expect(
+        suggestionService.suggestChange(documentId, '<p>Hello world</p>', { user: 'alice' })
+      ).rejects.toThrow('Only the author can change this suggestion');
+      await expect(
+        suggestionService.suggestChange(
+          documentId,
+          '<p>Hello <del data-suggestion="s1">wor</del>ld</p>',
+          { user: 'alice' }
+        )
+      ).rejects.toThrow('Only the author can change this suggestion');
+    });
+
+    test('should let authors extend and withdraw their suggestions', async () => {
+      crdtService.setContent(documentId, '<p>Hello<ins data-suggestion="s1"> th</ins> world</p>');
+      records = [pendingRecord({ key: 's1', type: 'insert', author: 'alice', text: 'th' })];
+
+      await suggestionService.suggestChange(
+        documentId,
+        '<p>Hello<ins data-suggestion="s1"> there</ins> world</p>',
+        { user: 'alice' }
+      );
+      expect(events[0].suggestions).toEqual([
+        expect.objectContaining({ key: 's1', text: 'there' }),
+      ]);
+
+      await suggestionService.suggestChange(documentId, '<p>Hello world</p>', { user: 'alice' });
+      expect(Suggestion.deleteMany).toHaveBeenCalledWith({ _id: { $in: [records[0]._id] } });
+      expect(events[1].suggestions).toEqual([
+        expect.objectContaining({ key: 's1', status: 'withdrawn' }),
+      ]);
+    });
+
+    test('should refuse keys that are invalid or already used', async () => {
+      records = [
+        pendingRecord({ key: 'used', type: 'insert', author: 'alice', status: 'accepted' }),
+      ];
+
+      await expect(
+        suggestionService.suggestChange(
+          documentId,
+          '<p>Hello<ins data-suggestion="a b">!</ins> world</p>',
+          { user: 'alice' }
+        )
+      ).rejects.toThrow('Invalid suggestion');
+      await expect(
+        suggestionService.suggestChange(
+          documentId,
+          '<p>Hello<ins data-suggestion="used">!</ins> world</p>',
+          { user: 'alice' }
+        )
+      ).rejects.toThrow('Invalid suggestion');
+    });
+  });
+
+  describe('resolveSuggestions', () => {
+    beforeEach(() => {
+      crdtService.setContent(
+        documentId,
+        '<p>Hello<ins data-suggestion="s1"> brave</ins> <del data-suggestion="s2">old </del>world</p>'
+      );
+      records = [
+        pendingRecord({ key: 's1', type: 'insert', author: 'alice', text: 'brave' }),
+        pendingRecord({ key: 's2', type: 'delete', author: 'bob', text: 'old' }),
+      ];
+    });
+
+    test('should accept one suggestion and record the decision', async () => {
+      const suggestions = await suggestionService.resolveSuggestions(
+        documentId,
+        ['s1'],
+        true,
+        'owner@example.com'
+      );
+
+      expect(Suggestion.find).toHaveBeenCalledWith({
+        document: documentId,
+        status: 'pending',
+        key: { $in: ['s1'] },
+      });
+      expect(crdtService.getContent(documentId)).toBe(
+        '<p>Hello brave <del data-suggestion="s2">old </del>world</p>'
+      );
+      expect(Suggestion.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: [records[0]._id] } },
+        {
+          $set: expect.objectContaining({ status: 'accepted', resolvedBy: 'owner@example.com' }),
+        }
+      );
+      expect(suggestions).toEqual([
+        expect.objectContaining({ key: 's1', status: 'accepted', resolvedBy: 'owner@example.com' }),
+      ]);
+      expect(events[0].change.content).toBe(crdtService.getContent(documentId));
+    });
+
+    test('should reject every pending suggestion at once', async () => {
+      const suggestions = await suggestionService.resolveSuggestions(
+        documentId,
+        null,
+        false,
+        'owner@example.com'
+      );
+
+      expect(crdtService.getContent(documentId)).toBe('<p>Hello old world</p>');
+      expect(suggestions.map(({ key, status }) => [key, status])).toEqual([
+        ['s1', 'rejected'],
+        ['s2', 'rejected'],
+      ]);
+    });
+
+    test('should skip suggestions whose markup was edited away', async () => {
+      crdtService.setContent(documentId, '<p>Hello world</p>');
+
+      expect(await suggestionService.resolveSuggestions(documentId, ['s1'], true, 'owner')).toEqual(
+        []
+      );
+      expect(Suggestion.updateMany).not.toHaveBeenCalled();
+      expect(events).toHaveLength(0);
+    });
+  });
+
+  describe('getSuggestions', () => {
+    test('should leave out pending suggestions that are no longer in the content', async () => {
+      crdtService.setContent(documentId, '<p>Hello<ins data-suggestion="s1">!</ins> world</p>');
+      const lean = jest.fn().mockResolvedValue([
+        { key: 's1', type: 'insert' },
+        { key: 'gone', type: 'insert' },
+      ]);
+      Suggestion.find.mockReturnValue({ sort: () => ({ lean }) });
+
+      const suggestions = await suggestionService.getSuggestions(documentId);
+
+      expect(Suggestion.find).toHaveBeenCalledWith({ document: documentId, status: 'pending' });
+      expect(suggestions).toEqual([{ key: 's1', type: 'insert' }]);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const trashService = require('../../services/trashService');
+const documentService = require('../../services/documentService');
+const Document = require('../../models/Document');
+
+jest.mock('../../services/documentService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  documentService.deleteDocument = jest.fn(() => Promise.resolve(true));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  trashService.stop();
+  jest.restoreAllMocks();
+});
+
+const mockTrashedIds = (ids) => {
+  const select = jest.fn(() => Promise.resolve(ids.map((id) => ({ _id: { toString: () => id } }))));
+  jest.spyOn(Document, 'find').mockReturnValue({ select });
+};
+
+describe('TrashService', () => {
+  describe('getPurgeDate', () => {
+    test('should purge documents after the retention window', () => {
+      const deletedAt = new Date('2026-01-01T00:00:00Z');
+
+      expect(trashService.getPurgeDate(deletedAt)).toEqual(
+        new Date(deletedAt.getTime() + 30 * DAY_MS)
+      );
+    });
+  });
+
+  describe('purgeExpired', () => {
+    test('should permanently delete documents trashed before the retention window', async () => {
+      mockTrashedIds(['doc1', 'doc2']);
+      const now = new Date('2026-03-01T00:00:00Z');
+
+      expect(await trashService.purgeExpired(now)).toEqual(['doc1', 'doc2']);
+
+      expect(Document.find).toHaveBeenCalledWith({
+        deletedAt: { $ne: null, $lte: new Date(now.getTime() - 30 * DAY_MS) },
+      });
+      expect(documentService.deleteDocument).toHaveBeenCalledWith('doc1');
+      expect(documentService.deleteDocument).toHaveBeenCalledWith('doc2');
+    });
+
+    test('should keep purging when one document fails', async () => {
+      mockTrashedIds(['doc1', 'doc2']);
+      documentService.deleteDocument.mockImplementation((documentId) =>
+        documentId === 'doc1' ? Promise.reject(new Error('Write failed')) : Promise.resolve(true)
+      );
+
+      expect(await trashService.purgeExpired()).toEqual(['doc2']);
+    });
+  });
+
+  describe('start', () => {
+    test('should purge periodically', async () => {
+      jest.useFakeTimers();
+      mockTrashedIds([]);
+
+      trashService.start();
+      await jest.advanceTimersByTimeAsync(60 * 60 * 1000);
+
+      expect(Document.find).toHaveBeenCalledTimes(1);
+      jest.useRealTimers();
+    });
+  });
+});
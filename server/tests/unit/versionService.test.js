@@ -0,0 +1,291 @@
+const mongoose = require('mongoose');
+const versionService = require('../../services/versionService');
+const Version = require('../../models/Version');
+const Document = require('../../models/Document');
+const clusterService = require('../../services/clusterService');
+
+beforeAll(async () => {
+  const MONGODB_URI =
+    process.env.MONGODB_URI || 'mongodb://localhost:27017/collaborative-editor-test';
+  await mongoose.connect(MONGODB_URI);
+});
+
+afterAll(async () => {
+  await mongoose.connection.close();
+});
+
+beforeEach(async () => {
+  await Version.deleteMany({});
+  await Document.deleteMany({});
+  versionService.latest.clear();
+});
+
+afterEach(async () => {
+  await Version.deleteMany({});
+  await Document.deleteMany({});
+});
+
+describe('VersionService', () => {
+  describe('encodeDelta / applyDelta', () => {
+    test('should round-trip edits', () => {
+      const pairs = [
+        ['', 'Hello'],
+        ['Hello', ''],
+        ['Hello World', 'Hello brave new World!'],
+        ['abcdef', 'azcdxf'],
+      ];
+
+      pairs.forEach(([oldText, newText]) => {
+        const delta = versionService.encodeDelta(oldText, newText);
+        expect(versionService.applyDelta(oldText, delta)).toBe(newText);
+      });
+    });
+
+    test('should store only the changed text', () => {
+      expect(versionService.encodeDelta('Hello World', 'Hello brave World')).toEqual([6, 'brave ']);
+    });
+  });
+
+  describe('createVersion', () => {
+    test('should number versions sequentially', async () => {
+      await versionService.createVersion('doc1', 'a', 'user1');
+      const info = await versionService.createVersion('doc1', 'ab', 'user2');
+
+      expect(info).toMatchObject({ number: 2, user: 'user2', length: 2, keyframe: false });
+      expect(await versionService.getVersionCount('doc1')).toBe(2);
+    });
+
+    test('should keep numbers sequential for concurrent saves', async () => {
+      await Promise.all(['a', 'ab', 'abc'].map((c) => versionService.createVersion('doc1', c)));
+
+      const versions = await versionService.getVersions('doc1');
+      expect(versions.map((v) => v.number)).toEqual([3, 2, 1]);
+    });
+
+    test('should write a keyframe at the configured interval', async () => {
+      for (let i = 1; i <= 22; i++) {
+        await versionService.createVersion('doc1', 'x'.repeat(i));
+      }
+
+      const keyframes = await Version.find({ documentId: 'doc1', keyframe: true }).sort({
+        number: 1,
+      });
+      expect(keyframes.map((v) => v.number)).toEqual([1, 21]);
+    });
+  });
+
+  describe('getVersionContent', () => {
+    test('should reconstruct every version from keyframes and deltas', async () => {
+      const contents = Array.from({ length: 25 }, (_, i) => `Version ${i} ${'.'.repeat(i % 7)}`);
+      for (const content of contents) {
+        await versionService.createVersion('doc1', content);
+      }
+      versionService.latest.clear();
+
+      for (let i = 0; i < contents.length; i++) {
+        expect(await versionService.getVersionContent('doc1', i + 1)).toBe(contents[i]);
+      }
+    });
+
+    test('should return null for a missing version', async () => {
+      await versionService.createVersion('doc1', 'a');
+
+      expect(await versionService.getVersionContent('doc1', 5)).toBeNull();
+    });
+
+    test('should continue from stored versions after a restart', async () => {
+      await versionService.createVersion('doc1', 'Hello');
+      versionService.latest.clear();
+
+      await versionService.createVersion('doc1', 'Hello World');
+
+      expect(await versionService.getVersionContent('doc1', 2)).toBe('Hello World');
+    });
+
+    test('should write the version on the node that owns the document', async () => {
+      const runOnOwner = jest.spyOn(clusterService, 'runOnOwner').mockResolvedValue({ number: 7 });
+      const timestamp = new Date('2024-01-01T00:00:00Z');
+
+      const version = await versionService.createVersion('doc1', 'Hello', 'alice', {
+        label: ' v1 ',
+        timestamp,
+      });
+
+      expect(version).toEqual({ number: 7 });
+      expect(runOnOwner).toHaveBeenCalledWith('doc1', 'create_version', {
+        documentId: 'doc1',
+        content: 'Hello',
+        user: 'alice',
+        label: 'v1',
+        timestamp,
+      });
+      expect(await Version.countDocuments({ documentId: 'doc1' })).toBe(0);
+      runOnOwner.mockRestore();
+    });
+
+    test('should not build on a version another node has superseded', async () => {
+      await versionService.createVersion('doc1', 'Hello');
+      // Written by another node while it owned the document
+      await Version.create({
+        documentId: 'doc1',
+        number: 2,
+        keyframe: true,
+        data: versionService._compress('Hello there'),
+        length: 11,
+      });
+
+      const version = await versionService.createVersion('doc1', 'Hello there World');
+
+      expect(version.number).toBe(3);
+      expect(await versionService.getVersionContent('doc1', 3)).toBe('Hello there World');
+    });
+  });
+
+  describe('getVersions', () => {
+    test('should page through versions newest first', async () => {
+      for (const content of ['a', 'ab', 'abc', 'abcd']) {
+        await versionService.createVersion('doc1', content);
+      }
+
+      const page = await versionService.getVersions('doc1', { limit: 2, skip: 1 });
+
+      expect(page.map((v) => v.number)).toEqual([3, 2]);
+    });
+  });
+
+  describe('getVersion', () => {
+    test('should return version info with content', async () => {
+      await versionService.createVersion('doc1', 'Hello', 'user1');
+      await versionService.createVersion('doc1', 'Hello World', 'user2');
+
+      expect(await versionService.getVersion('doc1', 2)).toMatchObject({
+        number: 2,
+        user: 'user2',
+        content: 'Hello World',
+      });
+      expect(await versionService.getVersion('doc1', 3)).toBeNull();
+    });
+  });
+
+  describe('diffVersions', () => {
+    test('should describe the changes between two versions', async () => {
+      await versionService.createVersion('doc1', 'Hello World');
+      await versionService.createVersion('doc1', 'Hello there');
+
+      const diff = await versionService.diffVersions('doc1', 1, 2);
+
+      const rebuilt = diff.changes.filter((c) => c.type !== 'delete').map((c) => c.text);
+      expect(rebuilt.join('')).toBe('Hello there');
+      expect(diff.changes[0]).toEqual({ type: 'equal', text: 'Hello ' });
+      expect(diff.stats.insertions).toBeGreaterThan(0);
+      expect(diff.stats.deletions).toBeGreaterThan(0);
+    });
+
+    test('should return null when a version is missing', async () => {
+      await versionService.createVersion('doc1', 'a');
+
+      expect(await versionService.diffVersions('doc1', 1, 2)).toBeNull();
+    });
+  });
+
+  describe('labels and pins', () => {
+    test('should store a label given when the version is created', async () => {
+      const info = await versionService.createVersion('doc1', 'a', 'user1', {
+        label: '  Sent to legal ',
+      });
+
+      expect(info.label).toBe('Sent to legal');
+      expect(info.pinned).toBe(false);
+    });
+
+    test('should name and pin an existing version', async () => {
+      await versionService.createVersion('doc1', 'a');
+
+      const info = await versionService.updateVersion('doc1', 1, { label: 'v1.0', pinned: true });
+
+      expect(info).toMatchObject({ number: 1, label: 'v1.0', pinned: true });
+      expect(await versionService.updateVersion('doc1', 2, { label: 'x' })).toBeNull();
+    });
+
+    test('should remove a label set to an empty string', async () => {
+      await versionService.createVersion('doc1', 'a', null, { label: 'v1.0' });
+
+      const info = await versionService.updateVersion('doc1', 1, { label: '' });
+
+      expect(info.label).toBeNull();
+    });
+
+    test('should filter to named versions', async () => {
+      await versionService.createVersion('doc1', 'a', null, { label: 'Draft' });
+      await versionService.createVersion('doc1', 'ab');
+      await versionService.createVersion('doc1', 'abc', null, { label: 'Final' });
+
+      const named = await versionService.getVersions('doc1', { named: true });
+
+      expect(named.map((v) => v.label)).toEqual(['Final', 'Draft']);
+      expect(await versionService.getVersionCount('doc1', { named: true })).toBe(2);
+    });
+  });
+
+  describe('pruneVersions', () => {
+    test('should delete the oldest unpinned versions and keep the rest readable', async () => {
+      const contents = ['one', 'one two', 'one two three', 'two three', 'three'];
+      for (const content of contents) {
+        await versionService.createVersion('doc1', content);
+      }
+      await versionService.updateVersion('doc1', 2, { pinned: true });
+
+      const deleted = await versionService.pruneVersions('doc1', 3);
+
+      expect(deleted).toBe(2);
+      const versions = await versionService.getVersions('doc1');
+      expect(versions.map((v) => v.number)).toEqual([5, 4, 2]);
+      expect(await versionService.getVersionContent('doc1', 2)).toBe('one two');
+      expect(await versionService.getVersionContent('doc1', 4)).toBe('two three');
+      expect(await versionService.getVersionContent('doc1', 5)).toBe('three');
+    });
+
+    test('should never delete pinned versions', async () => {
+      await versionService.createVersion('doc1', 'a');
+      await versionService.createVersion('doc1', 'ab');
+      await versionService.updateVersion('doc1', 1, { pinned: true });
+
+      expect(await versionService.pruneVersions('doc1', 1)).toBe(0);
+      expect(await versionService.getVersionCount('doc1')).toBe(2);
+    });
+  });
+
+  describe('deleteVersions', () => {
+    test("should remove a document's history", async () => {
+      await versionService.createVersion('doc1', 'a');
+      await versionService.createVersion('doc2', 'b');
+
+      await versionService.deleteVersions('doc1');
+
+      expect(await versionService.getVersionCount('doc1')).toBe(0);
+      expect(await versionService.getVersionCount('doc2')).toBe(1);
+    });
+  });
+
+  describe('migrateEmbeddedVersions', () => {
+    test('should move embedded versions into the collection', async () => {
+      const { insertedId } = await Document.collection.insertOne({
+        title: 'Legacy',
+        content: 'two',
+        owner: 'user1',
+        versions: [
+          { content: 'one', timestamp: new Date(), user: 'user1' },
+          { content: 'two', timestamp: new Date(), user: 'user2' },
+        ],
+      });
+      const documentId = insertedId.toString();
+
+      expect(await versionService.migrateEmbeddedVersions()).toBe(1);
+
+      expect(await versionService.getVersionContent(documentId, 1)).toBe('one');
+      expect(await versionService.getVersionContent(documentId, 2)).toBe('two');
+      const raw = await Document.collection.findOne({ _id: insertedId });
+      expect(raw.versions).toBeUndefined();
+    });
+  });
+});